@@ -22,6 +22,25 @@ const envSchema = Joi.object({
   OPENAI_API_KEY: Joi.string().required(),
   ANTHROPIC_API_KEY: Joi.string().required(),
 
+  // Embeddings for knowledge base search; the local provider needs no API and suits tests
+  EMBEDDING_PROVIDER: Joi.string()
+    .valid('openai', 'local')
+    .when('NODE_ENV', {
+      is: 'test',
+      then: Joi.string().default('local'),
+      otherwise: Joi.string().default('openai'),
+    }),
+  EMBEDDING_MODEL: Joi.string().default('text-embedding-3-small'),
+  EMBEDDING_DIMENSIONS: Joi.number().integer().min(16).max(3072).default(256),
+
+  // Web page ingestion; private networks are reachable only where tests serve pages locally
+  CRAWLER_USER_AGENT: Joi.string().default('WhitecladBot/1.0'),
+  CRAWLER_ALLOW_PRIVATE_NETWORKS: Joi.boolean().when('NODE_ENV', {
+    is: 'test',
+    then: Joi.boolean().default(true),
+    otherwise: Joi.boolean().default(false),
+  }),
+
   // Stripe Billing
   STRIPE_SECRET_KEY: Joi.string().required(),
   STRIPE_WEBHOOK_SECRET: Joi.string().required(),
@@ -56,6 +75,13 @@ const envSchema = Joi.object({
     otherwise: Joi.optional(),
   }),
 
+  // Where uploads are kept: the local disk, or an S3-compatible bucket (AWS, MinIO)
+  STORAGE_DRIVER: Joi.string().valid('local', 's3').default('local'),
+  STORAGE_LOCAL_ROOT: Joi.string().default('uploads'),
+  STORAGE_S3_ENDPOINT: Joi.string().uri().optional(),
+  STORAGE_PUBLIC_URL: Joi.string().uri().default('http://localhost:3000'),
+  STORAGE_SIGNED_URL_TTL: Joi.number().integer().min(60).max(604800).default(900),
+
   // Monitoring
   SENTRY_DSN: Joi.string().when('NODE_ENV', {
     is: 'production',
@@ -130,6 +156,19 @@ const config = {
     },
   },
 
+  // Embedding provider for knowledge base chunks
+  embeddings: {
+    provider: envVars.EMBEDDING_PROVIDER,
+    model: envVars.EMBEDDING_MODEL,
+    dimensions: envVars.EMBEDDING_DIMENSIONS,
+  },
+
+  // Knowledge base web crawler
+  crawler: {
+    userAgent: envVars.CRAWLER_USER_AGENT,
+    allowPrivateNetworks: envVars.CRAWLER_ALLOW_PRIVATE_NETWORKS,
+  },
+
   // Stripe billing
   stripe: {
     secretKey: envVars.STRIPE_SECRET_KEY,
@@ -169,6 +208,22 @@ const config = {
     s3Bucket: envVars.AWS_S3_BUCKET,
   },
 
+  // File storage
+  storage: {
+    driver: envVars.STORAGE_DRIVER,
+    localRoot: envVars.STORAGE_LOCAL_ROOT,
+    // Signed download links for local files are served from here
+    publicUrl: envVars.STORAGE_PUBLIC_URL,
+    signedUrlTtl: envVars.STORAGE_SIGNED_URL_TTL,
+    s3: {
+      endpoint: envVars.STORAGE_S3_ENDPOINT,
+      bucket: envVars.AWS_S3_BUCKET,
+      region: envVars.AWS_REGION,
+      accessKeyId: envVars.AWS_ACCESS_KEY_ID,
+      secretAccessKey: envVars.AWS_SECRET_ACCESS_KEY,
+    },
+  },
+
   // Security settings
   security: {
     bcryptRounds: envVars.BCRYPT_ROUNDS,
@@ -205,6 +260,7 @@ const config = {
       maxMembers: 2,
       apiCallsPerMonth: 1000,
       storageLimit: '100MB',
+      maxConcurrentCalls: 2,
       features: ['basic_agents', 'community_support'],
     },
     pro: {
@@ -212,6 +268,7 @@ const config = {
       maxMembers: 10,
       apiCallsPerMonth: 50000,
       storageLimit: '10GB',
+      maxConcurrentCalls: 20,
       features: ['basic_agents', 'advanced_agents', 'api_access', 'priority_support', 'analytics'],
     },
     enterprise: {
@@ -219,6 +276,7 @@ const config = {
       maxMembers: -1,
       apiCallsPerMonth: -1,
       storageLimit: 'unlimited',
+      maxConcurrentCalls: -1,
       features: ['all'],
     },
   },
@@ -131,6 +131,121 @@ class AgentController {
     });
   });
 
+  /**
+   * Submit agent for approval
+   */
+  static submitAgentForReview = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const agent = await AgentService.submitAgentForReview(
+      agentId,
+      req.body.notes,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Agent submitted for review',
+      data: { agent },
+    });
+  });
+
+  /**
+   * Approve or reject an agent awaiting review
+   */
+  static reviewAgent = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const agent = await AgentService.reviewAgent(agentId, req.body, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      message:
+        req.body.decision === 'approve'
+          ? 'Agent approved and published'
+          : 'Agent returned to creator for changes',
+      data: { agent },
+    });
+  });
+
+  /**
+   * List published versions of an agent
+   */
+  static getAgentVersions = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const result = await AgentService.getAgentVersions(agentId, req.query, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  /**
+   * Get a published version of an agent
+   */
+  static getAgentVersion = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, version } = req.params;
+
+    const agentVersion = await AgentService.getAgentVersion(
+      agentId,
+      version,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: { version: agentVersion },
+    });
+  });
+
+  /**
+   * Diff two versions of an agent
+   */
+  static diffAgentVersions = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+    const { from, to } = req.query;
+
+    const diff = await AgentService.diffAgentVersions(agentId, from, to, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: diff,
+    });
+  });
+
+  /**
+   * Roll an agent back to a previous version
+   */
+  static rollbackAgent = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, version } = req.params;
+
+    const agent = await AgentService.rollbackAgent(agentId, version, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      message: `Agent rolled back to version ${version}`,
+      data: { agent },
+    });
+  });
+
   /**
    * Clone agent
    */
@@ -154,6 +269,38 @@ class AgentController {
     });
   });
 
+  /**
+   * Download agent as a portable bundle
+   */
+  static exportAgent = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const bundle = await AgentService.exportAgent(agentId, req.query, userId, orgId, userRole);
+
+    // The bundle is the response body so it can be posted back to /agents/import as-is
+    res.attachment(`${bundle.agent.identity.name}.agent.json`);
+    res.json(bundle);
+  });
+
+  /**
+   * Create agent from an exported bundle
+   */
+  static importAgent = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { dryRun } = req.query;
+
+    const result = await AgentService.importAgent(req.body, req.query, userId, orgId, userRole);
+
+    res.status(dryRun ? HTTP_STATUS.OK : HTTP_STATUS.CREATED).json({
+      success: true,
+      message: dryRun ? 'Agent bundle can be imported' : 'Agent imported successfully',
+      data: result,
+    });
+  });
+
   /**
    * Chat with agent
    */
@@ -174,6 +321,67 @@ class AgentController {
     });
   });
 
+  /**
+   * Chat with agent, streaming the response as Server-Sent Events
+   */
+  static streamChatWithAgent = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+    const { message, sessionId, context } = req.body;
+
+    const stream = AgentService.streamChatWithAgent(agentId, message, userId, orgId, userRole, {
+      sessionId,
+      context,
+    });
+
+    // Resolve the session before switching to SSE so that permission and
+    // limit errors still go through the regular JSON error handler
+    const first = await stream.next();
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+
+    const send = (event, data) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      // compression() buffers writes until flushed
+      if (res.flush) {
+        res.flush();
+      }
+    };
+
+    let clientGone = false;
+    res.on('close', () => {
+      clientGone = !res.writableEnded;
+    });
+
+    try {
+      const { type, ...data } = first.value;
+      send(type, data);
+
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const { type: eventType, ...eventData } of stream) {
+        if (clientGone) {
+          break;
+        }
+        send(eventType, eventData);
+      }
+    } catch (error) {
+      logger.error('Chat stream failed:', { agentId, error: error.message });
+      send('error', {
+        message: error.isOperational ? error.message : 'Something went wrong!',
+        statusCode: error.statusCode || HTTP_STATUS.INTERNAL_SERVER_ERROR,
+      });
+    }
+
+    res.end();
+  });
+
   /**
    * Get agent analytics
    */
@@ -190,6 +398,28 @@ class AgentController {
     });
   });
 
+  /**
+   * Get the log of tool calls made by an agent
+   */
+  static getToolInvocations = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const result = await AgentService.getToolInvocations(
+      agentId,
+      req.query,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
   /**
    * Create draft agent for multi-step form
    */
@@ -282,6 +512,128 @@ class AgentController {
     });
   });
 
+  /**
+   * Get agent instruction template
+   */
+  static getAgentInstructions = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const instructions = await AgentService.getAgentInstructions(agentId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: instructions,
+    });
+  });
+
+  /**
+   * Update agent instruction template
+   */
+  static updateAgentInstructions = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const agent = await AgentService.updateAgentInstructions(
+      agentId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Agent instructions updated successfully',
+      data: { agent },
+    });
+  });
+
+  /**
+   * Preview rendered agent instructions
+   */
+  static previewAgentInstructions = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const preview = await AgentService.previewAgentInstructions(
+      agentId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: preview,
+    });
+  });
+
+  /**
+   * List knowledge bases linked to an agent
+   */
+  static getAgentKnowledgeBases = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const knowledgeBases = await AgentService.getAgentKnowledgeBases(
+      agentId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: { knowledgeBases },
+    });
+  });
+
+  /**
+   * Link a knowledge base to an agent
+   */
+  static linkKnowledgeBase = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const agent = await AgentService.linkKnowledgeBase(
+      agentId,
+      req.body.knowledgeBaseId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Knowledge base linked successfully',
+      data: { agent },
+    });
+  });
+
+  /**
+   * Unlink a knowledge base from an agent
+   */
+  static unlinkKnowledgeBase = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, kbId } = req.params;
+
+    const agent = await AgentService.unlinkKnowledgeBase(agentId, kbId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      message: 'Knowledge base unlinked successfully',
+      data: { agent },
+    });
+  });
+
   /**
    * Handle demo form submission
    */
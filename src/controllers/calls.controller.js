@@ -12,7 +12,7 @@ class CallsController {
   static createWebCall = catchAsync(async (req, res) => {
     const { userId, orgId } = req.auth;
     const { role: userRole } = req.membership;
-    const { agentId, participantName, enableVideo, enableAudio, duration } = req.body;
+    const { agentId, participantName, enableVideo, enableAudio, duration, variables } = req.body;
 
     // Verify agent exists and user has access
     const agent = await AgentService.getAgentById(agentId, userId, orgId, userRole);
@@ -23,6 +23,8 @@ class CallsController {
       enableVideo: enableVideo || false,
       enableAudio: enableAudio !== false, // Default to true
       roomDuration: duration || 3600,
+      agentVersion: agent.version,
+      variables,
     });
 
     logger.info('Web call initiated:', {
@@ -45,7 +47,7 @@ class CallsController {
   static createSipCall = catchAsync(async (req, res) => {
     const { userId, orgId } = req.auth;
     const { role: userRole } = req.membership;
-    const { agentId, phoneNumber, participantName, duration, sipOptions } = req.body;
+    const { agentId, phoneNumber, participantName, duration, sipOptions, variables } = req.body;
 
     // Verify agent exists and user has access
     const agent = await AgentService.getAgentById(agentId, userId, orgId, userRole);
@@ -55,6 +57,8 @@ class CallsController {
       participantName: participantName || `caller_${phoneNumber}`,
       roomDuration: duration || 1800,
       sipOptions: sipOptions || {},
+      agentVersion: agent.version,
+      variables,
     });
 
     logger.info('SIP call initiated:', {
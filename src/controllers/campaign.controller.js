@@ -1,4 +1,6 @@
+const { mapSeries } = require('bluebird');
 const CampaignService = require('../services/campaign.service');
+const ContactService = require('../services/contact.service');
 const { catchAsync } = require('../middleware/error.middleware');
 const { HTTP_STATUS } = require('../utils/constants');
 const logger = require('../config/logger');
@@ -75,16 +77,21 @@ class CampaignController {
 
     const campaign = await CampaignService.updateCallConfig(
       campaignId,
-      req.body,
+      { ...req.body, files: req.files },
       userId,
       orgId,
       userRole
     );
 
+    // Files uploaded with the call configuration are contact lists
+    const reports = await mapSeries(req.files || [], (file) =>
+      ContactService.importContacts(campaignId, file, {}, userId, orgId, userRole)
+    );
+
     res.json({
       success: true,
       message: 'Call configuration updated successfully',
-      data: { campaign },
+      data: { campaign, reports },
     });
   });
 
@@ -143,6 +150,46 @@ class CampaignController {
     });
   });
 
+  static getCampaignCalls = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId } = req.params;
+
+    const result = await CampaignService.getCampaignCalls(
+      campaignId,
+      req.query,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  static setCallDisposition = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId, callId } = req.params;
+
+    const call = await CampaignService.setCallDisposition(
+      campaignId,
+      callId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Call disposition updated successfully',
+      data: { call },
+    });
+  });
+
   static getCampaignAnalytics = catchAsync(async (req, res) => {
     const { userId, orgId } = req.auth;
     const { role: userRole } = req.membership;
@@ -150,6 +197,7 @@ class CampaignController {
 
     const analytics = await CampaignService.getCampaignAnalytics(
       campaignId,
+      req.query,
       userId,
       orgId,
       userRole
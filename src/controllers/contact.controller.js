@@ -0,0 +1,113 @@
+const ContactService = require('../services/contact.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const { ValidationError } = require('../utils/errors');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class ContactController {
+  static getContacts = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId } = req.params;
+
+    const result = await ContactService.getContacts(campaignId, req.query, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  static getContact = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId, contactId } = req.params;
+
+    const result = await ContactService.getContact(campaignId, contactId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  static createContact = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId } = req.params;
+
+    const contact = await ContactService.createContact(
+      campaignId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Contact added successfully',
+      data: { contact },
+    });
+  });
+
+  static updateContact = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId, contactId } = req.params;
+
+    const contact = await ContactService.updateContact(
+      campaignId,
+      contactId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Contact updated successfully',
+      data: { contact },
+    });
+  });
+
+  static deleteContact = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId, contactId } = req.params;
+
+    await ContactService.deleteContact(campaignId, contactId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      message: 'Contact deleted successfully',
+    });
+  });
+
+  static importContacts = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { campaignId } = req.params;
+
+    if (!req.file) {
+      throw new ValidationError('No file provided');
+    }
+
+    const report = await ContactService.importContacts(
+      campaignId,
+      req.file,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: `${report.imported} contacts imported, ${report.updated} updated`,
+      data: { report },
+    });
+  });
+}
+
+module.exports = ContactController;
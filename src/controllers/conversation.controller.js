@@ -0,0 +1,91 @@
+const ConversationService = require('../services/conversation.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class ConversationController {
+  /**
+   * List chat sessions with an agent
+   */
+  static getSessions = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const result = await ConversationService.getSessions(
+      agentId,
+      req.query,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  /**
+   * Get a chat session with its messages
+   */
+  static getSession = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, sessionId } = req.params;
+
+    const session = await ConversationService.getSession(
+      agentId,
+      sessionId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: { session },
+    });
+  });
+
+  /**
+   * Rename a chat session
+   */
+  static renameSession = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, sessionId } = req.params;
+
+    const session = await ConversationService.renameSession(
+      agentId,
+      sessionId,
+      req.body.title,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Chat session renamed successfully',
+      data: { session },
+    });
+  });
+
+  /**
+   * Delete a chat session
+   */
+  static deleteSession = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, sessionId } = req.params;
+
+    await ConversationService.deleteSession(agentId, sessionId, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.NO_CONTENT).json({
+      success: true,
+      message: 'Chat session deleted successfully',
+    });
+  });
+}
+
+module.exports = ConversationController;
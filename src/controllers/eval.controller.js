@@ -0,0 +1,161 @@
+const EvalService = require('../services/eval.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class EvalController {
+  /**
+   * Create an eval suite for an agent
+   */
+  static createSuite = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const suite = await EvalService.createSuite(agentId, req.body, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Eval suite created successfully',
+      data: { suite },
+    });
+  });
+
+  /**
+   * List an agent's eval suites
+   */
+  static getSuites = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const result = await EvalService.getSuites(agentId, req.query, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  /**
+   * Get eval suite by ID
+   */
+  static getSuite = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, suiteId } = req.params;
+
+    const suite = await EvalService.getSuiteById(agentId, suiteId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: { suite },
+    });
+  });
+
+  /**
+   * Update an eval suite
+   */
+  static updateSuite = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, suiteId } = req.params;
+
+    const suite = await EvalService.updateSuite(
+      agentId,
+      suiteId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Eval suite updated successfully',
+      data: { suite },
+    });
+  });
+
+  /**
+   * Delete an eval suite
+   */
+  static deleteSuite = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, suiteId } = req.params;
+
+    await EvalService.deleteSuite(agentId, suiteId, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.NO_CONTENT).json({
+      success: true,
+      message: 'Eval suite deleted successfully',
+    });
+  });
+
+  /**
+   * Queue a run of a suite against the agent's current configuration
+   */
+  static triggerRun = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, suiteId } = req.params;
+
+    const run = await EvalService.triggerRun(agentId, suiteId, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: 'Eval run queued',
+      data: { run },
+    });
+  });
+
+  /**
+   * List an agent's eval runs
+   */
+  static getRuns = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const result = await EvalService.getRuns(agentId, req.query, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  /**
+   * Get an eval run with per-case results
+   */
+  static getRun = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, runId } = req.params;
+
+    const run = await EvalService.getRunById(agentId, runId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: { run },
+    });
+  });
+
+  /**
+   * Whether the agent's current configuration passes the publish gate
+   */
+  static getGateStatus = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const gate = await EvalService.getGateStatus(agentId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: { gate },
+    });
+  });
+}
+
+module.exports = EvalController;
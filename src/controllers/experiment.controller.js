@@ -0,0 +1,206 @@
+const ExperimentService = require('../services/experiment.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class ExperimentController {
+  /**
+   * Create an experiment for an agent
+   */
+  static createExperiment = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const experiment = await ExperimentService.createExperiment(
+      agentId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Experiment created successfully',
+      data: { experiment },
+    });
+  });
+
+  /**
+   * List an agent's experiments
+   */
+  static getExperiments = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId } = req.params;
+
+    const result = await ExperimentService.getExperiments(
+      agentId,
+      req.query,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  /**
+   * Get experiment by ID
+   */
+  static getExperiment = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, experimentId } = req.params;
+
+    const experiment = await ExperimentService.getExperimentById(
+      agentId,
+      experimentId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: { experiment },
+    });
+  });
+
+  /**
+   * Update an experiment
+   */
+  static updateExperiment = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, experimentId } = req.params;
+
+    const experiment = await ExperimentService.updateExperiment(
+      agentId,
+      experimentId,
+      req.body,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Experiment updated successfully',
+      data: { experiment },
+    });
+  });
+
+  /**
+   * Delete an experiment
+   */
+  static deleteExperiment = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, experimentId } = req.params;
+
+    await ExperimentService.deleteExperiment(agentId, experimentId, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.NO_CONTENT).json({
+      success: true,
+      message: 'Experiment deleted successfully',
+    });
+  });
+
+  /**
+   * Start splitting traffic between variants
+   */
+  static startExperiment = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, experimentId } = req.params;
+
+    const experiment = await ExperimentService.startExperiment(
+      agentId,
+      experimentId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Experiment started',
+      data: { experiment },
+    });
+  });
+
+  /**
+   * Pause an experiment
+   */
+  static pauseExperiment = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, experimentId } = req.params;
+
+    const experiment = await ExperimentService.pauseExperiment(
+      agentId,
+      experimentId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Experiment paused',
+      data: { experiment },
+    });
+  });
+
+  /**
+   * Complete an experiment
+   */
+  static completeExperiment = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, experimentId } = req.params;
+
+    const experiment = await ExperimentService.completeExperiment(
+      agentId,
+      experimentId,
+      req.body.winner,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      message: 'Experiment completed',
+      data: { experiment },
+    });
+  });
+
+  /**
+   * Per-variant experiment results
+   */
+  static getExperimentResults = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { agentId, experimentId } = req.params;
+
+    const results = await ExperimentService.getResults(
+      agentId,
+      experimentId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: results,
+    });
+  });
+}
+
+module.exports = ExperimentController;
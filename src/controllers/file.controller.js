@@ -0,0 +1,18 @@
+const StorageService = require('../services/storage.service');
+const UserService = require('../services/user.service');
+const { catchAsync } = require('../middleware/error.middleware');
+
+class FileController {
+  static download = catchAsync(async (req, res) => {
+    const { buffer, filename } = await StorageService.openSignedDownload(req.query);
+
+    res.attachment(filename);
+    res.send(buffer);
+  });
+
+  static avatar = catchAsync(async (req, res) => {
+    res.redirect(await UserService.getAvatarUrl(req.params.userId));
+  });
+}
+
+module.exports = FileController;
@@ -1,6 +1,7 @@
 const KnowledgeBaseService = require('../services/knowledgebase.service');
 const { catchAsync } = require('../middleware/error.middleware');
 const { HTTP_STATUS } = require('../utils/constants');
+const { ValidationError } = require('../utils/errors');
 const logger = require('../config/logger');
 
 class KnowledgeBaseController {
@@ -103,7 +104,8 @@ class KnowledgeBaseController {
       req.files,
       userId,
       orgId,
-      userRole
+      userRole,
+      { tags: req.body.tags }
     );
 
     res.json({
@@ -113,6 +115,188 @@ class KnowledgeBaseController {
     });
   });
 
+  static getProcessingStatus = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId } = req.params;
+
+    const processing = await KnowledgeBaseService.getProcessingStatus(
+      kbId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: { processing },
+    });
+  });
+
+  static listFiles = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId } = req.params;
+
+    const files = await KnowledgeBaseService.listFiles(kbId, userId, orgId, userRole, req.query);
+
+    res.json({
+      success: true,
+      data: { files },
+    });
+  });
+
+  static getFile = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId, fileId } = req.params;
+
+    const file = await KnowledgeBaseService.getFile(kbId, fileId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      data: { file },
+    });
+  });
+
+  static replaceFile = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId, fileId } = req.params;
+
+    if (!req.file) {
+      throw new ValidationError('No file provided');
+    }
+
+    const file = await KnowledgeBaseService.replaceFile(
+      kbId,
+      fileId,
+      req.file,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: 'File replaced and queued for processing',
+      data: { file },
+    });
+  });
+
+  static deleteFile = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId, fileId } = req.params;
+
+    await KnowledgeBaseService.deleteFile(kbId, fileId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      message: 'File deleted successfully',
+    });
+  });
+
+  static reprocessFile = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId, fileId } = req.params;
+
+    const file = await KnowledgeBaseService.reprocessFile(kbId, fileId, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: 'File queued for processing',
+      data: { file },
+    });
+  });
+
+  static getFileDownloadUrl = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId, fileId } = req.params;
+
+    const download = await KnowledgeBaseService.getFileDownloadUrl(
+      kbId,
+      fileId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.json({
+      success: true,
+      data: download,
+    });
+  });
+
+  static rechunkKnowledgeBase = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId } = req.params;
+
+    const knowledgeBase = await KnowledgeBaseService.rechunkKnowledgeBase(
+      kbId,
+      req.body.chunking,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: 'Knowledge base files are being re-chunked',
+      data: { knowledgeBase },
+    });
+  });
+
+  static addWebSource = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId } = req.params;
+
+    const source = await KnowledgeBaseService.addWebSource(kbId, req.body, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: 'Web source is being crawled',
+      data: { source },
+    });
+  });
+
+  static recrawlWebSource = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId, sourceId } = req.params;
+
+    const source = await KnowledgeBaseService.recrawlWebSource(
+      kbId,
+      sourceId,
+      userId,
+      orgId,
+      userRole
+    );
+
+    res.status(HTTP_STATUS.ACCEPTED).json({
+      success: true,
+      message: 'Web source is being recrawled',
+      data: { source },
+    });
+  });
+
+  static removeWebSource = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { kbId, sourceId } = req.params;
+
+    await KnowledgeBaseService.removeWebSource(kbId, sourceId, userId, orgId, userRole);
+
+    res.json({
+      success: true,
+      message: 'Web source removed successfully',
+    });
+  });
+
   static searchKnowledgeBase = catchAsync(async (req, res) => {
     const { userId, orgId } = req.auth;
     const { role: userRole } = req.membership;
@@ -120,8 +304,7 @@ class KnowledgeBaseController {
 
     const results = await KnowledgeBaseService.searchKnowledgeBase(
       kbId,
-      req.body.query,
-      req.body.limit,
+      req.body,
       userId,
       orgId,
       userRole
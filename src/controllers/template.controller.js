@@ -0,0 +1,72 @@
+const TemplateService = require('../services/template.service');
+const { catchAsync } = require('../middleware/error.middleware');
+const { HTTP_STATUS } = require('../utils/constants');
+
+class TemplateController {
+  /**
+   * Browse the public agent template gallery
+   */
+  static getTemplates = catchAsync(async (req, res) => {
+    const result = await TemplateService.getTemplates(req.query);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  });
+
+  /**
+   * Get category, tag, type and language facets
+   */
+  static getFacets = catchAsync(async (req, res) => {
+    const facets = await TemplateService.getFacets(req.query);
+
+    res.json({
+      success: true,
+      data: { facets },
+    });
+  });
+
+  /**
+   * Get the most used templates
+   */
+  static getPopularTemplates = catchAsync(async (req, res) => {
+    const templates = await TemplateService.getPopularTemplates(req.query.limit);
+
+    res.json({
+      success: true,
+      data: { templates },
+    });
+  });
+
+  /**
+   * Get a template's configuration
+   */
+  static getTemplate = catchAsync(async (req, res) => {
+    const template = await TemplateService.getTemplateById(req.params.templateId);
+
+    res.json({
+      success: true,
+      data: { template },
+    });
+  });
+
+  /**
+   * Install a template into the caller's organization as a draft agent
+   */
+  static installTemplate = catchAsync(async (req, res) => {
+    const { userId, orgId } = req.auth;
+    const { role: userRole } = req.membership;
+    const { templateId } = req.params;
+
+    const agent = await TemplateService.installTemplate(templateId, userId, orgId, userRole);
+
+    res.status(HTTP_STATUS.CREATED).json({
+      success: true,
+      message: 'Template installed successfully',
+      data: { agent },
+    });
+  });
+}
+
+module.exports = TemplateController;
@@ -290,13 +290,13 @@ class UserController {
    * Upload user avatar
    */
   static uploadAvatar = catchAsync(async (req, res) => {
-    const { userId } = req.auth;
+    const { userId, orgId } = req.auth;
     
     if (!req.file) {
       throw new ValidationError('No avatar file provided');
     }
     
-    const avatarUrl = await UserService.uploadAvatar(userId, req.file);
+    const avatarUrl = await UserService.uploadAvatar(userId, req.file, orgId);
     
     logger.info('Avatar uploaded:', { userId, avatarUrl });
     
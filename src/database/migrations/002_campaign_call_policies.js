@@ -0,0 +1,149 @@
+/* eslint-disable no-underscore-dangle */
+const mongoose = require('mongoose');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const logger = require('../../config/logger');
+const { DIALER, RETRY_POLICY } = require('../../utils/constants');
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// Seconds in each unit legacy durations were written with, e.g. "10 min"
+const UNIT_SECONDS = {
+  s: 1,
+  sec: 1,
+  secs: 1,
+  second: 1,
+  seconds: 1,
+  m: 60,
+  min: 60,
+  mins: 60,
+  minute: 60,
+  minutes: 60,
+  h: 3600,
+  hr: 3600,
+  hrs: 3600,
+  hour: 3600,
+  hours: 3600,
+};
+
+// Legacy free-form values: a number of retries, and durations in minutes or
+// seconds (`unit`, in seconds) unless they name their own unit. A count has no unit.
+const LEGACY_FIELDS = {
+  retry: {
+    convert: (value) => ({
+      maxAttempts: clamp(Math.round(value) + 1, 1, RETRY_POLICY.MAX_ATTEMPTS),
+    }),
+  },
+  coolDown: {
+    unit: 60,
+    convert: (value) => ({ delayMinutes: clamp(value, 0, RETRY_POLICY.MAX_DELAY_MINUTES) }),
+  },
+  maxCallDuration: {
+    unit: 1,
+    convert: (value) =>
+      clamp(Math.round(value), RETRY_POLICY.MIN_CALL_SECONDS, DIALER.MAX_CALL_SECONDS),
+  },
+  inactiveDuration: {
+    unit: 1,
+    convert: (value) => clamp(Math.round(value), 5, RETRY_POLICY.MAX_INACTIVE_SECONDS),
+  },
+};
+
+/**
+ * A legacy value as a number of the field's unit, or null when it cannot be read
+ * without guessing
+ */
+const parseLegacyValue = (value, unit) => {
+  const match = value
+    .trim()
+    .toLowerCase()
+    .match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/);
+  if (!match) return null;
+
+  const [, number, unitName] = match;
+  if (!unitName) return Number(number);
+  if (!unit || !UNIT_SECONDS[unitName]) return null;
+  return (Number(number) * UNIT_SECONDS[unitName]) / unit;
+};
+
+const migration = {
+  version: '002',
+  description: 'Structured retry, cool-down and call duration policies on campaigns',
+
+  async up() {
+    try {
+      const campaigns = mongoose.connection.db.collection('campaigns');
+      const legacy = await campaigns
+        .find({
+          $or: Object.keys(LEGACY_FIELDS).map((field) => ({
+            [`callConfig.${field}`]: { $type: 'string' },
+          })),
+        })
+        .toArray();
+
+      // Values that cannot be read fall back to the policy defaults
+      const review = [];
+      await Promise.mapSeries(legacy, (campaign) => {
+        const $set = {};
+        const $unset = {};
+
+        Object.entries(LEGACY_FIELDS).forEach(([field, { unit, convert }]) => {
+          const value = campaign.callConfig[field];
+          if (typeof value !== 'string') return;
+
+          const number = parseLegacyValue(value, unit);
+          if (number !== null) {
+            $set[`callConfig.${field}`] = convert(number);
+          } else {
+            $unset[`callConfig.${field}`] = 1;
+            if (value.trim()) review.push({ campaignId: campaign._id.toString(), field, value });
+          }
+        });
+
+        return campaigns.updateOne({ _id: campaign._id }, _.omitBy({ $set, $unset }, _.isEmpty));
+      });
+
+      logger.info(`Migration 002: Converted the call policies of ${legacy.length} campaigns`);
+      if (review.length) {
+        logger.warn('Migration 002: Unreadable call policies were reset to the defaults:', {
+          review,
+        });
+      }
+    } catch (error) {
+      logger.error('Migration 002 failed:', error);
+      throw error;
+    }
+  },
+
+  async down() {
+    try {
+      const campaigns = mongoose.connection.db.collection('campaigns');
+      const structured = await campaigns
+        .find({ 'callConfig.retry': { $type: 'object' } })
+        .toArray();
+
+      await Promise.mapSeries(structured, (campaign) => {
+        const { retry, coolDown, maxCallDuration, inactiveDuration } = campaign.callConfig;
+
+        return campaigns.updateOne(
+          { _id: campaign._id },
+          {
+            $set: {
+              'callConfig.retry': String((retry?.maxAttempts ?? 1) - 1),
+              'callConfig.coolDown': String(coolDown?.delayMinutes ?? 0),
+              'callConfig.maxCallDuration': String(maxCallDuration ?? ''),
+              'callConfig.inactiveDuration': String(inactiveDuration ?? ''),
+            },
+          }
+        );
+      });
+
+      logger.info('Migration 002: Rollback completed successfully');
+    } catch (error) {
+      logger.error('Migration 002 rollback failed:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = migration;
@@ -0,0 +1,127 @@
+/* eslint-disable no-underscore-dangle */
+const mongoose = require('mongoose');
+const Promise = require('bluebird');
+const logger = require('../../config/logger');
+const { CALL_DISPOSITIONS, DISPOSITION_GROUPS } = require('../../utils/constants');
+
+const percent = (count, total) => (total > 0 ? (count / total) * 100 : 0);
+
+const migration = {
+  version: '003',
+  description: 'Call dispositions, and answer and conversion rates from them on campaigns',
+
+  async up() {
+    try {
+      const { db } = mongoose.connection;
+      const calls = db.collection('calls');
+      const campaigns = db.collection('campaigns');
+
+      // Ended calls take their outcome as disposition, as the dialer now does
+      const backfilled = await calls.updateMany(
+        {
+          status: 'completed',
+          disposition: { $exists: false },
+          outcome: { $in: CALL_DISPOSITIONS },
+        },
+        [
+          {
+            $set: {
+              disposition: '$outcome',
+              dispositionSource: 'dialer',
+              dispositionAt: { $ifNull: ['$endedAt', '$updatedAt'] },
+            },
+          },
+        ]
+      );
+
+      const counts = await calls
+        .aggregate([
+          { $match: { disposition: { $in: CALL_DISPOSITIONS } } },
+          {
+            $group: {
+              _id: { campaignId: '$campaignId', disposition: '$disposition' },
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+
+      const byCampaign = new Map();
+      counts.forEach(({ _id: { campaignId, disposition }, count }) => {
+        const key = campaignId.toString();
+        if (!byCampaign.has(key)) byCampaign.set(key, {});
+        byCampaign.get(key)[disposition] = count;
+      });
+
+      const all = await campaigns.find({}, { projection: { stats: 1 } }).toArray();
+      await Promise.mapSeries(all, (campaign) => {
+        const found = byCampaign.get(campaign._id.toString()) || {};
+        const dispositions = Object.fromEntries(
+          CALL_DISPOSITIONS.map((disposition) => [disposition, found[disposition] || 0])
+        );
+        const totalCalls = campaign.stats?.totalCalls || 0;
+        const successfulCalls = campaign.stats?.successfulCalls || 0;
+
+        return campaigns.updateOne(
+          { _id: campaign._id },
+          {
+            $set: {
+              'stats.dispositions': dispositions,
+              'stats.answerRate': percent(successfulCalls, totalCalls),
+              'stats.conversionRate': percent(
+                DISPOSITION_GROUPS.CONVERTED.reduce((sum, name) => sum + dispositions[name], 0),
+                successfulCalls
+              ),
+            },
+          }
+        );
+      });
+
+      logger.info(
+        `Migration 003: Set the disposition of ${backfilled.modifiedCount} calls and the stats of ${all.length} campaigns`
+      );
+    } catch (error) {
+      logger.error('Migration 003 failed:', error);
+      throw error;
+    }
+  },
+
+  async down() {
+    try {
+      const { db } = mongoose.connection;
+
+      await db.collection('calls').updateMany(
+        { disposition: { $exists: true } },
+        {
+          $unset: {
+            disposition: 1,
+            dispositionSource: 1,
+            dispositionBy: 1,
+            dispositionNote: 1,
+            dispositionAt: 1,
+          },
+        }
+      );
+      await db
+        .collection('contacts')
+        .updateMany({ disposition: { $exists: true } }, { $unset: { disposition: 1 } });
+
+      // The conversion rate was the share of successful calls
+      await db.collection('campaigns').updateMany({ stats: { $exists: true } }, [
+        {
+          $set: {
+            'stats.conversionRate': { $ifNull: ['$stats.answerRate', '$stats.conversionRate'] },
+          },
+        },
+        { $unset: ['stats.answerRate', 'stats.dispositions'] },
+      ]);
+
+      logger.info('Migration 003: Rollback completed successfully');
+    } catch (error) {
+      logger.error('Migration 003 rollback failed:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = migration;
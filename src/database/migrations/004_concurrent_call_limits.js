@@ -0,0 +1,66 @@
+/* eslint-disable no-underscore-dangle */
+const mongoose = require('mongoose');
+const Promise = require('bluebird');
+const config = require('../../config');
+const logger = require('../../config/logger');
+const { DIALER, SUBSCRIPTION_PLANS } = require('../../utils/constants');
+
+const migration = {
+  version: '004',
+  description: "Concurrent call limits from each organization's plan, and calls in progress",
+
+  async up() {
+    try {
+      const { db } = mongoose.connection;
+      const organizations = db.collection('organizations');
+
+      // Organizations created before the limit existed read the schema default
+      // instead of their plan's
+      const limited = await Promise.mapSeries(Object.values(SUBSCRIPTION_PLANS), (plan) =>
+        organizations.updateMany(
+          {
+            plan: plan === SUBSCRIPTION_PLANS.FREE ? { $in: [plan, null] } : plan,
+            'limits.maxConcurrentCalls': { $exists: false },
+          },
+          { $set: { 'limits.maxConcurrentCalls': config.plans[plan].maxConcurrentCalls } }
+        )
+      );
+
+      // Calls already in progress hold a slot until they end
+      const active = await db
+        .collection('calls')
+        .aggregate([
+          { $match: { status: { $in: DIALER.ACTIVE_CALL_STATUSES } } },
+          { $group: { _id: '$organizationId', count: { $sum: 1 } } },
+        ])
+        .toArray();
+      await organizations.updateMany({}, { $set: { 'usage.activeCalls': 0 } });
+      await Promise.mapSeries(active, ({ _id: clerkId, count }) =>
+        organizations.updateOne({ clerkId }, { $set: { 'usage.activeCalls': count } })
+      );
+
+      const backfilled = limited.reduce((sum, result) => sum + result.modifiedCount, 0);
+      logger.info(
+        `Migration 004: Set the concurrent call limit of ${backfilled} organizations and the calls in progress of ${active.length}`
+      );
+    } catch (error) {
+      logger.error('Migration 004 failed:', error);
+      throw error;
+    }
+  },
+
+  async down() {
+    try {
+      await mongoose.connection.db
+        .collection('organizations')
+        .updateMany({}, { $unset: { 'usage.activeCalls': 1 } });
+
+      logger.info('Migration 004: Rollback completed successfully');
+    } catch (error) {
+      logger.error('Migration 004 rollback failed:', error);
+      throw error;
+    }
+  },
+};
+
+module.exports = migration;
@@ -64,17 +64,61 @@ class AgentRepository extends BaseRepository {
     );
   }
 
-  async getPopularAgents(organizationId, limit = 10) {
-    return this.model.find({
-      organizationId,
+  /**
+   * Most used public agents, optionally limited to one organization
+   */
+  async getPopularAgents(organizationId = null, limit = 10, options = {}) {
+    const filter = {
       isPublic: true,
       status: 'published',
       isActive: true,
-      deletedAt: null
-    })
-    .sort({ 'analytics.totalConversations': -1 })
-    .limit(limit)
-    .exec();
+      deletedAt: null,
+    };
+
+    if (organizationId) {
+      filter.organizationId = organizationId;
+    }
+
+    return this.model
+      .find(filter)
+      .select(options.select)
+      .sort({ 'analytics.totalConversations': -1, 'analytics.installs': -1 })
+      .limit(limit)
+      .exec();
+  }
+
+  /**
+   * Category, tag, type and language counts across public agents
+   */
+  async getPublicFacets(filter = {}) {
+    const countBy = (field) => [
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, value: '$_id', count: 1 } },
+    ];
+
+    const [facets] = await this.model.aggregate([
+      {
+        $match: {
+          isPublic: true,
+          status: 'published',
+          isActive: true,
+          deletedAt: null,
+          ...filter,
+        },
+      },
+      {
+        $facet: {
+          categories: countBy('category'),
+          tags: [{ $unwind: '$tags' }, ...countBy('tags'), { $limit: 50 }],
+          types: countBy('type'),
+          languages: countBy('language'),
+        },
+      },
+    ]);
+
+    return facets;
   }
 
   async searchAgents(organizationId, searchTerm, options = {}) {
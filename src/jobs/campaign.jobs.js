@@ -0,0 +1,49 @@
+const logger = require('../config/logger');
+
+const processCampaignJob = async (job) => {
+  const { type, data } = job.data;
+
+  try {
+    // Required lazily: the campaign service queues dialing through this module
+    // eslint-disable-next-line global-require
+    const DialerService = require('../services/dialer.service');
+
+    switch (type) {
+      case 'dial-campaign':
+        return await DialerService.dialCampaign(data.campaignId);
+      case 'dialer-tick':
+        return await DialerService.queueActiveCampaigns();
+      default:
+        throw new Error(`Unknown campaign job type: ${type}`);
+    }
+  } catch (error) {
+    logger.error('Campaign job failed:', { type, error: error.message });
+    throw error;
+  }
+};
+
+// Helper function to queue a dialer run for a campaign. The job id keeps one run
+// per campaign waiting or active at a time.
+const queueCampaignDialing = (campaignId) => {
+  // eslint-disable-next-line global-require
+  const { campaignQueue } = require('./index');
+  return campaignQueue.add(
+    'dial-campaign',
+    {
+      type: 'dial-campaign',
+      data: { campaignId: campaignId.toString() },
+    },
+    {
+      jobId: `dial-campaign:${campaignId}`,
+      // The next tick runs it again
+      attempts: 1,
+      removeOnComplete: true,
+      removeOnFail: true,
+    }
+  );
+};
+
+module.exports = {
+  processCampaignJob,
+  queueCampaignDialing,
+};
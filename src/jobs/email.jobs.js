@@ -1,3 +1,4 @@
+const _ = require('lodash');
 const nodemailer = require('nodemailer');
 const config = require('../config');
 const logger = require('../config/logger');
@@ -5,7 +6,7 @@ const User = require('../models/User');
 const Organization = require('../models/Organization');
 
 // Create email transporter
-const transporter = nodemailer.createTransporter({
+const transporter = nodemailer.createTransport({
   host: config.email.host,
   port: config.email.port,
   secure: config.email.secure,
@@ -27,6 +28,9 @@ const processEmailJob = async (job) => {
       case 'agent_published':
         await sendAgentPublishedEmail(data);
         break;
+      case 'agent_review_decision':
+        await sendAgentReviewDecisionEmail(data);
+        break;
       case 'usage_limit_warning':
         await sendUsageLimitWarning(data);
         break;
@@ -102,6 +106,32 @@ const sendAgentPublishedEmail = async (data) => {
   });
 };
 
+const sendAgentReviewDecisionEmail = async (data) => {
+  const { email, agentName, agentUrl, approved, reviewerName, comments } = data;
+  // Written by users, so escaped before going into the HTML body
+  const safe = {
+    agentName: _.escape(agentName),
+    reviewerName: _.escape(reviewerName),
+    comments: comments && _.escape(comments).replace(/\n/g, '<br>'),
+  };
+
+  await transporter.sendMail({
+    from: config.email.from,
+    to: email,
+    subject: approved
+      ? `Your AI Agent "${agentName}" was approved`
+      : `Changes requested for your AI Agent "${agentName}"`,
+    html: `
+      <h1>${approved ? '✅ Agent Approved' : '✏️ Changes Requested'}</h1>
+      <p><strong>${safe.reviewerName}</strong> ${approved ? 'approved and published' : 'reviewed'} your AI agent <strong>"${safe.agentName}"</strong>.</p>
+      ${safe.comments ? `<p><strong>Reviewer comments:</strong></p><blockquote>${safe.comments}</blockquote>` : ''}
+      <a href="${agentUrl}" style="background: #007bff; color: white; padding: 12px 24px; text-decoration: none; border-radius: 4px;">View Agent</a>
+      <br><br>
+      <p>${approved ? 'Your agent is now live.' : 'Update the agent and submit it for review again when ready.'}</p>
+    `,
+  });
+};
+
 const sendUsageLimitWarning = async (data) => {
   const { email, organizationName, usageType, currentUsage, limit, upgradeUrl } = data;
 
@@ -204,6 +234,21 @@ const queueAgentPublishedEmail = (agentData) => {
   );
 };
 
+const queueAgentReviewDecisionEmail = (reviewData) => {
+  const { emailQueue } = require('./index');
+  return emailQueue.add(
+    'email',
+    {
+      type: 'agent_review_decision',
+      data: reviewData,
+    },
+    {
+      attempts: 3,
+      backoff: 'exponential',
+    }
+  );
+};
+
 const queueUsageLimitWarning = (usageData) => {
   const { emailQueue } = require('./index');
   return emailQueue.add(
@@ -223,5 +268,6 @@ module.exports = {
   queueWelcomeEmail,
   queueInvitationEmail,
   queueAgentPublishedEmail,
+  queueAgentReviewDecisionEmail,
   queueUsageLimitWarning,
 };
@@ -0,0 +1,46 @@
+const logger = require('../config/logger');
+
+const processEvalJob = async (job) => {
+  const { type, data } = job.data;
+
+  try {
+    // Required lazily: the service queues runs through this module
+    // eslint-disable-next-line global-require
+    const EvalService = require('../services/eval.service');
+
+    switch (type) {
+      case 'eval-run':
+        await EvalService.executeRun(data.runId);
+        break;
+      default:
+        throw new Error(`Unknown eval job type: ${type}`);
+    }
+  } catch (error) {
+    logger.error('Eval job failed:', { type, error: error.message });
+    throw error;
+  }
+};
+
+// Helper function to queue eval runs
+const queueEvalRun = (runId) => {
+  // eslint-disable-next-line global-require
+  const { evalQueue } = require('./index');
+  return evalQueue.add(
+    'eval',
+    {
+      type: 'eval-run',
+      data: { runId },
+    },
+    {
+      // A run records its own failure; retrying would score the same config twice
+      attempts: 1,
+      removeOnComplete: 100,
+      removeOnFail: 100,
+    }
+  );
+};
+
+module.exports = {
+  processEvalJob,
+  queueEvalRun,
+};
@@ -2,6 +2,7 @@ const Queue = require('bull');
 const config = require('../config');
 const logger = require('../config/logger');
 const redisClient = require('../config/redis');
+const { DIALER } = require('../utils/constants');
 
 // Job queues
 const emailQueue = new Queue('email processing', {
@@ -25,15 +26,45 @@ const cleanupQueue = new Queue('cleanup tasks', {
   },
 });
 
+const evalQueue = new Queue('agent evals', {
+  redis: {
+    host: config.redis.url.split('://')[1].split(':')[0],
+    port: config.redis.url.split(':')[2] || 6379,
+  },
+});
+
+const knowledgeBaseQueue = new Queue('knowledge base processing', {
+  redis: {
+    host: config.redis.url.split('://')[1].split(':')[0],
+    port: config.redis.url.split(':')[2] || 6379,
+  },
+});
+
+const campaignQueue = new Queue('campaign dialer', {
+  redis: {
+    host: config.redis.url.split('://')[1].split(':')[0],
+    port: config.redis.url.split(':')[2] || 6379,
+  },
+});
+
 // Import job processors
 const { processEmailJob } = require('./email.jobs');
 const { processAnalyticsJob } = require('./analytics.jobs');
 const { processCleanupJob } = require('./cleanup.jobs');
+const { processEvalJob } = require('./eval.jobs');
+const { processKnowledgeBaseJob } = require('./knowledgebase.jobs');
+const { processCampaignJob } = require('./campaign.jobs');
 
 // Register job processors
 emailQueue.process(processEmailJob);
 analyticsQueue.process(processAnalyticsJob);
 cleanupQueue.process(processCleanupJob);
+evalQueue.process('eval', processEvalJob);
+knowledgeBaseQueue.process('process-files', processKnowledgeBaseJob);
+knowledgeBaseQueue.process('crawl-source', processKnowledgeBaseJob);
+knowledgeBaseQueue.process('recrawl-due', processKnowledgeBaseJob);
+campaignQueue.process('dialer-tick', processCampaignJob);
+campaignQueue.process('dial-campaign', 5, processCampaignJob);
 
 // Queue event handlers
 emailQueue.on('completed', (job) => {
@@ -52,6 +83,35 @@ analyticsQueue.on('failed', (job, err) => {
   logger.error('Analytics job failed:', { jobId: job.id, error: err.message });
 });
 
+evalQueue.on('completed', (job) => {
+  logger.info('Eval job completed:', { jobId: job.id, runId: job.data.data.runId });
+});
+
+evalQueue.on('failed', (job, err) => {
+  logger.error('Eval job failed:', { jobId: job.id, error: err.message });
+});
+
+knowledgeBaseQueue.on('completed', (job) => {
+  logger.info('Knowledge base job completed:', { jobId: job.id, kbId: job.data.data.kbId });
+});
+
+knowledgeBaseQueue.on('failed', (job, err) => {
+  logger.error('Knowledge base job failed:', {
+    jobId: job.id,
+    kbId: job.data.data.kbId,
+    attempt: job.attemptsMade,
+    error: err.message,
+  });
+});
+
+campaignQueue.on('failed', (job, err) => {
+  logger.error('Campaign job failed:', {
+    jobId: job.id,
+    campaignId: job.data.data.campaignId,
+    error: err.message,
+  });
+});
+
 // Scheduled jobs
 const scheduleRecurringJobs = () => {
   // Daily analytics aggregation
@@ -87,6 +147,28 @@ const scheduleRecurringJobs = () => {
     }
   );
 
+  // Hourly recrawl of web sources that are due
+  knowledgeBaseQueue.add(
+    'recrawl-due',
+    { type: 'recrawl-due' },
+    {
+      repeat: { cron: '15 * * * *' }, // Quarter past every hour
+      removeOnComplete: 5,
+      removeOnFail: 3,
+    }
+  );
+
+  // Dialer runs for running campaigns
+  campaignQueue.add(
+    'dialer-tick',
+    { type: 'dialer-tick', data: {} },
+    {
+      repeat: { every: DIALER.TICK_MS },
+      removeOnComplete: true,
+      removeOnFail: 3,
+    }
+  );
+
   logger.info('Scheduled recurring jobs initialized');
 };
 
@@ -98,6 +180,9 @@ const initializeQueues = () => {
     email: emailQueue.name,
     analytics: analyticsQueue.name,
     cleanup: cleanupQueue.name,
+    eval: evalQueue.name,
+    knowledgeBase: knowledgeBaseQueue.name,
+    campaign: campaignQueue.name,
   });
 };
 
@@ -105,7 +190,14 @@ const initializeQueues = () => {
 const shutdown = async () => {
   logger.info('Shutting down job queues...');
 
-  await Promise.all([emailQueue.close(), analyticsQueue.close(), cleanupQueue.close()]);
+  await Promise.all([
+    emailQueue.close(),
+    analyticsQueue.close(),
+    cleanupQueue.close(),
+    evalQueue.close(),
+    knowledgeBaseQueue.close(),
+    campaignQueue.close(),
+  ]);
 
   logger.info('Job queues shut down successfully');
 };
@@ -117,6 +209,9 @@ module.exports = {
   emailQueue,
   analyticsQueue,
   cleanupQueue,
+  evalQueue,
+  knowledgeBaseQueue,
+  campaignQueue,
   initializeQueues,
   shutdown,
 };
@@ -0,0 +1,77 @@
+const logger = require('../config/logger');
+const { KB_PROCESSING } = require('../utils/constants');
+
+const processKnowledgeBaseJob = async (job) => {
+  const { type, data } = job.data;
+
+  try {
+    // Required lazily: the service queues processing through this module
+    // eslint-disable-next-line global-require
+    const KnowledgeBaseService = require('../services/knowledgebase.service');
+
+    switch (type) {
+      case 'process-files':
+        await KnowledgeBaseService.processKnowledgeBaseFiles(data.kbId, {
+          // Files that fail on the last attempt are marked as errors instead of retried
+          finalAttempt: job.attemptsMade + 1 >= (job.opts.attempts || 1),
+          onProgress: (percent) => job.progress(percent),
+        });
+        break;
+      case 'crawl-source':
+        await KnowledgeBaseService.crawlWebSource(data.kbId, data.sourceId);
+        break;
+      case 'recrawl-due':
+        await KnowledgeBaseService.queueDueRecrawls();
+        break;
+      default:
+        throw new Error(`Unknown knowledge base job type: ${type}`);
+    }
+  } catch (error) {
+    logger.error('Knowledge base job failed:', { type, error: error.message });
+    throw error;
+  }
+};
+
+// Helper function to queue processing of a knowledge base's pending files
+const queueKnowledgeBaseProcessing = (kbId) => {
+  // eslint-disable-next-line global-require
+  const { knowledgeBaseQueue } = require('./index');
+  return knowledgeBaseQueue.add(
+    'process-files',
+    {
+      type: 'process-files',
+      data: { kbId: kbId.toString() },
+    },
+    {
+      attempts: KB_PROCESSING.MAX_ATTEMPTS,
+      backoff: { type: 'exponential', delay: KB_PROCESSING.RETRY_DELAY_MS },
+      removeOnComplete: 100,
+      removeOnFail: 100,
+    }
+  );
+};
+
+// Helper function to queue a crawl of one of a knowledge base's web sources
+const queueWebSourceCrawl = (kbId, sourceId) => {
+  // eslint-disable-next-line global-require
+  const { knowledgeBaseQueue } = require('./index');
+  return knowledgeBaseQueue.add(
+    'crawl-source',
+    {
+      type: 'crawl-source',
+      data: { kbId: kbId.toString(), sourceId: sourceId.toString() },
+    },
+    {
+      // Failed crawls are recorded on the source and retried at the next recrawl
+      attempts: 1,
+      removeOnComplete: 100,
+      removeOnFail: 100,
+    }
+  );
+};
+
+module.exports = {
+  processKnowledgeBaseJob,
+  queueKnowledgeBaseProcessing,
+  queueWebSourceCrawl,
+};
@@ -3,8 +3,11 @@ const { ValidationError } = require('../utils/errors');
 const { catchAsync } = require('./error.middleware.js');
 
 const validate = (schema, property = 'body') => {
+  // Routes may pass a plain key map, e.g. validateParams({ agentId: commonSchemas.id })
+  const compiled = Joi.isSchema(schema) ? schema : Joi.object(schema);
+
   return catchAsync(async (req, res, next) => {
-    const { error, value } = schema.validate(req[property], {
+    const { error, value } = compiled.validate(req[property], {
       abortEarly: false,
       stripUnknown: true,
     });
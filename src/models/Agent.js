@@ -1,6 +1,33 @@
 // src/models/Agent.js - Updated to match your frontend forms
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-const { AGENT_TYPES, AGENT_STATUS } = require('../utils/constants');
+const {
+  AGENT_TYPES,
+  AGENT_STATUS,
+  AGENT_REVIEW_STATUS,
+  TOOL_TYPES,
+  BUILTIN_TOOLS,
+  TOOL_LIMITS,
+  DEFAULT_INSTRUCTION_TEMPLATE,
+} = require('../utils/constants');
+const { renderTemplate, redactToolHeaders } = require('../utils/helpers');
+
+// Configuration captured in each published version
+const SNAPSHOT_FIELDS = [
+  'name',
+  'description',
+  'language',
+  'voiceType',
+  'voice',
+  'companyName',
+  'productDescription',
+  'questions',
+  'faqs',
+  'agentIntroduction',
+  'config',
+  'tools',
+  'knowledgeBase',
+];
 
 const agentSchema = new mongoose.Schema(
   {
@@ -97,6 +124,54 @@ const agentSchema = new mongoose.Schema(
       },
     ],
 
+    // Tools the agent can call mid-conversation
+    tools: [
+      {
+        name: {
+          type: String,
+          required: true,
+          trim: true,
+          match: /^[a-zA-Z0-9_-]{1,64}$/,
+        },
+        description: {
+          type: String,
+          required: true,
+          maxlength: 1024,
+        },
+        // JSON schema describing the tool arguments
+        parameters: {
+          type: mongoose.Schema.Types.Mixed,
+          default: () => ({ type: 'object', properties: {} }),
+        },
+        type: {
+          type: String,
+          enum: Object.values(TOOL_TYPES),
+          required: true,
+        },
+        webhook: {
+          url: String,
+          method: {
+            type: String,
+            enum: ['GET', 'POST'],
+            default: 'POST',
+          },
+          headers: mongoose.Schema.Types.Mixed,
+          timeoutMs: {
+            type: Number,
+            default: TOOL_LIMITS.WEBHOOK_TIMEOUT_MS,
+          },
+        },
+        handler: {
+          type: String,
+          enum: Object.values(BUILTIN_TOOLS),
+        },
+        enabled: {
+          type: Boolean,
+          default: true,
+        },
+      },
+    ],
+
     // Original fields maintained for compatibility
     type: {
       type: String,
@@ -132,6 +207,11 @@ const agentSchema = new mongoose.Schema(
         required: true,
         maxlength: 10000,
       },
+      // Set once the instructions are written by hand, so updateWork stops replacing them
+      instructionsEdited: {
+        type: Boolean,
+        default: false,
+      },
       temperature: {
         type: Number,
         min: 0,
@@ -168,6 +248,7 @@ const agentSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Latest published version, see AgentVersion
     version: {
       type: Number,
       default: 1,
@@ -191,16 +272,65 @@ const agentSchema = new mongoose.Schema(
         type: Number,
         default: 100,
       },
+      successfulResponses: {
+        type: Number,
+        default: 0,
+      },
+      failedResponses: {
+        type: Number,
+        default: 0,
+      },
       lastUsedAt: Date,
       usageThisMonth: {
         type: Number,
         default: 0,
       },
+      // Times this agent was installed from the template gallery
+      installs: {
+        type: Number,
+        default: 0,
+      },
+    },
+
+    // Agent this one was copied or imported from
+    source: {
+      kind: {
+        type: String,
+        enum: ['clone', 'template', 'import'],
+      },
+      agentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Agent',
+      },
+      organizationId: String,
+      name: String,
+      version: Number,
+      copiedAt: Date,
     },
 
     // Publishing
     publishedAt: Date,
     publishedBy: String,
+    // Edits to a published agent that are not live yet: until they are
+    // published, the agent keeps serving its latest published version
+    pendingChanges: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Latest approval review, used when the organization requires approval
+    review: {
+      status: {
+        type: String,
+        enum: Object.values(AGENT_REVIEW_STATUS),
+      },
+      submittedBy: String,
+      submittedAt: Date,
+      notes: String,
+      reviewedBy: String,
+      reviewedAt: Date,
+      comments: String,
+    },
 
     // Soft delete
     isActive: {
@@ -214,7 +344,10 @@ const agentSchema = new mongoose.Schema(
   },
   {
     timestamps: true,
-    toJSON: { virtuals: true },
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) => (ret.tools ? { ...ret, tools: redactToolHeaders(ret.tools) } : ret),
+    },
     toObject: { virtuals: true },
   }
 );
@@ -249,31 +382,218 @@ agentSchema.methods.updateWork = function(workData) {
   this.faqs = workData.faqs;
   this.agentIntroduction = workData.agentIntroduction;
   
-  // Auto-generate AI instructions from the work data
-  this.config.instructions = this.generateInstructions();
+  // Keep the default prompt layout unless the instructions were written by hand
+  if (!this.config.instructionsEdited) {
+    this.config.instructions = DEFAULT_INSTRUCTION_TEMPLATE;
+  }
   
   return this.save();
 };
 
-agentSchema.methods.generateInstructions = function() {
-  return `You are an AI assistant for ${this.companyName}. 
+/**
+ * Agent fields available to instruction templates
+ */
+agentSchema.methods.getTemplateVariables = function () {
+  return {
+    name: this.name,
+    description: this.description,
+    language: this.language,
+    voiceType: this.voiceType,
+    voice: this.voice,
+    companyName: this.companyName,
+    productDescription: this.productDescription,
+    agentIntroduction: this.agentIntroduction,
+    faqs: this.faqs,
+    questions: (this.questions || []).map((q) => `${q.number}. ${q.question}`),
+  };
+};
+
+/**
+ * Instructions with placeholders filled from the agent's fields and per-call context
+ * such as callerName or campaign. `template` replaces the agent's own instructions,
+ * e.g. with an experiment variant's.
+ */
+agentSchema.methods.renderInstructions = function (context = {}, template = null) {
+  return renderTemplate(template || this.config.instructions, {
+    ...this.getTemplateVariables(),
+    ...context,
+  });
+};
+
+/**
+ * Ids of the uploaded knowledge bases linked to this agent. Other knowledge
+ * entries (url, text, api) are stored inline.
+ */
+agentSchema.methods.getLinkedKnowledgeBaseIds = function () {
+  return this.knowledgeBase
+    .filter((item) => item.type === 'document' && mongoose.isValidObjectId(item.id))
+    .map((item) => item.id);
+};
+
+// Usage tracking
+agentSchema.methods.incrementUsage = function (options = {}) {
+  if (options.newConversation) {
+    this.analytics.totalConversations += 1;
+  }
+  this.analytics.totalMessages += 1;
+  this.analytics.usageThisMonth += 1;
+  this.analytics.lastUsedAt = new Date();
+  return this.save();
+};
+
+agentSchema.methods.updateAnalytics = function (responseTime, success) {
+  const { analytics } = this;
+
+  if (success) {
+    analytics.successfulResponses += 1;
+    // Running average over successful responses only
+    analytics.averageResponseTime +=
+      (responseTime - analytics.averageResponseTime) / analytics.successfulResponses;
+  } else {
+    analytics.failedResponses += 1;
+  }
+
+  const total = analytics.successfulResponses + analytics.failedResponses;
+  analytics.successRate = (analytics.successfulResponses / total) * 100;
+
+  return this.save();
+};
+
+// Versioning
+agentSchema.methods.publish = function (userId, version) {
+  this.status = AGENT_STATUS.PUBLISHED;
+  this.publishedAt = new Date();
+  this.publishedBy = userId;
+  this.pendingChanges = false;
+  if (version) {
+    this.version = version;
+  }
+  return this.save();
+};
+
+// Approval workflow. Published agents stay live while their pending changes
+// are reviewed.
+agentSchema.methods.submitForReview = function (userId, notes) {
+  if (this.status !== AGENT_STATUS.PUBLISHED) {
+    this.status = AGENT_STATUS.PENDING_REVIEW;
+  }
+  this.review = {
+    status: AGENT_REVIEW_STATUS.PENDING,
+    submittedBy: userId,
+    submittedAt: new Date(),
+    notes,
+  };
+  return this.save();
+};
 
-Product Information:
-${this.productDescription}
+agentSchema.methods.recordReview = function (userId, approved, comments) {
+  this.review.status = approved ? AGENT_REVIEW_STATUS.APPROVED : AGENT_REVIEW_STATUS.REJECTED;
+  this.review.reviewedBy = userId;
+  this.review.reviewedAt = new Date();
+  this.review.comments = comments;
+  // Rejected agents go back to the creator for changes
+  if (!approved && this.status === AGENT_STATUS.PENDING_REVIEW) {
+    this.status = AGENT_STATUS.DRAFT;
+  }
+  return this.save();
+};
+
+agentSchema.methods.isAwaitingReview = function () {
+  return (
+    this.status === AGENT_STATUS.PENDING_REVIEW ||
+    this.review?.status === AGENT_REVIEW_STATUS.PENDING
+  );
+};
+
+/**
+ * Plain copy of the published configuration, without subdocument ids
+ */
+agentSchema.methods.toSnapshot = function () {
+  const agent = this.toObject({ virtuals: false, depopulate: true });
+
+  return Object.fromEntries(
+    SNAPSHOT_FIELDS.map((field) => {
+      const value = agent[field];
+      return [field, Array.isArray(value) ? value.map(({ _id, ...item }) => item) : value];
+    })
+  );
+};
 
-Introduction Script:
-${this.agentIntroduction}
+/**
+ * Fingerprint of the publishable configuration, used to tie eval runs to what they tested
+ */
+agentSchema.methods.getConfigHash = function () {
+  return crypto.createHash('sha256').update(JSON.stringify(this.toSnapshot())).digest('hex');
+};
 
-Key Questions to Address:
-${this.questions.map(q => `${q.number}. ${q.question}`).join('\n')}
+agentSchema.methods.applySnapshot = function (snapshot) {
+  SNAPSHOT_FIELDS.forEach((field) => {
+    if (snapshot[field] !== undefined) {
+      this.set(field, snapshot[field]);
+    }
+  });
+  return this;
+};
 
-Frequently Asked Questions:
-${this.faqs}
+/**
+ * This agent as a version snapshot describes it, for serving that version.
+ * Nothing is marked modified, so saving the copy (e.g. usage counters) leaves
+ * the stored configuration alone.
+ */
+agentSchema.methods.withSnapshot = function (snapshot) {
+  const pick = Object.fromEntries(
+    SNAPSHOT_FIELDS.filter((field) => snapshot[field] !== undefined).map((field) => [
+      field,
+      snapshot[field],
+    ])
+  );
+  return this.constructor.hydrate({
+    ...this.toObject({ virtuals: false, depopulate: true }),
+    ...pick,
+  });
+};
 
-Voice Type: ${this.voiceType}
-Language: ${this.language}
+/**
+ * Deep copy into a new private draft, keeping attribution to this agent.
+ * Copies leaving the organization drop knowledge bases and webhook credentials,
+ * and disable webhook tools until the new owner configures them.
+ * Pass a version snapshot to copy that version instead of the current configuration.
+ */
+agentSchema.methods.clone = function (
+  userId,
+  organizationId,
+  kind = 'clone',
+  snapshot = this.toSnapshot()
+) {
+  const crossOrganization = organizationId !== this.organizationId;
+  const tools = (snapshot.tools || []).map((tool) =>
+    crossOrganization && tool.type === TOOL_TYPES.WEBHOOK
+      ? { ...tool, enabled: false, webhook: { ...tool.webhook, headers: undefined } }
+      : tool
+  );
 
-Always be helpful, professional, and stay on topic about ${this.companyName} and its products/services.`;
+  return this.constructor.create({
+    ...snapshot,
+    tools,
+    // Knowledge bases belong to the source organization
+    knowledgeBase: crossOrganization ? [] : snapshot.knowledgeBase || [],
+    type: this.type,
+    category: this.category,
+    tags: [...this.tags],
+    organizationId,
+    createdBy: userId,
+    status: AGENT_STATUS.DRAFT,
+    visibility: 'private',
+    isPublic: false,
+    source: {
+      kind,
+      agentId: this.id,
+      organizationId: this.organizationId,
+      name: this.name,
+      version: this.version,
+      copiedAt: new Date(),
+    },
+  });
 };
 
 // Static methods
@@ -0,0 +1,69 @@
+// src/models/AgentVersion.js - Snapshots of published agent configurations
+const mongoose = require('mongoose');
+const { redactToolHeaders } = require('../utils/helpers');
+
+const agentVersionSchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true,
+    },
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    version: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+
+    // Agent configuration as published, see Agent#toSnapshot
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    publishedBy: {
+      type: String,
+      required: true,
+    },
+    // Version restored when this one was created by a rollback
+    rolledBackFrom: Number,
+  },
+  {
+    timestamps: true,
+    toJSON: {
+      virtuals: true,
+      transform: (doc, ret) =>
+        ret.snapshot
+          ? { ...ret, snapshot: { ...ret.snapshot, tools: redactToolHeaders(ret.snapshot.tools) } }
+          : ret,
+    },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+agentVersionSchema.index({ agentId: 1, version: -1 }, { unique: true });
+
+// Static methods
+agentVersionSchema.statics.getLatest = function (agentId) {
+  return this.findOne({ agentId }).sort({ version: -1 });
+};
+
+agentVersionSchema.statics.createFromAgent = async function (agent, userId, options = {}) {
+  const latest = await this.getLatest(agent.id).select('version');
+
+  return this.create({
+    agentId: agent.id,
+    organizationId: agent.organizationId,
+    version: latest ? latest.version + 1 : 1,
+    snapshot: agent.toSnapshot(),
+    publishedBy: userId,
+    rolledBackFrom: options.rolledBackFrom,
+  });
+};
+
+module.exports = mongoose.model('AgentVersion', agentVersionSchema);
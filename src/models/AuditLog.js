@@ -20,7 +20,15 @@ const auditLogSchema = new mongoose.Schema(
     },
     resourceType: {
       type: String,
-      enum: ['user', 'organization', 'agent', 'subscription'],
+      enum: [
+        'user',
+        'organization',
+        'agent',
+        'experiment',
+        'eval_suite',
+        'knowledgebase',
+        'subscription',
+      ],
       index: true,
     },
     resourceId: {
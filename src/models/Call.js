@@ -0,0 +1,103 @@
+// src/models/Call.js - An outbound call placed by a campaign's dialer
+const mongoose = require('mongoose');
+const { CALL_OUTCOMES, CALL_DISPOSITIONS } = require('../utils/constants');
+
+const callSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: true,
+    },
+    contactId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Contact',
+      required: true,
+    },
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true,
+    },
+    agentVersion: Number,
+    phoneNumber: {
+      type: String,
+      required: true,
+    },
+    // Which call to the contact this is, from 1
+    attempt: {
+      type: Number,
+      default: 1,
+    },
+
+    // LiveKit room and agent dispatch the call runs in
+    roomName: String,
+    dispatchId: String,
+
+    // dialing: being placed; in_progress: dispatched to LiveKit;
+    // completed: the room has closed; failed: the call could not be placed
+    status: {
+      type: String,
+      enum: ['dialing', 'in_progress', 'completed', 'failed'],
+      default: 'dialing',
+    },
+    error: String,
+
+    // How the call went, as reported by the agent in the room's metadata;
+    // answered when the room closes without a report
+    outcome: {
+      type: String,
+      enum: CALL_OUTCOMES,
+    },
+    // When the retry policy calls the contact again
+    retryAt: Date,
+
+    // What came of the call, reported by the agent in the room's metadata or set
+    // by a person afterwards
+    disposition: {
+      type: String,
+      enum: CALL_DISPOSITIONS,
+    },
+    dispositionSource: {
+      type: String,
+      enum: ['agent', 'dialer', 'user'],
+    },
+    dispositionBy: String,
+    dispositionNote: String,
+    dispositionAt: Date,
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    endedAt: Date,
+    duration: Number, // in seconds
+  },
+  {
+    timestamps: true,
+  }
+);
+
+callSchema.index({ campaignId: 1, status: 1 });
+callSchema.index({ organizationId: 1, status: 1 });
+callSchema.index({ contactId: 1, createdAt: -1 });
+callSchema.index({ campaignId: 1, startedAt: 1 });
+
+/**
+ * Record the end of the call
+ */
+callSchema.methods.finish = function (status, outcome, error, endedAt = new Date()) {
+  this.status = status;
+  this.outcome = outcome;
+  this.error = error;
+  this.endedAt = endedAt;
+  this.duration = Math.round((this.endedAt - this.startedAt) / 1000);
+  return this.save();
+};
+
+module.exports = mongoose.model('Call', callSchema);
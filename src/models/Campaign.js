@@ -1,5 +1,32 @@
 // src/models/Campaign.js - New model for your campaign forms
 const mongoose = require('mongoose');
+const {
+  CALLING_WINDOW,
+  DIALER,
+  RETRY_POLICY,
+  CALL_DISPOSITIONS,
+  DISPOSITION_GROUPS,
+} = require('../utils/constants');
+
+// Whether an outcome is retried, at most how many attempts in all it allows and
+// the delay before the next attempt, which overrides the cool-down
+const outcomeRule = (delayMinutes) => ({
+  retry: {
+    type: Boolean,
+    default: true,
+  },
+  maxAttempts: {
+    type: Number,
+    min: 1,
+    max: RETRY_POLICY.MAX_ATTEMPTS,
+  },
+  delayMinutes: {
+    type: Number,
+    min: 0,
+    max: RETRY_POLICY.MAX_DELAY_MINUTES,
+    default: delayMinutes,
+  },
+});
 
 const campaignSchema = new mongoose.Schema(
   {
@@ -15,6 +42,8 @@ const campaignSchema = new mongoose.Schema(
       ref: 'Agent',
       required: true,
     },
+    // Agent version the campaign was started against
+    agentVersion: Number,
     dialingNumber: {
       type: String,
       required: true,
@@ -31,6 +60,12 @@ const campaignSchema = new mongoose.Schema(
       type: Date,
       required: true,
     },
+    // Calls the dialer keeps in progress at once
+    maxConcurrentCalls: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
 
     // Call configuration (from form-new-campaign-call)
     callConfig: {
@@ -64,24 +99,90 @@ const campaignSchema = new mongoose.Schema(
           },
         },
       },
+      // Calling contacts again after an unanswered call: at most `maxAttempts`
+      // calls in all, with a rule per outcome
       retry: {
-        type: String,
-        required: true,
+        maxAttempts: {
+          type: Number,
+          min: 1,
+          max: RETRY_POLICY.MAX_ATTEMPTS,
+          default: RETRY_POLICY.DEFAULT_MAX_ATTEMPTS,
+        },
+        outcomes: {
+          no_answer: outcomeRule(),
+          busy: outcomeRule(15),
+          voicemail: outcomeRule(),
+          failed: outcomeRule(5),
+        },
       },
+      // Wait before calling a contact again, growing with each attempt when the
+      // backoff is exponential
       coolDown: {
-        type: String,
-        required: true,
+        delayMinutes: {
+          type: Number,
+          min: 0,
+          max: RETRY_POLICY.MAX_DELAY_MINUTES,
+          default: RETRY_POLICY.DEFAULT_DELAY_MINUTES,
+        },
+        backoff: {
+          type: String,
+          enum: RETRY_POLICY.BACKOFF_STRATEGIES,
+          default: 'fixed',
+        },
+        multiplier: {
+          type: Number,
+          min: 1,
+          max: 10,
+          default: 2,
+        },
+        maxDelayMinutes: {
+          type: Number,
+          min: 0,
+          max: RETRY_POLICY.MAX_DELAY_MINUTES,
+          default: 24 * 60,
+        },
       },
+      // In seconds: the longest a call may run, and the silence after which the
+      // agent hangs up
       maxCallDuration: {
-        type: String,
-        required: true,
+        type: Number,
+        min: RETRY_POLICY.MIN_CALL_SECONDS,
+        max: DIALER.MAX_CALL_SECONDS,
+        default: RETRY_POLICY.DEFAULT_MAX_CALL_SECONDS,
       },
       inactiveDuration: {
-        type: String,
-        required: true,
+        type: Number,
+        min: 5,
+        max: RETRY_POLICY.MAX_INACTIVE_SECONDS,
+        default: RETRY_POLICY.DEFAULT_INACTIVE_SECONDS,
       },
     },
 
+    // Days and holidays the dialer calls on, in each contact's local time
+    callingWindow: {
+      days: {
+        type: [{ type: String, enum: CALLING_WINDOW.DAYS }],
+        default: CALLING_WINDOW.DEFAULT_DAYS,
+      },
+      // Skip the public holidays of the contact's country
+      publicHolidays: {
+        type: Boolean,
+        default: true,
+      },
+      // The campaign's own days off, for every contact or those of some countries
+      holidays: [
+        {
+          _id: false,
+          date: {
+            type: String,
+            match: /^\d{4}-\d{2}-\d{2}$/,
+          },
+          name: String,
+          countries: [String],
+        },
+      ],
+    },
+
     // Campaign status and metadata
     status: {
       type: String,
@@ -106,6 +207,7 @@ const campaignSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Calls that reached a person, and calls that did not or were not placed
       successfulCalls: {
         type: Number,
         default: 0,
@@ -118,10 +220,19 @@ const campaignSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Percent of calls that reached a person, and of those that converted
+      answerRate: {
+        type: Number,
+        default: 0,
+      },
       conversionRate: {
         type: Number,
         default: 0,
       },
+      // Calls by disposition
+      dispositions: Object.fromEntries(
+        CALL_DISPOSITIONS.map((disposition) => [disposition, { type: Number, default: 0 }])
+      ),
     },
 
     // Soft delete
@@ -155,9 +266,50 @@ campaignSchema.virtual('duration').get(function () {
   return 0;
 });
 
+/**
+ * Whether the dialer may place calls at `date`: between the campaign's start and
+ * end time. Each contact's calling window is checked when they are called.
+ */
+campaignSchema.methods.isWithinSchedule = function (date = new Date()) {
+  return date >= this.startTime && date <= this.endTime;
+};
+
+/**
+ * When to call a contact again after their `attempt`th call ended with
+ * `outcome`, or null when the retry policy calls them no more or the retry would
+ * fall after the campaign ends
+ */
+campaignSchema.methods.getRetryAt = function (outcome, attempt, date = new Date()) {
+  if (!RETRY_POLICY.RETRYABLE_OUTCOMES.includes(outcome)) return null;
+
+  const { retry = {}, coolDown = {} } = this.callConfig || {};
+  const rule = retry.outcomes?.[outcome] || {};
+  if (rule.retry === false) return null;
+
+  const maxAttempts = Math.min(
+    retry.maxAttempts ?? RETRY_POLICY.DEFAULT_MAX_ATTEMPTS,
+    rule.maxAttempts ?? RETRY_POLICY.MAX_ATTEMPTS
+  );
+  if (attempt >= maxAttempts) return null;
+
+  const delay = rule.delayMinutes ?? coolDown.delayMinutes ?? RETRY_POLICY.DEFAULT_DELAY_MINUTES;
+  const factor =
+    coolDown.backoff === 'exponential' ? (coolDown.multiplier ?? 2) ** (attempt - 1) : 1;
+  const minutes = Math.min(
+    delay * factor,
+    coolDown.maxDelayMinutes ?? RETRY_POLICY.MAX_DELAY_MINUTES
+  );
+
+  const retryAt = new Date(date.getTime() + minutes * 60 * 1000);
+  return retryAt > this.endTime ? null : retryAt;
+};
+
 // Instance methods
-campaignSchema.methods.start = function() {
+campaignSchema.methods.start = function(agentVersion) {
   this.status = 'running';
+  if (agentVersion) {
+    this.agentVersion = agentVersion;
+  }
   return this.save();
 };
 
@@ -171,23 +323,77 @@ campaignSchema.methods.complete = function() {
   return this.save();
 };
 
-campaignSchema.methods.updateStats = function(callResult) {
-  this.stats.totalCalls += 1;
-  
-  if (callResult.successful) {
-    this.stats.successfulCalls += 1;
-  } else {
-    this.stats.failedCalls += 1;
+// Stored value of a stats field, and a percent of two of them
+const stored = (field) => ({ $ifNull: [`$stats.${field}`, 0] });
+const percent = (part, total) => ({
+  $cond: [{ $gt: [total, 0] }, { $multiply: [{ $divide: [part, total] }, 100] }, 0],
+});
+
+// Pipeline stage recomputing the answer and conversion rates from the stored counts
+const RATES_STAGE = {
+  $set: {
+    'stats.answerRate': percent(stored('successfulCalls'), stored('totalCalls')),
+    'stats.conversionRate': percent(stored('dispositions.converted'), stored('successfulCalls')),
+  },
+};
+
+/**
+ * Count an ended call in a campaign's statistics by its disposition; calls that
+ * could not be placed have none. One update, so calls ending together are all
+ * counted.
+ */
+campaignSchema.statics.updateStats = function (campaignId, { disposition, duration = 0 }) {
+  const reached = DISPOSITION_GROUPS.REACHED.includes(disposition);
+  const totalCalls = stored('totalCalls');
+
+  return this.updateOne({ _id: campaignId }, [
+    {
+      $set: {
+        'stats.totalCalls': { $add: [totalCalls, 1] },
+        'stats.successfulCalls': { $add: [stored('successfulCalls'), reached ? 1 : 0] },
+        'stats.failedCalls': { $add: [stored('failedCalls'), reached ? 0 : 1] },
+        'stats.averageCallDuration': {
+          $divide: [
+            { $add: [{ $multiply: [stored('averageCallDuration'), totalCalls] }, duration] },
+            { $add: [totalCalls, 1] },
+          ],
+        },
+        ...(disposition && {
+          [`stats.dispositions.${disposition}`]: {
+            $add: [stored(`dispositions.${disposition}`), 1],
+          },
+        }),
+      },
+    },
+    RATES_STAGE,
+  ]);
+};
+
+/**
+ * Move an ended call from one disposition to another in a campaign's statistics
+ */
+campaignSchema.statics.changeDisposition = function (campaignId, from, to) {
+  const reached = (disposition) => DISPOSITION_GROUPS.REACHED.includes(disposition);
+  let change = 0;
+  if (reached(from) !== reached(to)) {
+    change = reached(to) ? 1 : -1;
   }
-  
-  // Update average call duration
-  const totalDuration = this.stats.averageCallDuration * (this.stats.totalCalls - 1) + callResult.duration;
-  this.stats.averageCallDuration = totalDuration / this.stats.totalCalls;
-  
-  // Update conversion rate
-  this.stats.conversionRate = (this.stats.successfulCalls / this.stats.totalCalls) * 100;
-  
-  return this.save();
+
+  return this.updateOne({ _id: campaignId }, [
+    {
+      $set: {
+        'stats.successfulCalls': { $add: [stored('successfulCalls'), change] },
+        'stats.failedCalls': { $add: [stored('failedCalls'), -change] },
+        [`stats.dispositions.${to}`]: { $add: [stored(`dispositions.${to}`), 1] },
+        ...(from && {
+          [`stats.dispositions.${from}`]: {
+            $max: [{ $subtract: [stored(`dispositions.${from}`), 1] }, 0],
+          },
+        }),
+      },
+    },
+    RATES_STAGE,
+  ]);
 };
 
 module.exports = mongoose.model('Campaign', campaignSchema);
@@ -0,0 +1,134 @@
+// src/models/Contact.js - A person an outbound campaign calls
+const mongoose = require('mongoose');
+const { isValidTimeZone } = require('../utils/callingWindow');
+const { CALL_OUTCOMES, CALL_DISPOSITIONS } = require('../utils/constants');
+
+const contactSchema = new mongoose.Schema(
+  {
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    campaignId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Campaign',
+      required: true,
+    },
+
+    // E.164, e.g. +14155550123
+    phone: {
+      type: String,
+      required: true,
+      match: [/^\+[1-9]\d{7,14}$/, 'Phone number must be in E.164 format'],
+    },
+    firstName: {
+      type: String,
+      trim: true,
+    },
+    lastName: {
+      type: String,
+      trim: true,
+    },
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+    },
+
+    // ISO country of the phone number, whose public holidays the contact is not
+    // called on, and an IANA time zone overriding the one of their phone number
+    country: {
+      type: String,
+      uppercase: true,
+    },
+    timeZone: {
+      type: String,
+      validate: [
+        (value) => !value || isValidTimeZone(value),
+        'Time zone must be an IANA time zone, e.g. America/Chicago',
+      ],
+    },
+
+    // Extra columns of the imported list, available to the agent's instructions
+    // as {{contact.<field>}}
+    customFields: {
+      type: Map,
+      of: String,
+      default: {},
+    },
+
+    // pending: waiting to be called, or called again; calling: a call is in
+    // progress; called: calls ended with no retry left; failed: the last call
+    // could not be placed and is not retried
+    status: {
+      type: String,
+      enum: ['pending', 'calling', 'called', 'failed', 'do_not_call'],
+      default: 'pending',
+    },
+    lastCalledAt: Date,
+    // Not called before this time, e.g. while outside their calling window or
+    // waiting to be called again
+    nextCallAt: Date,
+    // Calls placed to the contact and how the last one went; each call is
+    // listed with the contact
+    attemptCount: {
+      type: Number,
+      default: 0,
+    },
+    lastOutcome: {
+      type: String,
+      enum: CALL_OUTCOMES,
+    },
+    // Disposition of the latest call that has one
+    disposition: {
+      type: String,
+      enum: CALL_DISPOSITIONS,
+    },
+
+    // Where the contact came from
+    source: {
+      type: {
+        type: String,
+        enum: ['import', 'manual'],
+        default: 'manual',
+      },
+      filename: String,
+      row: Number,
+      importedAt: Date,
+    },
+
+    createdBy: String,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// One contact per phone number in a campaign
+contactSchema.index({ campaignId: 1, phone: 1 }, { unique: true });
+contactSchema.index({ organizationId: 1, campaignId: 1, status: 1 });
+contactSchema.index({ campaignId: 1, status: 1, nextCallAt: 1 });
+
+contactSchema.virtual('name').get(function () {
+  return [this.firstName, this.lastName].filter(Boolean).join(' ');
+});
+
+/**
+ * Values for the agent's instruction template, e.g. {{contact.firstName}} or a
+ * custom field such as {{contact.plan}}
+ */
+contactSchema.methods.getTemplateVariables = function () {
+  return {
+    ...Object.fromEntries(this.customFields || []),
+    firstName: this.firstName,
+    lastName: this.lastName,
+    name: this.name,
+    phone: this.phone,
+    email: this.email,
+  };
+};
+
+module.exports = mongoose.model('Contact', contactSchema);
@@ -0,0 +1,158 @@
+// src/models/Conversation.js - Chat sessions between a user and an agent
+const mongoose = require('mongoose');
+const { CONVERSATION_LIMITS } = require('../utils/constants');
+
+const conversationSchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true,
+      index: true,
+    },
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+
+    // Ordered chat turns
+    messages: [
+      {
+        role: {
+          type: String,
+          enum: ['user', 'assistant'],
+          required: true,
+        },
+        content: {
+          type: String,
+          required: true,
+        },
+        usage: mongoose.Schema.Types.Mixed,
+        responseTime: Number,
+        // Tools the agent called while producing this reply
+        toolCalls: [
+          {
+            name: String,
+            arguments: mongoose.Schema.Types.Mixed,
+            status: String,
+          },
+        ],
+        // Knowledge base chunks the reply was grounded on, by citation number
+        sources: [
+          {
+            _id: false,
+            index: Number,
+            knowledgeBaseId: String,
+            knowledgeBaseName: String,
+            fileId: String,
+            filename: String,
+            chunkIndex: Number,
+            page: Number,
+            section: String,
+            score: Number,
+            excerpt: String,
+          },
+        ],
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    messageCount: {
+      type: Number,
+      default: 0,
+    },
+    lastMessageAt: Date,
+    // Experiment variant serving this session, kept for its whole lifetime
+    experiment: {
+      experimentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+      },
+      variantKey: String,
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // Soft delete
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+conversationSchema.index({ organizationId: 1, userId: 1, agentId: 1, isActive: 1 });
+conversationSchema.index({ lastMessageAt: -1 });
+
+// Instance methods
+conversationSchema.methods.addMessages = function (messages) {
+  messages.forEach((message) => {
+    this.messages.push(message);
+  });
+
+  this.messageCount = this.messages.length;
+  this.lastMessageAt = new Date();
+  return this.save();
+};
+
+/**
+ * Most recent turns in the { role, content } shape expected by the LLM service
+ */
+conversationSchema.methods.getHistory = function (
+  limit = CONVERSATION_LIMITS.MAX_HISTORY_MESSAGES
+) {
+  return this.messages.slice(-limit).map((message) => ({
+    role: message.role,
+    content: message.content,
+  }));
+};
+
+conversationSchema.methods.rename = function (title) {
+  this.title = title;
+  return this.save();
+};
+
+conversationSchema.methods.softDelete = function () {
+  this.deletedAt = new Date();
+  this.isActive = false;
+  return this.save();
+};
+
+// Static methods
+conversationSchema.statics.findSession = function (sessionId, agentId, userId, organizationId) {
+  return this.findOne({
+    _id: sessionId,
+    agentId,
+    userId,
+    organizationId,
+    isActive: true,
+    deletedAt: null,
+  });
+};
+
+module.exports = mongoose.model('Conversation', conversationSchema);
@@ -0,0 +1,151 @@
+// src/models/EvalRun.js - One execution of an eval suite against an agent's configuration
+const mongoose = require('mongoose');
+const { EVAL_RUN_STATUS } = require('../utils/constants');
+
+const caseResultSchema = new mongoose.Schema(
+  {
+    name: String,
+    transcript: [
+      {
+        _id: false,
+        role: {
+          type: String,
+          enum: ['user', 'assistant'],
+        },
+        content: String,
+      },
+    ],
+    factsFound: [String],
+    factsMissing: [String],
+    forbiddenFound: [String],
+    judge: {
+      score: Number,
+      passed: Boolean,
+      reasoning: String,
+    },
+    passed: {
+      type: Boolean,
+      default: false,
+    },
+    error: String,
+  },
+  { _id: false }
+);
+
+const evalRunSchema = new mongoose.Schema(
+  {
+    suiteId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'EvalSuite',
+      required: true,
+    },
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true,
+    },
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    status: {
+      type: String,
+      enum: Object.values(EVAL_RUN_STATUS),
+      default: EVAL_RUN_STATUS.QUEUED,
+    },
+
+    // Agent configuration the run tested, see Agent#getConfigHash
+    configHash: {
+      type: String,
+      required: true,
+    },
+    agentVersion: Number,
+
+    results: [caseResultSchema],
+    summary: {
+      total: { type: Number, default: 0 },
+      passed: { type: Number, default: 0 },
+      failed: { type: Number, default: 0 },
+      passRate: { type: Number, default: 0 },
+    },
+    // True when every case passed
+    passed: {
+      type: Boolean,
+      default: false,
+    },
+    error: String,
+
+    triggeredBy: {
+      type: String,
+      required: true,
+    },
+    startedAt: Date,
+    completedAt: Date,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+evalRunSchema.index({ agentId: 1, createdAt: -1 });
+evalRunSchema.index({ suiteId: 1, status: 1, createdAt: -1 });
+
+// Virtuals
+evalRunSchema.virtual('duration').get(function () {
+  if (!this.startedAt || !this.completedAt) return null;
+  return this.completedAt - this.startedAt;
+});
+
+// Instance methods
+evalRunSchema.methods.complete = function (results) {
+  const passed = results.filter((result) => result.passed).length;
+
+  this.results = results;
+  this.summary = {
+    total: results.length,
+    passed,
+    failed: results.length - passed,
+    passRate: results.length ? Number((passed / results.length).toFixed(4)) : 0,
+  };
+  this.passed = results.length > 0 && passed === results.length;
+  this.status = EVAL_RUN_STATUS.COMPLETED;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+evalRunSchema.methods.fail = function (message) {
+  this.status = EVAL_RUN_STATUS.FAILED;
+  this.error = message;
+  this.passed = false;
+  this.completedAt = new Date();
+  return this.save();
+};
+
+// Static methods
+
+/**
+ * Move a queued run to running, or resolve to null when another worker took it
+ * or it is no longer queued
+ */
+evalRunSchema.statics.claim = function (runId) {
+  return this.findOneAndUpdate(
+    { _id: runId, status: EVAL_RUN_STATUS.QUEUED },
+    { $set: { status: EVAL_RUN_STATUS.RUNNING, startedAt: new Date() } },
+    { new: true }
+  );
+};
+
+/**
+ * Most recent finished run of a suite against a given configuration
+ */
+evalRunSchema.statics.findLatestCompleted = function (suiteId, configHash) {
+  return this.findOne({ suiteId, configHash, status: EVAL_RUN_STATUS.COMPLETED }).sort({
+    completedAt: -1,
+  });
+};
+
+module.exports = mongoose.model('EvalRun', evalRunSchema);
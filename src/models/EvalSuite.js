@@ -0,0 +1,118 @@
+// src/models/EvalSuite.js - Saved test cases an agent is scored against before publishing
+const mongoose = require('mongoose');
+const { EVAL_LIMITS } = require('../utils/constants');
+
+const evalCaseSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    // User messages sent to the agent in order
+    turns: {
+      type: [{ type: String, maxlength: 2000 }],
+      validate: {
+        validator: (turns) => turns.length > 0 && turns.length <= EVAL_LIMITS.MAX_TURNS_PER_CASE,
+        message: `A case needs between 1 and ${EVAL_LIMITS.MAX_TURNS_PER_CASE} turns`,
+      },
+    },
+    // Facts the agent's replies must convey
+    expectedFacts: [{ type: String, maxlength: 500 }],
+    // Phrases the agent's replies must never contain
+    forbiddenPhrases: [{ type: String, maxlength: 200 }],
+    // Extra guidance for the judge
+    rubric: {
+      type: String,
+      maxlength: 2000,
+    },
+    // Instruction template variables, e.g. callerName
+    variables: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { _id: false }
+);
+
+const evalSuiteSchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true,
+    },
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    cases: {
+      type: [evalCaseSchema],
+      validate: {
+        validator: (cases) => cases.length > 0 && cases.length <= EVAL_LIMITS.MAX_CASES,
+        message: `A suite needs between 1 and ${EVAL_LIMITS.MAX_CASES} cases`,
+      },
+    },
+
+    // LLM-as-judge scoring on top of the rule checks
+    judge: {
+      enabled: {
+        type: Boolean,
+        default: true,
+      },
+      model: {
+        type: String,
+        enum: ['gpt-4', 'gpt-3.5-turbo', 'claude-3-sonnet', 'claude-3-haiku'],
+        default: EVAL_LIMITS.DEFAULT_JUDGE_MODEL,
+      },
+      passScore: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: EVAL_LIMITS.DEFAULT_PASS_SCORE,
+      },
+    },
+
+    createdBy: {
+      type: String,
+      required: true,
+    },
+
+    // Soft delete
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+evalSuiteSchema.index({ agentId: 1, isActive: 1, createdAt: -1 });
+
+// Static methods
+evalSuiteSchema.statics.findActiveForAgent = function (agentId) {
+  return this.find({ agentId, isActive: true, deletedAt: null });
+};
+
+module.exports = mongoose.model('EvalSuite', evalSuiteSchema);
@@ -0,0 +1,175 @@
+// src/models/Experiment.js - A/B tests splitting an agent's traffic across config variants
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { EXPERIMENT_STATUS } = require('../utils/constants');
+
+const variantSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      trim: true,
+      match: /^[a-z0-9_-]{1,32}$/,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    // Relative share of traffic
+    weight: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 100,
+    },
+
+    // Overrides applied on top of the agent's config; unset fields inherit it
+    config: {
+      model: {
+        type: String,
+        enum: ['gpt-4', 'gpt-3.5-turbo', 'claude-3-sonnet', 'claude-3-haiku'],
+      },
+      instructions: {
+        type: String,
+        maxlength: 10000,
+      },
+      temperature: {
+        type: Number,
+        min: 0,
+        max: 2,
+      },
+      maxTokens: {
+        type: Number,
+        min: 1,
+        max: 4000,
+      },
+    },
+
+    stats: {
+      requests: { type: Number, default: 0 },
+      successes: { type: Number, default: 0 },
+      failures: { type: Number, default: 0 },
+      totalResponseTime: { type: Number, default: 0 },
+      calls: { type: Number, default: 0 },
+    },
+  },
+  { _id: false }
+);
+
+const experimentSchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true,
+    },
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      maxlength: 500,
+    },
+    status: {
+      type: String,
+      enum: Object.values(EXPERIMENT_STATUS),
+      default: EXPERIMENT_STATUS.DRAFT,
+    },
+    variants: [variantSchema],
+
+    startedAt: Date,
+    endedAt: Date,
+    // Variant chosen when the experiment was completed
+    winner: String,
+
+    createdBy: {
+      type: String,
+      required: true,
+    },
+
+    // Soft delete
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+experimentSchema.index({ agentId: 1, isActive: 1, createdAt: -1 });
+
+// An agent runs at most one experiment at a time
+experimentSchema.index(
+  { agentId: 1 },
+  { unique: true, partialFilterExpression: { status: EXPERIMENT_STATUS.RUNNING } }
+);
+
+// Instance methods
+
+/**
+ * Pick a variant for a unit of traffic (chat session, caller).
+ * Hashing the unit with the experiment id keeps assignments stable for the
+ * same unit while remaining independent across experiments.
+ */
+experimentSchema.methods.assignVariant = function (unitId) {
+  const totalWeight = this.variants.reduce((sum, variant) => sum + variant.weight, 0);
+  const hash = crypto.createHash('sha256').update(`${this.id}:${unitId}`).digest();
+  const point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight;
+
+  let cumulative = 0;
+  return (
+    this.variants.find((variant) => {
+      cumulative += variant.weight;
+      return point < cumulative;
+    }) || this.variants[this.variants.length - 1]
+  );
+};
+
+experimentSchema.methods.getVariant = function (key) {
+  return this.variants.find((variant) => variant.key === key);
+};
+
+// Static methods
+experimentSchema.statics.findRunning = function (agentId) {
+  return this.findOne({
+    agentId,
+    status: EXPERIMENT_STATUS.RUNNING,
+    isActive: true,
+    deletedAt: null,
+  });
+};
+
+/**
+ * Count a chat turn or call against a variant without loading the experiment
+ */
+experimentSchema.statics.recordOutcome = function (experimentId, variantKey, outcome) {
+  const { success, responseTime = 0, call = false } = outcome;
+  const inc = call
+    ? { 'variants.$.stats.calls': 1 }
+    : {
+        'variants.$.stats.requests': 1,
+        [`variants.$.stats.${success ? 'successes' : 'failures'}`]: 1,
+        'variants.$.stats.totalResponseTime': responseTime,
+      };
+
+  return this.updateOne({ _id: experimentId, 'variants.key': variantKey }, { $inc: inc });
+};
+
+module.exports = mongoose.model('Experiment', experimentSchema);
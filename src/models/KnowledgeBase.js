@@ -1,5 +1,6 @@
 // src/models/KnowledgeBase.js - New model for knowledge base management
 const mongoose = require('mongoose');
+const { CHUNKING_STRATEGIES, CHUNKING_DEFAULTS } = require('../utils/constants');
 
 const knowledgeBaseSchema = new mongoose.Schema(
   {
@@ -37,18 +38,76 @@ const knowledgeBaseSchema = new mongoose.Schema(
         type: Date,
         default: Date.now,
       },
+      // Narrow searches to a subset of files
+      tags: [{ type: String, trim: true }],
+      // Bumped each time the file is replaced with a new upload
+      version: {
+        type: Number,
+        default: 1,
+      },
+      // Pages crawled from a web source; re-fetched pages are reprocessed only when they change
+      sourceId: mongoose.Schema.Types.ObjectId,
+      url: String,
+      contentHash: String,
       processed: {
         type: Boolean,
         default: false,
       },
+      // Extraction outcome; failed files keep their error instead of being marked processed
+      status: {
+        type: String,
+        enum: ['pending', 'processing', 'processed', 'error'],
+        default: 'pending',
+      },
+      error: String,
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+      processedAt: Date,
+      pageCount: Number,
       extractedText: String,
       chunks: [{
         content: String,
         embedding: [Number], // Vector embeddings for AI search
-        metadata: mongoose.Schema.Types.Mixed,
+        metadata: mongoose.Schema.Types.Mixed, // chunkIndex, strategy, tokenCount, page, section
       }],
     }],
 
+    // Web pages, sitemaps and sites crawled into kb_files and recrawled on a schedule
+    web_sources: [{
+      url: {
+        type: String,
+        required: true,
+      },
+      type: {
+        type: String,
+        enum: ['page', 'sitemap', 'crawl'],
+        default: 'page',
+      },
+      maxDepth: Number,
+      maxPages: Number,
+      allowedDomains: [String],
+      // 0 turns scheduled recrawls off
+      recrawlIntervalHours: Number,
+      status: {
+        type: String,
+        enum: ['pending', 'crawling', 'crawled', 'error'],
+        default: 'pending',
+      },
+      error: String,
+      pageCount: {
+        type: Number,
+        default: 0,
+      },
+      skippedCount: {
+        type: Number,
+        default: 0,
+      },
+      lastCrawledAt: Date,
+      nextCrawlAt: Date,
+    }],
+
     // Knowledge base metadata
     description: {
       type: String,
@@ -62,10 +121,40 @@ const knowledgeBaseSchema = new mongoose.Schema(
     // Processing status
     status: {
       type: String,
-      enum: ['uploading', 'processing', 'ready', 'error'],
+      enum: ['uploading', 'processing', 'ready', 'partial', 'error'],
       default: 'uploading',
     },
     processingError: String,
+    processingStartedAt: Date,
+    processingCompletedAt: Date,
+
+    // How files are split into chunks; changing it takes effect when files are re-chunked
+    chunking: {
+      strategy: {
+        type: String,
+        enum: Object.values(CHUNKING_STRATEGIES),
+        default: CHUNKING_STRATEGIES.AUTO,
+      },
+      chunkSize: {
+        type: Number,
+        default: CHUNKING_DEFAULTS.CHUNK_SIZE,
+      },
+      chunkOverlap: {
+        type: Number,
+        default: CHUNKING_DEFAULTS.CHUNK_OVERLAP,
+      },
+      rowsPerChunk: {
+        type: Number,
+        default: CHUNKING_DEFAULTS.ROWS_PER_CHUNK,
+      },
+    },
+
+    // Embedding model the chunks were embedded with; queries must use the same one
+    embeddingModel: {
+      provider: String,
+      model: String,
+      dimensions: Number,
+    },
     
     // Usage tracking
     totalFiles: {
@@ -116,6 +205,7 @@ knowledgeBaseSchema.index({ organizationId: 1, isActive: 1 });
 knowledgeBaseSchema.index({ createdBy: 1, isActive: 1 });
 knowledgeBaseSchema.index({ status: 1 });
 knowledgeBaseSchema.index({ tags: 1 });
+knowledgeBaseSchema.index({ 'web_sources.nextCrawlAt': 1 });
 
 // Virtual for formatted size
 knowledgeBaseSchema.virtual('formattedSize').get(function () {
@@ -129,6 +219,10 @@ knowledgeBaseSchema.virtual('formattedSize').get(function () {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 });
 
+// Files uploaded before per-file status existed only carry `processed`. A file
+// left `processing` by a worker that stopped is picked up again.
+const isPending = file => !file.processed && file.status !== 'error';
+
 // Instance methods
 knowledgeBaseSchema.methods.addFiles = function(files) {
   files.forEach(file => {
@@ -146,45 +240,176 @@ knowledgeBaseSchema.methods.addFiles = function(files) {
   return this.save();
 };
 
-knowledgeBaseSchema.methods.markAsProcessed = function(fileId, extractedText, chunks) {
+knowledgeBaseSchema.methods.getPendingFiles = function() {
+  return this.kb_files.filter(isPending);
+};
+
+knowledgeBaseSchema.methods.markAsProcessed = function(fileId, extractedText, chunks, details = {}) {
   const file = this.kb_files.id(fileId);
   if (file) {
     file.processed = true;
+    file.status = 'processed';
+    file.error = undefined;
+    file.processedAt = new Date();
+    file.pageCount = details.pageCount;
     file.extractedText = extractedText;
     file.chunks = chunks;
   }
   
-  // Check if all files are processed
-  const allProcessed = this.kb_files.every(f => f.processed);
-  if (allProcessed) {
-    this.status = 'ready';
+  this.refreshStatus();
+  return this.save();
+};
+
+knowledgeBaseSchema.methods.markAsProcessing = function (fileId) {
+  const file = this.kb_files.id(fileId);
+  if (file) {
+    file.status = 'processing';
+    file.attempts += 1;
+  }
+
+  return this.save();
+};
+
+// A failed attempt that will be retried keeps the file pending with its last error
+knowledgeBaseSchema.methods.markForRetry = function (fileId, message) {
+  const file = this.kb_files.id(fileId);
+  if (file) {
+    file.status = 'pending';
+    file.error = message;
+  }
+
+  return this.save();
+};
+
+// Queue every file (or those with the given ids) to be extracted and chunked again
+knowledgeBaseSchema.methods.resetFiles = function (fileIds) {
+  const files = fileIds ? this.kb_files.filter((file) => fileIds.includes(file.id)) : this.kb_files;
+
+  files.forEach((file) => {
+    file.processed = false;
+    file.status = 'pending';
+    file.error = undefined;
+    file.attempts = 0;
+  });
+
+  this.refreshStatus();
+  return this;
+};
+
+knowledgeBaseSchema.methods.markAsFailed = function(fileId, message) {
+  const file = this.kb_files.id(fileId);
+  if (file) {
+    file.processed = false;
+    file.status = 'error';
+    file.error = message;
+    file.processedAt = new Date();
   }
   
+  this.refreshStatus();
   return this.save();
 };
 
+// Once every file is settled: ready, partial when some failed, error when all did
+knowledgeBaseSchema.methods.refreshStatus = function() {
+  const failed = this.kb_files.filter((f) => f.status === 'error').length;
+
+  if (this.kb_files.some(isPending)) {
+    this.status = 'processing';
+  } else if (failed && failed === this.kb_files.length) {
+    this.status = 'error';
+    this.processingError = 'No files could be processed';
+  } else if (failed) {
+    this.status = 'partial';
+    this.processingError = `${failed} of ${this.kb_files.length} files could not be processed`;
+  } else {
+    this.status = 'ready';
+    this.processingError = undefined;
+  }
+  
+  return this.status;
+};
+
+// Keep the aggregate counters in line with the files
+knowledgeBaseSchema.methods.recalculateTotals = function () {
+  this.totalFiles = this.kb_files.length;
+  this.totalSize = this.kb_files.reduce((sum, file) => sum + (file.size || 0), 0);
+  return this;
+};
+
+// A file's details and processing state, without its text and chunks
+knowledgeBaseSchema.methods.describeFile = function (file) {
+  return {
+    fileId: file.id,
+    filename: file.originalName,
+    mimetype: file.mimetype,
+    size: file.size,
+    version: file.version,
+    tags: file.tags,
+    url: file.url,
+    sourceId: file.sourceId,
+    status: file.processed ? 'processed' : file.status,
+    attempts: file.attempts,
+    error: file.error,
+    chunkCount: file.chunks.length,
+    uploadedAt: file.uploadedAt,
+    processedAt: file.processedAt,
+  };
+};
+
+// Per-file state and overall progress of the current or last processing run
+knowledgeBaseSchema.methods.getProcessingSummary = function () {
+  const files = this.kb_files.map((file) => this.describeFile(file));
+  const count = (status) => files.filter((file) => file.status === status).length;
+  const settled = count('processed') + count('error');
+
+  return {
+    status: this.status,
+    processingError: this.processingError,
+    startedAt: this.processingStartedAt,
+    completedAt: this.processingCompletedAt,
+    progress: {
+      total: files.length,
+      pending: count('pending'),
+      processing: count('processing'),
+      processed: count('processed'),
+      failed: count('error'),
+      percent: files.length ? Math.round((settled / files.length) * 100) : 100,
+    },
+    files,
+  };
+};
+
 knowledgeBaseSchema.methods.incrementUsage = function() {
   this.usageCount += 1;
   this.lastUsedAt = new Date();
   return this.save();
 };
 
-knowledgeBaseSchema.methods.search = function(query, limit = 10) {
-  // This would integrate with vector search
-  // For now, return text-based search
-  const results = [];
-  
-  this.kb_files.forEach(file => {
-    if (file.extractedText && file.extractedText.toLowerCase().includes(query.toLowerCase())) {
-      results.push({
+// Processed chunks, flattened with their file details, optionally limited to
+// some files, file tags or mimetypes
+knowledgeBaseSchema.methods.getSearchableChunks = function (filters = {}) {
+  const { fileIds, tags, mimetypes } = filters;
+
+  return this.kb_files
+    .filter(
+      (file) =>
+        file.processed &&
+        (!fileIds?.length || fileIds.includes(file.id)) &&
+        (!tags?.length || file.tags.some((tag) => tags.includes(tag))) &&
+        (!mimetypes?.length || mimetypes.includes(file.mimetype))
+    )
+    .flatMap((file) =>
+      file.chunks.map((chunk, position) => ({
+        fileId: file.id,
         filename: file.originalName,
-        content: file.extractedText,
-        relevance: 1.0, // Would be calculated by vector similarity
-      });
-    }
-  });
-  
-  return results.slice(0, limit);
+        mimetype: file.mimetype,
+        chunkIndex: chunk.metadata?.chunkIndex ?? position,
+        page: chunk.metadata?.page,
+        section: chunk.metadata?.section,
+        content: chunk.content || '',
+        embedding: chunk.embedding,
+      }))
+    );
 };
 
 module.exports = mongoose.model('KnowledgeBase', knowledgeBaseSchema);
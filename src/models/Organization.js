@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { SUBSCRIPTION_PLANS } = require('../utils/constants');
+const { parseBytes } = require('../utils/helpers');
 
 const organizationSchema = new mongoose.Schema(
   {
@@ -75,6 +76,10 @@ const organizationSchema = new mongoose.Schema(
         type: String,
         default: '100MB',
       },
+      maxConcurrentCalls: {
+        type: Number,
+        default: 2,
+      },
     },
     usage: {
       agentCount: {
@@ -93,6 +98,11 @@ const organizationSchema = new mongoose.Schema(
         type: Number,
         default: 0,
       },
+      // Campaign calls placed and not yet ended, held against limits.maxConcurrentCalls
+      activeCalls: {
+        type: Number,
+        default: 0,
+      },
       lastResetDate: {
         type: Date,
         default: Date.now,
@@ -107,6 +117,11 @@ const organizationSchema = new mongoose.Schema(
         type: Boolean,
         default: false,
       },
+      // Block publishing until every active eval suite passes on the current config
+      requirePassingEvals: {
+        type: Boolean,
+        default: false,
+      },
       defaultAgentVisibility: {
         type: String,
         enum: ['private', 'organization', 'public'],
@@ -155,6 +170,9 @@ organizationSchema.virtual('features').get(function () {
   return planFeatures[this.plan] || planFeatures[SUBSCRIPTION_PLANS.FREE];
 });
 
+// Usage counters whose limit is named differently
+const USAGE_LIMITS = { apiCallsThisMonth: 'apiCallsPerMonth' };
+
 // Instance methods
 organizationSchema.methods.isFeatureEnabled = function (feature) {
   const { features } = this;
@@ -164,7 +182,8 @@ organizationSchema.methods.isFeatureEnabled = function (feature) {
 organizationSchema.methods.checkLimits = function (type) {
   const current = this.usage[`${type}Count`] || this.usage[type];
   const limit =
-    this.limits[`max${type.charAt(0).toUpperCase() + type.slice(1)}`] || this.limits[type];
+    this.limits[USAGE_LIMITS[type]] ??
+    (this.limits[`max${type.charAt(0).toUpperCase() + type.slice(1)}`] || this.limits[type]);
 
   return {
     current,
@@ -174,6 +193,19 @@ organizationSchema.methods.checkLimits = function (type) {
   };
 };
 
+// Storage used and allowed in bytes, and whether `additionalBytes` more would fit
+organizationSchema.methods.checkStorage = function (additionalBytes = 0) {
+  const current = this.usage.storageUsed || 0;
+  const limit = parseBytes(this.limits.storageLimit);
+
+  return {
+    current,
+    limit,
+    remaining: limit === -1 ? -1 : Math.max(0, limit - current),
+    exceeded: limit !== -1 && current + additionalBytes > limit,
+  };
+};
+
 organizationSchema.methods.incrementUsage = function (type, amount = 1) {
   const usageField = `usage.${type}Count` in this.schema.paths ? `${type}Count` : type;
   this.usage[usageField] = (this.usage[usageField] || 0) + amount;
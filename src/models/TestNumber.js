@@ -36,6 +36,13 @@ const testNumberSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Agent',
       },
+      agentVersion: Number,
+      // Experiment variant the call was served by
+      experimentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Experiment',
+      },
+      variantKey: String,
       campaignId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Campaign',
@@ -103,6 +110,7 @@ testNumberSchema.index({ createdBy: 1, isActive: 1 });
 testNumberSchema.index({ phone: 1 });
 testNumberSchema.index({ email: 1 });
 testNumberSchema.index({ status: 1 });
+testNumberSchema.index({ 'testCalls.experimentId': 1 });
 
 // Ensure unique phone per organization
 testNumberSchema.index({ phone: 1, organizationId: 1 }, { unique: true });
@@ -125,6 +133,9 @@ testNumberSchema.virtual('averageRating').get(function () {
 testNumberSchema.methods.addTestCall = function(callData) {
   this.testCalls.push({
     agentId: callData.agentId,
+    agentVersion: callData.agentVersion,
+    experimentId: callData.experimentId,
+    variantKey: callData.variantKey,
     campaignId: callData.campaignId,
     duration: callData.duration,
     successful: callData.successful,
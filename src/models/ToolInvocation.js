@@ -0,0 +1,62 @@
+// src/models/ToolInvocation.js - Log of tool calls made by agents during chats
+const mongoose = require('mongoose');
+const { TOOL_TYPES } = require('../utils/constants');
+
+const toolInvocationSchema = new mongoose.Schema(
+  {
+    agentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Agent',
+      required: true,
+      index: true,
+    },
+    organizationId: {
+      type: String,
+      required: true,
+      index: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    conversationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      index: true,
+    },
+
+    // Provider-assigned id linking the call to its result
+    callId: String,
+    toolName: {
+      type: String,
+      required: true,
+    },
+    toolType: {
+      type: String,
+      enum: Object.values(TOOL_TYPES),
+    },
+    arguments: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    result: String,
+    status: {
+      type: String,
+      enum: ['success', 'error'],
+      required: true,
+    },
+    error: String,
+    durationMs: Number,
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true },
+  }
+);
+
+// Indexes
+toolInvocationSchema.index({ organizationId: 1, agentId: 1, createdAt: -1 });
+toolInvocationSchema.index({ agentId: 1, toolName: 1, status: 1 });
+
+module.exports = mongoose.model('ToolInvocation', toolInvocationSchema);
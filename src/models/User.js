@@ -33,6 +33,12 @@ const userSchema = new mongoose.Schema(
     avatar: {
       type: String,
     },
+    // The uploaded avatar in file storage, counted towards `organizationId`'s usage
+    avatarFile: {
+      key: String,
+      size: Number,
+      organizationId: String,
+    },
     role: {
       type: String,
       enum: Object.values(ROLES),
@@ -1,12 +1,21 @@
 const express = require('express');
 const AgentController = require('../controllers/agent.controller');
+const ConversationController = require('../controllers/conversation.controller');
+const ExperimentController = require('../controllers/experiment.controller');
+const EvalController = require('../controllers/eval.controller');
 const { requireAuth, requireOrganization } = require('../middleware/auth.middleware');
 const {
   validateBody,
   validateQuery,
   validateParams,
 } = require('../middleware/validation.middleware');
-const { agentSchemas, commonSchemas } = require('../utils/validation');
+const {
+  agentSchemas,
+  conversationSchemas,
+  experimentSchemas,
+  evalSchemas,
+  commonSchemas,
+} = require('../utils/validation');
 
 const router = express.Router();
 
@@ -38,6 +47,47 @@ router.put(
   AgentController.updateAgentWork
 );
 
+// Portable bundles for moving agents between organizations
+router.post(
+  '/import',
+  validateQuery(agentSchemas.importQuery),
+  validateBody(agentSchemas.bundle),
+  AgentController.importAgent
+);
+
+// Instruction template
+router
+  .route('/:agentId/instructions')
+  .get(validateParams({ agentId: commonSchemas.id }), AgentController.getAgentInstructions)
+  .put(
+    validateParams({ agentId: commonSchemas.id }),
+    validateBody(agentSchemas.instructions),
+    AgentController.updateAgentInstructions
+  );
+
+router.post(
+  '/:agentId/instructions/preview',
+  validateParams({ agentId: commonSchemas.id }),
+  validateBody(agentSchemas.instructionsPreview),
+  AgentController.previewAgentInstructions
+);
+
+// Knowledge bases used for retrieval
+router
+  .route('/:agentId/knowledge-bases')
+  .get(validateParams({ agentId: commonSchemas.id }), AgentController.getAgentKnowledgeBases)
+  .post(
+    validateParams({ agentId: commonSchemas.id }),
+    validateBody(agentSchemas.linkKnowledgeBase),
+    AgentController.linkKnowledgeBase
+  );
+
+router.delete(
+  '/:agentId/knowledge-bases/:kbId',
+  validateParams({ agentId: commonSchemas.id, kbId: commonSchemas.id }),
+  AgentController.unlinkKnowledgeBase
+);
+
 // Original Agent CRUD routes (maintained for compatibility)
 router
   .route('/')
@@ -61,12 +111,61 @@ router.post(
   AgentController.publishAgent
 );
 
+// Approval workflow
+router.post(
+  '/:agentId/submit-review',
+  validateParams({ agentId: commonSchemas.id }),
+  validateBody(agentSchemas.submitReview),
+  AgentController.submitAgentForReview
+);
+
+router.post(
+  '/:agentId/review',
+  validateParams({ agentId: commonSchemas.id }),
+  validateBody(agentSchemas.review),
+  AgentController.reviewAgent
+);
+
 router.post(
   '/:agentId/clone',
   validateParams({ agentId: commonSchemas.id }),
   AgentController.cloneAgent
 );
 
+router.get(
+  '/:agentId/export',
+  validateParams({ agentId: commonSchemas.id }),
+  validateQuery(agentSchemas.exportQuery),
+  AgentController.exportAgent
+);
+
+// Version history
+router.get(
+  '/:agentId/versions',
+  validateParams({ agentId: commonSchemas.id }),
+  validateQuery(agentSchemas.versionQuery),
+  AgentController.getAgentVersions
+);
+
+router.get(
+  '/:agentId/versions/diff',
+  validateParams({ agentId: commonSchemas.id }),
+  validateQuery(agentSchemas.versionDiffQuery),
+  AgentController.diffAgentVersions
+);
+
+router.get(
+  '/:agentId/versions/:version',
+  validateParams(agentSchemas.versionParams),
+  AgentController.getAgentVersion
+);
+
+router.post(
+  '/:agentId/versions/:version/rollback',
+  validateParams(agentSchemas.versionParams),
+  AgentController.rollbackAgent
+);
+
 // Chat endpoints
 router.post(
   '/:agentId/chat',
@@ -75,6 +174,142 @@ router.post(
   AgentController.chatWithAgent
 );
 
+router.post(
+  '/:agentId/chat/stream',
+  validateParams({ agentId: commonSchemas.id }),
+  validateBody(agentSchemas.chat),
+  AgentController.streamChatWithAgent
+);
+
+router.get(
+  '/:agentId/tool-invocations',
+  validateParams({ agentId: commonSchemas.id }),
+  validateQuery(agentSchemas.toolInvocationQuery),
+  AgentController.getToolInvocations
+);
+
+// Chat sessions
+router.get(
+  '/:agentId/sessions',
+  validateParams({ agentId: commonSchemas.id }),
+  validateQuery(conversationSchemas.query),
+  ConversationController.getSessions
+);
+
+router
+  .route('/:agentId/sessions/:sessionId')
+  .get(
+    validateParams({ agentId: commonSchemas.id, sessionId: commonSchemas.id }),
+    ConversationController.getSession
+  )
+  .put(
+    validateParams({ agentId: commonSchemas.id, sessionId: commonSchemas.id }),
+    validateBody(conversationSchemas.rename),
+    ConversationController.renameSession
+  )
+  .delete(
+    validateParams({ agentId: commonSchemas.id, sessionId: commonSchemas.id }),
+    ConversationController.deleteSession
+  );
+
+// A/B experiments
+router
+  .route('/:agentId/experiments')
+  .get(
+    validateParams({ agentId: commonSchemas.id }),
+    validateQuery(experimentSchemas.query),
+    ExperimentController.getExperiments
+  )
+  .post(
+    validateParams({ agentId: commonSchemas.id }),
+    validateBody(experimentSchemas.create),
+    ExperimentController.createExperiment
+  );
+
+router
+  .route('/:agentId/experiments/:experimentId')
+  .get(validateParams(experimentSchemas.params), ExperimentController.getExperiment)
+  .put(
+    validateParams(experimentSchemas.params),
+    validateBody(experimentSchemas.update),
+    ExperimentController.updateExperiment
+  )
+  .delete(validateParams(experimentSchemas.params), ExperimentController.deleteExperiment);
+
+router.post(
+  '/:agentId/experiments/:experimentId/start',
+  validateParams(experimentSchemas.params),
+  ExperimentController.startExperiment
+);
+
+router.post(
+  '/:agentId/experiments/:experimentId/pause',
+  validateParams(experimentSchemas.params),
+  ExperimentController.pauseExperiment
+);
+
+router.post(
+  '/:agentId/experiments/:experimentId/complete',
+  validateParams(experimentSchemas.params),
+  validateBody(experimentSchemas.complete),
+  ExperimentController.completeExperiment
+);
+
+router.get(
+  '/:agentId/experiments/:experimentId/results',
+  validateParams(experimentSchemas.params),
+  ExperimentController.getExperimentResults
+);
+
+// Pre-publish evals
+router
+  .route('/:agentId/eval-suites')
+  .get(
+    validateParams({ agentId: commonSchemas.id }),
+    validateQuery(evalSchemas.suiteQuery),
+    EvalController.getSuites
+  )
+  .post(
+    validateParams({ agentId: commonSchemas.id }),
+    validateBody(evalSchemas.createSuite),
+    EvalController.createSuite
+  );
+
+router
+  .route('/:agentId/eval-suites/:suiteId')
+  .get(validateParams(evalSchemas.suiteParams), EvalController.getSuite)
+  .put(
+    validateParams(evalSchemas.suiteParams),
+    validateBody(evalSchemas.updateSuite),
+    EvalController.updateSuite
+  )
+  .delete(validateParams(evalSchemas.suiteParams), EvalController.deleteSuite);
+
+router.post(
+  '/:agentId/eval-suites/:suiteId/runs',
+  validateParams(evalSchemas.suiteParams),
+  EvalController.triggerRun
+);
+
+router.get(
+  '/:agentId/eval-runs',
+  validateParams({ agentId: commonSchemas.id }),
+  validateQuery(evalSchemas.runQuery),
+  EvalController.getRuns
+);
+
+router.get(
+  '/:agentId/eval-runs/:runId',
+  validateParams(evalSchemas.runParams),
+  EvalController.getRun
+);
+
+router.get(
+  '/:agentId/eval-gate',
+  validateParams({ agentId: commonSchemas.id }),
+  EvalController.getGateStatus
+);
+
 // Demo form endpoint (form-demo.tsx)
 router.post(
   '/demo/submit',
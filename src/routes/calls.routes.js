@@ -12,6 +12,15 @@ router.use(requireAuth);
 router.use(requireOrganization);
 
 // Validation schemas
+
+// Values for the agent's instruction template placeholders
+const callVariablesSchema = Joi.object({
+  callerName: Joi.string().max(100),
+  campaign: Joi.object(),
+})
+  .unknown(true)
+  .default({});
+
 const webCallSchema = Joi.object({
   agentId: commonSchemas.id.required(),
   participantName: Joi.string().min(1).max(50).default('user'),
@@ -19,6 +28,7 @@ const webCallSchema = Joi.object({
   enableAudio: Joi.boolean().default(true),
   duration: Joi.number().min(60).max(7200).default(3600), // 1 minute to 2 hours
   agentName: Joi.string().min(1).max(100), // Custom agent name for dispatch
+  variables: callVariablesSchema,
   agentMetadata: Joi.object().default({}), // Additional metadata for agent
 });
 
@@ -34,6 +44,7 @@ const sipCallSchema = Joi.object({
     codec: Joi.string().valid('PCMU', 'PCMA', 'G722', 'G729').default('PCMU'),
   }).default({}),
   agentName: Joi.string().min(1).max(100), // Custom agent name for dispatch
+  variables: callVariablesSchema,
   agentMetadata: Joi.object().default({}), // Additional metadata for agent
 });
 
@@ -1,11 +1,34 @@
 const express = require('express');
+const multer = require('multer');
 const CampaignController = require('../controllers/campaign.controller');
+const ContactController = require('../controllers/contact.controller');
 const { requireAuth, requireOrganization } = require('../middleware/auth.middleware');
 const { validateBody, validateQuery, validateParams } = require('../middleware/validation.middleware');
-const { campaignSchemas, commonSchemas } = require('../utils/validation');
+const { campaignSchemas, contactSchemas, commonSchemas } = require('../utils/validation');
 
 const router = express.Router();
 
+// Contact lists uploaded with the call configuration
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 10 * 1024 * 1024, // 10MB limit
+    files: 5,
+  },
+  fileFilter: (req, file, cb) => {
+    const allowedTypes = [
+      'text/csv',
+      'application/vnd.ms-excel',
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    ];
+    if (allowedTypes.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Only CSV, XLS and XLSX are allowed.'));
+    }
+  },
+});
+
 // Apply auth middleware to all routes
 router.use(requireAuth);
 router.use(requireOrganization);
@@ -30,6 +53,7 @@ router
 router.put(
   '/:campaignId/call-config',
   validateParams({ campaignId: commonSchemas.id }),
+  upload.array('files', 5),
   validateBody(campaignSchemas.updateCallConfig),
   CampaignController.updateCallConfig
 );
@@ -53,10 +77,64 @@ router.post(
   CampaignController.completeCampaign
 );
 
+// Campaign contacts
+router
+  .route('/:campaignId/contacts')
+  .get(
+    validateParams({ campaignId: commonSchemas.id }),
+    validateQuery(contactSchemas.query),
+    ContactController.getContacts
+  )
+  .post(
+    validateParams({ campaignId: commonSchemas.id }),
+    validateBody(contactSchemas.create),
+    ContactController.createContact
+  );
+
+router.post(
+  '/:campaignId/contacts/import',
+  validateParams({ campaignId: commonSchemas.id }),
+  upload.single('file'),
+  validateBody(contactSchemas.import),
+  ContactController.importContacts
+);
+
+router
+  .route('/:campaignId/contacts/:contactId')
+  .get(
+    validateParams({ campaignId: commonSchemas.id, contactId: commonSchemas.id }),
+    ContactController.getContact
+  )
+  .put(
+    validateParams({ campaignId: commonSchemas.id, contactId: commonSchemas.id }),
+    validateBody(contactSchemas.update),
+    ContactController.updateContact
+  )
+  .delete(
+    validateParams({ campaignId: commonSchemas.id, contactId: commonSchemas.id }),
+    ContactController.deleteContact
+  );
+
+// Calls placed by the campaign's dialer
+router.get(
+  '/:campaignId/calls',
+  validateParams({ campaignId: commonSchemas.id }),
+  validateQuery(campaignSchemas.callQuery),
+  CampaignController.getCampaignCalls
+);
+
+router.put(
+  '/:campaignId/calls/:callId/disposition',
+  validateParams({ campaignId: commonSchemas.id, callId: commonSchemas.id }),
+  validateBody(campaignSchemas.disposition),
+  CampaignController.setCallDisposition
+);
+
 // Campaign analytics
 router.get(
   '/:campaignId/analytics',
   validateParams({ campaignId: commonSchemas.id }),
+  validateQuery(campaignSchemas.analyticsQuery),
   CampaignController.getCampaignAnalytics
 );
 
@@ -0,0 +1,25 @@
+const express = require('express');
+const Joi = require('joi');
+const FileController = require('../controllers/file.controller');
+const { validateQuery } = require('../middleware/validation.middleware');
+
+const router = express.Router();
+
+// Signed download links for locally stored files; the signature stands in for auth
+router.get(
+  '/download',
+  validateQuery(
+    Joi.object({
+      key: Joi.string().required(),
+      expires: Joi.number().integer().required(),
+      signature: Joi.string().hex().required(),
+      filename: Joi.string(),
+    })
+  ),
+  FileController.download
+);
+
+// Avatars are public; this redirects to a fresh signed link
+router.get('/avatars/:userId', FileController.avatar);
+
+module.exports = router;
@@ -6,6 +6,10 @@ const organizationRoutes = require('./organizations.routes');
 const agentRoutes = require('./agents.routes');
 const billingRoutes = require('./billing.routes');
 const callRoutes = require('./calls.routes');
+const templateRoutes = require('./templates.routes');
+const knowledgeBaseRoutes = require('./knowledgebase.routes');
+const campaignRoutes = require('./campaigns.routes');
+const fileRoutes = require('./files.routes');
 const { HTTP_STATUS } = require('../utils/constants');
 
 const router = express.Router();
@@ -88,7 +92,10 @@ router.get('/', (req, res) => {
       organizations: '/api/v1/organizations',
       agents: '/api/v1/agents',
       billing: '/api/v1/billing',
-      calls: '/api/v1/calls'
+      calls: '/api/v1/calls',
+      templates: '/api/v1/templates',
+      knowledgeBases: '/api/v1/knowledge-bases',
+      campaigns: '/api/v1/campaigns'
     },
     features: [
       'Multi-tenant Organization Management',
@@ -110,6 +117,10 @@ router.use('/organizations', organizationRoutes);
 router.use('/agents', agentRoutes);
 router.use('/billing', billingRoutes);
 router.use('/calls', callRoutes); // ← NEW: LiveKit call dispatch routes
+router.use('/templates', templateRoutes);
+router.use('/knowledge-bases', knowledgeBaseRoutes);
+router.use('/campaigns', campaignRoutes);
+router.use('/files', fileRoutes);
 
 // API status endpoint for quick checks
 router.get('/status', (req, res) => {
@@ -63,6 +63,78 @@ router.post(
   KnowledgeBaseController.addFiles
 );
 
+// Individual files
+router.get(
+  '/:kbId/files',
+  validateParams({ kbId: commonSchemas.id }),
+  validateQuery(knowledgeBaseSchemas.fileQuery),
+  KnowledgeBaseController.listFiles
+);
+
+router
+  .route('/:kbId/files/:fileId')
+  .get(
+    validateParams({ kbId: commonSchemas.id, fileId: commonSchemas.id }),
+    KnowledgeBaseController.getFile
+  )
+  .put(
+    validateParams({ kbId: commonSchemas.id, fileId: commonSchemas.id }),
+    upload.single('file'),
+    KnowledgeBaseController.replaceFile
+  )
+  .delete(
+    validateParams({ kbId: commonSchemas.id, fileId: commonSchemas.id }),
+    KnowledgeBaseController.deleteFile
+  );
+
+router.post(
+  '/:kbId/files/:fileId/reprocess',
+  validateParams({ kbId: commonSchemas.id, fileId: commonSchemas.id }),
+  KnowledgeBaseController.reprocessFile
+);
+
+// Signed, time-limited download link for a file
+router.get(
+  '/:kbId/files/:fileId/download',
+  validateParams({ kbId: commonSchemas.id, fileId: commonSchemas.id }),
+  KnowledgeBaseController.getFileDownloadUrl
+);
+
+// Per-file processing state and progress
+router.get(
+  '/:kbId/processing',
+  validateParams({ kbId: commonSchemas.id }),
+  KnowledgeBaseController.getProcessingStatus
+);
+
+// Re-extract and re-chunk existing files
+router.post(
+  '/:kbId/rechunk',
+  validateParams({ kbId: commonSchemas.id }),
+  validateBody(knowledgeBaseSchemas.rechunk),
+  KnowledgeBaseController.rechunkKnowledgeBase
+);
+
+// Web pages, sitemaps and sites crawled into the knowledge base
+router.post(
+  '/:kbId/sources',
+  validateParams({ kbId: commonSchemas.id }),
+  validateBody(knowledgeBaseSchemas.addWebSource),
+  KnowledgeBaseController.addWebSource
+);
+
+router.post(
+  '/:kbId/sources/:sourceId/recrawl',
+  validateParams({ kbId: commonSchemas.id, sourceId: commonSchemas.id }),
+  KnowledgeBaseController.recrawlWebSource
+);
+
+router.delete(
+  '/:kbId/sources/:sourceId',
+  validateParams({ kbId: commonSchemas.id, sourceId: commonSchemas.id }),
+  KnowledgeBaseController.removeWebSource
+);
+
 // Search knowledge base
 router.post(
   '/:kbId/search',
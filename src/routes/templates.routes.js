@@ -0,0 +1,35 @@
+const express = require('express');
+const TemplateController = require('../controllers/template.controller');
+const { requireAuth, requireOrganization } = require('../middleware/auth.middleware');
+const { validateQuery, validateParams } = require('../middleware/validation.middleware');
+const { templateSchemas, commonSchemas } = require('../utils/validation');
+
+const router = express.Router();
+
+// Apply auth middleware to all routes
+router.use(requireAuth);
+router.use(requireOrganization);
+
+// Gallery browsing
+router.get('/', validateQuery(templateSchemas.query), TemplateController.getTemplates);
+router.get('/facets', validateQuery(templateSchemas.facetQuery), TemplateController.getFacets);
+router.get(
+  '/popular',
+  validateQuery(templateSchemas.popularQuery),
+  TemplateController.getPopularTemplates
+);
+
+router.get(
+  '/:templateId',
+  validateParams({ templateId: commonSchemas.id }),
+  TemplateController.getTemplate
+);
+
+// Install into the caller's organization
+router.post(
+  '/:templateId/install',
+  validateParams({ templateId: commonSchemas.id }),
+  TemplateController.installTemplate
+);
+
+module.exports = router;
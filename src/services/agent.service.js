@@ -1,18 +1,67 @@
 /* eslint-disable no-underscore-dangle */
+const path = require('path');
+const mongoose = require('mongoose');
+const { mapSeries } = require('bluebird');
 const Agent = require('../models/Agent');
 const Organization = require('../models/Organization');
+const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const PermissionService = require('./permission.service');
 const LLMService = require('./llm.service');
+const ConversationService = require('./conversation.service');
+const ToolService = require('./tool.service');
+const ExperimentService = require('./experiment.service');
+const EvalService = require('./eval.service');
+const ToolInvocation = require('../models/ToolInvocation');
+const AgentVersion = require('../models/AgentVersion');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const KnowledgeBaseService = require('./knowledgebase.service');
+const StorageService = require('./storage.service');
 const {
   NotFoundError,
   AuthorizationError,
   PaymentRequiredError,
   ValidationError,
+  ConflictError,
+  ExternalServiceError,
 } = require('../utils/errors');
-const { AUDIT_ACTIONS, PERMISSIONS, AGENT_STATUS } = require('../utils/constants');
+const {
+  AUDIT_ACTIONS,
+  PERMISSIONS,
+  AGENT_STATUS,
+  TOOL_TYPES,
+  TOOL_LIMITS,
+  RETRIEVAL_LIMITS,
+  AGENT_BUNDLE,
+  DEFAULT_INSTRUCTION_TEMPLATE,
+  INSTRUCTION_CONTEXT_VARIABLES,
+} = require('../utils/constants');
+const {
+  diffObjects,
+  renderTemplate,
+  getTemplatePlaceholders,
+  redactToolHeaders,
+  restoreToolHeaders,
+} = require('../utils/helpers');
+const { queueAgentReviewDecisionEmail } = require('../jobs/email.jobs');
+const config = require('../config');
 const logger = require('../config/logger');
 
+const addUsage = (total, usage = {}) => ({
+  prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+  completion_tokens: total.completion_tokens + (usage.completion_tokens || 0),
+  total_tokens: total.total_tokens + (usage.total_tokens || 0),
+});
+
+const summarizeToolCalls = (invocations = []) =>
+  invocations.map(({ name, arguments: args, status }) => ({ name, arguments: args, status }));
+
+const summarizeSources = (sources = []) =>
+  sources.map(({ content, ...source }) => ({
+    ...source,
+    excerpt: content.slice(0, RETRIEVAL_LIMITS.EXCERPT_LENGTH),
+  }));
+
 class AgentService {
   /**
    * Create a new agent
@@ -44,6 +93,7 @@ class AgentService {
         config: {
           model: agentData.model,
           instructions: agentData.instructions,
+          instructionsEdited: Boolean(agentData.instructions),
           temperature: agentData.temperature || 0.7,
           maxTokens: agentData.maxTokens || 1000,
           topP: agentData.topP || 1,
@@ -125,7 +175,7 @@ class AgentService {
       ]);
 
       return {
-        agents,
+        agents: agents.map((agent) => ({ ...agent, tools: redactToolHeaders(agent.tools) })),
         total,
         page: parseInt(page, 10),
         limit: parseInt(limit, 10),
@@ -187,13 +237,31 @@ class AgentService {
         throw new AuthorizationError('Insufficient permissions to update this agent');
       }
 
-      // Update agent
-      Object.assign(agent, updateData);
-      if (updateData.config) {
-        Object.assign(agent.config, updateData.config);
+      this.assertEditable(agent);
+
+      // Model settings arrive at the top level from the API and nested from services
+      const { instructions, temperature, maxTokens, config: configData, ...fields } = updateData;
+      const configUpdate = { ...configData };
+      if (instructions !== undefined) configUpdate.instructions = instructions;
+      if (temperature !== undefined) configUpdate.temperature = temperature;
+      if (maxTokens !== undefined) configUpdate.maxTokens = maxTokens;
+
+      // Hand-written instructions are no longer replaced from the work form
+      if (configUpdate.instructions !== undefined) {
+        configUpdate.instructionsEdited = true;
       }
 
+      // Header values read back from the API are masked; keep the stored ones
+      if (fields.tools) {
+        fields.tools = restoreToolHeaders(fields.tools, agent.tools);
+      }
+
+      // Update agent
+      Object.assign(agent, fields);
+      Object.assign(agent.config, configUpdate);
+
       await agent.save();
+      await this.publishEdit(agent, userId, organizationId);
 
       // Create audit log
       await AuditLog.createLog({
@@ -283,8 +351,18 @@ class AgentService {
 
       const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
 
+      // Organizations requiring approval publish through the review flow
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      if (organization?.settings?.requireApprovalForAgents) {
+        throw new ConflictError(
+          'This organization requires approval before publishing. Submit the agent for review.'
+        );
+      }
+
+      await EvalService.assertEvalsPassed(agent, organization);
+
       // Publish agent
-      await agent.publish(userId);
+      const version = await this.publishVersion(agent, userId);
 
       // Create audit log
       await AuditLog.createLog({
@@ -296,11 +374,13 @@ class AgentService {
         details: {
           name: agent.name,
           publishedBy: userId,
+          version: version.version,
         },
       });
 
       logger.info('Agent published:', {
         agentId: agent._id,
+        version: version.version,
         publishedBy: userId,
       });
 
@@ -312,264 +392,1263 @@ class AgentService {
   }
 
   /**
-   * Clone agent
+   * Snapshot the agent's configuration and publish it, reusing the latest
+   * version if nothing changed since
    */
-  static async cloneAgent(agentId, userId, organizationId, userRole) {
+  static async publishVersion(agent, userId) {
+    const latest = await AgentVersion.getLatest(agent._id);
+    const unchanged = latest && !diffObjects(latest.snapshot, agent.toSnapshot()).length;
+    const version = unchanged ? latest : await AgentVersion.createFromAgent(agent, userId);
+
+    await agent.publish(userId, version.version);
+
+    return version;
+  }
+
+  /**
+   * Agents awaiting review cannot change, so reviewers approve what they saw
+   */
+  static assertEditable(agent) {
+    if (agent.isAwaitingReview()) {
+      throw new ConflictError('Agent is awaiting review and cannot be edited until it is reviewed');
+    }
+  }
+
+  /**
+   * Put an edit to a published agent live as a new version, so the version
+   * pinned on campaigns and calls describes the configuration that ran. In
+   * organizations requiring approval the edit is not live until reviewed, and
+   * an edit the eval gate has not cleared is not live either: the agent stays
+   * published on its current version with the edit pending.
+   */
+  static async publishEdit(agent, userId, organizationId) {
+    if (agent.status !== AGENT_STATUS.PUBLISHED) {
+      return;
+    }
+
+    const organization = await Organization.findOne({ clerkId: organizationId });
+    if (organization?.settings?.requireApprovalForAgents) {
+      agent.pendingChanges = true;
+      await agent.save();
+      logger.info('Published agent edited, changes pending review:', {
+        agentId: agent._id,
+        version: agent.version,
+        updatedBy: userId,
+      });
+      return;
+    }
+
+    const gate = await EvalService.evaluateGate(agent, organization);
+
+    if (gate.required && !gate.passed) {
+      agent.pendingChanges = true;
+      await agent.save();
+      logger.info('Published agent edited, changes pending passing evals:', {
+        agentId: agent._id,
+        version: agent.version,
+        updatedBy: userId,
+      });
+      return;
+    }
+
+    const version = await this.publishVersion(agent, userId);
+    logger.info('Published agent edited:', { agentId: agent._id, version: version.version });
+  }
+
+  /**
+   * The agent as it serves chats: a published agent with pending changes runs
+   * its latest published version, not the edit
+   */
+  static async getServedAgent(agent) {
+    if (!agent.pendingChanges) {
+      return agent;
+    }
+
+    const published = await AgentVersion.findOne({ agentId: agent._id, version: agent.version });
+    return published ? agent.withSnapshot(published.snapshot) : agent;
+  }
+
+  /**
+   * Submit an agent for approval before publishing
+   */
+  static async submitAgentForReview(agentId, notes, userId, organizationId, userRole) {
     try {
-      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_CREATE)) {
-        throw new AuthorizationError('Insufficient permissions to create agents');
-      }
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
 
-      const originalAgent = await this.getAgentById(agentId, userId, organizationId, userRole);
+      // Check permissions
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: agent.createdBy,
+        userId,
+      });
 
-      // Check organization limits
-      const organization = await Organization.findOne({ clerkId: organizationId });
-      const agentLimits = organization.checkLimits('agent');
-      if (agentLimits.exceeded) {
-        throw new PaymentRequiredError('Agent limit exceeded for current plan');
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to submit this agent for review');
       }
 
-      // Clone agent
-      const clonedAgent = await originalAgent.clone(userId, organizationId);
+      const editedWhilePublished = agent.status === AGENT_STATUS.PUBLISHED && agent.pendingChanges;
+      if (
+        ![AGENT_STATUS.DRAFT, AGENT_STATUS.READY].includes(agent.status) &&
+        !editedWhilePublished
+      ) {
+        throw new ConflictError(`Cannot submit agent with status: ${agent.status}`);
+      }
 
-      // Update organization usage
-      await organization.incrementUsage('agent');
+      await agent.submitForReview(userId, notes);
 
       // Create audit log
       await AuditLog.createLog({
-        action: AUDIT_ACTIONS.AGENT_CREATED,
+        action: AUDIT_ACTIONS.AGENT_REVIEW_SUBMITTED,
         userId,
         organizationId,
         resourceType: 'agent',
-        resourceId: clonedAgent._id.toString(),
+        resourceId: agent._id.toString(),
         details: {
-          name: clonedAgent.name,
-          clonedFrom: originalAgent._id.toString(),
-          originalName: originalAgent.name,
+          name: agent.name,
+          notes,
         },
       });
 
-      logger.info('Agent cloned:', {
-        originalAgentId: agentId,
-        clonedAgentId: clonedAgent._id,
-        clonedBy: userId,
+      logger.info('Agent submitted for review:', {
+        agentId: agent._id,
+        submittedBy: userId,
       });
 
-      return clonedAgent;
+      return agent;
     } catch (error) {
-      logger.error('Failed to clone agent:', error);
+      logger.error('Failed to submit agent for review:', error);
       throw error;
     }
   }
 
   /**
-   * Chat with agent
+   * Approve or reject an agent awaiting review. Approval publishes the agent.
    */
-  static async chatWithAgent(agentId, message, userId, organizationId, userRole, options = {}) {
+  static async reviewAgent(agentId, reviewData, userId, organizationId, userRole) {
     try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_PUBLISH)) {
+        throw new AuthorizationError('Insufficient permissions to review agents');
+      }
+
       const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
 
-      // Check if agent is accessible for chat
-      if (agent.status !== AGENT_STATUS.PUBLISHED && agent.createdBy !== userId) {
-        throw new AuthorizationError('Cannot chat with unpublished agent');
+      if (!agent.isAwaitingReview()) {
+        throw new ConflictError('Agent is not awaiting review');
       }
 
-      // Check API call limits
-      const organization = await Organization.findOne({ clerkId: organizationId });
-      const apiLimits = organization.checkLimits('apiCallsThisMonth');
-      if (apiLimits.exceeded) {
-        throw new PaymentRequiredError('API call limit exceeded for current plan');
+      const approved = reviewData.decision === 'approve';
+
+      if (approved && agent.review.submittedBy === userId) {
+        throw new AuthorizationError('Agents cannot be approved by the person who submitted them');
       }
 
-      const startTime = Date.now();
+      if (approved) {
+        const organization = await Organization.findOne({ clerkId: organizationId });
+        await EvalService.assertEvalsPassed(agent, organization);
+      }
 
-      try {
-        // Use LLM service to get response
-        const response = await LLMService.chatCompletion({
-          model: agent.config.model,
-          messages: [
-            { role: 'system', content: agent.config.instructions },
-            { role: 'user', content: message },
-          ],
-          temperature: agent.config.temperature,
-          max_tokens: agent.config.maxTokens,
-          top_p: agent.config.topP,
-          frequency_penalty: agent.config.frequencyPenalty,
-          presence_penalty: agent.config.presencePenalty,
-        });
+      await agent.recordReview(userId, approved, reviewData.comments);
 
-        const responseTime = Date.now() - startTime;
+      const version = approved ? await this.publishVersion(agent, userId) : null;
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: approved
+          ? AUDIT_ACTIONS.AGENT_REVIEW_APPROVED
+          : AUDIT_ACTIONS.AGENT_REVIEW_REJECTED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          name: agent.name,
+          comments: reviewData.comments,
+          submittedBy: agent.review.submittedBy,
+          version: version?.version,
+        },
+      });
 
-        // Update usage and analytics
-        await Promise.all([
-          agent.incrementUsage(),
-          agent.updateAnalytics(responseTime, true),
-          organization.incrementUsage('apiCallsThisMonth'),
-        ]);
+      await this.notifyReviewDecision(agent, userId, approved, reviewData.comments);
 
-        return {
-          message: response.content,
-          usage: response.usage,
-          responseTime,
-          sessionId: options.sessionId,
-        };
-      } catch (llmError) {
-        const responseTime = Date.now() - startTime;
-        await agent.updateAnalytics(responseTime, false);
-        throw llmError;
-      }
+      logger.info('Agent reviewed:', {
+        agentId: agent._id,
+        decision: reviewData.decision,
+        reviewedBy: userId,
+      });
+
+      return agent;
     } catch (error) {
-      logger.error('Failed to chat with agent:', error);
+      logger.error('Failed to review agent:', error);
       throw error;
     }
   }
 
   /**
-   * Get agent analytics
+   * Email the agent's creator about a review decision
    */
-  static async getAgentAnalytics(agentId, userId, organizationId, userRole) {
+  static async notifyReviewDecision(agent, reviewerId, approved, comments) {
+    try {
+      const [creator, reviewer] = await Promise.all([
+        User.findByClerkId(agent.createdBy),
+        User.findByClerkId(reviewerId),
+      ]);
+
+      if (!creator?.email) {
+        return;
+      }
+
+      await queueAgentReviewDecisionEmail({
+        email: creator.email,
+        agentName: agent.name,
+        agentUrl: `${config.app.frontendUrl}/agents/${agent._id}`,
+        approved,
+        reviewerName: reviewer ? reviewer.fullName : 'A reviewer',
+        comments,
+      });
+    } catch (error) {
+      // The review is already recorded; a missed email should not fail it
+      logger.error('Failed to queue review decision email:', error);
+    }
+  }
+
+  /**
+   * List published versions of an agent
+   */
+  static async getAgentVersions(agentId, query, userId, organizationId, userRole) {
     try {
       const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
 
-      // Check permissions - owner or team lead can see analytics
-      const hasPermission =
-        agent.createdBy === userId || PermissionService.hasMinimumRole(userRole, 'team_lead');
+      const { page = 1, limit = 20 } = query;
+      const filter = { agentId: agent._id, organizationId };
 
-      if (!hasPermission) {
-        throw new AuthorizationError('Insufficient permissions to view agent analytics');
-      }
+      const skip = (page - 1) * limit;
+      const [versions, total] = await Promise.all([
+        AgentVersion.find(filter)
+          .select('-snapshot')
+          .sort({ version: -1 })
+          .limit(parseInt(limit, 10))
+          .skip(skip)
+          .lean(),
+        AgentVersion.countDocuments(filter),
+      ]);
 
       return {
-        basic: agent.analytics,
-        formatted: agent.formattedAnalytics,
-        trends: {
-          // Add trend calculations here if needed
-          dailyUsage: [], // Implement based on your needs
-          monthlyUsage: [],
-        },
+        currentVersion: agent.version,
+        versions,
+        total,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        pages: Math.ceil(total / limit),
       };
     } catch (error) {
-      logger.error('Failed to get agent analytics:', error);
+      logger.error('Failed to get agent versions:', error);
       throw error;
     }
   }
 
   /**
-   * Create draft agent for multi-step form
+   * Get a published version of an agent with its configuration snapshot
    */
-  static async createDraftAgent(userId, organizationId) {
+  static async getAgentVersion(agentId, version, userId, organizationId, userRole) {
     try {
-      // Check organization limits
-      const organization = await Organization.findOne({ clerkId: organizationId });
-      if (!organization) {
-        throw new NotFoundError('Organization');
-      }
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
 
-      const agentLimits = organization.checkLimits('agent');
-      if (agentLimits.exceeded) {
-        throw new PaymentRequiredError('Agent limit exceeded for current plan');
-      }
+      const agentVersion = await AgentVersion.findOne({
+        agentId: agent._id,
+        organizationId,
+        version,
+      });
 
-      // Create draft agent
-      const agent = await Agent.createDraft(userId, organizationId);
+      if (!agentVersion) {
+        throw new NotFoundError('Agent version');
+      }
 
-      // Update organization usage
-      await organization.incrementUsage('agent');
+      return agentVersion;
+    } catch (error) {
+      logger.error('Failed to get agent version:', error);
+      throw error;
+    }
+  }
 
-      // Create audit log
-      await AuditLog.createLog({
-        action: AUDIT_ACTIONS.AGENT_CREATED,
-        userId,
-        organizationId,
-        resourceType: 'agent',
-        resourceId: agent._id.toString(),
-        details: {
-          status: 'draft',
-          step: 'initial',
-        },
-      });
+  /**
+   * Compare two published versions, or a version against the current unpublished configuration
+   */
+  static async diffAgentVersions(agentId, from, to, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+      const base = await this.getAgentVersion(agentId, from, userId, organizationId, userRole);
+      const target = to
+        ? await this.getAgentVersion(agentId, to, userId, organizationId, userRole)
+        : null;
 
-      logger.info('Draft agent created:', {
-        agentId: agent._id,
-        createdBy: userId,
-        organizationId,
-      });
+      // Header values are compared masked so credentials do not show in the diff
+      const redact = (snapshot) => ({ ...snapshot, tools: redactToolHeaders(snapshot.tools) });
 
-      return agent;
+      return {
+        from,
+        to: to || 'current',
+        changes: diffObjects(
+          redact(base.snapshot),
+          redact(target ? target.snapshot : agent.toSnapshot())
+        ),
+      };
     } catch (error) {
-      logger.error('Failed to create draft agent:', error);
+      logger.error('Failed to diff agent versions:', error);
       throw error;
     }
   }
 
   /**
-   * Update agent identity (Step 1 of multi-step form)
+   * Restore a previous version's configuration and publish it as a new version, once
+   * it passes the organization's eval gate. Organizations requiring approval get the
+   * restored configuration submitted for review instead.
    */
-  static async updateAgentIdentity(agentId, identityData, userId, organizationId, userRole) {
+  static async rollbackAgent(agentId, version, userId, organizationId, userRole) {
     try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_PUBLISH)) {
+        throw new AuthorizationError('Insufficient permissions to roll back agents');
+      }
+
       const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+      this.assertEditable(agent);
+      const target = await this.getAgentVersion(agentId, version, userId, organizationId, userRole);
 
-      // Check permissions
-      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
-        resourceOwnerId: agent.createdBy,
-        userId,
-      });
+      agent.applySnapshot(target.snapshot);
 
-      if (!hasPermission) {
-        throw new AuthorizationError('Insufficient permissions to update this agent');
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      if (organization?.settings?.requireApprovalForAgents) {
+        // A published agent keeps serving its current version until approval
+        agent.pendingChanges = agent.status === AGENT_STATUS.PUBLISHED;
+        await agent.submitForReview(userId, `Roll back to version ${target.version}`);
+
+        await AuditLog.createLog({
+          action: AUDIT_ACTIONS.AGENT_REVIEW_SUBMITTED,
+          userId,
+          organizationId,
+          resourceType: 'agent',
+          resourceId: agent._id.toString(),
+          details: {
+            name: agent.name,
+            restoredVersion: target.version,
+          },
+        });
+
+        logger.info('Agent rollback submitted for review:', {
+          agentId: agent._id,
+          restoredVersion: target.version,
+          submittedBy: userId,
+        });
+
+        return agent;
       }
 
-      // Update agent identity
-      await agent.updateIdentity(identityData);
+      await EvalService.assertEvalsPassed(agent, organization);
+
+      const restored = await AgentVersion.createFromAgent(agent, userId, {
+        rolledBackFrom: target.version,
+      });
+      await agent.publish(userId, restored.version);
 
       // Create audit log
       await AuditLog.createLog({
-        action: AUDIT_ACTIONS.AGENT_UPDATED,
+        action: AUDIT_ACTIONS.AGENT_ROLLED_BACK,
         userId,
         organizationId,
         resourceType: 'agent',
         resourceId: agent._id.toString(),
         details: {
-          step: 'identity',
-          name: identityData.name,
-          language: identityData.language,
-          description: identityData.description,
-          active: identityData.active,
+          name: agent.name,
+          restoredVersion: target.version,
+          version: restored.version,
         },
       });
 
-      logger.info('Agent identity updated:', {
+      logger.info('Agent rolled back:', {
         agentId: agent._id,
-        updatedBy: userId,
-        name: identityData.name,
+        restoredVersion: target.version,
+        version: restored.version,
+        rolledBackBy: userId,
       });
 
       return agent;
     } catch (error) {
-      logger.error('Failed to update agent identity:', error);
+      logger.error('Failed to roll back agent:', error);
       throw error;
     }
   }
 
   /**
-   * Update agent persona (Step 2 of multi-step form)
+   * Clone agent
    */
-  static async updateAgentPersona(agentId, personaData, userId, organizationId, userRole) {
+  static async cloneAgent(agentId, userId, organizationId, userRole) {
     try {
-      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_CREATE)) {
+        throw new AuthorizationError('Insufficient permissions to create agents');
+      }
 
-      // Check permissions
-      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
-        resourceOwnerId: agent.createdBy,
-        userId,
+      const originalAgent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Check organization limits
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      const agentLimits = organization.checkLimits('agent');
+      if (agentLimits.exceeded) {
+        throw new PaymentRequiredError('Agent limit exceeded for current plan');
+      }
+
+      // Clone agent
+      const clonedAgent = await originalAgent.clone(userId, organizationId, 'clone');
+
+      // Update organization usage
+      await organization.incrementUsage('agent');
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_CREATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: clonedAgent._id.toString(),
+        details: {
+          name: clonedAgent.name,
+          clonedFrom: originalAgent._id.toString(),
+          originalName: originalAgent.name,
+        },
+      });
+
+      logger.info('Agent cloned:', {
+        originalAgentId: agentId,
+        clonedAgentId: clonedAgent._id,
+        clonedBy: userId,
+      });
+
+      return clonedAgent;
+    } catch (error) {
+      logger.error('Failed to clone agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Export an agent as a portable bundle: identity, persona and work forms, model config,
+   * tools and linked knowledge bases, optionally with file contents.
+   * Webhook headers are left out so credentials never end up in the file.
+   */
+  static async exportAgent(agentId, options, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+      const { includeFiles = false } = options;
+      const snapshot = agent.toSnapshot();
+      const { model, instructions, instructionsEdited, temperature, maxTokens } = snapshot.config;
+
+      const knowledgeBases = await KnowledgeBase.find({
+        _id: { $in: agent.getLinkedKnowledgeBaseIds() },
+        organizationId,
+        isActive: true,
+      }).select(
+        'kb_name description tags kb_files.originalName kb_files.mimetype kb_files.size kb_files.path'
+      );
+
+      // Files are read one at a time so the embedded contents stay within the size budget
+      let remainingBytes = includeFiles ? AGENT_BUNDLE.MAX_FILE_CONTENT_BYTES : 0;
+      const readContent = async (file) => {
+        if (file.size > remainingBytes) return undefined;
+
+        try {
+          const content = await StorageService.download(file.path);
+          remainingBytes -= content.length;
+          return content.toString('base64');
+        } catch (readError) {
+          logger.warn('Knowledge base file missing from storage:', { path: file.path });
+          return undefined;
+        }
+      };
+
+      const bundle = {
+        format: AGENT_BUNDLE.FORMAT,
+        version: AGENT_BUNDLE.VERSION,
+        exportedAt: new Date(),
+        source: {
+          agentId: agent.id,
+          organizationId,
+          name: agent.name,
+          version: agent.version,
+        },
+        agent: {
+          identity: {
+            name: snapshot.name,
+            language: snapshot.language,
+            description: snapshot.description,
+            active: agent.active,
+          },
+          persona: { voiceType: snapshot.voiceType, voice: snapshot.voice },
+          work: {
+            companyName: snapshot.companyName,
+            productDescription: snapshot.productDescription,
+            questions: snapshot.questions,
+            faqs: snapshot.faqs,
+            agentIntroduction: snapshot.agentIntroduction,
+          },
+          config: { model, instructions, instructionsEdited, temperature, maxTokens },
+          tools: snapshot.tools.map(({ webhook, ...tool }) =>
+            webhook
+              ? {
+                  ...tool,
+                  webhook: {
+                    url: webhook.url,
+                    method: webhook.method,
+                    timeoutMs: webhook.timeoutMs,
+                  },
+                }
+              : tool
+          ),
+          type: agent.type,
+          category: agent.category,
+          tags: [...agent.tags],
+          knowledgeBase: agent.knowledgeBase
+            .filter((item) => item.type !== 'document')
+            .map(({ name, type, source, content, metadata }) => ({
+              name,
+              type,
+              source,
+              content,
+              metadata,
+            })),
+        },
+        knowledgeBases: await mapSeries(knowledgeBases, async (kb) => ({
+          name: kb.kb_name,
+          description: kb.description,
+          tags: [...kb.tags],
+          files: await mapSeries(kb.kb_files, async (file) => ({
+            originalName: file.originalName,
+            mimetype: file.mimetype,
+            size: file.size,
+            content: await readContent(file),
+          })),
+        })),
+      };
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_EXPORTED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          name: agent.name,
+          includeFiles,
+          knowledgeBases: knowledgeBases.length,
+        },
+      });
+
+      logger.info('Agent exported:', {
+        agentId: agent._id,
+        exportedBy: userId,
+        includeFiles,
+      });
+
+      return bundle;
+    } catch (error) {
+      logger.error('Failed to export agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a draft agent from an export bundle validated against `agentSchemas.bundle`.
+   * Knowledge bases already present under the same name are linked instead of duplicated.
+   * Returns the conflicts found along the way; with `dryRun` nothing is written.
+   */
+  static async importAgent(bundle, options, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_CREATE)) {
+        throw new AuthorizationError('Insufficient permissions to create agents');
+      }
+
+      const { dryRun = false, name } = options;
+      const { agent: agentData, knowledgeBases, source = {} } = bundle;
+      const { identity, persona, work, config: agentConfig, ...settings } = agentData;
+      const agentName = name || identity.name;
+
+      // Check organization limits
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      if (!organization) {
+        throw new NotFoundError('Organization');
+      }
+
+      const agentLimits = organization.checkLimits('agent');
+      if (agentLimits.exceeded) {
+        throw new PaymentRequiredError('Agent limit exceeded for current plan');
+      }
+
+      const conflicts = [];
+
+      const nameTaken = await Agent.exists({
+        organizationId,
+        name: agentName,
+        isActive: true,
+        deletedAt: null,
+      });
+      if (nameTaken) {
+        conflicts.push({
+          type: 'agent_name',
+          name: agentName,
+          resolution: 'duplicated',
+          message: `An agent named "${agentName}" already exists; pass a new name to rename the import`,
+        });
+      }
+
+      // Webhook headers are not exported, so webhooks need review before they run
+      const tools = settings.tools.map((tool) => {
+        if (tool.type !== TOOL_TYPES.WEBHOOK) return tool;
+
+        conflicts.push({
+          type: 'tool',
+          name: tool.name,
+          resolution: 'disabled',
+          message: 'Webhook tools are imported disabled; add any required headers and re-enable',
+        });
+        return { ...tool, enabled: false };
+      });
+
+      const existingKnowledgeBases = await KnowledgeBase.find({
+        organizationId,
+        isActive: true,
+        kb_name: { $in: knowledgeBases.map((kb) => kb.name) },
+      }).select('kb_name');
+
+      const plan = knowledgeBases.map((kb) => {
+        const existing = existingKnowledgeBases.find((candidate) => candidate.kb_name === kb.name);
+
+        if (existing) {
+          conflicts.push({
+            type: 'knowledge_base',
+            name: kb.name,
+            resolution: 'linked_existing',
+            message: 'A knowledge base with this name already exists and was linked instead',
+          });
+          return { kb, existing };
+        }
+
+        kb.files
+          .filter((file) => !file.content)
+          .forEach((file) =>
+            conflicts.push({
+              type: 'file',
+              name: file.originalName,
+              knowledgeBase: kb.name,
+              resolution: 'skipped',
+              message: 'File contents were not included in the export; upload the file again',
+            })
+          );
+        return { kb };
+      });
+
+      const agent = new Agent({
+        ...identity,
+        name: agentName,
+        ...persona,
+        ...work,
+        config: agentConfig,
+        tools,
+        type: settings.type,
+        category: settings.category,
+        tags: settings.tags,
+        knowledgeBase: settings.knowledgeBase,
+        organizationId,
+        createdBy: userId,
+        status: AGENT_STATUS.DRAFT,
+        visibility: 'private',
+        isPublic: false,
+        source: {
+          kind: 'import',
+          agentId: mongoose.isValidObjectId(source.agentId) ? source.agentId : undefined,
+          organizationId: source.organizationId,
+          name: source.name,
+          version: source.version,
+          copiedAt: new Date(),
+        },
+      });
+
+      // Surface model validation errors before any knowledge base is written
+      await agent.validate();
+
+      if (dryRun) {
+        return { agent: null, conflicts };
+      }
+
+      const linkedKnowledgeBases = await mapSeries(plan, ({ kb, existing }) => {
+        if (existing) return existing;
+
+        const files = kb.files
+          .filter((file) => file.content)
+          .map((file) => {
+            const buffer = Buffer.from(file.content, 'base64');
+            return {
+              originalname: path.basename(file.originalName),
+              mimetype: file.mimetype,
+              size: buffer.length,
+              buffer,
+            };
+          });
+
+        return KnowledgeBaseService.createKnowledgeBase(
+          { kb_name: kb.name, description: kb.description, tags: kb.tags },
+          files,
+          userId,
+          organizationId,
+          userRole
+        );
+      });
+
+      agent.knowledgeBase.push(
+        ...linkedKnowledgeBases.map((kb) => ({ id: kb.id, name: kb.kb_name, type: 'document' }))
+      );
+      await agent.save();
+
+      // Update organization usage
+      await organization.incrementUsage('agent');
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_CREATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          name: agent.name,
+          importedFrom: source.agentId,
+          sourceOrganizationId: source.organizationId,
+          knowledgeBases: linkedKnowledgeBases.length,
+          conflicts: conflicts.length,
+        },
+      });
+
+      logger.info('Agent imported:', {
+        agentId: agent._id,
+        importedBy: userId,
+        organizationId,
+        conflicts: conflicts.length,
+      });
+
+      return { agent, conflicts };
+    } catch (error) {
+      logger.error('Failed to import agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chat with agent
+   */
+  static async chatWithAgent(agentId, message, userId, organizationId, userRole, options = {}) {
+    try {
+      const chat = await this.prepareChat(
+        agentId,
+        message,
+        userId,
+        organizationId,
+        userRole,
+        options
+      );
+
+      const startTime = Date.now();
+
+      try {
+        // Use LLM service to get response, running any tools the agent calls
+        const response = await this.completeWithTools(chat, userId);
+
+        const responseTime = Date.now() - startTime;
+
+        await this.recordChatTurn(chat, message, response, responseTime);
+
+        return {
+          message: response.content,
+          usage: response.usage,
+          toolCalls: summarizeToolCalls(response.toolInvocations),
+          responseTime,
+          sessionId: chat.conversation._id.toString(),
+          variantKey: chat.experiment?.variantKey,
+          sources: summarizeSources(chat.sources),
+        };
+      } catch (llmError) {
+        await this.recordChatFailure(chat, Date.now() - startTime);
+        throw llmError;
+      }
+    } catch (error) {
+      logger.error('Failed to chat with agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chat with agent, yielding the response as it is generated.
+   *
+   * Yields { type: 'session' } first, then { type: 'delta' } per chunk and a final
+   * { type: 'done' } once the turn has been saved and usage recorded. Agents with
+   * tools emit a { type: 'tool' } event per call and reply in a single delta, since
+   * the tool loop needs each model response in full.
+   */
+  static async *streamChatWithAgent(
+    agentId,
+    message,
+    userId,
+    organizationId,
+    userRole,
+    options = {}
+  ) {
+    let chat;
+    let finished = false;
+
+    try {
+      chat = await this.prepareChat(agentId, message, userId, organizationId, userRole, options);
+    } catch (error) {
+      logger.error('Failed to stream chat with agent:', error);
+      throw error;
+    }
+
+    const sessionId = chat.conversation._id.toString();
+    const startTime = Date.now();
+
+    yield { type: 'session', sessionId };
+
+    try {
+      let response;
+
+      if (ToolService.getToolDefinitions(chat.agent).length) {
+        response = await this.completeWithTools(chat, userId);
+
+        // eslint-disable-next-line no-restricted-syntax
+        for (const toolCall of summarizeToolCalls(response.toolInvocations)) {
+          yield { type: 'tool', ...toolCall };
+        }
+        yield { type: 'delta', content: response.content };
+      } else {
+        // eslint-disable-next-line no-restricted-syntax
+        for await (const event of LLMService.streamChatCompletion(chat.request)) {
+          if (event.type === 'done') {
+            response = event;
+          } else {
+            yield event;
+          }
+        }
+      }
+
+      const responseTime = Date.now() - startTime;
+
+      await this.recordChatTurn(chat, message, response, responseTime);
+      finished = true;
+
+      yield {
+        type: 'done',
+        message: response.content,
+        usage: response.usage,
+        responseTime,
+        sessionId,
+        variantKey: chat.experiment?.variantKey,
+        sources: summarizeSources(chat.sources),
+      };
+    } catch (error) {
+      finished = true;
+      logger.error('Failed to stream chat with agent:', error);
+      await this.recordChatFailure(chat, Date.now() - startTime);
+      throw error;
+    } finally {
+      // The client went away mid-stream: the provider call still counts against
+      // the plan, and a new session is not kept without its first turn
+      if (!finished) {
+        await chat.organization.incrementUsage('apiCallsThisMonth');
+        if (chat.isNew) {
+          await ConversationService.discardSession(chat.conversation);
+        }
+        logger.info('Chat stream aborted by client:', { agentId, sessionId, userId });
+      }
+    }
+  }
+
+  /**
+   * Resolve the agent, plan limits and chat session, and build the LLM request
+   */
+  static async prepareChat(agentId, message, userId, organizationId, userRole, options = {}) {
+    const agent = await this.getServedAgent(
+      await this.getAgentById(agentId, userId, organizationId, userRole)
+    );
+
+    // Check if agent is accessible for chat
+    if (agent.status !== AGENT_STATUS.PUBLISHED && agent.createdBy !== userId) {
+      throw new AuthorizationError('Cannot chat with unpublished agent');
+    }
+
+    // Check API call limits
+    const organization = await Organization.findOne({ clerkId: organizationId });
+    const apiLimits = organization.checkLimits('apiCallsThisMonth');
+    if (apiLimits.exceeded) {
+      throw new PaymentRequiredError('API call limit exceeded for current plan');
+    }
+
+    // Resume the session so earlier turns are replayed to the model
+    const { conversation, isNew } = await ConversationService.getOrCreateSession(
+      agent._id,
+      options.sessionId,
+      userId,
+      organizationId,
+      message
+    );
+
+    // A running experiment decides which config variant serves this session
+    const experiment = await ExperimentService.assignVariant(
+      agent._id,
+      conversation.id,
+      conversation.experiment
+    );
+    if (experiment) {
+      conversation.experiment = {
+        experimentId: experiment.experimentId,
+        variantKey: experiment.variantKey,
+      };
+    }
+
+    const agentConfig = ExperimentService.applyVariant(
+      agent.toObject({ virtuals: false }).config,
+      experiment?.config
+    );
+
+    const sources = await this.retrieveSources(agent, message);
+
+    return {
+      agent,
+      organization,
+      conversation,
+      isNew,
+      experiment,
+      sources,
+      request: {
+        model: agentConfig.model,
+        messages: [
+          {
+            role: 'system',
+            content:
+              agent.renderInstructions(options.context, agentConfig.instructions) +
+              KnowledgeBaseService.formatContext(sources),
+          },
+          ...conversation.getHistory(),
+          { role: 'user', content: message },
+        ],
+        temperature: agentConfig.temperature,
+        max_tokens: agentConfig.maxTokens,
+        top_p: agentConfig.topP,
+        frequency_penalty: agentConfig.frequencyPenalty,
+        presence_penalty: agentConfig.presencePenalty,
+      },
+    };
+  }
+
+  /**
+   * Knowledge base chunks relevant to a chat message. Answering without them
+   * beats failing the turn, so retrieval errors are only logged.
+   */
+  static async retrieveSources(agent, message) {
+    try {
+      return await KnowledgeBaseService.retrieveForAgent(agent, message);
+    } catch (error) {
+      logger.error('Knowledge base retrieval failed:', {
+        agentId: agent._id,
+        error: error.message,
+      });
+      return [];
+    }
+  }
+
+  /**
+   * Get a completion, executing tool calls and feeding the results back to the
+   * model until it answers in text
+   */
+  static async completeWithTools(chat, userId) {
+    const { agent, conversation, request } = chat;
+    const tools = ToolService.getToolDefinitions(agent);
+
+    if (!tools.length) {
+      return { ...(await LLMService.chatCompletion(request)), toolInvocations: [] };
+    }
+
+    const context = {
+      agentId: agent._id.toString(),
+      organizationId: agent.organizationId,
+      userId,
+      conversationId: conversation._id.toString(),
+    };
+    const messages = [...request.messages];
+    const toolInvocations = [];
+    let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+
+    for (let round = 0; round <= TOOL_LIMITS.MAX_TOOL_ROUNDS; round += 1) {
+      // Out of rounds: keep the tools declared (needed for the history) but forbid calls
+      const toolChoice = round === TOOL_LIMITS.MAX_TOOL_ROUNDS ? 'none' : 'auto';
+
+      // eslint-disable-next-line no-await-in-loop
+      const response = await LLMService.chatCompletion({ ...request, messages, tools, toolChoice });
+      usage = addUsage(usage, response.usage);
+
+      if (!response.toolCalls.length) {
+        return { ...response, usage, toolInvocations };
+      }
+
+      // eslint-disable-next-line no-await-in-loop
+      const results = await ToolService.executeToolCalls(agent, response.toolCalls, context);
+
+      messages.push({
+        role: 'assistant',
+        content: response.content,
+        tool_calls: response.toolCalls,
+      });
+      results.forEach((result) => {
+        messages.push({ role: 'tool', tool_call_id: result.callId, content: result.result });
+        toolInvocations.push(result);
+      });
+    }
+
+    throw new ExternalServiceError('LLM', 'Agent did not produce a reply after calling tools');
+  }
+
+  /**
+   * Save a completed chat turn and record usage and analytics
+   */
+  static async recordChatTurn(chat, message, response, responseTime) {
+    const { agent, organization, conversation, isNew, experiment } = chat;
+
+    await conversation.addMessages([
+      { role: 'user', content: message },
+      {
+        role: 'assistant',
+        content: response.content,
+        usage: response.usage,
+        responseTime,
+        toolCalls: summarizeToolCalls(response.toolInvocations),
+        sources: summarizeSources(chat.sources),
+      },
+    ]);
+
+    // Update usage and analytics
+    await agent.incrementUsage({ newConversation: isNew });
+    await agent.updateAnalytics(responseTime, true);
+    await organization.incrementUsage('apiCallsThisMonth');
+
+    if (experiment) {
+      await ExperimentService.recordOutcome(experiment, { success: true, responseTime });
+    }
+  }
+
+  /**
+   * Record a chat turn the model failed to answer
+   */
+  static async recordChatFailure(chat, responseTime) {
+    if (chat.isNew) {
+      await ConversationService.discardSession(chat.conversation);
+    }
+
+    await chat.agent.updateAnalytics(responseTime, false);
+
+    if (chat.experiment) {
+      await ExperimentService.recordOutcome(chat.experiment, { success: false, responseTime });
+    }
+  }
+
+  /**
+   * Get agent analytics
+   */
+  static async getAgentAnalytics(agentId, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Check permissions - owner or team lead can see analytics
+      const hasPermission =
+        agent.createdBy === userId || PermissionService.hasMinimumRole(userRole, 'team_lead');
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to view agent analytics');
+      }
+
+      return {
+        basic: agent.analytics,
+        formatted: agent.formattedAnalytics,
+        trends: {
+          // Add trend calculations here if needed
+          dailyUsage: [], // Implement based on your needs
+          monthlyUsage: [],
+        },
+      };
+    } catch (error) {
+      logger.error('Failed to get agent analytics:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the log of tool calls an agent has made
+   */
+  static async getToolInvocations(agentId, query, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Same visibility as analytics - owner or team lead
+      const hasPermission =
+        agent.createdBy === userId || PermissionService.hasMinimumRole(userRole, 'team_lead');
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to view tool invocations');
+      }
+
+      const { page = 1, limit = 20, toolName, status } = query;
+
+      const filter = { agentId: agent._id, organizationId };
+      if (toolName) filter.toolName = toolName;
+      if (status) filter.status = status;
+
+      const skip = (page - 1) * limit;
+      const [invocations, total] = await Promise.all([
+        ToolInvocation.find(filter)
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit, 10))
+          .skip(skip)
+          .lean(),
+        ToolInvocation.countDocuments(filter),
+      ]);
+
+      return {
+        invocations,
+        total,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        pages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      logger.error('Failed to get tool invocations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create draft agent for multi-step form
+   */
+  static async createDraftAgent(userId, organizationId) {
+    try {
+      // Check organization limits
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      if (!organization) {
+        throw new NotFoundError('Organization');
+      }
+
+      const agentLimits = organization.checkLimits('agent');
+      if (agentLimits.exceeded) {
+        throw new PaymentRequiredError('Agent limit exceeded for current plan');
+      }
+
+      // Create draft agent
+      const agent = await Agent.createDraft(userId, organizationId);
+
+      // Update organization usage
+      await organization.incrementUsage('agent');
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_CREATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          status: 'draft',
+          step: 'initial',
+        },
+      });
+
+      logger.info('Draft agent created:', {
+        agentId: agent._id,
+        createdBy: userId,
+        organizationId,
+      });
+
+      return agent;
+    } catch (error) {
+      logger.error('Failed to create draft agent:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update agent identity (Step 1 of multi-step form)
+   */
+  static async updateAgentIdentity(agentId, identityData, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Check permissions
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: agent.createdBy,
+        userId,
+      });
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to update this agent');
+      }
+
+      this.assertEditable(agent);
+
+      // Update agent identity
+      await agent.updateIdentity(identityData);
+      await this.publishEdit(agent, userId, organizationId);
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_UPDATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          step: 'identity',
+          name: identityData.name,
+          language: identityData.language,
+          description: identityData.description,
+          active: identityData.active,
+        },
+      });
+
+      logger.info('Agent identity updated:', {
+        agentId: agent._id,
+        updatedBy: userId,
+        name: identityData.name,
+      });
+
+      return agent;
+    } catch (error) {
+      logger.error('Failed to update agent identity:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update agent persona (Step 2 of multi-step form)
+   */
+  static async updateAgentPersona(agentId, personaData, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Check permissions
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: agent.createdBy,
+        userId,
       });
 
       if (!hasPermission) {
         throw new AuthorizationError('Insufficient permissions to update this agent');
       }
 
+      this.assertEditable(agent);
+
       // Update agent persona
       await agent.updatePersona(personaData);
+      await this.publishEdit(agent, userId, organizationId);
 
       // Create audit log
       await AuditLog.createLog({
@@ -615,8 +1694,11 @@ class AgentService {
         throw new AuthorizationError('Insufficient permissions to update this agent');
       }
 
+      this.assertEditable(agent);
+
       // Update agent work configuration
       await agent.updateWork(workData);
+      await this.publishEdit(agent, userId, organizationId);
 
       // Mark agent as ready for publishing since all steps are complete
       if (agent.status === 'draft') {
@@ -653,6 +1735,256 @@ class AgentService {
     }
   }
 
+  /**
+   * Instruction template with the placeholders it can use
+   */
+  static async getAgentInstructions(agentId, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      return {
+        template: agent.config.instructions,
+        edited: agent.config.instructionsEdited,
+        defaultTemplate: DEFAULT_INSTRUCTION_TEMPLATE,
+        variables: [...Object.keys(agent.getTemplateVariables()), ...INSTRUCTION_CONTEXT_VARIABLES],
+      };
+    } catch (error) {
+      logger.error('Failed to get agent instructions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Save a hand-written instruction template, or reset to the default layout
+   * so it follows the work form again
+   */
+  static async updateAgentInstructions(
+    agentId,
+    instructionsData,
+    userId,
+    organizationId,
+    userRole
+  ) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Check permissions
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: agent.createdBy,
+        userId,
+      });
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to update this agent');
+      }
+
+      this.assertEditable(agent);
+
+      const { template, reset } = instructionsData;
+      agent.config.instructions = reset ? DEFAULT_INSTRUCTION_TEMPLATE : template;
+      agent.config.instructionsEdited = !reset;
+      await agent.save();
+      await this.publishEdit(agent, userId, organizationId);
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_UPDATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          step: 'instructions',
+          reset: Boolean(reset),
+          placeholders: getTemplatePlaceholders(agent.config.instructions),
+        },
+      });
+
+      logger.info('Agent instructions updated:', {
+        agentId: agent._id,
+        updatedBy: userId,
+        reset: Boolean(reset),
+      });
+
+      return agent;
+    } catch (error) {
+      logger.error('Failed to update agent instructions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Render a template (the agent's own by default) with sample call values
+   */
+  static async previewAgentInstructions(agentId, previewData, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+      const { template = agent.config.instructions, variables = {} } = previewData;
+
+      const values = { ...agent.getTemplateVariables(), ...variables };
+      const placeholders = getTemplatePlaceholders(template);
+
+      return {
+        instructions: agent.renderInstructions(variables, template),
+        placeholders,
+        // Rendered from their `|fallback`, or left empty
+        missing: placeholders.filter((name) => !renderTemplate(`{{${name}}}`, values)),
+      };
+    } catch (error) {
+      logger.error('Failed to preview agent instructions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Knowledge bases linked to an agent for retrieval
+   */
+  static async getAgentKnowledgeBases(agentId, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      const knowledgeBases = await KnowledgeBase.find({
+        _id: { $in: agent.getLinkedKnowledgeBaseIds() },
+        organizationId,
+        isActive: true,
+        deletedAt: null,
+      })
+        .select('kb_name description tags status totalFiles totalSize usageCount lastUsedAt')
+        .lean();
+
+      return knowledgeBases;
+    } catch (error) {
+      logger.error('Failed to get agent knowledge bases:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Link an uploaded knowledge base so chats retrieve from it
+   */
+  static async linkKnowledgeBase(agentId, knowledgeBaseId, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Check permissions
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: agent.createdBy,
+        userId,
+      });
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to update this agent');
+      }
+
+      this.assertEditable(agent);
+      const knowledgeBase = await KnowledgeBaseService.getKnowledgeBaseById(
+        knowledgeBaseId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      const linkedIds = agent.getLinkedKnowledgeBaseIds();
+      if (linkedIds.includes(knowledgeBase.id)) {
+        throw new ConflictError('Knowledge base is already linked to this agent');
+      }
+      if (linkedIds.length >= RETRIEVAL_LIMITS.MAX_LINKED_KNOWLEDGE_BASES) {
+        throw new ValidationError(
+          `Agents can link at most ${RETRIEVAL_LIMITS.MAX_LINKED_KNOWLEDGE_BASES} knowledge bases`,
+          'knowledgeBaseId'
+        );
+      }
+
+      agent.knowledgeBase.push({
+        id: knowledgeBase.id,
+        name: knowledgeBase.kb_name,
+        type: 'document',
+      });
+      await agent.save();
+      await this.publishEdit(agent, userId, organizationId);
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_UPDATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          step: 'knowledgeBase',
+          linkedKnowledgeBase: knowledgeBase.id,
+        },
+      });
+
+      logger.info('Knowledge base linked to agent:', {
+        agentId: agent._id,
+        kbId: knowledgeBase._id,
+        linkedBy: userId,
+      });
+
+      return agent;
+    } catch (error) {
+      logger.error('Failed to link knowledge base:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop retrieving from a linked knowledge base. The knowledge base itself is kept.
+   */
+  static async unlinkKnowledgeBase(agentId, knowledgeBaseId, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getAgentById(agentId, userId, organizationId, userRole);
+
+      // Check permissions
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: agent.createdBy,
+        userId,
+      });
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to update this agent');
+      }
+
+      this.assertEditable(agent);
+
+      const item = agent.knowledgeBase.find(
+        (entry) => entry.type === 'document' && entry.id === knowledgeBaseId
+      );
+      if (!item) {
+        throw new NotFoundError('Linked knowledge base');
+      }
+
+      agent.knowledgeBase.pull(item._id);
+      await agent.save();
+      await this.publishEdit(agent, userId, organizationId);
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_UPDATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          step: 'knowledgeBase',
+          unlinkedKnowledgeBase: knowledgeBaseId,
+        },
+      });
+
+      logger.info('Knowledge base unlinked from agent:', {
+        agentId: agent._id,
+        kbId: knowledgeBaseId,
+        unlinkedBy: userId,
+      });
+
+      return agent;
+    } catch (error) {
+      logger.error('Failed to unlink knowledge base:', error);
+      throw error;
+    }
+  }
+
   /**
    * Handle demo form submission
    */
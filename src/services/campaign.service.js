@@ -1,18 +1,40 @@
 /* eslint-disable no-underscore-dangle */
 // src/services/campaign.service.js - Campaign service
+const Promise = require('bluebird');
+const _ = require('lodash');
 const Campaign = require('../models/Campaign');
 const Agent = require('../models/Agent');
+const Contact = require('../models/Contact');
+const Call = require('../models/Call');
 const AuditLog = require('../models/AuditLog');
 const PermissionService = require('./permission.service');
+const StorageService = require('./storage.service');
 const {
   NotFoundError,
   AuthorizationError,
   ValidationError,
   ConflictError,
 } = require('../utils/errors');
-const { AUDIT_ACTIONS, PERMISSIONS } = require('../utils/constants');
+const { queueCampaignDialing } = require('../jobs/campaign.jobs');
+const {
+  AUDIT_ACTIONS,
+  PERMISSIONS,
+  CALL_DISPOSITIONS,
+  DISPOSITION_GROUPS,
+} = require('../utils/constants');
 const logger = require('../config/logger');
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const percent = (count, total) => (total > 0 ? Number(((count / total) * 100).toFixed(2)) : 0);
+
+const countDispositions = () => Object.fromEntries(CALL_DISPOSITIONS.map((name) => [name, 0]));
+
+// Counts the contacts whose calls include one of a group's dispositions
+const countContactsIn = (group) => ({
+  $sum: { $cond: [{ $gt: [{ $size: { $setIntersection: ['$dispositions', group] } }, 0] }, 1, 0] },
+});
+
 class CampaignService {
   /**
    * Create a new campaign
@@ -139,7 +161,7 @@ class CampaignService {
         organizationId,
         isActive: true,
         deletedAt: null,
-      }).populate('agent', 'name type status voiceType voice');
+      }).populate('agent', 'name type status voiceType voice version');
 
       if (!campaign) {
         throw new NotFoundError('Campaign');
@@ -179,13 +201,14 @@ class CampaignService {
         throw new AuthorizationError('Insufficient permissions to update this campaign');
       }
 
-      // Validate status transitions
+      // Validate status transitions. Campaigns only run through startCampaign,
+      // which checks the agent and contacts and pins the agent version.
       if (updateData.status) {
         const validTransitions = {
           draft: ['scheduled', 'cancelled'],
-          scheduled: ['running', 'paused', 'cancelled'],
+          scheduled: ['paused', 'cancelled'],
           running: ['paused', 'completed', 'cancelled'],
-          paused: ['running', 'completed', 'cancelled'],
+          paused: ['completed', 'cancelled'],
           completed: [],
           cancelled: [],
         };
@@ -209,8 +232,12 @@ class CampaignService {
         }
       }
 
-      // Update campaign
-      Object.assign(campaign, updateData);
+      // Update campaign; calling window settings left out keep their value
+      const { callingWindow, ...fields } = updateData;
+      Object.assign(campaign, fields);
+      Object.entries(callingWindow || {}).forEach(([key, value]) => {
+        campaign.set(`callingWindow.${key}`, value);
+      });
       await campaign.save();
 
       // Create audit log
@@ -250,22 +277,44 @@ class CampaignService {
         throw new AuthorizationError('Insufficient permissions to update this campaign');
       }
 
-      // Process uploaded files if any
+      // Store uploaded files, replacing the ones uploaded before
       if (callConfigData.files && callConfigData.files.length > 0) {
-        const processedFiles = callConfigData.files.map((file) => ({
-          filename: file.filename,
-          path: file.path,
-          mimetype: file.mimetype,
-          size: file.size,
-          uploadedAt: new Date(),
-        }));
-        callConfigData.files = processedFiles;
+        await StorageService.assertQuota(
+          organizationId,
+          callConfigData.files.reduce((sum, file) => sum + file.size, 0)
+        );
+        const storedFiles = await Promise.mapSeries(callConfigData.files, async (file) => {
+          const { key, size } = await StorageService.upload(
+            StorageService.buildKey(
+              `campaigns/${organizationId}/${campaign._id}`,
+              file.originalname
+            ),
+            file.buffer,
+            { organizationId, contentType: file.mimetype }
+          );
+
+          return {
+            filename: file.originalname,
+            path: key,
+            mimetype: file.mimetype,
+            size,
+            uploadedAt: new Date(),
+          };
+        });
+
+        await StorageService.remove(this.getStoredFiles(campaign), organizationId);
+        callConfigData.files = storedFiles;
+      } else {
+        delete callConfigData.files;
       }
 
-      // Update call configuration
+      // Update call configuration; policy settings left out keep their value
+      const current = campaign.toObject().callConfig || {};
       campaign.callConfig = {
-        ...campaign.callConfig,
+        ...current,
         ...callConfigData,
+        retry: _.merge({}, current.retry, callConfigData.retry),
+        coolDown: { ...current.coolDown, ...callConfigData.coolDown },
         timeSlots: {
           from: {
             hour: callConfigData.from,
@@ -314,10 +363,11 @@ class CampaignService {
         throw new ConflictError('Cannot delete a running campaign. Please pause it first.');
       }
 
-      // Soft delete
+      // Soft delete; the uploaded files themselves are removed
       campaign.deletedAt = new Date();
       campaign.isActive = false;
       await campaign.save();
+      await StorageService.remove(this.getStoredFiles(campaign), organizationId);
 
       // Create audit log
       await AuditLog.createLog({
@@ -339,6 +389,13 @@ class CampaignService {
     }
   }
 
+  /**
+   * Files uploaded with the campaign's call configuration, as storage keys and sizes
+   */
+  static getStoredFiles(campaign) {
+    return (campaign.callConfig?.files || []).map((file) => ({ key: file.path, size: file.size }));
+  }
+
   /**
    * Start campaign
    */
@@ -366,11 +423,17 @@ class CampaignService {
         throw new ConflictError('Cannot start campaign with unpublished agent');
       }
 
-      // Start campaign
-      await campaign.start();
+      if (!(await Contact.exists({ campaignId: campaign._id, status: 'pending' }))) {
+        throw new ConflictError('Cannot start campaign without contacts to call');
+      }
+
+      // Start campaign, pinning the agent version it runs against
+      await campaign.start(campaign.agent.version);
+      await this.startDialing(campaign._id);
 
       logger.info('Campaign started:', {
         campaignId: campaign._id,
+        agentVersion: campaign.agentVersion,
         startedBy: userId,
       });
 
@@ -381,6 +444,56 @@ class CampaignService {
     }
   }
 
+  /**
+   * Queue a dialer run for a campaign that was just started, rather than waiting
+   * for the dialer's next tick
+   */
+  static async startDialing(campaignId) {
+    try {
+      await queueCampaignDialing(campaignId);
+    } catch (error) {
+      logger.error('Failed to start campaign dialing:', error);
+    }
+  }
+
+  /**
+   * Calls placed by a campaign's dialer, newest first
+   */
+  static async getCampaignCalls(campaignId, query, userId, organizationId, userRole) {
+    try {
+      const campaign = await this.getCampaignById(campaignId, userId, organizationId, userRole);
+
+      const { page = 1, limit = 20, status, outcome, disposition, contactId } = query;
+      const filter = { campaignId: campaign._id };
+      if (status) filter.status = status;
+      if (outcome) filter.outcome = outcome;
+      if (disposition) filter.disposition = disposition;
+      if (contactId) filter.contactId = contactId;
+
+      const skip = (page - 1) * limit;
+      const [calls, total] = await Promise.all([
+        Call.find(filter)
+          .populate('contactId', 'firstName lastName phone')
+          .sort({ createdAt: -1 })
+          .limit(limit)
+          .skip(skip)
+          .lean(),
+        Call.countDocuments(filter),
+      ]);
+
+      return {
+        calls,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      logger.error('Failed to get campaign calls:', error);
+      throw error;
+    }
+  }
+
   /**
    * Pause campaign
    */
@@ -454,9 +567,91 @@ class CampaignService {
   }
 
   /**
-   * Get campaign analytics
+   * Set the disposition of a campaign call by hand. The campaign's stats follow
+   * for a call that has ended, and a contact reached on their latest call is not
+   * called again.
    */
-  static async getCampaignAnalytics(campaignId, userId, organizationId, userRole) {
+  static async setCallDisposition(
+    campaignId,
+    callId,
+    { disposition, note },
+    userId,
+    organizationId,
+    userRole
+  ) {
+    try {
+      const campaign = await this.getCampaignById(campaignId, userId, organizationId, userRole);
+
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: campaign.createdBy,
+        userId,
+      });
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to update this campaign');
+      }
+
+      const call = await Call.findOne({ _id: callId, campaignId: campaign._id });
+      if (!call) {
+        throw new NotFoundError('Call');
+      }
+
+      if (call.status === 'failed') {
+        throw new ConflictError('Calls that could not be placed have no disposition');
+      }
+
+      const previous = call.disposition;
+      call.set({
+        disposition,
+        dispositionSource: 'user',
+        dispositionBy: userId,
+        dispositionNote: note,
+        dispositionAt: new Date(),
+      });
+      await call.save();
+
+      // Calls in progress are counted when the dialer ends them
+      if (call.status === 'completed') {
+        if (previous !== disposition) {
+          await Campaign.changeDisposition(campaign._id, previous, disposition);
+        }
+
+        const latest = await Call.findOne({ contactId: call.contactId })
+          .sort({ attempt: -1, createdAt: -1 })
+          .select('_id');
+        if (latest?._id.equals(call._id)) {
+          const reached = DISPOSITION_GROUPS.REACHED.includes(disposition);
+          await Contact.updateOne({ _id: call.contactId }, { $set: { disposition } });
+          if (reached) {
+            await Contact.updateOne(
+              { _id: call.contactId, status: 'pending' },
+              { $set: { status: 'called' }, $unset: { nextCallAt: 1 } }
+            );
+          }
+        }
+      }
+
+      logger.info('Campaign call disposition set:', {
+        campaignId: campaign._id,
+        callId: call._id,
+        disposition,
+        previous,
+        setBy: userId,
+      });
+
+      return call;
+    } catch (error) {
+      logger.error('Failed to set call disposition:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get campaign analytics: overall stats, calls by disposition, the contact
+   * funnel from called to converted and a daily series in the campaign's time
+   * zone, for calls started between `startDate` and `endDate` when given
+   */
+  static async getCampaignAnalytics(campaignId, query, userId, organizationId, userRole) {
     try {
       const campaign = await this.getCampaignById(campaignId, userId, organizationId, userRole);
 
@@ -468,19 +663,105 @@ class CampaignService {
         throw new AuthorizationError('Insufficient permissions to view campaign analytics');
       }
 
+      const { startDate, endDate } = query || {};
+      const match = { campaignId: campaign._id };
+      if (startDate || endDate) {
+        match.startedAt = _.omitBy(
+          { $gte: startDate && new Date(startDate), $lte: endDate && new Date(endDate) },
+          _.isNil
+        );
+      }
+
+      const [contacts, [reach], daily] = await Promise.all([
+        Contact.countDocuments({ campaignId: campaign._id }),
+        Call.aggregate([
+          { $match: match },
+          { $group: { _id: '$contactId', dispositions: { $addToSet: '$disposition' } } },
+          {
+            $group: {
+              _id: null,
+              called: { $sum: 1 },
+              reached: countContactsIn(DISPOSITION_GROUPS.REACHED),
+              interested: countContactsIn(DISPOSITION_GROUPS.INTERESTED),
+              converted: countContactsIn(DISPOSITION_GROUPS.CONVERTED),
+            },
+          },
+        ]),
+        Call.aggregate([
+          { $match: match },
+          {
+            $group: {
+              _id: {
+                date: {
+                  $dateToString: {
+                    format: '%Y-%m-%d',
+                    date: '$startedAt',
+                    timezone: campaign.timeZone || 'UTC',
+                  },
+                },
+                disposition: '$disposition',
+              },
+              count: { $sum: 1 },
+            },
+          },
+        ]),
+      ]);
+
+      const dispositions = countDispositions();
+      const days = new Map();
+      daily.forEach(({ _id: { date, disposition }, count }) => {
+        if (!days.has(date)) {
+          days.set(date, { date, calls: 0, reached: 0, dispositions: countDispositions() });
+        }
+        const day = days.get(date);
+        day.calls += count;
+        if (CALL_DISPOSITIONS.includes(disposition)) {
+          day.dispositions[disposition] += count;
+          dispositions[disposition] += count;
+        }
+        if (DISPOSITION_GROUPS.REACHED.includes(disposition)) day.reached += count;
+      });
+
+      // Every day from the first call to the last, with no gaps
+      const dates = [...days.keys()].sort();
+      const timeSeries = [];
+      if (dates.length) {
+        const last = Date.parse(`${dates[dates.length - 1]}T00:00:00Z`);
+        for (let time = Date.parse(`${dates[0]}T00:00:00Z`); time <= last; time += DAY_MS) {
+          const date = new Date(time).toISOString().slice(0, 10);
+          timeSeries.push(
+            days.get(date) || { date, calls: 0, reached: 0, dispositions: countDispositions() }
+          );
+        }
+      }
+
+      const stages = [
+        ['contacts', contacts],
+        ['called', reach?.called || 0],
+        ['reached', reach?.reached || 0],
+        ['interested', reach?.interested || 0],
+        ['converted', reach?.converted || 0],
+      ];
+      const funnel = stages.map(([stage, count], index) => ({
+        stage,
+        count,
+        rate: percent(count, contacts),
+        stepRate: index ? percent(count, stages[index - 1][1]) : 100,
+      }));
+
       return {
         basic: campaign.stats,
         duration: campaign.duration,
         status: campaign.status,
         timeSlots: campaign.callConfig?.timeSlots,
         performance: {
-          successRate:
-            campaign.stats.totalCalls > 0
-              ? (campaign.stats.successfulCalls / campaign.stats.totalCalls) * 100
-              : 0,
+          answerRate: campaign.stats.answerRate,
           averageCallDuration: campaign.stats.averageCallDuration,
           conversionRate: campaign.stats.conversionRate,
         },
+        dispositions,
+        funnel,
+        timeSeries,
       };
     } catch (error) {
       logger.error('Failed to get campaign analytics:', error);
@@ -0,0 +1,561 @@
+/* eslint-disable no-underscore-dangle */
+// src/services/contact.service.js - Contacts of outbound campaigns and their import
+const { Readable } = require('stream');
+const Promise = require('bluebird');
+const _ = require('lodash');
+const csvParser = require('csv-parser');
+const Contact = require('../models/Contact');
+const Call = require('../models/Call');
+const CampaignService = require('./campaign.service');
+const PermissionService = require('./permission.service');
+const { normalizePhone, getCountry, getPhoneCountry } = require('../utils/phone');
+const { isValidTimeZone } = require('../utils/callingWindow');
+const { isZip, readSheet } = require('../utils/xlsx');
+const { isValidEmail } = require('../utils/helpers');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError,
+  ConflictError,
+} = require('../utils/errors');
+const { PERMISSIONS, CONTACT_IMPORT } = require('../utils/constants');
+const logger = require('../config/logger');
+
+// Column headers recognized without an explicit mapping, compared lowercased
+// with punctuation removed
+const COLUMN_ALIASES = {
+  phone: ['phone', 'phone number', 'mobile', 'mobile number', 'cell', 'telephone', 'number'],
+  firstName: ['first name', 'firstname', 'first', 'given name'],
+  lastName: ['last name', 'lastname', 'last', 'surname', 'family name'],
+  name: ['name', 'full name', 'contact name'],
+  email: ['email', 'email address', 'e mail'],
+  country: ['country', 'country code'],
+  timeZone: ['time zone', 'timezone', 'tz'],
+};
+
+const CONTACT_FIELDS = ['country', 'firstName', 'lastName', 'email', 'timeZone'];
+
+const normalizeHeader = (header) =>
+  String(header)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+
+class ContactService {
+  /**
+   * Campaign whose contacts the user may change
+   */
+  static async getEditableCampaign(campaignId, userId, organizationId, userRole) {
+    const campaign = await CampaignService.getCampaignById(
+      campaignId,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+      resourceOwnerId: campaign.createdBy,
+      userId,
+    });
+
+    if (!hasPermission) {
+      throw new AuthorizationError('Insufficient permissions to update this campaign');
+    }
+
+    if (['completed', 'cancelled'].includes(campaign.status)) {
+      throw new ConflictError(`Cannot change the contacts of a ${campaign.status} campaign`);
+    }
+
+    return campaign;
+  }
+
+  /**
+   * Contacts of a campaign with filtering and pagination
+   */
+  static async getContacts(campaignId, query, userId, organizationId, userRole) {
+    try {
+      const campaign = await CampaignService.getCampaignById(
+        campaignId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      const { page = 1, limit = 20, status, disposition, search } = query;
+      const filter = { organizationId, campaignId: campaign._id };
+
+      if (status) filter.status = status;
+      if (disposition) filter.disposition = disposition;
+      if (search) {
+        const pattern = { $regex: _.escapeRegExp(search), $options: 'i' };
+        filter.$or = [{ firstName: pattern }, { lastName: pattern }, { phone: pattern }];
+      }
+
+      const skip = (page - 1) * limit;
+      const [contacts, total] = await Promise.all([
+        Contact.find(filter).sort({ createdAt: 1 }).limit(limit).skip(skip),
+        Contact.countDocuments(filter),
+      ]);
+
+      return {
+        contacts,
+        total,
+        page,
+        limit,
+        pages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      logger.error('Failed to get contacts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * A contact of a campaign with the history of calls placed to them
+   */
+  static async getContact(campaignId, contactId, userId, organizationId, userRole) {
+    try {
+      const campaign = await CampaignService.getCampaignById(
+        campaignId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      const contact = await Contact.findOne({ _id: contactId, campaignId: campaign._id });
+      if (!contact) {
+        throw new NotFoundError('Contact');
+      }
+
+      const attempts = await Call.find({ contactId: contact._id })
+        .sort({ attempt: 1, startedAt: 1 })
+        .select('attempt status outcome error startedAt endedAt duration retryAt roomName');
+
+      return { contact, attempts };
+    } catch (error) {
+      logger.error('Failed to get contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add one contact to a campaign
+   */
+  static async createContact(campaignId, contactData, userId, organizationId, userRole) {
+    try {
+      const campaign = await this.getEditableCampaign(campaignId, userId, organizationId, userRole);
+
+      const { country, ...fields } = contactData;
+      const phone = this.parsePhone(fields.phone, country || campaign.callConfig?.country);
+
+      if (await Contact.exists({ campaignId: campaign._id, phone })) {
+        throw new ConflictError('A contact with this phone number is already in the campaign');
+      }
+
+      const contact = await Contact.create({
+        ...fields,
+        phone,
+        country: getPhoneCountry(phone),
+        organizationId,
+        campaignId: campaign._id,
+        source: { type: 'manual' },
+        createdBy: userId,
+      });
+
+      logger.info('Contact added:', { campaignId: campaign._id, contactId: contact._id });
+
+      return contact;
+    } catch (error) {
+      logger.error('Failed to create contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a contact's details, custom fields or status
+   */
+  static async updateContact(campaignId, contactId, updateData, userId, organizationId, userRole) {
+    try {
+      const campaign = await this.getEditableCampaign(campaignId, userId, organizationId, userRole);
+      const contact = await this.findContact(campaign, contactId);
+
+      const { country, ...fields } = updateData;
+      if (fields.phone) {
+        fields.phone = this.parsePhone(fields.phone, country || campaign.callConfig?.country);
+
+        const duplicate = await Contact.exists({
+          campaignId: campaign._id,
+          phone: fields.phone,
+          _id: { $ne: contact._id },
+        });
+        if (duplicate) {
+          throw new ConflictError('A contact with this phone number is already in the campaign');
+        }
+        fields.country = getPhoneCountry(fields.phone);
+      }
+
+      // A call put off until the contact's window opened is due again when the
+      // window moves
+      if (fields.phone || fields.timeZone !== undefined) {
+        fields.nextCallAt = undefined;
+      }
+
+      contact.set(fields);
+      await contact.save();
+
+      return contact;
+    } catch (error) {
+      logger.error('Failed to update contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a contact from a campaign
+   */
+  static async deleteContact(campaignId, contactId, userId, organizationId, userRole) {
+    try {
+      const campaign = await this.getEditableCampaign(campaignId, userId, organizationId, userRole);
+      const contact = await this.findContact(campaign, contactId);
+
+      await contact.deleteOne();
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete contact:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Import a CSV or XLSX contact list into a campaign. Columns are matched to
+   * contact fields by `mapping` ({ phone: 'Mobile', ... }) or by common header
+   * names; the remaining columns become custom fields unless
+   * `mapping.customFields` picks them. Phone numbers are normalized to E.164,
+   * reading numbers without a country code as `defaultCountry`'s.
+   * Returns counts and a row-level report of the rows that were not imported.
+   */
+  static async importContacts(campaignId, file, options, userId, organizationId, userRole) {
+    try {
+      const campaign = await this.getEditableCampaign(campaignId, userId, organizationId, userRole);
+
+      const { mapping = {}, onDuplicate = 'skip' } = options;
+      const defaultCountry = options.defaultCountry || campaign.callConfig?.country;
+
+      const { headers, rows } = await this.parseFile(file);
+      if (rows.length > CONTACT_IMPORT.MAX_ROWS) {
+        throw new ValidationError(
+          `Contact lists are limited to ${CONTACT_IMPORT.MAX_ROWS} rows per import`
+        );
+      }
+      const columns = this.resolveColumns(headers, mapping);
+
+      const report = {
+        filename: file.originalname,
+        totalRows: rows.length,
+        imported: 0,
+        updated: 0,
+        skipped: 0,
+        failed: 0,
+        errors: [],
+      };
+
+      // Validate rows, keeping the first row for each phone number
+      const firstRowByPhone = new Map();
+      const contacts = [];
+      rows.forEach((row, i) => {
+        const rowNumber = i + 2; // after the header row
+        const { contact, error } = this.mapRow(row, columns, defaultCountry);
+
+        if (error) {
+          report.failed += 1;
+          report.errors.push({ row: rowNumber, ...error });
+        } else if (firstRowByPhone.has(contact.phone)) {
+          report.skipped += 1;
+          report.errors.push({
+            row: rowNumber,
+            field: 'phone',
+            value: contact.phone,
+            message: `Duplicate of row ${firstRowByPhone.get(contact.phone)}`,
+          });
+        } else {
+          firstRowByPhone.set(contact.phone, rowNumber);
+          contacts.push({ ...contact, row: rowNumber });
+        }
+      });
+
+      await Promise.mapSeries(_.chunk(contacts, CONTACT_IMPORT.BATCH_SIZE), async (batch) => {
+        const existing = new Set(
+          await Contact.distinct('phone', {
+            campaignId: campaign._id,
+            phone: { $in: batch.map((contact) => contact.phone) },
+          })
+        );
+
+        const operations = [];
+        batch.forEach(({ row, phone, ...fields }) => {
+          if (existing.has(phone) && onDuplicate === 'skip') {
+            report.skipped += 1;
+            report.errors.push({
+              row,
+              field: 'phone',
+              value: phone,
+              message: 'Already in this campaign',
+            });
+            return;
+          }
+
+          const inserted = {
+            organizationId,
+            campaignId: campaign._id,
+            phone,
+            status: 'pending',
+            source: { type: 'import', filename: file.originalname, row, importedAt: new Date() },
+            createdBy: userId,
+          };
+          operations.push({
+            updateOne: {
+              filter: { campaignId: campaign._id, phone },
+              update: existing.has(phone)
+                ? { $set: fields, $setOnInsert: inserted }
+                : { $setOnInsert: { ...fields, ...inserted } },
+              upsert: true,
+            },
+          });
+        });
+
+        if (operations.length) {
+          const result = await Contact.bulkWrite(operations, { ordered: false });
+          report.imported += result.upsertedCount;
+          report.updated += result.matchedCount;
+        }
+      });
+
+      report.errors.sort((a, b) => a.row - b.row);
+
+      logger.info('Contacts imported:', {
+        campaignId: campaign._id,
+        filename: file.originalname,
+        imported: report.imported,
+        updated: report.updated,
+        skipped: report.skipped,
+        failed: report.failed,
+        importedBy: userId,
+      });
+
+      return report;
+    } catch (error) {
+      logger.error('Failed to import contacts:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Header row and data rows (objects keyed by header) of a CSV or XLSX file.
+   * Excel's MIME type is also sent for CSV files, so the content decides.
+   */
+  static async parseFile(file) {
+    let { buffer } = file;
+    let table;
+
+    if (isZip(buffer)) {
+      try {
+        table = readSheet(buffer, { maxBytes: CONTACT_IMPORT.MAX_XLSX_BYTES });
+      } catch (error) {
+        if (error instanceof ValidationError) throw error;
+        throw new ValidationError(`Could not read the spreadsheet: ${error.message}`);
+      }
+    } else if (buffer.subarray(0, 4).toString('hex') === 'd0cf11e0') {
+      throw new ValidationError(
+        'Legacy .xls files are not supported; save the list as XLSX or CSV'
+      );
+    } else {
+      if (buffer.subarray(0, 3).toString('hex') === 'efbbbf') {
+        buffer = buffer.subarray(3); // UTF-8 byte order mark
+      }
+      table = await this.readCsv(buffer);
+    }
+
+    const [headerRow = [], ...dataRows] = table;
+    const headers = headerRow.map((header) => String(header).trim());
+    if (!headers.some(Boolean)) {
+      throw new ValidationError('The contact list has no header row');
+    }
+
+    const rows = dataRows
+      .filter((values) => values.some((value) => String(value).trim()))
+      .map((values) =>
+        Object.fromEntries(
+          headers.map((header, i) => [header, String(values[i] ?? '').trim()]).filter(([h]) => h)
+        )
+      );
+
+    return { headers: headers.filter(Boolean), rows };
+  }
+
+  /**
+   * CSV rows as arrays of values, header row first
+   */
+  static readCsv(buffer) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+
+      Readable.from([buffer])
+        .pipe(csvParser({ headers: false }))
+        .on('data', (row) => rows.push(Object.values(row)))
+        .on('error', reject)
+        .on('end', () => resolve(rows));
+    });
+  }
+
+  /**
+   * Which column each contact field and custom field reads from
+   */
+  static resolveColumns(headers, mapping) {
+    const { customFields, ...fields } = mapping;
+    const byName = new Map(headers.map((header) => [normalizeHeader(header), header]));
+
+    const columns = {};
+    Object.entries(COLUMN_ALIASES).forEach(([field, aliases]) => {
+      if (fields[field]) {
+        if (!headers.includes(fields[field])) {
+          throw new ValidationError(`Column "${fields[field]}" mapped to ${field} was not found`);
+        }
+        columns[field] = fields[field];
+      } else {
+        columns[field] = aliases.map((alias) => byName.get(alias)).find(Boolean);
+      }
+    });
+
+    if (!columns.phone) {
+      throw new ValidationError('No phone number column found; map one with mapping[phone]');
+    }
+
+    const used = new Set(Object.values(columns));
+    if (customFields) {
+      const missing = Object.values(customFields).find((column) => !headers.includes(column));
+      if (missing) {
+        throw new ValidationError(`Custom field column "${missing}" was not found`);
+      }
+      columns.customFields = customFields;
+    } else {
+      // Keys usable as {{contact.<key>}} placeholders
+      columns.customFields = Object.fromEntries(
+        headers.filter((header) => !used.has(header)).map((header) => [_.camelCase(header), header])
+      );
+    }
+
+    return columns;
+  }
+
+  /**
+   * A contact from one row, or the field that made the row invalid
+   */
+  static mapRow(row, columns, defaultCountry) {
+    const rawPhone = row[columns.phone];
+    if (!rawPhone) {
+      return { error: { field: 'phone', value: '', message: 'Phone number is missing' } };
+    }
+
+    // A country column reads the row's national numbers
+    const rowCountry = columns.country ? row[columns.country] : '';
+    if (rowCountry && !getCountry(rowCountry)) {
+      return {
+        error: { field: 'country', value: rowCountry, message: 'Not a supported ISO country code' },
+      };
+    }
+
+    const phone = normalizePhone(rawPhone, rowCountry || defaultCountry);
+    if (!phone) {
+      return {
+        error: {
+          field: 'phone',
+          value: rawPhone,
+          message: getCountry(rowCountry || defaultCountry)
+            ? 'Not a valid phone number'
+            : 'Not a valid phone number; include the country code or set defaultCountry',
+        },
+      };
+    }
+
+    const email = columns.email ? row[columns.email] : '';
+    if (email && !isValidEmail(email)) {
+      return { error: { field: 'email', value: email, message: 'Not a valid email address' } };
+    }
+
+    const timeZone = columns.timeZone ? row[columns.timeZone] : '';
+    if (timeZone && !isValidTimeZone(timeZone)) {
+      return {
+        error: { field: 'timeZone', value: timeZone, message: 'Not an IANA time zone' },
+      };
+    }
+
+    let firstName = columns.firstName ? row[columns.firstName] : '';
+    let lastName = columns.lastName ? row[columns.lastName] : '';
+    if (!firstName && !lastName && columns.name && row[columns.name]) {
+      [firstName, lastName = ''] = row[columns.name].split(/\s+(.*)/);
+    }
+
+    const customFields = Object.fromEntries(
+      Object.entries(columns.customFields)
+        .map(([key, column]) => [key, row[column]])
+        .filter(([, value]) => value)
+    );
+
+    return {
+      contact: _.omitBy(
+        {
+          phone,
+          country: getPhoneCountry(phone),
+          firstName,
+          lastName,
+          email: email.toLowerCase(),
+          timeZone,
+          customFields,
+        },
+        (value, key) => CONTACT_FIELDS.includes(key) && !value
+      ),
+    };
+  }
+
+  /**
+   * An E.164 phone number, or a ValidationError
+   */
+  static parsePhone(value, defaultCountry) {
+    const phone = normalizePhone(value, defaultCountry);
+    if (!phone) {
+      throw new ValidationError(
+        'Not a valid phone number; use E.164 format (+14155550123) or set country'
+      );
+    }
+    return phone;
+  }
+
+  /**
+   * A contact of the campaign that is not being called right now
+   */
+  static async findContact(campaign, contactId) {
+    const contact = await Contact.findOne({ _id: contactId, campaignId: campaign._id });
+    if (!contact) {
+      throw new NotFoundError('Contact');
+    }
+    if (contact.status === 'calling') {
+      throw new ConflictError('This contact is being called; try again once the call ends');
+    }
+    return contact;
+  }
+
+  /**
+   * Per-call values for the agent's instructions when calling a contact:
+   * {{callerName}}, {{callerPhone}} and {{contact.<field>}}
+   */
+  static getCallVariables(contact) {
+    return {
+      callerName: contact.name || undefined,
+      callerPhone: contact.phone,
+      contact: contact.getTemplateVariables(),
+    };
+  }
+}
+
+module.exports = ContactService;
@@ -0,0 +1,174 @@
+/* eslint-disable no-underscore-dangle */
+const Conversation = require('../models/Conversation');
+const PermissionService = require('./permission.service');
+const { NotFoundError, AuthorizationError } = require('../utils/errors');
+const { PERMISSIONS, CONVERSATION_LIMITS } = require('../utils/constants');
+const logger = require('../config/logger');
+
+class ConversationService {
+  /**
+   * Resume an existing chat session or start a new one
+   */
+  static async getOrCreateSession(agentId, sessionId, userId, organizationId, firstMessage) {
+    try {
+      if (sessionId) {
+        const conversation = await Conversation.findSession(
+          sessionId,
+          agentId,
+          userId,
+          organizationId
+        );
+
+        if (!conversation) {
+          throw new NotFoundError('Chat session');
+        }
+
+        return { conversation, isNew: false };
+      }
+
+      const conversation = await Conversation.create({
+        agentId,
+        organizationId,
+        userId,
+        title: firstMessage.slice(0, CONVERSATION_LIMITS.TITLE_LENGTH),
+      });
+
+      logger.info('Chat session started:', {
+        sessionId: conversation._id,
+        agentId,
+        userId,
+      });
+
+      return { conversation, isNew: true };
+    } catch (error) {
+      logger.error('Failed to resolve chat session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a session whose first turn failed, so it is not listed empty
+   */
+  static async discardSession(conversation) {
+    await Conversation.deleteOne({ _id: conversation._id });
+    logger.info('Empty chat session discarded:', { sessionId: conversation._id });
+  }
+
+  /**
+   * List the caller's chat sessions with an agent
+   */
+  static async getSessions(agentId, query, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read chat sessions');
+      }
+
+      const { page = 1, limit = 20, search } = query;
+
+      const filter = { agentId, userId, organizationId, isActive: true, deletedAt: null };
+
+      if (search) {
+        filter.title = { $regex: search, $options: 'i' };
+      }
+
+      const skip = (page - 1) * limit;
+      const [sessions, total] = await Promise.all([
+        Conversation.find(filter)
+          .select('-messages')
+          .sort({ lastMessageAt: -1, createdAt: -1 })
+          .limit(parseInt(limit, 10))
+          .skip(skip)
+          .lean(),
+        Conversation.countDocuments(filter),
+      ]);
+
+      return {
+        sessions,
+        total,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        pages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      logger.error('Failed to get chat sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a chat session with its full message history
+   */
+  static async getSession(agentId, sessionId, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read chat sessions');
+      }
+
+      const conversation = await Conversation.findSession(
+        sessionId,
+        agentId,
+        userId,
+        organizationId
+      );
+
+      if (!conversation) {
+        throw new NotFoundError('Chat session');
+      }
+
+      return conversation;
+    } catch (error) {
+      logger.error('Failed to get chat session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Rename a chat session
+   */
+  static async renameSession(agentId, sessionId, title, userId, organizationId, userRole) {
+    try {
+      const conversation = await this.getSession(
+        agentId,
+        sessionId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      await conversation.rename(title);
+
+      logger.info('Chat session renamed:', { sessionId, userId });
+
+      return conversation;
+    } catch (error) {
+      logger.error('Failed to rename chat session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a chat session
+   */
+  static async deleteSession(agentId, sessionId, userId, organizationId, userRole) {
+    try {
+      const conversation = await this.getSession(
+        agentId,
+        sessionId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      await conversation.softDelete();
+
+      logger.info('Chat session deleted:', { sessionId, userId });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete chat session:', error);
+      throw error;
+    }
+  }
+}
+
+module.exports = ConversationService;
@@ -0,0 +1,433 @@
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const axios = require('axios');
+const Promise = require('bluebird');
+const config = require('../config');
+const { ValidationError } = require('../utils/errors');
+const { CRAWL_LIMITS } = require('../utils/constants');
+const logger = require('../config/logger');
+
+// Links to files that are not web pages
+const NON_HTML_EXTENSION =
+  /\.(pdf|jpe?g|png|gif|svg|webp|ico|css|js|json|zip|gz|mp3|mp4|mov|avi)$/i;
+
+const decodeXml = (text) =>
+  text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+
+/**
+ * A robots.txt path as a regex: `*` matches anything and a trailing `$` anchors the end
+ */
+const robotsPattern = (path) => {
+  const anchored = path.endsWith('$');
+  const body = (anchored ? path.slice(0, -1) : path)
+    .split('*')
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+};
+
+/**
+ * Loopback, private, link-local and other non-public ranges. IPv4-mapped IPv6
+ * addresses (`::ffff:10.0.0.1`, `::ffff:a00:1`) are checked against the IPv4
+ * ranges; the deprecated IPv4-compatible `::/96` is blocked as a whole
+ */
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 3],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96],
+  ['64:ff9b:1::', 48],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, 'ipv6'));
+
+const isPrivateAddress = (address) =>
+  PRIVATE_RANGES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+/**
+ * A socket lookup that answers with addresses already checked, so the
+ * connection cannot land on a different address than the one validated
+ */
+const pinnedLookup = (addresses) => (hostname, options, callback) => {
+  const matching = addresses.filter(({ family }) => !options.family || family === options.family);
+  if (!matching.length) {
+    callback(Object.assign(new Error(`No checked address for ${hostname}`), { code: 'ENOTFOUND' }));
+  } else if (options.all) {
+    callback(null, matching);
+  } else {
+    callback(null, matching[0].address, matching[0].family);
+  }
+};
+
+/**
+ * Fetches web pages for knowledge bases, honoring robots.txt and the source's
+ * page, depth and domain limits
+ */
+class CrawlerService {
+  /**
+   * Pages of a web source: the page itself, the pages a sitemap lists, or the
+   * pages reached by following links up to `maxDepth` clicks away
+   */
+  static async crawl(source) {
+    const state = {
+      source,
+      maxPages: source.maxPages || CRAWL_LIMITS.DEFAULT_PAGES,
+      maxDepth: source.maxDepth ?? CRAWL_LIMITS.DEFAULT_DEPTH,
+      domains: source.allowedDomains?.length
+        ? source.allowedDomains
+        : [new URL(source.url).hostname],
+      robots: new Map(),
+      lastFetchAt: new Map(),
+      pages: [],
+      skipped: [],
+      failed: [],
+    };
+
+    const seeds =
+      source.type === 'sitemap' ? await this.readSitemap(source.url, state) : [source.url];
+    state.queue = seeds.map((url) => ({ url, depth: 0 }));
+    state.seen = new Set(seeds);
+
+    while (state.queue.length && state.pages.length < state.maxPages) {
+      // Pages are fetched one at a time to be gentle with the site
+      // eslint-disable-next-line no-await-in-loop
+      await this.visit(state.queue.shift(), state);
+    }
+
+    logger.info('Web source crawled:', {
+      url: source.url,
+      type: source.type,
+      pages: state.pages.length,
+      skipped: state.skipped.length,
+      failed: state.failed.length,
+    });
+
+    return { pages: state.pages, skipped: state.skipped, failed: state.failed };
+  }
+
+  /**
+   * Fetch one page and, when crawling links, queue the in-scope pages it links to
+   */
+  static async visit({ url, depth }, state) {
+    if (!this.inScope(url, state.domains) || !(await this.isAllowedByRobots(url, state))) {
+      state.skipped.push(url);
+      return;
+    }
+
+    try {
+      await this.waitForCrawlDelay(url, state);
+      const response = await this.fetch(url);
+
+      if (response.status !== 200 || !/html/i.test(response.contentType)) {
+        state.failed.push({
+          url,
+          error: `Unexpected response: ${response.status} ${response.contentType}`,
+        });
+        return;
+      }
+      if (!this.inScope(response.url, state.domains)) {
+        state.skipped.push(url);
+        return;
+      }
+
+      const html = response.body.toString('utf-8');
+      const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+      state.pages.push({
+        url: response.url,
+        title: title ? decodeXml(title[1]).replace(/\s+/g, ' ').trim() : undefined,
+        body: response.body,
+      });
+
+      if (state.source.type === 'crawl' && depth < state.maxDepth) {
+        this.extractLinks(html, response.url)
+          .filter((link) => !state.seen.has(link) && this.inScope(link, state.domains))
+          .forEach((link) => {
+            state.seen.add(link);
+            state.queue.push({ url: link, depth: depth + 1 });
+          });
+      }
+    } catch (error) {
+      logger.warn('Failed to fetch web page:', { url, error: error.message });
+      state.failed.push({ url, error: error.message });
+    }
+  }
+
+  /**
+   * Page URLs listed by a sitemap, following nested sitemap indexes up to `maxDepth` levels
+   */
+  static async readSitemap(url, state, level = 0) {
+    if (!(await this.isAllowedByRobots(url, state))) return [];
+
+    const response = await this.fetch(url);
+    if (response.status !== 200) {
+      throw new Error(`Sitemap ${url} returned ${response.status}`);
+    }
+
+    const xml = response.body.toString('utf-8');
+    const locations = [...xml.matchAll(/<loc>\s*([^<]+?)\s*<\/loc>/gi)].map((match) =>
+      decodeXml(match[1])
+    );
+
+    if (!/<sitemapindex[\s>]/i.test(xml)) {
+      return locations.slice(0, CRAWL_LIMITS.MAX_PAGES);
+    }
+    if (level >= Math.max(state.maxDepth, 1)) return [];
+
+    const nested = await Promise.mapSeries(locations, (location) =>
+      this.readSitemap(location, state, level + 1).catch((error) => {
+        logger.warn('Failed to read nested sitemap:', { url: location, error: error.message });
+        return [];
+      })
+    );
+    return [...new Set(nested.flat())].slice(0, CRAWL_LIMITS.MAX_PAGES);
+  }
+
+  /**
+   * Absolute http(s) links of a page, without fragments or links to files
+   */
+  static extractLinks(html, baseUrl) {
+    const links = [...html.matchAll(/<a\b[^>]*?\bhref\s*=\s*["']([^"'#][^"']*)["']/gi)]
+      .map((match) => {
+        try {
+          const link = new URL(decodeXml(match[1]), baseUrl);
+          link.hash = '';
+          return link;
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(
+        (link) =>
+          link &&
+          ['http:', 'https:'].includes(link.protocol) &&
+          !NON_HTML_EXTENSION.test(link.pathname)
+      )
+      .map((link) => link.href);
+
+    return [...new Set(links)];
+  }
+
+  /**
+   * Whether a URL's host is one of the domains or a subdomain of one
+   */
+  static inScope(url, domains) {
+    const { hostname } = new URL(url);
+    return domains.some((domain) => hostname === domain || hostname.endsWith(`.${domain}`));
+  }
+
+  /**
+   * Check a URL against its site's robots.txt, fetched once per crawl
+   */
+  static async isAllowedByRobots(url, state) {
+    const { origin, pathname, search } = new URL(url);
+
+    if (!state.robots.has(origin)) {
+      state.robots.set(origin, await this.fetchRobots(origin));
+    }
+
+    return this.isPathAllowed(state.robots.get(origin), `${pathname}${search}`);
+  }
+
+  /**
+   * Rules for this crawler from a site's robots.txt. A missing file allows
+   * everything; one that cannot be read disallows everything.
+   */
+  static async fetchRobots(origin) {
+    try {
+      const response = await this.fetch(`${origin}/robots.txt`);
+      if (response.status >= 400 && response.status < 500) return { rules: [] };
+      if (response.status !== 200) return { rules: [{ allow: false, path: '/' }] };
+
+      return this.parseRobots(response.body.toString('utf-8'), config.crawler.userAgent);
+    } catch (error) {
+      logger.warn('Failed to read robots.txt:', { origin, error: error.message });
+      return { rules: [{ allow: false, path: '/' }] };
+    }
+  }
+
+  /**
+   * The group of robots.txt rules for our user agent, or the `*` group
+   */
+  static parseRobots(text, userAgent) {
+    const agent = userAgent.split('/')[0].toLowerCase();
+    const groups = [];
+    let current = null;
+    let readingAgents = false;
+
+    text.split(/\r?\n/).forEach((raw) => {
+      const line = raw.replace(/#.*$/, '').trim();
+      const separator = line.indexOf(':');
+      if (separator === -1) return;
+
+      const field = line.slice(0, separator).trim().toLowerCase();
+      const value = line.slice(separator + 1).trim();
+
+      if (field === 'user-agent') {
+        // Consecutive user-agent lines share one group
+        if (!readingAgents) {
+          current = { agents: [], rules: [], crawlDelay: undefined };
+          groups.push(current);
+        }
+        current.agents.push(value.toLowerCase());
+        readingAgents = true;
+        return;
+      }
+
+      readingAgents = false;
+      if (!current) return;
+
+      if ((field === 'allow' || field === 'disallow') && value) {
+        current.rules.push({ allow: field === 'allow', path: value });
+      } else if (field === 'crawl-delay' && !Number.isNaN(Number(value))) {
+        current.crawlDelay = Number(value);
+      }
+    });
+
+    const group =
+      groups.find((candidate) =>
+        candidate.agents.some((name) => name !== '*' && agent.includes(name))
+      ) || groups.find((candidate) => candidate.agents.includes('*'));
+
+    return group ? { rules: group.rules, crawlDelay: group.crawlDelay } : { rules: [] };
+  }
+
+  /**
+   * The longest matching rule decides; allow wins a tie and no match allows
+   */
+  static isPathAllowed(robots, path) {
+    let decision = { allow: true, length: -1 };
+
+    robots.rules.forEach((rule) => {
+      if (!robotsPattern(rule.path).test(path)) return;
+
+      const { length } = rule.path;
+      if (length > decision.length || (length === decision.length && rule.allow)) {
+        decision = { allow: rule.allow, length };
+      }
+    });
+
+    return decision.allow;
+  }
+
+  /**
+   * Wait out the site's crawl delay since the last request to the same host
+   */
+  static async waitForCrawlDelay(url, state) {
+    const { origin } = new URL(url);
+    const { crawlDelay } = state.robots.get(origin) || {};
+    const last = state.lastFetchAt.get(origin);
+
+    if (crawlDelay && last) {
+      const wait =
+        Math.min(crawlDelay * 1000, CRAWL_LIMITS.MAX_CRAWL_DELAY_MS) - (Date.now() - last);
+      if (wait > 0) await Promise.delay(wait);
+    }
+    state.lastFetchAt.set(origin, Date.now());
+  }
+
+  /**
+   * GET a URL, following redirects only to public addresses
+   */
+  static async fetch(url, redirects = 0) {
+    const pinned = await this.publicRequestOptions(url);
+
+    const response = await axios.get(url, {
+      ...pinned,
+      responseType: 'arraybuffer',
+      timeout: CRAWL_LIMITS.TIMEOUT_MS,
+      maxRedirects: 0,
+      maxContentLength: CRAWL_LIMITS.MAX_PAGE_BYTES,
+      headers: {
+        'User-Agent': config.crawler.userAgent,
+        Accept: 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+      },
+      validateStatus: () => true,
+    });
+
+    const { location } = response.headers;
+    if (response.status >= 300 && response.status < 400 && location) {
+      if (redirects >= CRAWL_LIMITS.MAX_REDIRECTS) {
+        throw new Error(`Too many redirects from ${url}`);
+      }
+      return this.fetch(new URL(location, url).href, redirects + 1);
+    }
+
+    return {
+      url,
+      status: response.status,
+      contentType: response.headers['content-type'] || '',
+      body: Buffer.from(response.data),
+    };
+  }
+
+  /**
+   * Only http(s) URLs on public addresses may be fetched, so a source cannot
+   * reach internal services. Resolves to the addresses checked, or null when
+   * private networks are allowed
+   */
+  static async assertPublicUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw new ValidationError(`Invalid URL: ${url}`);
+    }
+
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+      throw new ValidationError(`Only http and https URLs can be fetched: ${url}`);
+    }
+    if (config.crawler.allowPrivateNetworks) return null;
+
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    let addresses = [{ address: hostname, family: net.isIP(hostname) }];
+    if (!net.isIP(hostname)) {
+      addresses = await dns.lookup(hostname, { all: true }).catch(() => {
+        throw new ValidationError(`Could not resolve ${hostname}`);
+      });
+    }
+
+    if (!addresses.length || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw new ValidationError(`URL does not resolve to a public address: ${url}`);
+    }
+    return addresses;
+  }
+
+  /**
+   * Axios options for a request to a public URL: the connection goes to the
+   * addresses `assertPublicUrl` checked rather than resolving the host again,
+   * so a DNS answer that changes between the check and the request is not
+   * followed. Call it again for every redirect target
+   */
+  static async publicRequestOptions(url) {
+    const addresses = await this.assertPublicUrl(url);
+    if (!addresses) return {};
+
+    const lookup = pinnedLookup(addresses);
+    return {
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup }),
+      proxy: false,
+    };
+  }
+}
+
+module.exports = CrawlerService;
@@ -0,0 +1,465 @@
+/* eslint-disable no-underscore-dangle */
+// src/services/dialer.service.js - Places a running campaign's calls
+const Promise = require('bluebird');
+const Campaign = require('../models/Campaign');
+const Contact = require('../models/Contact');
+const Call = require('../models/Call');
+const Organization = require('../models/Organization');
+const LiveKitService = require('./livekit.service');
+const ContactService = require('./contact.service');
+const { queueCampaignDialing } = require('../jobs/campaign.jobs');
+const { evaluateCallingWindow } = require('../utils/callingWindow');
+const {
+  DIALER,
+  CALL_OUTCOMES,
+  CALL_DISPOSITIONS,
+  DISPOSITION_GROUPS,
+} = require('../utils/constants');
+const logger = require('../config/logger');
+
+const ACTIVE = { $in: DIALER.ACTIVE_CALL_STATUSES };
+
+// The outcome a disposition implies: a call that reached a person was answered
+const dispositionOutcome = (disposition) => {
+  if (!disposition) return undefined;
+  return DISPOSITION_GROUPS.REACHED.includes(disposition) ? 'answered' : disposition;
+};
+
+class DialerService {
+  /**
+   * Queue a dialer run for every running campaign and every campaign that still
+   * has calls in progress, e.g. after being paused. Organizations' call slots
+   * are recounted first.
+   */
+  static async queueActiveCampaigns() {
+    await this.reconcileCallSlots();
+
+    const [running, withCalls] = await Promise.all([
+      Campaign.distinct('_id', { status: 'running', isActive: true }),
+      Call.distinct('campaignId', { status: ACTIVE }),
+    ]);
+
+    const campaignIds = [...new Set([...running, ...withCalls].map((id) => id.toString()))];
+    await Promise.map(campaignIds, (campaignId) => queueCampaignDialing(campaignId), {
+      concurrency: 10,
+    });
+
+    return campaignIds.length;
+  }
+
+  /**
+   * One dialer pass over a campaign: settle calls that ended, then, while the
+   * campaign is running and between its start and end time, call pending
+   * contacts up to the campaign's and the organization's concurrency limits.
+   * Contacts outside their calling window are put off until it opens. A campaign
+   * that is past its end time or has no one left to call is completed.
+   */
+  static async dialCampaign(campaignId, now = new Date()) {
+    try {
+      const campaign = await Campaign.findById(campaignId);
+      if (!campaign) return { placed: 0 };
+
+      const active = await this.settleCalls(campaign, now);
+
+      if (campaign.status !== 'running') {
+        return { placed: 0, active };
+      }
+
+      if (now > campaign.endTime) {
+        await this.completeCampaign(campaign, 'end time reached');
+        return { placed: 0, active };
+      }
+
+      if (!campaign.isWithinSchedule(now)) {
+        return { placed: 0, active };
+      }
+
+      const slots = this.getAvailableSlots(campaign, active);
+      const organization = await Organization.findOne({
+        clerkId: campaign.organizationId,
+      }).select('limits.maxConcurrentCalls');
+      const limit = organization?.limits?.maxConcurrentCalls ?? -1;
+
+      let placed = 0;
+      let deferred = 0;
+      while (placed < slots && deferred < DIALER.MAX_WINDOW_SKIPS) {
+        // A campaign paused or completed meanwhile places no more calls
+        // eslint-disable-next-line no-await-in-loop
+        if (!(await Campaign.exists({ _id: campaign._id, status: 'running' }))) break;
+
+        // Other campaigns of the organization dial at the same time
+        // eslint-disable-next-line no-await-in-loop
+        if (!(await this.reserveCallSlot(campaign.organizationId, limit))) break;
+
+        // eslint-disable-next-line no-await-in-loop
+        const contact = await this.claimNextContact(campaign, now);
+        const window = contact && evaluateCallingWindow(campaign, contact, now);
+        if (window?.open) {
+          // eslint-disable-next-line no-await-in-loop
+          await this.placeCall(campaign, contact, now);
+          placed += 1;
+        } else {
+          // eslint-disable-next-line no-await-in-loop
+          await this.releaseCallSlot(campaign.organizationId);
+          if (!contact) break;
+
+          // eslint-disable-next-line no-await-in-loop
+          await this.deferContact(campaign, contact, window);
+          deferred += 1;
+        }
+      }
+
+      if (!placed && !active && !(await Contact.exists({ campaignId, status: 'pending' }))) {
+        await this.completeCampaign(campaign, 'all contacts called');
+      }
+
+      return { placed, active };
+    } catch (error) {
+      logger.error('Failed to dial campaign:', { campaignId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Calls the campaign may place now: its own limit less its calls in progress.
+   * The organization's plan limit is held by reserveCallSlot.
+   */
+  static getAvailableSlots(campaign, active) {
+    return Math.max(
+      0,
+      Math.min(campaign.maxConcurrentCalls || 1, DIALER.MAX_CONCURRENT_CALLS) - active
+    );
+  }
+
+  /**
+   * Count a call towards the organization's calls in progress if it stays within
+   * `limit` (-1 for unlimited). The check and the increment are one update, so
+   * campaigns dialing in parallel cannot overshoot the limit together.
+   */
+  static async reserveCallSlot(organizationId, limit) {
+    const filter = { clerkId: organizationId };
+    if (limit !== -1) {
+      filter.$expr = { $lt: [{ $ifNull: ['$usage.activeCalls', 0] }, limit] };
+    }
+
+    const { matchedCount } = await Organization.updateOne(filter, {
+      $inc: { 'usage.activeCalls': 1 },
+    });
+    return matchedCount > 0;
+  }
+
+  static async releaseCallSlot(organizationId) {
+    await Organization.updateOne({ clerkId: organizationId }, [
+      {
+        $set: {
+          'usage.activeCalls': {
+            $max: [0, { $subtract: [{ $ifNull: ['$usage.activeCalls', 0] }, 1] }],
+          },
+        },
+      },
+    ]);
+  }
+
+  /**
+   * Reset each organization's calls in progress to its active calls. A worker
+   * that stops between reserving a slot and recording the call, or between
+   * ending a call and releasing its slot, would otherwise hold the slot for
+   * good. Organizations whose count changed since it was read are left to the
+   * next tick.
+   */
+  static async reconcileCallSlots() {
+    const active = await Call.aggregate([
+      { $match: { status: ACTIVE } },
+      { $group: { _id: '$organizationId', count: { $sum: 1 } } },
+    ]);
+    const counts = new Map(active.map(({ _id: organizationId, count }) => [organizationId, count]));
+
+    const organizations = await Organization.find({
+      $or: [{ 'usage.activeCalls': { $gt: 0 } }, { clerkId: { $in: [...counts.keys()] } }],
+    })
+      .select('clerkId usage.activeCalls')
+      .lean();
+
+    const drifted = organizations.filter(
+      ({ clerkId, usage }) => (usage?.activeCalls || 0) !== (counts.get(clerkId) || 0)
+    );
+    await Promise.map(
+      drifted,
+      ({ clerkId, usage }) =>
+        Organization.updateOne(
+          { clerkId, 'usage.activeCalls': usage?.activeCalls ?? null },
+          { $set: { 'usage.activeCalls': counts.get(clerkId) || 0 } }
+        ),
+      { concurrency: 10 }
+    );
+
+    if (drifted.length) {
+      logger.warn('Recounted call slots of organizations:', {
+        organizations: drifted.map(({ clerkId }) => clerkId),
+      });
+    }
+    return drifted.length;
+  }
+
+  /**
+   * Take the campaign's next pending contact that is due, so no other dialer run
+   * calls it
+   */
+  static claimNextContact(campaign, now) {
+    return Contact.findOneAndUpdate(
+      {
+        campaignId: campaign._id,
+        status: 'pending',
+        $or: [{ nextCallAt: null }, { nextCallAt: { $lte: now } }],
+      },
+      { $set: { status: 'calling' } },
+      { sort: { createdAt: 1, _id: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Hand a claimed contact back until their calling window next opens, or until
+   * the campaign ends when it does not open again before then
+   */
+  static async deferContact(campaign, contact, window) {
+    await Contact.updateOne(
+      { _id: contact._id, status: 'calling' },
+      { $set: { status: 'pending', nextCallAt: window.nextOpenAt || campaign.endTime } }
+    );
+
+    logger.debug('Campaign call put off until the calling window opens:', {
+      campaignId: campaign._id,
+      contactId: contact._id,
+      timeZone: window.timeZone,
+      reason: window.reason,
+      nextOpenAt: window.nextOpenAt,
+    });
+  }
+
+  /**
+   * Place a SIP call to a contact with the campaign's agent, in a call slot
+   * reserved for it. A call that cannot be placed ends as failed; when not even
+   * its record could be created, the contact goes back to pending and the slot
+   * is released.
+   */
+  static async placeCall(campaign, contact, now = new Date()) {
+    let call;
+
+    try {
+      const { attemptCount } = await Contact.findByIdAndUpdate(
+        contact._id,
+        { $inc: { attemptCount: 1 }, $set: { lastCalledAt: now } },
+        { new: true }
+      );
+      call = await Call.create({
+        organizationId: campaign.organizationId,
+        campaignId: campaign._id,
+        contactId: contact._id,
+        agentId: campaign.agent,
+        agentVersion: campaign.agentVersion,
+        phoneNumber: contact.phone,
+        attempt: attemptCount,
+        startedAt: now,
+      });
+
+      const session = await LiveKitService.createSipCall(
+        campaign.agent.toString(),
+        contact.phone,
+        campaign.createdBy,
+        campaign.organizationId,
+        {
+          roomName: `campaign_call_${call.id}`,
+          participantName: contact.name || `caller_${contact.phone}`,
+          roomDuration: this.getMaxCallSeconds(campaign),
+          sipOptions: { callerId: campaign.dialingNumber },
+          agentVersion: campaign.agentVersion,
+          variables: {
+            ...ContactService.getCallVariables(contact),
+            campaign: { id: campaign.id, campaignName: campaign.campaignName },
+          },
+          agentMetadata: {
+            campaignId: campaign.id,
+            contactId: contact.id,
+            callId: call.id,
+            attempt: attemptCount,
+            inactiveDuration: campaign.callConfig?.inactiveDuration,
+          },
+        }
+      );
+
+      call.set({
+        status: 'in_progress',
+        roomName: session.roomName,
+        dispatchId: session.agentDispatch?.id,
+      });
+      await call.save();
+
+      logger.info('Campaign call placed:', {
+        campaignId: campaign._id,
+        contactId: contact._id,
+        callId: call._id,
+        roomName: session.roomName,
+      });
+    } catch (error) {
+      logger.error('Failed to place campaign call:', {
+        campaignId: campaign._id,
+        contactId: contact._id,
+        error: error.message,
+      });
+
+      if (call) {
+        await this.endCall(campaign, call, 'failed', error.message, now);
+      } else {
+        await this.releaseContact(contact._id);
+        await this.releaseCallSlot(campaign.organizationId);
+      }
+    }
+
+    return call;
+  }
+
+  /**
+   * Hand a claimed contact back to be called by a later run
+   */
+  static async releaseContact(contactId) {
+    await Contact.updateOne({ _id: contactId, status: 'calling' }, { $set: { status: 'pending' } });
+  }
+
+  /**
+   * Longest a campaign's calls may run, in seconds
+   */
+  static getMaxCallSeconds(campaign) {
+    return Math.min(
+      campaign.callConfig?.maxCallDuration || DIALER.MAX_CALL_SECONDS,
+      DIALER.MAX_CALL_SECONDS
+    );
+  }
+
+  /**
+   * Close the campaign's calls whose LiveKit room is gone, hang up calls that ran
+   * past the maximum duration and fail calls stuck dialing. Outcomes and
+   * dispositions the agent reports in the room's metadata are kept on the call
+   * meanwhile. Returns the number of calls still in progress.
+   */
+  static async settleCalls(campaign, now = new Date()) {
+    const calls = await Call.find({ campaignId: campaign._id, status: ACTIVE });
+    const maxCallSeconds = this.getMaxCallSeconds(campaign);
+
+    // Contacts claimed by a run that stopped before their call was created
+    const orphaned = await Contact.updateMany(
+      {
+        campaignId: campaign._id,
+        status: 'calling',
+        _id: { $nin: calls.map((call) => call.contactId) },
+      },
+      { $set: { status: 'pending' } }
+    );
+    if (orphaned.modifiedCount) {
+      logger.warn('Released campaign contacts without a call in progress:', {
+        campaignId: campaign._id,
+        count: orphaned.modifiedCount,
+      });
+    }
+
+    const ended = await Promise.mapSeries(calls, async (call) => {
+      const elapsed = (now - call.startedAt) / 1000;
+
+      if (call.status === 'dialing') {
+        if (elapsed < DIALER.DIAL_TIMEOUT_SECONDS) return false;
+        await this.endCall(campaign, call, 'failed', 'The call was not placed in time', now);
+        return true;
+      }
+
+      try {
+        if (elapsed > maxCallSeconds) {
+          await LiveKitService.endCall(call.roomName, 'max_duration_reached');
+        } else {
+          const room = await LiveKitService.getCallStatus(call.roomName);
+          if (room.status !== 'not_found') {
+            await this.recordAgentReport(call, room.metadata, now);
+            return false;
+          }
+        }
+      } catch (error) {
+        // Checked again on the next run
+        logger.error('Failed to check campaign call:', {
+          callId: call._id,
+          roomName: call.roomName,
+          error: error.message,
+        });
+        return false;
+      }
+
+      await this.endCall(campaign, call, 'completed', undefined, now);
+      return true;
+    });
+
+    return ended.filter((isEnded) => !isEnded).length;
+  }
+
+  /**
+   * Keep the outcome and disposition the agent reported on a call. A disposition
+   * a person set is not replaced.
+   */
+  static async recordAgentReport(call, metadata = {}, now = new Date()) {
+    const { outcome, disposition } = metadata || {};
+
+    if (CALL_OUTCOMES.includes(outcome) && outcome !== call.outcome) {
+      call.outcome = outcome;
+    }
+    if (
+      CALL_DISPOSITIONS.includes(disposition) &&
+      disposition !== call.disposition &&
+      call.dispositionSource !== 'user'
+    ) {
+      call.set({ disposition, dispositionSource: 'agent', dispositionAt: now });
+    }
+
+    if (call.isModified()) await call.save();
+  }
+
+  /**
+   * Record a call's end on the call, its contact and the campaign's stats, and
+   * release its slot of the organization's calls in progress. A call without a
+   * disposition gets its outcome as one, unless it could not be placed. A
+   * contact the retry policy calls again goes back to pending until the retry
+   * is due.
+   */
+  static async endCall(campaign, call, status, error, now = new Date()) {
+    const outcome =
+      call.outcome ||
+      dispositionOutcome(call.disposition) ||
+      (status === 'failed' ? 'failed' : 'answered');
+    const retryAt = campaign.getRetryAt(outcome, call.attempt, now);
+
+    if (!call.disposition && outcome !== 'failed') {
+      call.set({ disposition: outcome, dispositionSource: 'dialer', dispositionAt: now });
+    }
+    call.retryAt = retryAt || undefined;
+    await call.finish(status, outcome, error, now);
+
+    const { disposition } = call;
+    await Contact.updateOne(
+      { _id: call.contactId, status: 'calling' },
+      retryAt
+        ? { $set: { status: 'pending', lastOutcome: outcome, disposition, nextCallAt: retryAt } }
+        : {
+            $set: {
+              status: outcome === 'failed' ? 'failed' : 'called',
+              lastOutcome: outcome,
+              disposition,
+            },
+            $unset: { nextCallAt: 1 },
+          }
+    );
+    await Campaign.updateStats(campaign._id, { disposition, duration: call.duration });
+    await this.releaseCallSlot(campaign.organizationId);
+  }
+
+  static async completeCampaign(campaign, reason) {
+    await campaign.complete();
+    logger.info('Campaign completed by the dialer:', { campaignId: campaign._id, reason });
+  }
+}
+
+module.exports = DialerService;
@@ -0,0 +1,634 @@
+/* eslint-disable no-underscore-dangle */
+const { mapSeries } = require('bluebird');
+const Agent = require('../models/Agent');
+const Organization = require('../models/Organization');
+const EvalSuite = require('../models/EvalSuite');
+const EvalRun = require('../models/EvalRun');
+const AuditLog = require('../models/AuditLog');
+const PermissionService = require('./permission.service');
+const LLMService = require('./llm.service');
+const KnowledgeBaseService = require('./knowledgebase.service');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  PaymentRequiredError,
+} = require('../utils/errors');
+const { AUDIT_ACTIONS, PERMISSIONS } = require('../utils/constants');
+const { queueEvalRun } = require('../jobs/eval.jobs');
+const logger = require('../config/logger');
+
+const JUDGE_PROMPT = `You grade transcripts of an AI agent talking to a user.
+Score how well the agent's replies convey every expected fact, accurately and without contradicting them, and follow the rubric if one is given.
+Respond with JSON only: {"score": <number from 0 to 1>, "reasoning": "<one or two sentences>"}`;
+
+const includesPhrase = (text, phrase) => text.toLowerCase().includes(phrase.toLowerCase());
+
+const API_LIMIT_MESSAGE = 'API call limit exceeded for current plan';
+
+class EvalService {
+  /**
+   * Create an eval suite for an agent
+   */
+  static async createSuite(agentId, suiteData, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getEditableAgent(agentId, userId, organizationId, userRole);
+
+      const suite = await EvalSuite.create({
+        ...suiteData,
+        agentId: agent._id,
+        organizationId,
+        createdBy: userId,
+      });
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.EVAL_SUITE_CREATED,
+        userId,
+        organizationId,
+        resourceType: 'eval_suite',
+        resourceId: suite._id.toString(),
+        details: {
+          agentId: agent._id.toString(),
+          name: suite.name,
+          cases: suite.cases.length,
+        },
+      });
+
+      logger.info('Eval suite created:', {
+        suiteId: suite._id,
+        agentId: agent._id,
+        createdBy: userId,
+      });
+
+      return suite;
+    } catch (error) {
+      logger.error('Failed to create eval suite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List an agent's eval suites
+   */
+  static async getSuites(agentId, query, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read eval suites');
+      }
+
+      const { page = 1, limit = 20 } = query;
+
+      const filter = { agentId, organizationId, isActive: true, deletedAt: null };
+
+      const skip = (page - 1) * limit;
+      const [suites, total] = await Promise.all([
+        EvalSuite.find(filter).sort({ createdAt: -1 }).limit(parseInt(limit, 10)).skip(skip).lean(),
+        EvalSuite.countDocuments(filter),
+      ]);
+
+      return {
+        suites,
+        total,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        pages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      logger.error('Failed to get eval suites:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get eval suite by ID
+   */
+  static async getSuiteById(agentId, suiteId, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read eval suites');
+      }
+
+      const suite = await EvalSuite.findOne({
+        _id: suiteId,
+        agentId,
+        organizationId,
+        isActive: true,
+        deletedAt: null,
+      });
+
+      if (!suite) {
+        throw new NotFoundError('Eval suite');
+      }
+
+      return suite;
+    } catch (error) {
+      logger.error('Failed to get eval suite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an eval suite. Earlier runs keep the results they recorded.
+   */
+  static async updateSuite(agentId, suiteId, updateData, userId, organizationId, userRole) {
+    try {
+      await this.getEditableAgent(agentId, userId, organizationId, userRole);
+      const suite = await this.getSuiteById(agentId, suiteId, userId, organizationId, userRole);
+
+      const { judge, ...fields } = updateData;
+
+      suite.set(fields);
+      if (judge) {
+        suite.set('judge', judge, { merge: true });
+      }
+      await suite.save();
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.EVAL_SUITE_UPDATED,
+        userId,
+        organizationId,
+        resourceType: 'eval_suite',
+        resourceId: suite._id.toString(),
+        details: {
+          updatedFields: Object.keys(updateData),
+        },
+      });
+
+      logger.info('Eval suite updated:', {
+        suiteId: suite._id,
+        updatedBy: userId,
+        updatedFields: Object.keys(updateData),
+      });
+
+      return suite;
+    } catch (error) {
+      logger.error('Failed to update eval suite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete (soft delete) an eval suite
+   */
+  static async deleteSuite(agentId, suiteId, userId, organizationId, userRole) {
+    try {
+      await this.getEditableAgent(agentId, userId, organizationId, userRole);
+      const suite = await this.getSuiteById(agentId, suiteId, userId, organizationId, userRole);
+
+      suite.deletedAt = new Date();
+      suite.isActive = false;
+      await suite.save();
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.EVAL_SUITE_DELETED,
+        userId,
+        organizationId,
+        resourceType: 'eval_suite',
+        resourceId: suite._id.toString(),
+        details: {
+          name: suite.name,
+        },
+      });
+
+      logger.info('Eval suite deleted:', {
+        suiteId: suite._id,
+        deletedBy: userId,
+      });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete eval suite:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a run of a suite against the agent's current configuration. Runs call
+   * the model like chat does, so they need API calls left on the plan.
+   */
+  static async triggerRun(agentId, suiteId, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getEditableAgent(agentId, userId, organizationId, userRole);
+      const suite = await this.getSuiteById(agentId, suiteId, userId, organizationId, userRole);
+
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      if (organization?.checkLimits('apiCallsThisMonth').exceeded) {
+        throw new PaymentRequiredError(API_LIMIT_MESSAGE);
+      }
+
+      const run = await EvalRun.create({
+        suiteId: suite._id,
+        agentId: agent._id,
+        organizationId,
+        configHash: agent.getConfigHash(),
+        agentVersion: agent.version,
+        triggeredBy: userId,
+      });
+
+      try {
+        await queueEvalRun(run._id.toString());
+      } catch (error) {
+        await run.fail('Could not queue eval run');
+        throw error;
+      }
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.EVAL_RUN_TRIGGERED,
+        userId,
+        organizationId,
+        resourceType: 'eval_suite',
+        resourceId: suite._id.toString(),
+        details: {
+          runId: run._id.toString(),
+          agentId: agent._id.toString(),
+          configHash: run.configHash,
+        },
+      });
+
+      logger.info('Eval run queued:', {
+        runId: run._id,
+        suiteId: suite._id,
+        agentId: agent._id,
+        triggeredBy: userId,
+      });
+
+      return run;
+    } catch (error) {
+      logger.error('Failed to trigger eval run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List an agent's eval runs, newest first, without per-case results
+   */
+  static async getRuns(agentId, query, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read eval runs');
+      }
+
+      const { page = 1, limit = 20, suiteId, status } = query;
+
+      const filter = { agentId, organizationId };
+      if (suiteId) filter.suiteId = suiteId;
+      if (status) filter.status = status;
+
+      const skip = (page - 1) * limit;
+      const [runs, total] = await Promise.all([
+        EvalRun.find(filter)
+          .select('-results')
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit, 10))
+          .skip(skip)
+          .lean(),
+        EvalRun.countDocuments(filter),
+      ]);
+
+      return {
+        runs,
+        total,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        pages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      logger.error('Failed to get eval runs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get an eval run with per-case results
+   */
+  static async getRunById(agentId, runId, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read eval runs');
+      }
+
+      const run = await EvalRun.findOne({ _id: runId, agentId, organizationId });
+
+      if (!run) {
+        throw new NotFoundError('Eval run');
+      }
+
+      return run;
+    } catch (error) {
+      logger.error('Failed to get eval run:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Whether the agent's current configuration passes the publish gate
+   */
+  static async getGateStatus(agentId, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read eval runs');
+      }
+
+      const agent = await Agent.findOne({
+        _id: agentId,
+        organizationId,
+        isActive: true,
+        deletedAt: null,
+      });
+
+      if (!agent) {
+        throw new NotFoundError('Agent');
+      }
+
+      const organization = await Organization.findOne({ clerkId: organizationId });
+
+      return await this.evaluateGate(agent, organization);
+    } catch (error) {
+      logger.error('Failed to get eval gate status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Throw when the organization requires passing evals and the agent's current
+   * configuration has not passed every active suite
+   */
+  static async assertEvalsPassed(agent, organization) {
+    const gate = await this.evaluateGate(agent, organization);
+
+    if (!gate.required || gate.passed) {
+      return;
+    }
+
+    if (!gate.suites.length) {
+      throw new ConflictError(
+        'This organization requires passing evals before publishing. Add an eval suite for this agent.'
+      );
+    }
+
+    const pending = gate.suites.filter((suite) => !suite.passed).map((suite) => suite.name);
+    throw new ConflictError(
+      `Eval suites have not passed on the current configuration: ${pending.join(', ')}`
+    );
+  }
+
+  /**
+   * Latest completed run of each active suite against the agent's current configuration
+   */
+  static async evaluateGate(agent, organization) {
+    const configHash = agent.getConfigHash();
+    const suites = await EvalSuite.findActiveForAgent(agent._id);
+    const runs = await Promise.all(
+      suites.map((suite) => EvalRun.findLatestCompleted(suite._id, configHash))
+    );
+
+    const results = suites.map((suite, index) => ({
+      suiteId: suite._id,
+      name: suite.name,
+      runId: runs[index]?._id || null,
+      passed: Boolean(runs[index]?.passed),
+    }));
+
+    return {
+      required: Boolean(organization?.settings?.requirePassingEvals),
+      configHash,
+      passed: results.length > 0 && results.every((result) => result.passed),
+      suites: results,
+    };
+  }
+
+  /**
+   * Score every case of a queued run. Called from the eval job worker; a run
+   * picked up twice is only executed once.
+   */
+  static async executeRun(runId) {
+    const run = await EvalRun.claim(runId);
+
+    if (!run) {
+      logger.warn('Skipping eval run that is not queued:', { runId });
+      return EvalRun.findById(runId);
+    }
+
+    try {
+      const [suite, agent] = await Promise.all([
+        EvalSuite.findById(run.suiteId),
+        Agent.findOne({ _id: run.agentId, isActive: true, deletedAt: null }),
+      ]);
+
+      if (!suite || !agent) {
+        return await run.fail('Eval suite or agent no longer exists');
+      }
+
+      // The run is recorded against the configuration it was triggered for
+      if (agent.getConfigHash() !== run.configHash) {
+        return await run.fail('Agent configuration changed before the run started');
+      }
+
+      const results = await mapSeries(suite.cases, (testCase) =>
+        this.runCaseWithinLimits(run, agent, suite, testCase)
+      );
+
+      await run.complete(results);
+
+      logger.info('Eval run completed:', {
+        runId: run._id,
+        suiteId: suite._id,
+        passed: run.passed,
+        passRate: run.summary.passRate,
+      });
+
+      return run;
+    } catch (error) {
+      logger.error('Eval run failed:', error);
+      await run.fail(error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Run a case if the organization has API calls left, and count the model
+   * calls it made (each reply and the judge's verdict) against the plan
+   */
+  static async runCaseWithinLimits(run, agent, suite, testCase) {
+    const organization = await Organization.findOne({ clerkId: run.organizationId });
+    if (organization?.checkLimits('apiCallsThisMonth').exceeded) {
+      return { name: testCase.name, transcript: [], passed: false, error: API_LIMIT_MESSAGE };
+    }
+
+    const result = await this.runCase(agent, suite, testCase);
+
+    const apiCalls =
+      result.transcript.filter((message) => message.role === 'assistant').length +
+      (result.judge ? 1 : 0);
+    if (apiCalls) {
+      await Organization.updateOne(
+        { clerkId: run.organizationId },
+        { $inc: { 'usage.apiCallsThisMonth': apiCalls } }
+      );
+    }
+
+    return result;
+  }
+
+  /**
+   * Play a case's user turns against the agent and score the replies.
+   * Tools are not invoked so runs have no side effects.
+   */
+  static async runCase(agent, suite, testCase) {
+    const transcript = [];
+
+    try {
+      const instructions = agent.renderInstructions(testCase.variables || {});
+      const history = [];
+
+      await mapSeries(testCase.turns, async (turn) => {
+        // Retrieval runs per turn, as in chat, without counting as knowledge base usage
+        const sources = await KnowledgeBaseService.retrieveForAgent(agent, turn, {
+          trackUsage: false,
+        });
+        const messages = [
+          { role: 'system', content: instructions + KnowledgeBaseService.formatContext(sources) },
+          ...history,
+          { role: 'user', content: turn },
+        ];
+        transcript.push({ role: 'user', content: turn });
+
+        const response = await LLMService.chatCompletion({
+          model: agent.config.model,
+          messages,
+          temperature: agent.config.temperature,
+          max_tokens: agent.config.maxTokens,
+        });
+
+        history.push(
+          { role: 'user', content: turn },
+          { role: 'assistant', content: response.content }
+        );
+        transcript.push({ role: 'assistant', content: response.content });
+      });
+
+      const replies = transcript
+        .filter((message) => message.role === 'assistant')
+        .map((message) => message.content);
+      const rules = this.checkRules(replies, testCase);
+      const judge = suite.judge?.enabled
+        ? await this.judgeCase(suite, testCase, transcript)
+        : undefined;
+
+      // The judge decides whether paraphrased facts were conveyed; without it
+      // every fact must appear verbatim
+      const factsPassed = judge ? judge.passed : !rules.factsMissing.length;
+
+      return {
+        name: testCase.name,
+        transcript,
+        ...rules,
+        judge,
+        passed: !rules.forbiddenFound.length && factsPassed,
+      };
+    } catch (error) {
+      logger.warn('Eval case failed:', { case: testCase.name, error: error.message });
+      return { name: testCase.name, transcript, passed: false, error: error.message };
+    }
+  }
+
+  /**
+   * Case-insensitive phrase checks over the agent's replies
+   */
+  static checkRules(replies, testCase) {
+    const text = replies.join('\n');
+    const facts = testCase.expectedFacts || [];
+
+    return {
+      factsFound: facts.filter((fact) => includesPhrase(text, fact)),
+      factsMissing: facts.filter((fact) => !includesPhrase(text, fact)),
+      forbiddenFound: (testCase.forbiddenPhrases || []).filter((phrase) =>
+        includesPhrase(text, phrase)
+      ),
+    };
+  }
+
+  /**
+   * Ask the suite's judge model to score a transcript
+   */
+  static async judgeCase(suite, testCase, transcript) {
+    const conversation = transcript
+      .map((message) => `${message.role === 'user' ? 'User' : 'Agent'}: ${message.content}`)
+      .join('\n');
+    const facts = (testCase.expectedFacts || []).map((fact) => `- ${fact}`).join('\n');
+
+    const response = await LLMService.chatCompletion({
+      model: suite.judge.model,
+      messages: [
+        { role: 'system', content: JUDGE_PROMPT },
+        {
+          role: 'user',
+          content: [
+            `Expected facts:\n${facts || '(none)'}`,
+            testCase.rubric ? `Rubric:\n${testCase.rubric}` : null,
+            `Transcript:\n${conversation}`,
+          ]
+            .filter(Boolean)
+            .join('\n\n'),
+        },
+      ],
+      temperature: 0,
+      max_tokens: 300,
+    });
+
+    return this.parseVerdict(response.content, suite.judge.passScore);
+  }
+
+  /**
+   * Read the judge's JSON verdict, tolerating surrounding prose or code fences.
+   * Unreadable verdicts fail the case.
+   */
+  static parseVerdict(content, passScore) {
+    try {
+      const { score, reasoning } = JSON.parse(content.match(/\{[\s\S]*\}/)[0]);
+      const value = Math.min(Math.max(Number(score), 0), 1);
+
+      if (Number.isNaN(value)) {
+        throw new Error('Missing score');
+      }
+
+      return { score: value, passed: value >= passScore, reasoning: String(reasoning || '') };
+    } catch (error) {
+      logger.warn('Unparseable judge verdict:', { content });
+      return { score: 0, passed: false, reasoning: 'Judge returned an unreadable verdict' };
+    }
+  }
+
+  /**
+   * Load an agent the caller may manage evals for
+   */
+  static async getEditableAgent(agentId, userId, organizationId, userRole) {
+    const agent = await Agent.findOne({
+      _id: agentId,
+      organizationId,
+      isActive: true,
+      deletedAt: null,
+    });
+
+    if (!agent) {
+      throw new NotFoundError('Agent');
+    }
+
+    const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+      resourceOwnerId: agent.createdBy,
+      userId,
+    });
+
+    if (!hasPermission) {
+      throw new AuthorizationError('Insufficient permissions to manage evals for this agent');
+    }
+
+    return agent;
+  }
+}
+
+module.exports = EvalService;
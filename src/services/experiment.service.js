@@ -0,0 +1,532 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../models/Agent');
+const Organization = require('../models/Organization');
+const Experiment = require('../models/Experiment');
+const TestNumber = require('../models/TestNumber');
+const AuditLog = require('../models/AuditLog');
+const PermissionService = require('./permission.service');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ConflictError,
+  ValidationError,
+} = require('../utils/errors');
+const { AUDIT_ACTIONS, PERMISSIONS, EXPERIMENT_STATUS } = require('../utils/constants');
+const logger = require('../config/logger');
+
+// Statuses each lifecycle action may start from
+const TRANSITIONS = {
+  [EXPERIMENT_STATUS.RUNNING]: [EXPERIMENT_STATUS.DRAFT, EXPERIMENT_STATUS.PAUSED],
+  [EXPERIMENT_STATUS.PAUSED]: [EXPERIMENT_STATUS.RUNNING],
+  [EXPERIMENT_STATUS.COMPLETED]: [EXPERIMENT_STATUS.RUNNING, EXPERIMENT_STATUS.PAUSED],
+};
+
+const ratio = (part, whole) => (whole ? Number((part / whole).toFixed(4)) : null);
+
+class ExperimentService {
+  /**
+   * Create an experiment for an agent
+   */
+  static async createExperiment(agentId, experimentData, userId, organizationId, userRole) {
+    try {
+      const agent = await this.getEditableAgent(agentId, userId, organizationId, userRole);
+
+      const experiment = await Experiment.create({
+        ...experimentData,
+        agentId: agent._id,
+        organizationId,
+        createdBy: userId,
+        status: EXPERIMENT_STATUS.DRAFT,
+      });
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.EXPERIMENT_CREATED,
+        userId,
+        organizationId,
+        resourceType: 'experiment',
+        resourceId: experiment._id.toString(),
+        details: {
+          agentId: agent._id.toString(),
+          name: experiment.name,
+          variants: experiment.variants.map((variant) => variant.key),
+        },
+      });
+
+      logger.info('Experiment created:', {
+        experimentId: experiment._id,
+        agentId: agent._id,
+        createdBy: userId,
+      });
+
+      return experiment;
+    } catch (error) {
+      logger.error('Failed to create experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * List an agent's experiments
+   */
+  static async getExperiments(agentId, query, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read experiments');
+      }
+
+      const { page = 1, limit = 20, status } = query;
+
+      const filter = { agentId, organizationId, isActive: true, deletedAt: null };
+      if (status) filter.status = status;
+
+      const skip = (page - 1) * limit;
+      const [experiments, total] = await Promise.all([
+        Experiment.find(filter)
+          .sort({ createdAt: -1 })
+          .limit(parseInt(limit, 10))
+          .skip(skip)
+          .lean(),
+        Experiment.countDocuments(filter),
+      ]);
+
+      return {
+        experiments,
+        total,
+        page: parseInt(page, 10),
+        limit: parseInt(limit, 10),
+        pages: Math.ceil(total / limit),
+      };
+    } catch (error) {
+      logger.error('Failed to get experiments:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get experiment by ID
+   */
+  static async getExperimentById(agentId, experimentId, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_READ)) {
+        throw new AuthorizationError('Insufficient permissions to read experiments');
+      }
+
+      const experiment = await Experiment.findOne({
+        _id: experimentId,
+        agentId,
+        organizationId,
+        isActive: true,
+        deletedAt: null,
+      });
+
+      if (!experiment) {
+        throw new NotFoundError('Experiment');
+      }
+
+      return experiment;
+    } catch (error) {
+      logger.error('Failed to get experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update an experiment. Variants can only change while no traffic is being split.
+   * Stats are kept for variants whose key is unchanged.
+   */
+  static async updateExperiment(
+    agentId,
+    experimentId,
+    updateData,
+    userId,
+    organizationId,
+    userRole
+  ) {
+    try {
+      await this.getEditableAgent(agentId, userId, organizationId, userRole);
+      const experiment = await this.getExperimentById(
+        agentId,
+        experimentId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      const { variants, ...fields } = updateData;
+
+      if (variants) {
+        if ([EXPERIMENT_STATUS.RUNNING, EXPERIMENT_STATUS.COMPLETED].includes(experiment.status)) {
+          throw new ConflictError(`Cannot change variants of a ${experiment.status} experiment`);
+        }
+
+        experiment.variants = variants.map((variant) => ({
+          ...variant,
+          stats: experiment.getVariant(variant.key)?.stats,
+        }));
+      }
+
+      experiment.set(fields);
+      await experiment.save();
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.EXPERIMENT_UPDATED,
+        userId,
+        organizationId,
+        resourceType: 'experiment',
+        resourceId: experiment._id.toString(),
+        details: {
+          updatedFields: Object.keys(updateData),
+        },
+      });
+
+      logger.info('Experiment updated:', {
+        experimentId: experiment._id,
+        updatedBy: userId,
+        updatedFields: Object.keys(updateData),
+      });
+
+      return experiment;
+    } catch (error) {
+      logger.error('Failed to update experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Start splitting traffic. Organizations that review agents before publishing
+   * also need a reviewer to put variants in front of users.
+   */
+  static async startExperiment(agentId, experimentId, userId, organizationId, userRole) {
+    try {
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      if (
+        organization?.settings?.requireApprovalForAgents &&
+        !PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_PUBLISH)
+      ) {
+        throw new AuthorizationError('Only reviewers can start experiments in this organization');
+      }
+
+      return await this.changeStatus(
+        agentId,
+        experimentId,
+        EXPERIMENT_STATUS.RUNNING,
+        {},
+        userId,
+        organizationId,
+        userRole
+      );
+    } catch (error) {
+      logger.error('Failed to start experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Stop splitting traffic; the agent's own config serves everyone until resumed
+   */
+  static async pauseExperiment(agentId, experimentId, userId, organizationId, userRole) {
+    try {
+      return await this.changeStatus(
+        agentId,
+        experimentId,
+        EXPERIMENT_STATUS.PAUSED,
+        {},
+        userId,
+        organizationId,
+        userRole
+      );
+    } catch (error) {
+      logger.error('Failed to pause experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * End an experiment, optionally recording the winning variant
+   */
+  static async completeExperiment(agentId, experimentId, winner, userId, organizationId, userRole) {
+    try {
+      return await this.changeStatus(
+        agentId,
+        experimentId,
+        EXPERIMENT_STATUS.COMPLETED,
+        { winner },
+        userId,
+        organizationId,
+        userRole
+      );
+    } catch (error) {
+      logger.error('Failed to complete experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Move an experiment through its lifecycle
+   */
+  static async changeStatus(
+    agentId,
+    experimentId,
+    status,
+    options,
+    userId,
+    organizationId,
+    userRole
+  ) {
+    await this.getEditableAgent(agentId, userId, organizationId, userRole);
+    const experiment = await this.getExperimentById(
+      agentId,
+      experimentId,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    if (!TRANSITIONS[status].includes(experiment.status)) {
+      throw new ConflictError(`Cannot move a ${experiment.status} experiment to ${status}`);
+    }
+
+    if (status === EXPERIMENT_STATUS.RUNNING) {
+      const running = await Experiment.findRunning(experiment.agentId);
+      if (running && running.id !== experiment.id) {
+        throw new ConflictError(`Experiment "${running.name}" is already running for this agent`);
+      }
+    }
+
+    if (options.winner && !experiment.getVariant(options.winner)) {
+      throw new ValidationError(`Unknown variant: ${options.winner}`, 'winner');
+    }
+
+    const previousStatus = experiment.status;
+    experiment.status = status;
+
+    if (status === EXPERIMENT_STATUS.RUNNING && !experiment.startedAt) {
+      experiment.startedAt = new Date();
+    }
+    if (status === EXPERIMENT_STATUS.COMPLETED) {
+      experiment.endedAt = new Date();
+      experiment.winner = options.winner;
+    }
+
+    try {
+      await experiment.save();
+    } catch (error) {
+      // The partial unique index on running experiments settles concurrent starts
+      if (error.code === 11000 && status === EXPERIMENT_STATUS.RUNNING) {
+        throw new ConflictError('Another experiment is already running for this agent');
+      }
+      throw error;
+    }
+
+    // Create audit log
+    await AuditLog.createLog({
+      action: AUDIT_ACTIONS.EXPERIMENT_UPDATED,
+      userId,
+      organizationId,
+      resourceType: 'experiment',
+      resourceId: experiment._id.toString(),
+      details: {
+        from: previousStatus,
+        to: status,
+        winner: options.winner,
+      },
+    });
+
+    logger.info('Experiment status changed:', {
+      experimentId: experiment._id,
+      from: previousStatus,
+      to: status,
+      changedBy: userId,
+    });
+
+    return experiment;
+  }
+
+  /**
+   * Delete (soft delete) an experiment that is not running
+   */
+  static async deleteExperiment(agentId, experimentId, userId, organizationId, userRole) {
+    try {
+      await this.getEditableAgent(agentId, userId, organizationId, userRole);
+      const experiment = await this.getExperimentById(
+        agentId,
+        experimentId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      if (experiment.status === EXPERIMENT_STATUS.RUNNING) {
+        throw new ConflictError('Pause or complete the experiment before deleting it');
+      }
+
+      experiment.deletedAt = new Date();
+      experiment.isActive = false;
+      await experiment.save();
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.EXPERIMENT_DELETED,
+        userId,
+        organizationId,
+        resourceType: 'experiment',
+        resourceId: experiment._id.toString(),
+        details: {
+          name: experiment.name,
+        },
+      });
+
+      logger.info('Experiment deleted:', {
+        experimentId: experiment._id,
+        deletedBy: userId,
+      });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete experiment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Per-variant results: chat success rate and response time, dispatched calls,
+   * and outcomes and ratings logged by testers in TestNumber.testCalls
+   */
+  static async getResults(agentId, experimentId, userId, organizationId, userRole) {
+    try {
+      const experiment = await this.getExperimentById(
+        agentId,
+        experimentId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      const testCalls = await TestNumber.aggregate([
+        { $match: { organizationId, 'testCalls.experimentId': experiment._id } },
+        { $unwind: '$testCalls' },
+        { $match: { 'testCalls.experimentId': experiment._id } },
+        {
+          $group: {
+            _id: '$testCalls.variantKey',
+            total: { $sum: 1 },
+            successful: { $sum: { $cond: ['$testCalls.successful', 1, 0] } },
+            ratings: { $sum: { $cond: [{ $ifNull: ['$testCalls.rating', false] }, 1, 0] } },
+            averageRating: { $avg: '$testCalls.rating' },
+          },
+        },
+      ]);
+
+      const variants = experiment.variants.map((variant) => {
+        const { requests, successes, totalResponseTime, calls } = variant.stats;
+        const rated = testCalls.find((group) => group._id === variant.key) || {};
+
+        return {
+          key: variant.key,
+          name: variant.name,
+          weight: variant.weight,
+          requests,
+          successRate: ratio(successes, requests),
+          averageResponseTime: requests ? Math.round(totalResponseTime / requests) : null,
+          calls,
+          testCalls: rated.total || 0,
+          testCallSuccessRate: ratio(rated.successful, rated.total),
+          ratings: rated.ratings || 0,
+          averageRating: rated.averageRating ? Number(rated.averageRating.toFixed(2)) : null,
+        };
+      });
+
+      return {
+        experimentId: experiment._id,
+        name: experiment.name,
+        status: experiment.status,
+        startedAt: experiment.startedAt,
+        endedAt: experiment.endedAt,
+        winner: experiment.winner,
+        variants,
+      };
+    } catch (error) {
+      logger.error('Failed to get experiment results:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Variant of the agent's running experiment serving a unit of traffic (a chat
+   * session or a caller), or null when no experiment is running. A unit keeps the
+   * variant it was first given while that experiment runs.
+   */
+  static async assignVariant(agentId, unitId, current = {}) {
+    try {
+      const experiment = await Experiment.findRunning(agentId);
+      if (!experiment) return null;
+
+      const variant =
+        (String(current.experimentId) === experiment.id &&
+          experiment.getVariant(current.variantKey)) ||
+        experiment.assignVariant(unitId);
+
+      return {
+        experimentId: experiment._id,
+        variantKey: variant.key,
+        config: variant.toObject().config || {},
+      };
+    } catch (error) {
+      logger.error('Failed to assign experiment variant:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Agent config with a variant's overrides applied
+   */
+  static applyVariant(config, overrides = {}) {
+    const defined = Object.entries(overrides).filter(
+      ([, value]) => value !== undefined && value !== null
+    );
+    return { ...config, ...Object.fromEntries(defined) };
+  }
+
+  /**
+   * Count a chat turn or call against the variant that served it.
+   * Failures are logged rather than thrown so they never fail the chat or call.
+   */
+  static async recordOutcome(assignment, outcome) {
+    try {
+      await Experiment.recordOutcome(assignment.experimentId, assignment.variantKey, outcome);
+    } catch (error) {
+      logger.error('Failed to record experiment outcome:', error);
+    }
+  }
+
+  /**
+   * Agent the caller may change experiments for
+   */
+  static async getEditableAgent(agentId, userId, organizationId, userRole) {
+    const agent = await Agent.findOne({
+      _id: agentId,
+      organizationId,
+      isActive: true,
+      deletedAt: null,
+    });
+
+    if (!agent) {
+      throw new NotFoundError('Agent');
+    }
+
+    const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+      resourceOwnerId: agent.createdBy,
+      userId,
+    });
+
+    if (!hasPermission) {
+      throw new AuthorizationError('Insufficient permissions to manage experiments for this agent');
+    }
+
+    return agent;
+  }
+}
+
+module.exports = ExperimentService;
@@ -1,15 +1,109 @@
 /* eslint-disable no-underscore-dangle */
-const fs = require('fs').promises;
+const crypto = require('crypto');
 const path = require('path');
+const { Readable } = require('stream');
 const Promise = require('bluebird');
+const pdfParse = require('pdf-parse/lib/pdf-parse');
+const mammoth = require('mammoth');
+const WordExtractor = require('word-extractor');
+const csvParser = require('csv-parser');
 const KnowledgeBase = require('../models/KnowledgeBase');
 const Organization = require('../models/Organization');
 const AuditLog = require('../models/AuditLog');
 const PermissionService = require('./permission.service');
-const { NotFoundError, AuthorizationError } = require('../utils/errors');
-const { AUDIT_ACTIONS, PERMISSIONS } = require('../utils/constants');
+const LLMService = require('./llm.service');
+const CrawlerService = require('./crawler.service');
+const StorageService = require('./storage.service');
+const {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError,
+  ConflictError,
+} = require('../utils/errors');
+const {
+  AUDIT_ACTIONS,
+  PERMISSIONS,
+  RETRIEVAL_LIMITS,
+  HYBRID_SEARCH,
+  KB_PROCESSING,
+  CRAWL_LIMITS,
+} = require('../utils/constants');
+const { tokenize, cosineSimilarity } = require('../utils/helpers');
+const { chunkSegments } = require('../utils/chunking');
+const { queueKnowledgeBaseProcessing, queueWebSourceCrawl } = require('../jobs/knowledgebase.jobs');
+const config = require('../config');
 const logger = require('../config/logger');
 
+const DOCX_MIMETYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+// Product codes and SKUs ("AX-200", "v2.1") are also kept whole as keyword terms,
+// so an exact code outranks chunks that only share one of its parts
+const COMPOUND_TERM = /[\p{L}\p{N}]+(?:[-_./][\p{L}\p{N}]+)+/gu;
+
+const keywordTerms = (text) => [
+  ...tokenize(text),
+  ...(String(text || '')
+    .toLowerCase()
+    .match(COMPOUND_TERM) || []),
+];
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: "'",
+  nbsp: ' ',
+  mdash: '—',
+  ndash: '–',
+  hellip: '…',
+  lsquo: '‘',
+  rsquo: '’',
+  ldquo: '“',
+  rdquo: '”',
+};
+
+const decodeEntity = (match, entity) => {
+  if (entity[0] !== '#') return HTML_ENTITIES[entity.toLowerCase()] ?? match;
+
+  const code = /^#x/i.test(entity) ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+  return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+};
+
+/**
+ * Plain text from document or page HTML, keeping block elements on their own lines
+ */
+const htmlToText = (html) =>
+  html
+    .replace(
+      /<br\s*\/?>|<\/(p|div|section|article|h[1-6]|li|tr|blockquote|pre|table|ul|ol)>/gi,
+      '\n'
+    )
+    .replace(/<[^>]+>/g, '')
+    .replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, decodeEntity);
+
+/**
+ * Collapse runs of spaces and blank lines left by extraction
+ */
+const normalizeText = (text = '') =>
+  text
+    .replace(/[ \t\u00a0]+/g, ' ')
+    .replace(/ *\n */g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+/**
+ * One segment per heading-led section of an HTML document
+ */
+const splitAtHeadings = (html) =>
+  html.split(/(?=<h[1-6][^>]*>)/i).map((part) => {
+    const heading = part.match(/^<h[1-6][^>]*>([\s\S]*?)<\/h[1-6]>/i);
+    return {
+      text: htmlToText(part),
+      section: heading ? normalizeText(htmlToText(heading[1])) : undefined,
+    };
+  });
+
 class KnowledgeBaseService {
   /**
    * Create a new knowledge base
@@ -63,7 +157,7 @@ class KnowledgeBaseService {
 
       // Start background processing
       if (files && files.length > 0) {
-        this.startBackgroundProcessing(knowledgeBase._id);
+        await this.startBackgroundProcessing(knowledgeBase._id);
       }
 
       return knowledgeBase;
@@ -74,40 +168,46 @@ class KnowledgeBaseService {
   }
 
   /**
-   * Process uploaded files
+   * Process uploaded files. The batch is stored whole or not at all: when a file
+   * fails, the ones already stored are removed and their usage released.
    */
-  static async processFiles(knowledgeBase, files) {
+  static async processFiles(knowledgeBase, files, tags = []) {
     try {
-      // Process files in parallel with concurrency control
-      const processedFiles = await Promise.map(
+      await StorageService.assertQuota(
+        knowledgeBase.organizationId,
+        files.reduce((sum, file) => sum + file.size, 0)
+      );
+
+      // Process files in parallel with concurrency control, letting every upload
+      // settle so none is still being stored during cleanup
+      const results = await Promise.map(
         files,
         async (file) => {
-          // Store file information
-          const fileInfo = {
-            filename: file.filename || `${Date.now()}-${file.originalname}`,
-            originalName: file.originalname,
-            path: file.path || this.generateFilePath(file),
-            mimetype: file.mimetype,
-            size: file.size,
-            uploadedAt: new Date(),
-            processed: false,
-          };
-
-          // Save file to storage (in production, this would be S3)
-          if (file.buffer) {
-            await this.saveFileToStorage(fileInfo, file.buffer);
+          try {
+            return { fileInfo: await this.storeUpload(knowledgeBase, file) };
+          } catch (error) {
+            return { error };
           }
-
-          return fileInfo;
         },
         { concurrency: 5 }
       ); // Process up to 5 files in parallel
 
+      const failed = results.find((result) => result.error);
+      if (failed) {
+        await StorageService.remove(
+          results
+            .filter((result) => result.fileInfo)
+            .map(({ fileInfo }) => ({ key: fileInfo.path, size: fileInfo.size })),
+          knowledgeBase.organizationId
+        );
+        throw failed.error;
+      }
+
+      const processedFiles = results.map(({ fileInfo }) => ({ ...fileInfo, tags }));
+
       // Add all processed files to knowledge base
       knowledgeBase.kb_files.push(...processedFiles);
-      knowledgeBase.totalSize = processedFiles.reduce((sum, file) => sum + file.size, 0);
-
-      knowledgeBase.totalFiles = knowledgeBase.kb_files.length;
+      knowledgeBase.recalculateTotals();
       knowledgeBase.status = 'processing';
     } catch (error) {
       logger.error('Failed to process files:', error);
@@ -116,161 +216,498 @@ class KnowledgeBaseService {
   }
 
   /**
-   * Generate file path
-   */
-  static generateFilePath(file) {
-    const timestamp = Date.now();
-    const ext = path.extname(file.originalname);
-    return `uploads/kb/${timestamp}-${file.originalname}`;
-  }
-
-  /**
-   * Save file to storage
+   * Store an uploaded file, keyed under its organization and knowledge base
    */
-  static async saveFileToStorage(fileInfo, buffer) {
-    try {
-      // Create directory if it doesn't exist
-      const dir = path.dirname(fileInfo.path);
-      await fs.mkdir(dir, { recursive: true });
-
-      // Save file
-      await fs.writeFile(fileInfo.path, buffer);
-
-      logger.info('File saved to storage:', {
-        filename: fileInfo.filename,
-        path: fileInfo.path,
-        size: fileInfo.size,
-      });
-    } catch (error) {
-      logger.error('Failed to save file to storage:', error);
-      throw error;
-    }
+  static async storeUpload(knowledgeBase, file) {
+    const { key } = await StorageService.upload(
+      StorageService.buildKey(
+        `kb/${knowledgeBase.organizationId}/${knowledgeBase._id}`,
+        file.originalname
+      ),
+      file.buffer,
+      { organizationId: knowledgeBase.organizationId, contentType: file.mimetype }
+    );
+
+    return {
+      filename: path.basename(key),
+      originalName: file.originalname,
+      path: key,
+      mimetype: file.mimetype,
+      size: file.size,
+      uploadedAt: new Date(),
+      processed: false,
+    };
   }
 
   /**
-   * Start background processing
+   * Queue the knowledge base's pending files for processing by a worker
    */
   static async startBackgroundProcessing(kbId) {
     try {
-      // This would typically be handled by a background job queue
-      // For now, we'll simulate processing
-      setTimeout(async () => {
-        await this.processKnowledgeBaseFiles(kbId);
-      }, 1000);
+      await queueKnowledgeBaseProcessing(kbId);
     } catch (error) {
       logger.error('Failed to start background processing:', error);
     }
   }
 
   /**
-   * Process knowledge base files (extract text, create embeddings)
+   * Process knowledge base files (extract text, create embeddings). Files are
+   * marked as they start and finish so progress can be followed. Unless this is
+   * the final attempt, files that fail stay pending and the call throws so the
+   * job is retried.
    */
-  static async processKnowledgeBaseFiles(kbId) {
+  static async processKnowledgeBaseFiles(kbId, options = {}) {
+    const { finalAttempt = true, onProgress } = options;
+
     try {
       const knowledgeBase = await KnowledgeBase.findById(kbId);
       if (!knowledgeBase) return;
 
-      // Filter out already processed files
-      const filesToProcess = knowledgeBase.kb_files.filter((file) => !file.processed);
+      // Skip files already processed or that failed for good
+      const filesToProcess = knowledgeBase.getPendingFiles();
+      if (!filesToProcess.length) return;
+
+      // A new run starts unless this is a retry of one still in progress
+      if (!knowledgeBase.processingStartedAt || knowledgeBase.processingCompletedAt) {
+        knowledgeBase.processingStartedAt = new Date();
+        knowledgeBase.processingCompletedAt = undefined;
+      }
+
+      // Every chunk of a knowledge base is embedded with the same model
+      if (!knowledgeBase.embeddingModel?.model) {
+        knowledgeBase.embeddingModel = { ...config.embeddings };
+      }
+      const { embeddingModel, chunking } = knowledgeBase;
+
+      // Files are processed in parallel but a document cannot be saved while
+      // another save is in flight, so updates are chained
+      let writes = Promise.resolve();
+      const record = (update) => {
+        const result = writes.then(update);
+        writes = result.catch(() => {});
+        return result;
+      };
 
-      // Process files in parallel with concurrency control
+      const retrying = [];
       await Promise.map(
         filesToProcess,
         async (file) => {
+          await record(() => knowledgeBase.markAsProcessing(file._id));
+
           try {
-            // Extract text from file
-            const extractedText = await this.extractTextFromFile(file);
+            const { text, segments, pageCount } = await this.extractTextFromFile(file);
 
             // Create chunks for better AI processing
-            const chunks = this.createTextChunks(extractedText);
+            const chunks = await this.embedChunks(
+              this.createTextChunks(segments, chunking),
+              embeddingModel
+            );
 
-            // Mark file as processed
-            await knowledgeBase.markAsProcessed(file._id, extractedText, chunks);
+            await record(() =>
+              knowledgeBase.markAsProcessed(file._id, text, chunks, { pageCount })
+            );
 
             logger.info('File processed:', {
               kbId,
               filename: file.originalName,
-              textLength: extractedText.length,
+              textLength: text.length,
+              pages: pageCount,
               chunks: chunks.length,
             });
-
-            return { success: true, filename: file.originalName };
           } catch (error) {
             logger.error(`Error processing file ${file.originalName}:`, error);
-            return {
-              success: false,
-              filename: file.originalName,
-              error: error.message,
-            };
+
+            if (finalAttempt) {
+              await record(() => knowledgeBase.markAsFailed(file._id, error.message));
+            } else {
+              retrying.push(file.originalName);
+              await record(() => knowledgeBase.markForRetry(file._id, error.message));
+            }
+          }
+
+          if (onProgress) {
+            await onProgress(knowledgeBase.getProcessingSummary().progress.percent);
           }
         },
-        { concurrency: 3 } // Process 3 files at a time
+        { concurrency: KB_PROCESSING.FILE_CONCURRENCY }
       );
 
-      // Update knowledge base status
-      knowledgeBase.status = 'ready';
+      if (retrying.length) {
+        throw new Error(`Processing will be retried for: ${retrying.join(', ')}`);
+      }
+
+      knowledgeBase.processingCompletedAt = new Date();
       await knowledgeBase.save();
 
-      logger.info('Knowledge base processing completed:', { kbId });
+      logger.info('Knowledge base processing completed:', {
+        kbId,
+        status: knowledgeBase.status,
+        failedFiles: knowledgeBase.getProcessingSummary().progress.failed,
+      });
     } catch (error) {
       logger.error('Failed to process knowledge base files:', error);
 
-      // Mark as error
-      const knowledgeBase = await KnowledgeBase.findById(kbId);
-      if (knowledgeBase) {
-        knowledgeBase.status = 'error';
-        knowledgeBase.processingError = error.message;
-        await knowledgeBase.save();
+      // Mark as error once there are no retries left
+      if (finalAttempt) {
+        const knowledgeBase = await KnowledgeBase.findById(kbId);
+        if (knowledgeBase) {
+          knowledgeBase.status = 'error';
+          knowledgeBase.processingError = error.message;
+          knowledgeBase.processingCompletedAt = new Date();
+          await knowledgeBase.save();
+        }
       }
+
+      throw error;
     }
   }
 
   /**
-   * Extract text from file
+   * Files of a knowledge base with their processing state
    */
-  static async extractTextFromFile(file) {
+  static async listFiles(kbId, userId, organizationId, userRole, query = {}) {
     try {
-      if (file.mimetype === 'text/plain') {
-        return await fs.readFile(file.path, 'utf-8');
-      }
+      const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
 
-      if (file.mimetype === 'application/pdf') {
-        // In production, use pdf-parse or similar
-        return `[PDF content from ${file.originalName}]`;
-      }
+      return knowledgeBase.kb_files
+        .map((file) => knowledgeBase.describeFile(file))
+        .filter((file) => !query.status || file.status === query.status)
+        .filter((file) => !query.tag || file.tags.includes(query.tag));
+    } catch (error) {
+      logger.error('Failed to list knowledge base files:', error);
+      throw error;
+    }
+  }
 
-      if (file.mimetype.includes('word')) {
-        // In production, use mammoth or similar
-        return `[Word document content from ${file.originalName}]`;
-      }
+  /**
+   * One file of a knowledge base with its extracted text and chunks
+   */
+  static async getFile(kbId, fileId, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
+      const file = this.findFile(knowledgeBase, fileId);
 
-      return `[Content from ${file.originalName}]`;
+      return {
+        ...knowledgeBase.describeFile(file),
+        pageCount: file.pageCount,
+        text: file.processed ? file.extractedText : null,
+        chunks: file.chunks.map(({ content, metadata }) => ({ content, metadata })),
+      };
     } catch (error) {
-      logger.error('Failed to extract text from file:', error);
-      return `[Unable to extract text from ${file.originalName}]`;
+      logger.error('Failed to get knowledge base file:', error);
+      throw error;
     }
   }
 
   /**
-   * Create text chunks
+   * Remove a file from a knowledge base and from storage
    */
-  static createTextChunks(text, chunkSize = 1000) {
-    const chunks = [];
-    const words = text.split(' ');
+  static async deleteFile(kbId, fileId, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getEditableKnowledgeBase(
+        kbId,
+        userId,
+        organizationId,
+        userRole
+      );
+      const file = this.findUploadedFile(knowledgeBase, fileId);
 
-    for (let i = 0; i < words.length; i += chunkSize) {
-      const chunk = words.slice(i, i + chunkSize).join(' ');
-      chunks.push({
-        content: chunk,
-        embedding: [], // Would be populated by AI service
-        metadata: {
-          chunkIndex: Math.floor(i / chunkSize),
-          wordCount: chunk.split(' ').length,
-        },
+      await StorageService.remove([{ key: file.path, size: file.size }], organizationId);
+      knowledgeBase.kb_files.pull(file._id);
+      knowledgeBase.recalculateTotals();
+      knowledgeBase.refreshStatus();
+      await knowledgeBase.save();
+
+      logger.info('File removed from knowledge base:', {
+        kbId: knowledgeBase._id,
+        filename: file.originalName,
+        removedBy: userId,
       });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to delete knowledge base file:', error);
+      throw error;
     }
+  }
 
-    return chunks;
+  /**
+   * Replace a file with a new upload, which is then processed in its place
+   */
+  static async replaceFile(kbId, fileId, upload, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getEditableKnowledgeBase(
+        kbId,
+        userId,
+        organizationId,
+        userRole
+      );
+      const file = this.findUploadedFile(knowledgeBase, fileId);
+      const previous = { key: file.path, size: file.size };
+
+      const fileInfo = await this.storeUpload(knowledgeBase, upload);
+      await StorageService.remove([previous], organizationId);
+
+      file.set({
+        ...fileInfo,
+        version: file.version + 1,
+        status: 'pending',
+        error: undefined,
+        attempts: 0,
+        chunks: [],
+        extractedText: undefined,
+        pageCount: undefined,
+        processedAt: undefined,
+      });
+      knowledgeBase.recalculateTotals();
+      knowledgeBase.refreshStatus();
+      await knowledgeBase.save();
+
+      await this.startBackgroundProcessing(knowledgeBase._id);
+
+      logger.info('Knowledge base file replaced:', {
+        kbId: knowledgeBase._id,
+        filename: file.originalName,
+        version: file.version,
+        replacedBy: userId,
+      });
+
+      return knowledgeBase.describeFile(file);
+    } catch (error) {
+      logger.error('Failed to replace knowledge base file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Extract and chunk one file again
+   */
+  static async reprocessFile(kbId, fileId, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getEditableKnowledgeBase(
+        kbId,
+        userId,
+        organizationId,
+        userRole
+      );
+      const file = this.findFile(knowledgeBase, fileId);
+      if (file.status === 'processing') {
+        throw new ConflictError('This file is already being processed');
+      }
+
+      knowledgeBase.resetFiles([file.id]);
+      await knowledgeBase.save();
+      await this.startBackgroundProcessing(knowledgeBase._id);
+
+      return knowledgeBase.describeFile(file);
+    } catch (error) {
+      logger.error('Failed to reprocess knowledge base file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * File of a knowledge base by id
+   */
+  static findFile(knowledgeBase, fileId) {
+    const file = knowledgeBase.kb_files.id(fileId);
+    if (!file) {
+      throw new NotFoundError('File');
+    }
+    return file;
+  }
+
+  /**
+   * An uploaded file that can be changed: not one crawled from a web source,
+   * which follows its source, and not one a worker is reading
+   */
+  static findUploadedFile(knowledgeBase, fileId) {
+    const file = this.findFile(knowledgeBase, fileId);
+    if (file.sourceId) {
+      throw new ConflictError('Pages crawled from a web source change with the source');
+    }
+    if (file.status === 'processing') {
+      throw new ConflictError('This file is being processed; try again once it finishes');
+    }
+    return file;
+  }
+
+  /**
+   * Time-limited download link for one of the knowledge base's files
+   */
+  static async getFileDownloadUrl(kbId, fileId, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
+      const file = this.findFile(knowledgeBase, fileId);
+
+      return StorageService.getSignedUrl(file.path, { filename: file.originalName });
+    } catch (error) {
+      logger.error('Failed to create file download link:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Processing state of each file and overall progress
+   */
+  static async getProcessingStatus(kbId, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
+      return knowledgeBase.getProcessingSummary();
+    } catch (error) {
+      logger.error('Failed to get knowledge base processing status:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Chunks with their embeddings, computed with the knowledge base's embedding model
+   */
+  static async embedChunks(chunks, embeddingModel) {
+    if (!chunks.length) return chunks;
+
+    const { embeddings } = await LLMService.embed(
+      chunks.map((chunk) => chunk.content),
+      embeddingModel
+    );
+
+    return chunks.map((chunk, i) => ({ ...chunk, embedding: embeddings[i] }));
+  }
+
+  /**
+   * Extract text from file as segments tagged with the page (PDF) or section
+   * (DOCX heading, CSV rows) they came from. Throws when no text can be read.
+   */
+  static async extractTextFromFile(file) {
+    const buffer = await StorageService.download(file.path);
+    let extracted;
+
+    if (file.mimetype === 'application/pdf') {
+      extracted = await this.extractPdfText(buffer);
+    } else if (file.mimetype === DOCX_MIMETYPE) {
+      extracted = await this.extractDocxText(buffer);
+    } else if (file.mimetype === 'application/msword') {
+      extracted = await this.extractDocText(buffer);
+    } else if (file.mimetype === 'text/csv') {
+      extracted = await this.extractCsvText(buffer);
+    } else if (file.mimetype === 'text/html') {
+      extracted = this.extractHtmlText(buffer);
+    } else if (file.mimetype.startsWith('text/')) {
+      extracted = { segments: [{ text: buffer.toString('utf-8') }] };
+    } else {
+      throw new Error(`Unsupported file type: ${file.mimetype}`);
+    }
+
+    const segments = extracted.segments
+      .map((segment) => ({ ...segment, text: normalizeText(segment.text) }))
+      .filter((segment) => segment.text);
+
+    if (!segments.length) {
+      throw new Error('No text could be extracted from this file');
+    }
+
+    return {
+      text: segments.map((segment) => segment.text).join(segments[0].row ? '\n' : '\n\n'),
+      segments,
+      pageCount: extracted.pageCount,
+    };
+  }
+
+  /**
+   * One segment per PDF page
+   */
+  static async extractPdfText(buffer) {
+    const pages = [];
+
+    const { numpages: pageCount } = await pdfParse(buffer, {
+      pagerender: async (pageData) => {
+        const { items } = await pageData.getTextContent();
+
+        // Text items sharing a baseline belong to the same line
+        let lastY;
+        const text = items
+          .map((item) => {
+            const baseline = item.transform[5];
+            const separator = lastY === undefined || lastY === baseline ? '' : '\n';
+            lastY = baseline;
+            return separator + item.str;
+          })
+          .join('');
+
+        pages.push({ text, page: pageData.pageNumber });
+        return text;
+      },
+    });
+
+    return { segments: pages, pageCount };
+  }
+
+  /**
+   * One segment per heading-led section of a DOCX file
+   */
+  static async extractDocxText(buffer) {
+    const { value: html } = await mammoth.convertToHtml({ buffer });
+
+    return { segments: splitAtHeadings(html) };
+  }
+
+  /**
+   * Text of a web page's main content, without scripts, styles and page chrome,
+   * one segment per heading-led section
+   */
+  static extractHtmlText(buffer) {
+    const html = buffer
+      .toString('utf-8')
+      .replace(/<!--[\s\S]*?-->/g, '')
+      .replace(/<head\b[\s\S]*?<\/head>/i, '')
+      .replace(
+        /<(script|style|noscript|template|svg|iframe|nav|header|footer|aside|form)\b[\s\S]*?<\/\1>/gi,
+        ''
+      );
+    const main = html.match(/<(main|article)\b[^>]*>([\s\S]*?)<\/\1>/i);
+
+    return { segments: splitAtHeadings(main ? main[2] : html) };
+  }
+
+  /**
+   * Legacy Word (.doc) files have no usable structure; the body is one segment
+   */
+  static async extractDocText(buffer) {
+    const document = await new WordExtractor().extract(buffer);
+    return { segments: [{ text: document.getBody() }] };
+  }
+
+  /**
+   * CSV rows as `column: value` lines, one segment per numbered row
+   */
+  static extractCsvText(buffer) {
+    return new Promise((resolve, reject) => {
+      const rows = [];
+
+      Readable.from([buffer])
+        .pipe(csvParser())
+        .on('data', (row) => rows.push(row))
+        .on('error', reject)
+        .on('end', () => {
+          const segments = rows.map((row, i) => ({
+            row: i + 1,
+            text: Object.entries(row)
+              .filter(([, value]) => value !== '')
+              .map(([column, value]) => `${column}: ${value}`)
+              .join(', '),
+          }));
+
+          resolve({ segments });
+        });
+    });
+  }
+
+  /**
+   * Create text chunks with the knowledge base's chunking settings. Chunks keep
+   * the page, section or rows they came from.
+   */
+  static createTextChunks(segments, chunking = {}) {
+    return chunkSegments(typeof segments === 'string' ? [{ text: segments }] : segments, chunking);
   }
 
   /**
@@ -375,8 +812,12 @@ class KnowledgeBaseService {
         throw new AuthorizationError('Insufficient permissions to update this knowledge base');
       }
 
-      // Update knowledge base
-      Object.assign(knowledgeBase, updateData);
+      // Update knowledge base; chunking settings are merged so a partial update keeps the rest
+      const { chunking, ...fields } = updateData;
+      Object.assign(knowledgeBase, fields);
+      if (chunking) {
+        knowledgeBase.set('chunking', chunking, { merge: true });
+      }
       await knowledgeBase.save();
 
       // Create audit log
@@ -416,10 +857,14 @@ class KnowledgeBaseService {
         throw new AuthorizationError('Insufficient permissions to delete this knowledge base');
       }
 
-      // Soft delete
+      // Soft delete; the stored files themselves are removed
       knowledgeBase.deletedAt = new Date();
       knowledgeBase.isActive = false;
       await knowledgeBase.save();
+      await StorageService.remove(
+        knowledgeBase.kb_files.map((file) => ({ key: file.path, size: file.size })),
+        organizationId
+      );
 
       // Create audit log
       await AuditLog.createLog({
@@ -444,7 +889,7 @@ class KnowledgeBaseService {
   /**
    * Add files to existing knowledge base
    */
-  static async addFiles(kbId, files, userId, organizationId, userRole) {
+  static async addFiles(kbId, files, userId, organizationId, userRole, options = {}) {
     try {
       const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
 
@@ -459,11 +904,11 @@ class KnowledgeBaseService {
       }
 
       // Process and add files
-      await this.processFiles(knowledgeBase, files);
+      await this.processFiles(knowledgeBase, files, options.tags);
       await knowledgeBase.save();
 
       // Start background processing
-      this.startBackgroundProcessing(knowledgeBase._id);
+      await this.startBackgroundProcessing(knowledgeBase._id);
 
       logger.info('Files added to knowledge base:', {
         kbId: knowledgeBase._id,
@@ -479,17 +924,347 @@ class KnowledgeBaseService {
   }
 
   /**
-   * Search knowledge base
+   * Re-extract and re-chunk every file of a knowledge base, optionally with new
+   * chunking settings
+   */
+  static async rechunkKnowledgeBase(kbId, chunking, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
+
+      // Check permissions
+      const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+        resourceOwnerId: knowledgeBase.createdBy,
+        userId,
+      });
+
+      if (!hasPermission) {
+        throw new AuthorizationError('Insufficient permissions to update this knowledge base');
+      }
+
+      if (!knowledgeBase.kb_files.length) {
+        throw new ValidationError('Knowledge base has no files to re-chunk');
+      }
+
+      if (knowledgeBase.status === 'processing') {
+        throw new ConflictError('Knowledge base files are already being processed');
+      }
+
+      if (chunking) {
+        knowledgeBase.set('chunking', chunking, { merge: true });
+      }
+      knowledgeBase.resetFiles();
+      await knowledgeBase.save();
+
+      // Start background processing
+      await this.startBackgroundProcessing(knowledgeBase._id);
+
+      logger.info('Knowledge base re-chunking started:', {
+        kbId: knowledgeBase._id,
+        strategy: knowledgeBase.chunking.strategy,
+        fileCount: knowledgeBase.kb_files.length,
+        startedBy: userId,
+      });
+
+      return knowledgeBase;
+    } catch (error) {
+      logger.error('Failed to re-chunk knowledge base:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a web page, sitemap or site to crawl into the knowledge base
+   */
+  static async addWebSource(kbId, sourceData, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getEditableKnowledgeBase(
+        kbId,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      if (knowledgeBase.web_sources.length >= CRAWL_LIMITS.MAX_SOURCES) {
+        throw new ValidationError(
+          `A knowledge base can have at most ${CRAWL_LIMITS.MAX_SOURCES} web sources`
+        );
+      }
+      if (knowledgeBase.web_sources.some((source) => source.url === sourceData.url)) {
+        throw new ConflictError('This URL is already a source of the knowledge base');
+      }
+      await CrawlerService.assertPublicUrl(sourceData.url);
+
+      knowledgeBase.web_sources.push(sourceData);
+      const source = knowledgeBase.web_sources[knowledgeBase.web_sources.length - 1];
+      knowledgeBase.status = 'processing';
+      await knowledgeBase.save();
+
+      await this.startCrawl(knowledgeBase._id, source._id);
+
+      logger.info('Web source added to knowledge base:', {
+        kbId: knowledgeBase._id,
+        url: source.url,
+        type: source.type,
+        addedBy: userId,
+      });
+
+      return source;
+    } catch (error) {
+      logger.error('Failed to add web source:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Crawl a web source again now instead of waiting for its schedule
    */
-  static async searchKnowledgeBase(kbId, query, limit, userId, organizationId, userRole) {
+  static async recrawlWebSource(kbId, sourceId, userId, organizationId, userRole) {
     try {
+      const knowledgeBase = await this.getEditableKnowledgeBase(
+        kbId,
+        userId,
+        organizationId,
+        userRole
+      );
+      const source = knowledgeBase.web_sources.id(sourceId);
+      if (!source) {
+        throw new NotFoundError('Web source');
+      }
+      if (source.status === 'crawling') {
+        throw new ConflictError('This web source is already being crawled');
+      }
+
+      source.status = 'pending';
+      await knowledgeBase.save();
+      await this.startCrawl(knowledgeBase._id, source._id);
+
+      return source;
+    } catch (error) {
+      logger.error('Failed to recrawl web source:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a web source along with the pages crawled from it
+   */
+  static async removeWebSource(kbId, sourceId, userId, organizationId, userRole) {
+    try {
+      const knowledgeBase = await this.getEditableKnowledgeBase(
+        kbId,
+        userId,
+        organizationId,
+        userRole
+      );
+      const source = knowledgeBase.web_sources.id(sourceId);
+      if (!source) {
+        throw new NotFoundError('Web source');
+      }
+
+      const pages = knowledgeBase.kb_files.filter((file) => source._id.equals(file.sourceId));
+      await this.removeWebPages(knowledgeBase, pages);
+      source.deleteOne();
+      knowledgeBase.refreshStatus();
+      await knowledgeBase.save();
+
+      logger.info('Web source removed from knowledge base:', {
+        kbId: knowledgeBase._id,
+        url: source.url,
+        pages: pages.length,
+        removedBy: userId,
+      });
+
+      return { success: true };
+    } catch (error) {
+      logger.error('Failed to remove web source:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Knowledge base the user may change
+   */
+  static async getEditableKnowledgeBase(kbId, userId, organizationId, userRole) {
+    const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
+
+    const hasPermission = PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_UPDATE, {
+      resourceOwnerId: knowledgeBase.createdBy,
+      userId,
+    });
+
+    if (!hasPermission) {
+      throw new AuthorizationError('Insufficient permissions to update this knowledge base');
+    }
+
+    return knowledgeBase;
+  }
+
+  /**
+   * Queue a web source to be crawled by a worker
+   */
+  static async startCrawl(kbId, sourceId) {
+    try {
+      await queueWebSourceCrawl(kbId, sourceId);
+    } catch (error) {
+      logger.error('Failed to queue web source crawl:', error);
+    }
+  }
+
+  /**
+   * Crawl a web source and store its pages as knowledge base files. New and
+   * changed pages are queued for processing; pages that are gone are removed.
+   * A crawl that fails is recorded on the source and retried at its next recrawl.
+   */
+  static async crawlWebSource(kbId, sourceId) {
+    const knowledgeBase = await KnowledgeBase.findById(kbId);
+    const source = knowledgeBase?.web_sources.id(sourceId);
+    if (!source || !knowledgeBase.isActive) return;
+
+    source.status = 'crawling';
+    source.error = undefined;
+    await knowledgeBase.save();
+
+    try {
+      const { pages, skipped, failed } = await CrawlerService.crawl(source);
+      if (!pages.length) {
+        throw new Error(
+          failed[0]?.error ||
+            (skipped.length
+              ? 'Every page was excluded by robots.txt or domain limits'
+              : 'No pages found')
+        );
+      }
+
+      await this.storeWebPages(knowledgeBase, source, pages, failed);
+      source.status = 'crawled';
+      source.pageCount = pages.length;
+      source.skippedCount = skipped.length;
+    } catch (error) {
+      logger.error('Failed to crawl web source:', { kbId, url: source.url, error: error.message });
+      source.status = 'error';
+      source.error = error.message;
+    }
+
+    const intervalHours = source.recrawlIntervalHours ?? CRAWL_LIMITS.DEFAULT_RECRAWL_HOURS;
+    source.lastCrawledAt = new Date();
+    source.nextCrawlAt = intervalHours
+      ? new Date(Date.now() + intervalHours * 60 * 60 * 1000)
+      : undefined;
+    knowledgeBase.refreshStatus();
+    await knowledgeBase.save();
+
+    if (knowledgeBase.getPendingFiles().length) {
+      await this.startBackgroundProcessing(knowledgeBase._id);
+    }
+  }
+
+  /**
+   * Save crawled pages as HTML files of the knowledge base, leaving unchanged
+   * pages and those that only failed to load this time as they are
+   */
+  static async storeWebPages(knowledgeBase, source, pages, failed) {
+    const existing = new Map(
+      knowledgeBase.kb_files
+        .filter((file) => source._id.equals(file.sourceId))
+        .map((file) => [file.url, file])
+    );
+
+    await Promise.mapSeries(pages, async (page) => {
+      const file = existing.get(page.url);
+      existing.delete(page.url);
+
+      const contentHash = crypto.createHash('sha256').update(page.body).digest('hex');
+      if (file?.contentHash === contentHash) return;
+
+      const urlHash = crypto.createHash('sha1').update(page.url).digest('hex');
+      const { organizationId } = knowledgeBase;
+      // A changed page replaces its previous version under the same key
+      const { key, size } = await StorageService.upload(
+        `kb/${organizationId}/${knowledgeBase._id}/web/${urlHash}.html`,
+        page.body,
+        { organizationId, contentType: 'text/html', replacesSize: file?.size }
+      );
+
+      const fileInfo = {
+        filename: `${urlHash}.html`,
+        originalName: page.title || page.url,
+        path: key,
+        mimetype: 'text/html',
+        size,
+        sourceId: source._id,
+        url: page.url,
+        contentHash,
+        processed: false,
+        status: 'pending',
+        error: undefined,
+        attempts: 0,
+      };
+
+      if (file) {
+        file.set(fileInfo);
+      } else {
+        knowledgeBase.kb_files.push(fileInfo);
+      }
+    });
+
+    const failedUrls = new Set(failed.map((page) => page.url));
+    await this.removeWebPages(
+      knowledgeBase,
+      [...existing.values()].filter((file) => !failedUrls.has(file.url))
+    );
+  }
+
+  /**
+   * Remove crawled pages from a knowledge base and from storage
+   */
+  static async removeWebPages(knowledgeBase, files) {
+    await StorageService.remove(
+      files.map((file) => ({ key: file.path, size: file.size })),
+      knowledgeBase.organizationId
+    );
+    files.forEach((file) => knowledgeBase.kb_files.pull(file._id));
+    knowledgeBase.recalculateTotals();
+  }
+
+  /**
+   * Queue a crawl of every web source whose recrawl is due
+   */
+  static async queueDueRecrawls() {
+    const now = new Date();
+    const knowledgeBases = await KnowledgeBase.find({
+      isActive: true,
+      'web_sources.nextCrawlAt': { $lte: now },
+    }).select('web_sources');
+
+    const due = knowledgeBases.flatMap((kb) =>
+      kb.web_sources
+        .filter((source) => source.nextCrawlAt <= now && source.status !== 'crawling')
+        .map((source) => [kb._id, source._id])
+    );
+    await Promise.mapSeries(due, ([kbId, sourceId]) => this.startCrawl(kbId, sourceId));
+
+    logger.info('Web source recrawls queued:', { count: due.length });
+    return due.length;
+  }
+
+  /**
+   * Search knowledge base chunks by keyword and meaning, optionally limited to
+   * some files, file tags or mimetypes
+   */
+  static async searchKnowledgeBase(kbId, searchData, userId, organizationId, userRole) {
+    try {
+      const { query, limit = 10, ...filters } = searchData;
       const knowledgeBase = await this.getKnowledgeBaseById(kbId, userId, organizationId, userRole);
 
       // Increment usage
       await knowledgeBase.incrementUsage();
 
-      // Perform search
-      const results = knowledgeBase.search(query, limit);
+      const results = this.hybridSearch(
+        knowledgeBase.getSearchableChunks(filters),
+        query,
+        await this.embedQuery(knowledgeBase, query),
+        limit
+      );
 
       logger.info('Knowledge base searched:', {
         kbId,
@@ -504,6 +1279,259 @@ class KnowledgeBaseService {
       throw error;
     }
   }
+
+  /**
+   * The query embedded with the model the knowledge base's chunks were embedded
+   * with. Null when they have none or the provider fails, leaving keyword search.
+   */
+  static async embedQuery(knowledgeBase, query) {
+    if (!knowledgeBase.embeddingModel?.model) return null;
+
+    const { provider, model, dimensions } = knowledgeBase.embeddingModel;
+    try {
+      const { embeddings } = await LLMService.embed([query], { provider, model, dimensions });
+      return embeddings[0];
+    } catch (error) {
+      logger.warn('Query embedding failed, searching by keyword only:', {
+        kbId: knowledgeBase.id,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Rank chunks by fusing their BM25 and cosine rankings, each result carrying
+   * a highlighted snippet instead of the whole chunk
+   */
+  static hybridSearch(chunks, query, queryEmbedding, limit = 10) {
+    const keywordScores = this.scoreKeywords(this.buildKeywordIndex(chunks), query);
+    const semanticScores = this.scoreEmbeddings(chunks, queryEmbedding);
+    const round = (score) => (score === undefined ? null : Number(score.toFixed(4)));
+
+    return [...this.fuseRankings([keywordScores, semanticScores]).entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit)
+      .map(([position, score]) => {
+        const { fileId, filename, mimetype, chunkIndex, page, section, content } = chunks[position];
+        return {
+          fileId,
+          filename,
+          mimetype,
+          chunkIndex,
+          page,
+          section,
+          ...this.buildSnippet(content, query),
+          score: round(score),
+          keywordScore: round(keywordScores.get(position)),
+          semanticScore: round(semanticScores.get(position)),
+        };
+      });
+  }
+
+  /**
+   * Inverted index of chunk terms: term -> Map(chunk position -> occurrences)
+   */
+  static buildKeywordIndex(chunks) {
+    const postings = new Map();
+    const lengths = chunks.map((chunk, position) => {
+      const terms = keywordTerms(chunk.content);
+      terms.forEach((term) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const counts = postings.get(term);
+        counts.set(position, (counts.get(position) || 0) + 1);
+      });
+      return terms.length;
+    });
+    const averageLength = lengths.reduce((sum, length) => sum + length, 0) / (lengths.length || 1);
+
+    return { postings, lengths, averageLength, size: chunks.length };
+  }
+
+  /**
+   * BM25 score of every chunk position that contains a query term
+   */
+  static scoreKeywords(index, query) {
+    const { BM25_K1: k1, BM25_B: b } = HYBRID_SEARCH;
+    const scores = new Map();
+
+    new Set(keywordTerms(query)).forEach((term) => {
+      const counts = index.postings.get(term);
+      if (!counts) return;
+
+      const idf = Math.log(1 + (index.size - counts.size + 0.5) / (counts.size + 0.5));
+      counts.forEach((count, position) => {
+        const relativeLength = index.lengths[position] / (index.averageLength || 1);
+        const saturation = (count * (k1 + 1)) / (count + k1 * (1 - b + b * relativeLength));
+        scores.set(position, (scores.get(position) || 0) + idf * saturation);
+      });
+    });
+
+    return scores;
+  }
+
+  /**
+   * Cosine score of every chunk position embedded like the query and pointing
+   * the same way
+   */
+  static scoreEmbeddings(chunks, queryEmbedding) {
+    const scores = new Map();
+    if (!queryEmbedding) return scores;
+
+    chunks.forEach((chunk, position) => {
+      if (chunk.embedding?.length !== queryEmbedding.length) return;
+      const score = cosineSimilarity(queryEmbedding, chunk.embedding);
+      if (score > 0) scores.set(position, score);
+    });
+
+    return scores;
+  }
+
+  /**
+   * Reciprocal rank fusion: every ranking adds 1 / (k + rank) to each position it
+   * ranks, so raw BM25 and cosine scores never need to be compared
+   */
+  static fuseRankings(rankings) {
+    const fused = new Map();
+
+    rankings.forEach((scores) => {
+      [...scores.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .forEach(([position], rank) => {
+          fused.set(position, (fused.get(position) || 0) + 1 / (HYBRID_SEARCH.RRF_K + rank + 1));
+        });
+    });
+
+    return fused;
+  }
+
+  /**
+   * Part of a chunk around its first query match, with the character offsets of
+   * each matched word in it for highlighting
+   */
+  static buildSnippet(content, query) {
+    const { SNIPPET_LENGTH } = HYBRID_SEARCH;
+    const terms = new Set(tokenize(query));
+    const words = [...content.matchAll(/[\p{L}\p{N}]+/gu)];
+    const matches = words.filter((word) => terms.has(word[0].toLowerCase()));
+
+    // Some context before the first match, starting on a word
+    let start = 0;
+    const contextStart = matches.length ? matches[0].index - SNIPPET_LENGTH / 4 : 0;
+    if (contextStart > 0) {
+      start = words.find((word) => word.index >= contextStart).index;
+    }
+
+    let end = Math.min(content.length, start + SNIPPET_LENGTH);
+    const lastSpace = content.lastIndexOf(' ', end);
+    if (end < content.length && lastSpace > start) end = lastSpace;
+
+    const prefix = start > 0 ? '…' : '';
+    const offset = prefix.length - start;
+
+    return {
+      snippet: `${prefix}${content.slice(start, end).trimEnd()}${end < content.length ? '…' : ''}`,
+      highlights: matches
+        .filter((word) => word.index >= start && word.index + word[0].length <= end)
+        .map((word) => ({ start: word.index + offset, end: word.index + word[0].length + offset })),
+    };
+  }
+
+  /**
+   * Most relevant chunks of an agent's linked knowledge bases for a query, found by
+   * hybrid search and numbered for citation. Each knowledge base that contributes a
+   * chunk counts as used unless `trackUsage` is false.
+   */
+  static async retrieveForAgent(agent, query, options = {}) {
+    const { limit = RETRIEVAL_LIMITS.MAX_SOURCES, trackUsage = true } = options;
+    const knowledgeBaseIds = agent.getLinkedKnowledgeBaseIds();
+    if (!knowledgeBaseIds.length) return [];
+
+    const knowledgeBases = await KnowledgeBase.find({
+      _id: { $in: knowledgeBaseIds },
+      organizationId: agent.organizationId,
+      isActive: true,
+      deletedAt: null,
+    }).select('-kb_files.extractedText');
+
+    // Each knowledge base is searched with a query embedded by its own model
+    const results = await Promise.map(knowledgeBases, async (kb) => {
+      const chunks = kb.getSearchableChunks();
+      const contents = new Map(
+        chunks.map((chunk) => [`${chunk.fileId}:${chunk.chunkIndex}`, chunk.content])
+      );
+      const matches = this.hybridSearch(chunks, query, await this.embedQuery(kb, query), limit);
+
+      return matches.map(({ fileId, filename, chunkIndex, page, section, score }) => ({
+        knowledgeBaseId: kb.id,
+        knowledgeBaseName: kb.kb_name,
+        fileId,
+        filename,
+        chunkIndex,
+        page,
+        section,
+        content: contents.get(`${fileId}:${chunkIndex}`),
+        score,
+      }));
+    });
+
+    const sources = this.fitContextBudget(
+      results
+        .flat()
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit)
+    );
+
+    if (!trackUsage) return sources;
+
+    const usedIds = new Set(sources.map((source) => source.knowledgeBaseId));
+    await Promise.all(
+      knowledgeBases.filter((kb) => usedIds.has(kb.id)).map((kb) => kb.incrementUsage())
+    );
+
+    return sources;
+  }
+
+  /**
+   * Keep the best ranked chunks that fit the prompt budget, numbered for citation.
+   * The best chunk is always kept, truncated if needed.
+   */
+  static fitContextBudget(ranked) {
+    let budget = RETRIEVAL_LIMITS.MAX_CONTEXT_CHARS;
+    return ranked
+      .filter((chunk, position) => {
+        if (position > 0 && chunk.content.length > budget) return false;
+        budget -= chunk.content.length;
+        return true;
+      })
+      .map((chunk, position) => ({
+        ...chunk,
+        index: position + 1,
+        content: chunk.content.slice(0, RETRIEVAL_LIMITS.MAX_CONTEXT_CHARS),
+      }));
+  }
+
+  /**
+   * Prompt section listing retrieved chunks by citation number
+   */
+  static formatContext(sources) {
+    if (!sources.length) return '';
+
+    const excerpts = sources
+      .map((source) => {
+        const location = [source.filename, source.page && `p. ${source.page}`, source.section]
+          .filter(Boolean)
+          .join(', ');
+        return `[${source.index}] ${location} (${source.knowledgeBaseName})\n${source.content}`;
+      })
+      .join('\n\n');
+
+    return (
+      `\n\nKnowledge base excerpts:\n\n${excerpts}\n\n` +
+      'Answer from these excerpts when they are relevant and cite the ones you use by ' +
+      'number, e.g. [1]. Do not cite excerpts you did not use.'
+    );
+  }
 }
 
 module.exports = KnowledgeBaseService;
@@ -5,6 +5,9 @@ const { v4: uuidv4 } = require('uuid');
 const config = require('../config');
 const logger = require('../config/logger');
 const { ExternalServiceError } = require('../utils/errors');
+const Agent = require('../models/Agent');
+const AgentVersion = require('../models/AgentVersion');
+const ExperimentService = require('./experiment.service');
 
 let AgentDispatchClient;
 try {
@@ -42,6 +45,8 @@ class LiveKitService {
         enableVideo = false,
         enableAudio = true,
         agentName = null, // Custom agent name for dispatch
+        agentVersion = null, // Published agent version the call runs against
+        variables = {}, // Per-call values for the instruction template, e.g. callerName
         agentMetadata = {},
       } = options;
 
@@ -55,6 +60,7 @@ class LiveKitService {
         emptyTimeout: 300, // 5 minutes
         metadata: JSON.stringify({
           agentId,
+          agentVersion,
           organizationId,
           callType: 'web',
           createdAt: new Date().toISOString(),
@@ -85,7 +91,9 @@ class LiveKitService {
         {
           userId,
           organizationId,
+          agentVersion,
           callType: 'web',
+          variables,
           enableVideo,
           enableAudio,
           ...agentMetadata,
@@ -114,9 +122,11 @@ class LiveKitService {
           id: agentDispatch.id,
           agentName: agentDispatch.agentName,
           status: 'dispatched',
+          experiment: agentDispatch.experiment,
         },
         metadata: {
           agentId,
+          agentVersion,
           enableVideo,
           enableAudio,
           duration: roomDuration,
@@ -129,28 +139,29 @@ class LiveKitService {
   }
 
   /**
-   * Create a voice assistant room for SIP calls
+   * Create a voice assistant room for SIP calls. `roomName` must be unique, e.g.
+   * derived from the call's id; a random one is generated otherwise.
    */
   async createSipCall(agentId, phoneNumber, userId, organizationId, options = {}) {
     try {
       const {
+        roomName = `voice_assistant_sip_${uuidv4()}`,
         participantName = `caller_${phoneNumber}`,
         roomDuration = 1800, // 30 minutes default for SIP
         sipOptions = {},
         agentName = null,
+        agentVersion = null,
+        variables = {},
         agentMetadata = {},
       } = options;
 
-      // Generate unique room name for SIP
-      const roomId = Math.floor(Math.random() * 10000);
-      const roomName = `voice_assistant_sip_${roomId}`;
-
       // Create room for SIP call
       await this.ensureRoomExists(roomName, {
         maxParticipants: 10,
         emptyTimeout: 60, // 1 minute for SIP
         metadata: JSON.stringify({
           agentId,
+          agentVersion,
           organizationId,
           callType: 'sip',
           phoneNumber,
@@ -185,8 +196,10 @@ class LiveKitService {
         {
           userId,
           organizationId,
+          agentVersion,
           callType: 'sip',
           phoneNumber,
+          variables,
           sipConfig,
           ...agentMetadata,
         },
@@ -215,9 +228,11 @@ class LiveKitService {
           id: agentDispatch.id,
           agentName: agentDispatch.agentName,
           status: 'dispatched',
+          experiment: agentDispatch.experiment,
         },
         metadata: {
           agentId,
+          agentVersion,
           phoneNumber,
           duration: roomDuration,
         },
@@ -229,19 +244,48 @@ class LiveKitService {
   }
 
   /**
-   * Dispatch AI agent to room
+   * Dispatch AI agent to room. The metadata carries the agent's instructions rendered
+   * for this call, from the version in `metadata.agentVersion` when the call is pinned
+   * to one, and, when the agent is running an experiment, the caller's variant and its
+   * config overrides.
    */
   async dispatchAgentToRoom(roomName, agentId, metadata = {}, customAgentName = null) {
     try {
       // Determine agent name - use custom name or generate from agentId
       const agentName = customAgentName || `ai-agent-${agentId}`;
 
+      // Callers keep their variant across calls
+      const experiment = await ExperimentService.assignVariant(
+        agentId,
+        metadata.phoneNumber || metadata.userId || roomName
+      );
+
+      // Unpublished edits must not reach calls pinned to a published version
+      let agent = await Agent.findById(agentId);
+      const pinned =
+        agent &&
+        metadata.agentVersion &&
+        (await AgentVersion.findOne({ agentId, version: metadata.agentVersion }));
+      if (pinned) {
+        agent = agent.withSnapshot(pinned.snapshot);
+      }
+      const instructions = agent?.renderInstructions(
+        { callerPhone: metadata.phoneNumber, ...metadata.variables },
+        experiment?.config.instructions
+      );
+
       // Prepare dispatch metadata
       const dispatchMetadata = JSON.stringify({
         agentId,
         roomName,
         timestamp: new Date().toISOString(),
         ...metadata,
+        instructions,
+        ...(experiment && {
+          experimentId: experiment.experimentId,
+          variantKey: experiment.variantKey,
+          configOverrides: experiment.config,
+        }),
       });
 
       // Create dispatch request for the agent to join the room
@@ -249,12 +293,18 @@ class LiveKitService {
         metadata: dispatchMetadata,
       });
 
+      if (experiment) {
+        await ExperimentService.recordOutcome(experiment, { call: true });
+      }
+
+      // The metadata holds the prompt and contact details, so only ids are logged
       logger.info('Agent dispatched to room:', {
         roomName,
         agentName,
         agentId,
+        agentVersion: metadata.agentVersion,
         dispatchId: dispatch.id,
-        metadata: dispatchMetadata,
+        experimentId: experiment?.experimentId,
       });
 
       return {
@@ -264,6 +314,10 @@ class LiveKitService {
         status: 'dispatched',
         createdAt: dispatch.createdAt,
         metadata: dispatchMetadata,
+        experiment: experiment && {
+          experimentId: experiment.experimentId,
+          variantKey: experiment.variantKey,
+        },
       };
     } catch (error) {
       logger.error('Failed to dispatch agent to room:', error);
@@ -1,8 +1,25 @@
+const crypto = require('crypto');
 const OpenAI = require('openai');
 const Anthropic = require('@anthropic-ai/sdk');
 const config = require('../config');
 const { ExternalServiceError } = require('../utils/errors');
 const logger = require('../config/logger');
+const { tokenize } = require('../utils/helpers');
+
+// Inputs per OpenAI embeddings request
+const EMBEDDING_BATCH_SIZE = 100;
+
+/**
+ * OpenAI returns tool arguments as a JSON string that is not guaranteed to be valid
+ */
+const parseToolArguments = (raw) => {
+  try {
+    return JSON.parse(raw || '{}');
+  } catch (error) {
+    logger.warn('Unparseable tool call arguments:', { raw });
+    return {};
+  }
+};
 
 class LLMService {
   constructor() {
@@ -19,7 +36,11 @@ class LLMService {
   }
 
   /**
-   * Chat completion with automatic provider routing
+   * Chat completion with automatic provider routing.
+   *
+   * Optional `tools` ([{ name, description, parameters }]) and `toolChoice`
+   * ('auto' | 'none') enable tool calling; requested calls come back as
+   * `toolCalls: [{ id, name, arguments }]`.
    */
   async chatCompletion(params) {
     try {
@@ -45,17 +66,26 @@ class LLMService {
     try {
       const response = await this.openai.chat.completions.create({
         model: params.model,
-        messages: params.messages,
+        messages: this.toOpenAIMessages(params.messages),
         temperature: params.temperature,
         max_tokens: params.max_tokens,
         top_p: params.top_p,
         frequency_penalty: params.frequency_penalty,
         presence_penalty: params.presence_penalty,
+        tools: this.toOpenAITools(params.tools),
+        tool_choice: params.tools?.length ? params.toolChoice : undefined,
         stream: false
       });
 
+      const { message } = response.choices[0];
+
       return {
-        content: response.choices[0].message.content,
+        content: message.content || '',
+        toolCalls: (message.tool_calls || []).map((call) => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: parseToolArguments(call.function.arguments),
+        })),
         usage: response.usage,
         model: response.model,
         provider: 'openai'
@@ -71,20 +101,27 @@ class LLMService {
    */
   async anthropicChatCompletion(params) {
     try {
-      // Convert OpenAI format to Anthropic format
-      const systemMessage = params.messages.find(m => m.role === 'system');
-      const userMessages = params.messages.filter(m => m.role !== 'system');
+      const { system, messages } = this.toAnthropicMessages(params.messages);
 
       const response = await this.anthropic.messages.create({
         model: params.model,
         max_tokens: params.max_tokens || 1000,
         temperature: params.temperature,
-        system: systemMessage?.content,
-        messages: userMessages
+        system,
+        messages,
+        tools: this.toAnthropicTools(params.tools),
+        tool_choice:
+          params.tools?.length && params.toolChoice ? { type: params.toolChoice } : undefined,
       });
 
       return {
-        content: response.content[0].text,
+        content: response.content
+          .filter((block) => block.type === 'text')
+          .map((block) => block.text)
+          .join(''),
+        toolCalls: response.content
+          .filter((block) => block.type === 'tool_use')
+          .map((block) => ({ id: block.id, name: block.name, arguments: block.input })),
         usage: {
           prompt_tokens: response.usage.input_tokens,
           completion_tokens: response.usage.output_tokens,
@@ -99,6 +136,319 @@ class LLMService {
     }
   }
 
+  /**
+   * Streaming chat completion with automatic provider routing.
+   *
+   * Yields provider-agnostic events:
+   *   { type: 'delta', content }                           - next chunk of text
+   *   { type: 'done', content, usage, model, provider }    - once, after the last chunk
+   */
+  async *streamChatCompletion(params) {
+    const { model, messages, ...options } = params;
+
+    if (model.startsWith('gpt-')) {
+      yield* this.openaiStreamChatCompletion({ model, messages, ...options });
+    } else if (model.startsWith('claude-')) {
+      yield* this.anthropicStreamChatCompletion({ model, messages, ...options });
+    } else {
+      throw new ExternalServiceError('LLM', `Unsupported model: ${model}`);
+    }
+  }
+
+  /**
+   * OpenAI streaming chat completion
+   */
+  async *openaiStreamChatCompletion(params) {
+    let content = '';
+    let usage = null;
+    let { model } = params;
+
+    try {
+      const stream = await this.openai.chat.completions.create({
+        model: params.model,
+        messages: this.toOpenAIMessages(params.messages),
+        temperature: params.temperature,
+        max_tokens: params.max_tokens,
+        top_p: params.top_p,
+        frequency_penalty: params.frequency_penalty,
+        presence_penalty: params.presence_penalty,
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const chunk of stream) {
+        model = chunk.model || model;
+        // The final chunk carries usage and no choices
+        if (chunk.usage) {
+          usage = chunk.usage;
+        }
+
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          content += delta;
+          yield { type: 'delta', content: delta };
+        }
+      }
+    } catch (error) {
+      logger.error('OpenAI streaming API error:', error);
+      throw new ExternalServiceError('OpenAI', error.message);
+    }
+
+    yield { type: 'done', content, usage, model, provider: 'openai' };
+  }
+
+  /**
+   * Anthropic streaming chat completion
+   */
+  async *anthropicStreamChatCompletion(params) {
+    let content = '';
+    let inputTokens = 0;
+    let outputTokens = 0;
+    let { model } = params;
+
+    try {
+      const { system, messages } = this.toAnthropicMessages(params.messages);
+
+      const stream = await this.anthropic.messages.create({
+        model: params.model,
+        max_tokens: params.max_tokens || 1000,
+        temperature: params.temperature,
+        system,
+        messages,
+        stream: true,
+      });
+
+      // eslint-disable-next-line no-restricted-syntax
+      for await (const event of stream) {
+        if (event.type === 'message_start') {
+          model = event.message.model;
+          inputTokens = event.message.usage.input_tokens;
+        } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          content += event.delta.text;
+          yield { type: 'delta', content: event.delta.text };
+        } else if (event.type === 'message_delta') {
+          outputTokens = event.usage.output_tokens;
+        }
+      }
+    } catch (error) {
+      logger.error('Anthropic streaming API error:', error);
+      throw new ExternalServiceError('Anthropic', error.message);
+    }
+
+    yield {
+      type: 'done',
+      content,
+      usage: {
+        prompt_tokens: inputTokens,
+        completion_tokens: outputTokens,
+        total_tokens: inputTokens + outputTokens,
+      },
+      model,
+      provider: 'anthropic',
+    };
+  }
+
+  /**
+   * Convert normalized messages to OpenAI's format.
+   *
+   * Tool turns are normalized as an assistant message with
+   * tool_calls: [{ id, name, arguments }] followed by one
+   * { role: 'tool', tool_call_id, content } message per call.
+   */
+  toOpenAIMessages(messages) {
+    return messages.map((message) => {
+      if (message.role === 'assistant' && message.tool_calls?.length) {
+        return {
+          role: 'assistant',
+          content: message.content || null,
+          tool_calls: message.tool_calls.map((call) => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: JSON.stringify(call.arguments) },
+          })),
+        };
+      }
+
+      if (message.role === 'tool') {
+        return { role: 'tool', tool_call_id: message.tool_call_id, content: message.content };
+      }
+
+      return message;
+    });
+  }
+
+  /**
+   * Convert normalized messages to Anthropic's system + messages format
+   */
+  toAnthropicMessages(messages) {
+    const systemMessage = messages.find((m) => m.role === 'system');
+    const converted = [];
+
+    messages
+      .filter((m) => m.role !== 'system')
+      .forEach((message) => {
+        if (message.role === 'tool') {
+          const block = {
+            type: 'tool_result',
+            tool_use_id: message.tool_call_id,
+            content: message.content,
+          };
+          const previous = converted[converted.length - 1];
+
+          // All results for one assistant turn go back in a single user message
+          if (previous?.role === 'user' && Array.isArray(previous.content)) {
+            previous.content.push(block);
+          } else {
+            converted.push({ role: 'user', content: [block] });
+          }
+        } else if (message.role === 'assistant' && message.tool_calls?.length) {
+          converted.push({
+            role: 'assistant',
+            content: [
+              ...(message.content ? [{ type: 'text', text: message.content }] : []),
+              ...message.tool_calls.map((call) => ({
+                type: 'tool_use',
+                id: call.id,
+                name: call.name,
+                input: call.arguments,
+              })),
+            ],
+          });
+        } else {
+          converted.push({ role: message.role, content: message.content });
+        }
+      });
+
+    return {
+      system: systemMessage?.content,
+      messages: converted,
+    };
+  }
+
+  /**
+   * Convert { name, description, parameters } tool definitions to OpenAI tools
+   */
+  toOpenAITools(tools) {
+    if (!tools?.length) {
+      return undefined;
+    }
+
+    return tools.map((tool) => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      },
+    }));
+  }
+
+  /**
+   * Convert { name, description, parameters } tool definitions to Anthropic tools
+   */
+  toAnthropicTools(tools) {
+    if (!tools?.length) {
+      return undefined;
+    }
+
+    return tools.map((tool) => ({
+      name: tool.name,
+      description: tool.description,
+      input_schema: tool.parameters,
+    }));
+  }
+
+  /**
+   * Embed texts with the configured provider, or the `provider`, `model` and
+   * `dimensions` given. Returns one vector per text, in order, along with the
+   * provider and model that produced them so queries can be embedded the same way.
+   */
+  async embed(texts, options = {}) {
+    const {
+      provider = config.embeddings.provider,
+      model = config.embeddings.model,
+      dimensions = config.embeddings.dimensions,
+    } = options;
+
+    try {
+      if (provider === 'openai') {
+        return await this.openaiEmbed(texts, { model, dimensions });
+      }
+      if (provider === 'local') {
+        return this.localEmbed(texts, { dimensions });
+      }
+      throw new ExternalServiceError('Embeddings', `Unsupported embedding provider: ${provider}`);
+    } catch (error) {
+      logger.error('Embedding failed:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * OpenAI embeddings, batched
+   */
+  async openaiEmbed(texts, { model, dimensions }) {
+    const embeddings = [];
+    let totalTokens = 0;
+
+    try {
+      for (let start = 0; start < texts.length; start += EMBEDDING_BATCH_SIZE) {
+        // eslint-disable-next-line no-await-in-loop
+        const response = await this.openai.embeddings.create({
+          model,
+          dimensions,
+          input: texts.slice(start, start + EMBEDDING_BATCH_SIZE),
+        });
+
+        response.data
+          .sort((a, b) => a.index - b.index)
+          .forEach((item) => embeddings.push(item.embedding));
+        totalTokens += response.usage?.total_tokens || 0;
+      }
+    } catch (error) {
+      logger.error('OpenAI embeddings API error:', error);
+      throw new ExternalServiceError('OpenAI', error.message);
+    }
+
+    return {
+      embeddings,
+      provider: 'openai',
+      model,
+      dimensions,
+      usage: { total_tokens: totalTokens },
+    };
+  }
+
+  /**
+   * Deterministic embeddings without an API: words and word pairs are hashed into
+   * a fixed number of signed buckets and the vector is normalized. Texts sharing
+   * vocabulary score close; there is no notion of synonyms.
+   */
+  localEmbed(texts, { dimensions }) {
+    const embeddings = texts.map((text) => {
+      const vector = new Array(dimensions).fill(0);
+      const terms = tokenize(text);
+      const features = [...terms, ...terms.slice(1).map((term, i) => `${terms[i]} ${term}`)];
+
+      features.forEach((feature) => {
+        const hash = crypto.createHash('md5').update(feature).digest();
+        vector[hash.readUInt32BE(0) % dimensions] += hash[4] % 2 ? 1 : -1;
+      });
+
+      const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0)) || 1;
+      return vector.map((value) => value / norm);
+    });
+
+    return {
+      embeddings,
+      provider: 'local',
+      model: 'local-hashing',
+      dimensions,
+      usage: { total_tokens: 0 },
+    };
+  }
+
   /**
    * Get available models
    */
@@ -2,6 +2,7 @@ const { clerkClient } = require('@clerk/clerk-sdk-node');
 const Organization = require('../models/Organization');
 const AuditLog = require('../models/AuditLog');
 const PermissionService = require('./permission.service');
+const StorageService = require('./storage.service');
 const {
   NotFoundError,
   AuthorizationError,
@@ -9,6 +10,7 @@ const {
   PaymentRequiredError,
 } = require('../utils/errors');
 const { AUDIT_ACTIONS } = require('../utils/constants');
+const { formatBytes } = require('../utils/helpers');
 const config = require('../config');
 const logger = require('../config/logger');
 
@@ -273,10 +275,23 @@ class OrganizationService {
         throw new NotFoundError('Organization');
       }
 
+      const storage = organization.checkStorage();
+      const breakdown = await StorageService.getUsageBreakdown(organizationId);
+
       return {
         current: organization.usage,
         limits: organization.limits,
         plan: organization.plan,
+        storage: {
+          used: storage.current,
+          limit: storage.limit,
+          remaining: storage.remaining,
+          formatted: {
+            used: formatBytes(storage.current),
+            limit: storage.limit === -1 ? 'unlimited' : formatBytes(storage.limit),
+          },
+          breakdown,
+        },
         utilization: {
           agents:
             organization.limits.maxAgents === -1
@@ -290,6 +305,7 @@ class OrganizationService {
             organization.limits.apiCallsPerMonth === -1
               ? 0
               : (organization.usage.apiCallsThisMonth / organization.limits.apiCallsPerMonth) * 100,
+          storage: storage.limit === -1 ? 0 : (storage.current / storage.limit) * 100,
         },
       };
     } catch (error) {
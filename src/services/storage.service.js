@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const path = require('path');
+const Promise = require('bluebird');
+const Organization = require('../models/Organization');
+const KnowledgeBase = require('../models/KnowledgeBase');
+const Campaign = require('../models/Campaign');
+const User = require('../models/User');
+const LocalDriver = require('./storage/local.driver');
+const S3Driver = require('./storage/s3.driver');
+const config = require('../config');
+const { NotFoundError, PaymentRequiredError } = require('../utils/errors');
+const logger = require('../config/logger');
+
+const DRIVERS = { local: LocalDriver, s3: S3Driver };
+
+let driver;
+
+class StorageService {
+  /**
+   * A storage driver: `local` or `s3`
+   */
+  static createDriver(name, options) {
+    const Driver = DRIVERS[name];
+    if (!Driver) throw new Error(`Unknown storage driver: ${name}`);
+    return new Driver(options);
+  }
+
+  /**
+   * The configured driver, created on first use
+   */
+  static getDriver() {
+    if (!driver) {
+      const { driver: name, localRoot, publicUrl, s3 } = config.storage;
+      driver = this.createDriver(
+        name,
+        name === 's3' ? s3 : { root: localRoot, publicUrl, secret: config.app.jwtSecret }
+      );
+    }
+    return driver;
+  }
+
+  static setDriver(replacement) {
+    driver = replacement;
+  }
+
+  /**
+   * Storage key for an uploaded file: the given prefix and a timestamped, sanitized name
+   */
+  static buildKey(prefix, filename) {
+    const name = path.basename(filename).replace(/[^\w.-]+/g, '_');
+    return `${prefix}/${Date.now()}-${crypto.randomBytes(4).toString('hex')}-${name}`;
+  }
+
+  /**
+   * Store a file and count its size towards the organization's storage usage,
+   * rejecting it when it would exceed the plan's storage limit. `replacesSize`
+   * is the size of an earlier version stored under the same key.
+   */
+  static async upload(key, buffer, { organizationId, contentType, replacesSize = 0 } = {}) {
+    try {
+      const bytes = buffer.length - replacesSize;
+      if (organizationId) {
+        await this.reserve(organizationId, bytes);
+      }
+
+      try {
+        await this.getDriver().put(key, buffer, contentType);
+      } catch (error) {
+        if (organizationId) {
+          await this.trackUsage(organizationId, -bytes);
+        }
+        throw error;
+      }
+
+      logger.info('File stored:', { key, size: buffer.length, driver: this.getDriver().name });
+      return { key, size: buffer.length };
+    } catch (error) {
+      logger.error('Failed to store file:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Contents of a stored file
+   */
+  static async download(key) {
+    return this.getDriver().get(key);
+  }
+
+  /**
+   * Delete stored files ({ key, size }) and release their storage usage.
+   * A file that cannot be deleted is logged and keeps counting towards usage.
+   */
+  static async remove(files, organizationId) {
+    const removed = await Promise.map(
+      files.filter((file) => file.key),
+      async (file) => {
+        try {
+          await this.getDriver().delete(file.key);
+          return file.size || 0;
+        } catch (error) {
+          logger.error('Failed to delete stored file:', { key: file.key, error: error.message });
+          return 0;
+        }
+      },
+      { concurrency: 5 }
+    );
+
+    const bytes = removed.reduce((sum, size) => sum + size, 0);
+    if (organizationId && bytes) {
+      await this.trackUsage(organizationId, -bytes);
+    }
+    return bytes;
+  }
+
+  /**
+   * Time-limited download URL for a stored file
+   */
+  static getSignedUrl(key, { expiresIn = config.storage.signedUrlTtl, filename } = {}) {
+    return {
+      url: this.getDriver().getSignedUrl(key, { expiresIn, filename }),
+      expiresAt: new Date(Date.now() + expiresIn * 1000),
+    };
+  }
+
+  /**
+   * The file a local signed download URL points at, once its signature is checked
+   */
+  static async openSignedDownload({ key, expires, signature, filename }) {
+    const storage = this.getDriver();
+    if (storage.name !== 'local' || !key) {
+      throw new NotFoundError('File');
+    }
+
+    storage.verify({ key, expires, signature, filename });
+    return {
+      buffer: await storage.get(key),
+      filename: filename || path.basename(key),
+    };
+  }
+
+  /**
+   * Bytes and file counts stored for an organization's knowledge bases,
+   * campaigns and avatars, with each knowledge base and campaign listed
+   */
+  static async getUsageBreakdown(organizationId) {
+    const filesOf = (field) => ({ $ifNull: [field, []] });
+    const [knowledgeBases, campaigns, avatars] = await Promise.all([
+      KnowledgeBase.aggregate([
+        { $match: { organizationId, isActive: true } },
+        {
+          $project: {
+            name: '$kb_name',
+            files: { $size: filesOf('$kb_files') },
+            bytes: { $sum: '$kb_files.size' },
+          },
+        },
+        { $sort: { bytes: -1 } },
+      ]),
+      Campaign.aggregate([
+        { $match: { organizationId, deletedAt: null } },
+        {
+          $project: {
+            name: '$campaignName',
+            files: { $size: filesOf('$callConfig.files') },
+            bytes: { $sum: '$callConfig.files.size' },
+          },
+        },
+        { $sort: { bytes: -1 } },
+      ]),
+      User.aggregate([
+        { $match: { 'avatarFile.organizationId': organizationId } },
+        { $group: { _id: null, files: { $sum: 1 }, bytes: { $sum: '$avatarFile.size' } } },
+      ]),
+    ]);
+
+    const summarize = (items) => ({
+      bytes: items.reduce((sum, item) => sum + item.bytes, 0),
+      files: items.reduce((sum, item) => sum + item.files, 0),
+      items: items.map(({ _id, ...item }) => ({ id: _id.toString(), ...item })),
+    });
+
+    return {
+      knowledgeBases: summarize(knowledgeBases),
+      campaigns: summarize(campaigns),
+      avatars: { bytes: avatars[0]?.bytes || 0, files: avatars[0]?.files || 0 },
+    };
+  }
+
+  /**
+   * Fail early when a batch of uploads would not fit in the organization's storage
+   */
+  static async assertQuota(organizationId, bytes) {
+    const organization = await Organization.findOne({ clerkId: organizationId });
+    if (organization?.checkStorage(bytes).exceeded) {
+      throw new PaymentRequiredError('Storage limit exceeded for current plan');
+    }
+  }
+
+  /**
+   * Count bytes towards an organization's storage usage if they fit in its plan's
+   * limit. The check and the increment are one update, so concurrent uploads
+   * cannot overshoot the limit together.
+   */
+  static async reserve(organizationId, bytes) {
+    if (bytes <= 0) {
+      await this.trackUsage(organizationId, bytes);
+      return;
+    }
+
+    const organization = await Organization.findOne({ clerkId: organizationId });
+    if (!organization) return;
+
+    const { limit } = organization.checkStorage();
+    const used = { $ifNull: ['$usage.storageUsed', 0] };
+    const filter = { clerkId: organizationId };
+    if (limit !== -1) {
+      filter.$expr = { $lte: [{ $add: [used, bytes] }, limit] };
+    }
+
+    const { matchedCount } = await Organization.updateOne(filter, {
+      $inc: { 'usage.storageUsed': bytes },
+    });
+    if (!matchedCount) {
+      throw new PaymentRequiredError('Storage limit exceeded for current plan');
+    }
+  }
+
+  /**
+   * Add (or with a negative amount, release) bytes of an organization's storage usage
+   */
+  static async trackUsage(organizationId, bytes) {
+    await Organization.updateOne({ clerkId: organizationId }, [
+      {
+        $set: {
+          'usage.storageUsed': {
+            $max: [0, { $add: [{ $ifNull: ['$usage.storageUsed', 0] }, bytes] }],
+          },
+        },
+      },
+    ]);
+  }
+}
+
+module.exports = StorageService;
@@ -0,0 +1,78 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('../../config');
+const { AuthorizationError, NotFoundError, ValidationError } = require('../../utils/errors');
+
+/**
+ * Files on the local disk under `root`. Signed download URLs point at the
+ * API's /files/download route and carry an HMAC of the key and expiry.
+ */
+class LocalDriver {
+  constructor({ root, publicUrl, secret }) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.publicUrl = publicUrl;
+    this.secret = secret;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.root, key);
+    if (!filePath.startsWith(this.root + path.sep)) {
+      throw new ValidationError(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer);
+  }
+
+  async get(key) {
+    try {
+      return await fs.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') throw new NotFoundError('File');
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    await fs.rm(this.resolve(key), { force: true });
+  }
+
+  sign(key, expires, filename = '') {
+    return crypto
+      .createHmac('sha256', this.secret)
+      .update(`${key}\n${expires}\n${filename}`)
+      .digest('hex');
+  }
+
+  getSignedUrl(key, { expiresIn, filename }) {
+    const expires = Math.floor(Date.now() / 1000) + expiresIn;
+    const query = new URLSearchParams({
+      key,
+      expires,
+      signature: this.sign(key, expires, filename),
+    });
+    if (filename) query.set('filename', filename);
+
+    return `${this.publicUrl}/api/${config.app.apiVersion}/files/download?${query}`;
+  }
+
+  verify({ key, expires, signature, filename }) {
+    const expected = Buffer.from(this.sign(key, expires, filename));
+    const given = Buffer.from(String(signature || ''));
+
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+      throw new AuthorizationError('Invalid download link');
+    }
+    if (Number(expires) * 1000 < Date.now()) {
+      throw new AuthorizationError('Download link has expired');
+    }
+  }
+}
+
+module.exports = LocalDriver;
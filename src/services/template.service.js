@@ -0,0 +1,215 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../models/Agent');
+const AgentVersion = require('../models/AgentVersion');
+const Organization = require('../models/Organization');
+const AuditLog = require('../models/AuditLog');
+const AgentRepository = require('../database/repositories/agent.repository');
+const PermissionService = require('./permission.service');
+const { NotFoundError, AuthorizationError, PaymentRequiredError } = require('../utils/errors');
+const { AUDIT_ACTIONS, PERMISSIONS, AGENT_STATUS } = require('../utils/constants');
+const logger = require('../config/logger');
+
+// Fields shown in gallery listings
+const LISTING_FIELDS =
+  'name description language voiceType voice type category tags config.model ' +
+  'analytics.totalConversations analytics.installs version publishedAt';
+
+// Fields shown on a template's detail page. Excludes tool webhooks and knowledge bases,
+// which belong to the publishing organization.
+const DETAIL_FIELDS =
+  `${LISTING_FIELDS} companyName productDescription questions faqs agentIntroduction ` +
+  'config.instructions config.temperature config.maxTokens tools.name tools.description tools.type';
+
+const SORT_FIELDS = {
+  popular: 'analytics.totalConversations',
+  installs: 'analytics.installs',
+  newest: 'publishedAt',
+};
+
+class TemplateService {
+  /**
+   * Browse public agents with search and facet filters
+   */
+  static async getTemplates(query) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        search,
+        category,
+        tags,
+        type,
+        language,
+        sort = 'popular',
+      } = query;
+
+      const filter = this.buildFilter({ search, category, tags, type, language });
+
+      const result = await AgentRepository.findPublicAgents(filter, {
+        select: LISTING_FIELDS,
+        pagination: { page, limit, sort: SORT_FIELDS[sort], order: 'desc' },
+      });
+
+      return {
+        templates: result.documents,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        pages: result.pages,
+      };
+    } catch (error) {
+      logger.error('Failed to get templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Category, tag, type and language counts, narrowed by the current search
+   */
+  static async getFacets(query) {
+    try {
+      const { search, category, tags, type, language } = query;
+
+      return await AgentRepository.getPublicFacets(
+        this.buildFilter({ search, category, tags, type, language })
+      );
+    } catch (error) {
+      logger.error('Failed to get template facets:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Most used public agents
+   */
+  static async getPopularTemplates(limit = 10) {
+    try {
+      return await AgentRepository.getPopularAgents(null, limit, { select: LISTING_FIELDS });
+    } catch (error) {
+      logger.error('Failed to get popular templates:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a public agent's configuration for preview
+   */
+  static async getTemplateById(templateId) {
+    try {
+      const template = await AgentRepository.findOne(
+        {
+          _id: templateId,
+          isPublic: true,
+          status: AGENT_STATUS.PUBLISHED,
+          isActive: true,
+          deletedAt: null,
+        },
+        { select: DETAIL_FIELDS }
+      );
+
+      if (!template) {
+        throw new NotFoundError('Template');
+      }
+
+      return template;
+    } catch (error) {
+      logger.error('Failed to get template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Copy a public agent's published version into the caller's organization as a draft
+   */
+  static async installTemplate(templateId, userId, organizationId, userRole) {
+    try {
+      if (!PermissionService.hasPermission(userRole, PERMISSIONS.AGENT_CREATE)) {
+        throw new AuthorizationError('Insufficient permissions to create agents');
+      }
+
+      const template = await Agent.findOne({
+        _id: templateId,
+        isPublic: true,
+        status: AGENT_STATUS.PUBLISHED,
+        isActive: true,
+        deletedAt: null,
+      });
+
+      if (!template) {
+        throw new NotFoundError('Template');
+      }
+
+      // Check organization limits
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      if (!organization) {
+        throw new NotFoundError('Organization');
+      }
+
+      const agentLimits = organization.checkLimits('agent');
+      if (agentLimits.exceeded) {
+        throw new PaymentRequiredError('Agent limit exceeded for current plan');
+      }
+
+      // Install what was published, not edits made since. Agents published before
+      // version history have no snapshot, and their live configuration is the published one.
+      const published = await AgentVersion.findOne({
+        agentId: template._id,
+        version: template.version,
+      });
+
+      const agent = await template.clone(userId, organizationId, 'template', published?.snapshot);
+
+      await Promise.all([
+        organization.incrementUsage('agent'),
+        Agent.updateOne({ _id: template._id }, { $inc: { 'analytics.installs': 1 } }),
+      ]);
+
+      // Create audit log
+      await AuditLog.createLog({
+        action: AUDIT_ACTIONS.AGENT_CREATED,
+        userId,
+        organizationId,
+        resourceType: 'agent',
+        resourceId: agent._id.toString(),
+        details: {
+          name: agent.name,
+          installedFrom: template._id.toString(),
+          templateVersion: template.version,
+        },
+      });
+
+      logger.info('Template installed:', {
+        templateId: template._id,
+        agentId: agent._id,
+        installedBy: userId,
+        organizationId,
+      });
+
+      return agent;
+    } catch (error) {
+      logger.error('Failed to install template:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mongo filter for gallery search and facet selections
+   */
+  static buildFilter({ search, category, tags, type, language }) {
+    const filter = {};
+
+    if (search) {
+      const pattern = { $regex: search, $options: 'i' };
+      filter.$or = [{ name: pattern }, { description: pattern }, { tags: pattern }];
+    }
+
+    if (category) filter.category = category;
+    if (tags && tags.length) filter.tags = { $all: tags };
+    if (type) filter.type = type;
+    if (language) filter.language = language;
+
+    return filter;
+  }
+}
+
+module.exports = TemplateService;
@@ -3,6 +3,7 @@ const Promise = require('bluebird');
 const TestNumber = require('../models/TestNumber');
 const Agent = require('../models/Agent');
 const Campaign = require('../models/Campaign');
+const Experiment = require('../models/Experiment');
 const AuditLog = require('../models/AuditLog');
 const PermissionService = require('./permission.service');
 const { NotFoundError, AuthorizationError, ConflictError } = require('../utils/errors');
@@ -377,6 +378,8 @@ class TestNumberService {
         if (!agent) {
           throw new NotFoundError('Agent not found or not accessible');
         }
+
+        testCallData.agentVersion = agent.version;
       }
 
       // Validate campaign exists if provided
@@ -393,6 +396,21 @@ class TestNumberService {
         }
       }
 
+      // Validate the experiment variant belongs to the called agent
+      if (testCallData.experimentId) {
+        const experiment = await Experiment.findOne({
+          _id: testCallData.experimentId,
+          agentId: testCallData.agentId,
+          organizationId,
+          isActive: true,
+          deletedAt: null,
+        });
+
+        if (!experiment || !experiment.getVariant(testCallData.variantKey)) {
+          throw new NotFoundError('Experiment variant not found or not accessible');
+        }
+      }
+
       // Add test call
       await testNumber.addTestCall(testCallData);
 
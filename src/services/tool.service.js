@@ -0,0 +1,171 @@
+/* eslint-disable no-underscore-dangle */
+const axios = require('axios');
+const ToolInvocation = require('../models/ToolInvocation');
+const CrawlerService = require('./crawler.service');
+const { ValidationError } = require('../utils/errors');
+const { TOOL_TYPES, BUILTIN_TOOLS, TOOL_LIMITS } = require('../utils/constants');
+const logger = require('../config/logger');
+
+// Handlers for tools that run inside the platform rather than behind a webhook
+const builtinHandlers = {
+  [BUILTIN_TOOLS.GET_CURRENT_TIME]: async ({ timezone = 'UTC' }) => {
+    const now = new Date();
+
+    return {
+      iso: now.toISOString(),
+      timezone,
+      local: now.toLocaleString('en-US', { timeZone: timezone }),
+    };
+  },
+};
+
+class ToolService {
+  /**
+   * Enabled agent tools in the provider-agnostic { name, description, parameters } shape
+   */
+  static getToolDefinitions(agent) {
+    return (agent.tools || [])
+      .filter((tool) => tool.enabled)
+      .map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters,
+      }));
+  }
+
+  /**
+   * Run the tool calls requested by the model in parallel
+   */
+  static async executeToolCalls(agent, toolCalls, context) {
+    return Promise.all(toolCalls.map((call) => this.executeToolCall(agent, call, context)));
+  }
+
+  /**
+   * Run a single tool call and log the invocation.
+   * Failures are reported back to the model as an error result rather than thrown.
+   */
+  static async executeToolCall(agent, call, context) {
+    const tool = agent.tools.find((t) => t.enabled && t.name === call.name);
+    const startTime = Date.now();
+    let result;
+    let error;
+
+    try {
+      if (!tool) {
+        throw new ValidationError(`Unknown tool: ${call.name}`);
+      }
+
+      const output =
+        tool.type === TOOL_TYPES.BUILTIN
+          ? await builtinHandlers[tool.handler](call.arguments || {})
+          : await this.callWebhook(tool, call, context);
+
+      result = this.serializeResult(output);
+    } catch (toolError) {
+      error = toolError.message;
+      result = JSON.stringify({ error: toolError.message });
+    }
+
+    const invocation = {
+      callId: call.id,
+      name: call.name,
+      arguments: call.arguments,
+      result,
+      status: error ? 'error' : 'success',
+      error,
+      durationMs: Date.now() - startTime,
+    };
+
+    try {
+      await ToolInvocation.create({
+        agentId: agent._id,
+        organizationId: context.organizationId,
+        userId: context.userId,
+        conversationId: context.conversationId,
+        callId: call.id,
+        toolName: call.name,
+        toolType: tool?.type,
+        arguments: call.arguments,
+        result,
+        status: invocation.status,
+        error,
+        durationMs: invocation.durationMs,
+      });
+    } catch (logError) {
+      logger.error('Failed to log tool invocation:', logError);
+    }
+
+    logger.info('Tool invoked:', {
+      agentId: agent._id,
+      tool: call.name,
+      status: invocation.status,
+      durationMs: invocation.durationMs,
+    });
+
+    return invocation;
+  }
+
+  /**
+   * Call a webhook tool. GET tools receive the arguments as query parameters,
+   * POST tools receive the arguments along with the chat context. Only public
+   * addresses are called, redirects included, so tools cannot reach internal
+   * services.
+   */
+  static async callWebhook(tool, call, context) {
+    const { url, method, headers, timeoutMs } = tool.webhook;
+    const request = {
+      method,
+      headers: { ...headers },
+      timeout: timeoutMs || TOOL_LIMITS.WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      validateStatus: (status) => status < 400,
+    };
+
+    if (method === 'GET') {
+      request.params = call.arguments;
+    } else {
+      request.data = {
+        tool: tool.name,
+        callId: call.id,
+        arguments: call.arguments,
+        context: {
+          agentId: context.agentId,
+          organizationId: context.organizationId,
+          sessionId: context.conversationId,
+        },
+      };
+    }
+
+    return this.sendWebhookRequest(url, request);
+  }
+
+  /**
+   * Send a webhook request to the checked addresses, following redirects one
+   * at a time after checking each target
+   */
+  static async sendWebhookRequest(url, request, redirects = 0) {
+    const pinned = await CrawlerService.publicRequestOptions(url);
+
+    const response = await axios({ ...request, ...pinned, url });
+
+    const { location } = response.headers;
+    if (response.status >= 300 && location) {
+      if (redirects >= TOOL_LIMITS.WEBHOOK_MAX_REDIRECTS) {
+        throw new ValidationError(`Too many redirects from ${url}`);
+      }
+      return this.sendWebhookRequest(new URL(location, url).href, request, redirects + 1);
+    }
+
+    return response.data;
+  }
+
+  /**
+   * Tool output as a string the model can read, capped in length
+   */
+  static serializeResult(output) {
+    const result = typeof output === 'string' ? output : JSON.stringify(output ?? null);
+    return result.slice(0, TOOL_LIMITS.MAX_RESULT_LENGTH);
+  }
+}
+
+module.exports = ToolService;
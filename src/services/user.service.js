@@ -4,6 +4,8 @@ const User = require('../models/User');
 const AuditLog = require('../models/AuditLog');
 const { NotFoundError, ValidationError } = require('../utils/errors');
 const { AUDIT_ACTIONS } = require('../utils/constants');
+const StorageService = require('./storage.service');
+const config = require('../config');
 const logger = require('../config/logger');
 
 class UserService {
@@ -342,17 +344,46 @@ class UserService {
     }
   }
 
+  /**
+   * Signed link to a user's uploaded avatar
+   */
+  static async getAvatarUrl(clerkId) {
+    const user = await this.getUserById(clerkId);
+    if (!user.avatarFile?.key) {
+      throw new NotFoundError('Avatar');
+    }
+
+    return StorageService.getSignedUrl(user.avatarFile.key).url;
+  }
+
   /**
    * Upload user avatar
    */
-  static async uploadAvatar(clerkId, file) {
+  static async uploadAvatar(clerkId, file, organizationId) {
     try {
-      // In production, you would upload to S3/CloudFront
-      // For demo purposes, we'll create a placeholder URL
-      const avatarUrl = `https://your-cdn.com/avatars/${clerkId}-${Date.now()}.${file.mimetype.split('/')[1]}`;
+      const user = await this.getUserById(clerkId);
+      const { key, size } = await StorageService.upload(
+        StorageService.buildKey(`avatars/${clerkId}`, file.originalname),
+        file.buffer,
+        { organizationId, contentType: file.mimetype }
+      );
+
+      // A stable URL that redirects to a fresh signed link for the current avatar
+      const avatarUrl = `${config.storage.publicUrl}/api/${config.app.apiVersion}/files/avatars/${clerkId}?v=${Date.now()}`;
+      const {
+        key: previousKey,
+        size: previousSize,
+        organizationId: previousOrg,
+      } = user.avatarFile || {};
 
       // Update user avatar URL in our database
-      await this.updateUser(clerkId, { avatar: avatarUrl });
+      await this.updateUser(clerkId, {
+        avatar: avatarUrl,
+        avatarFile: { key, size, organizationId },
+      });
+      if (previousKey) {
+        await StorageService.remove([{ key: previousKey, size: previousSize }], previousOrg);
+      }
 
       // Also update in Clerk
       try {
@@ -0,0 +1,176 @@
+// src/utils/callingWindow.js - When a campaign may call a contact, in the contact's local time
+const { getCountry, getPhoneCountry } = require('./phone');
+const { findHoliday } = require('./holidays');
+const { CALLING_WINDOW } = require('./constants');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(
+      timeZone,
+      new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23',
+      })
+    );
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Whether a string is an IANA time zone, e.g. 'America/Chicago'
+ */
+function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local calendar date ('YYYY-MM-DD') and minutes after midnight of an instant in
+ * a time zone
+ */
+function getLocalParts(date, timeZone) {
+  const parts = Object.fromEntries(
+    getFormatter(timeZone)
+      .formatToParts(date)
+      .map(({ type, value }) => [type, value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+function getOffset(date, timeZone) {
+  const { date: day, minutes } = getLocalParts(date, timeZone);
+  const local = Date.parse(`${day}T00:00:00Z`) + minutes * 60 * 1000;
+  return local - Math.floor(date.getTime() / 60000) * 60000;
+}
+
+/**
+ * The instant a local date and time occurs in a time zone. The offset is checked
+ * a second time so times near a daylight saving change land on the right side of
+ * it; a time skipped by the change resolves to an hour later.
+ */
+function localTimeToDate(day, minutes, timeZone) {
+  const local = Date.parse(`${day}T00:00:00Z`) + minutes * 60 * 1000;
+  let instant = local - getOffset(new Date(local), timeZone);
+  instant = local - getOffset(new Date(instant), timeZone);
+  return new Date(instant);
+}
+
+const addDays = (day, days) =>
+  new Date(Date.parse(`${day}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+
+/**
+ * Minutes after midnight of a time slot bound such as { hour: '9:30', period: 'AM' }
+ */
+function slotMinutes({ hour, period } = {}) {
+  const match = String(hour || '').match(/^(\d{1,2})(?::(\d{2}))?$/);
+  if (!match || !period) return null;
+  return ((Number(match[1]) % 12) + (period === 'PM' ? 12 : 0)) * 60 + Number(match[2] || 0);
+}
+
+/**
+ * Country whose holidays apply to a contact: the one of their phone number,
+ * else the campaign's
+ */
+function resolveCountry(contact, campaign) {
+  const country = contact?.country || getPhoneCountry(contact?.phone);
+  if (country) return country;
+  return getCountry(campaign.callConfig?.country)
+    ? campaign.callConfig.country.toUpperCase()
+    : null;
+}
+
+/**
+ * Time zone a contact is called in: their own, else their phone country's when
+ * it has a single one, else the campaign's
+ */
+function resolveTimeZone(contact, campaign) {
+  if (isValidTimeZone(contact?.timeZone)) return contact.timeZone;
+
+  const phoneZone = getCountry(contact?.country || getPhoneCountry(contact?.phone))?.timeZone;
+  return phoneZone || campaign.timeZone;
+}
+
+/**
+ * Whether the campaign may call a contact at `date`, in the contact's local time:
+ * on one of the campaign's calling days, not on a public holiday of the contact's
+ * country or one of the campaign's own holidays, and inside its daily time slot.
+ * When closed, `nextOpenAt` is the next time the window opens before the
+ * campaign ends, or null.
+ */
+function evaluateCallingWindow(campaign, contact, date = new Date()) {
+  const timeZone = resolveTimeZone(contact, campaign);
+  const country = resolveCountry(contact, campaign);
+  const window = campaign.callingWindow || {};
+  const days = window.days?.length ? window.days : CALLING_WINDOW.DEFAULT_DAYS;
+  const from = slotMinutes(campaign.callConfig?.timeSlots?.from);
+  const to = slotMinutes(campaign.callConfig?.timeSlots?.to);
+  const hasSlot = from !== null && to !== null && from !== to;
+
+  // Why calls may not start on a local date, or null
+  const closedReason = (day) => {
+    const weekday = CALLING_WINDOW.DAYS[(new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7];
+    if (!days.includes(weekday)) return 'closed_day';
+
+    const custom = (window.holidays || []).find(
+      (holiday) =>
+        holiday.date === day &&
+        (!holiday.countries?.length || (country && holiday.countries.includes(country)))
+    );
+    if (custom) return 'holiday';
+    if (window.publicHolidays !== false && country && findHoliday(country, day)) return 'holiday';
+    return null;
+  };
+
+  const local = getLocalParts(date, timeZone);
+
+  // Past midnight in a slot such as 8 PM to 2 AM, which belongs to the day before
+  const overnight = hasSlot && from > to && local.minutes < to;
+  const slotDay = overnight ? addDays(local.date, -1) : local.date;
+
+  let reason = closedReason(slotDay);
+  if (!reason && hasSlot) {
+    const inSlot =
+      from < to ? local.minutes >= from && local.minutes < to : local.minutes >= from || overnight;
+    if (!inSlot) reason = 'outside_hours';
+  }
+
+  if (!reason) return { open: true, timeZone, country };
+
+  let nextOpenAt = null;
+  for (let i = 0; i <= CALLING_WINDOW.LOOKAHEAD_DAYS && !nextOpenAt; i += 1) {
+    const day = addDays(local.date, i);
+    const opensAt = localTimeToDate(day, hasSlot ? from : 0, timeZone);
+    if (opensAt > date && !closedReason(day)) nextOpenAt = opensAt;
+  }
+  if (nextOpenAt && campaign.endTime && nextOpenAt > campaign.endTime) nextOpenAt = null;
+
+  return { open: false, timeZone, country, reason, nextOpenAt };
+}
+
+module.exports = {
+  isValidTimeZone,
+  getLocalParts,
+  localTimeToDate,
+  slotMinutes,
+  resolveCountry,
+  resolveTimeZone,
+  evaluateCallingWindow,
+};
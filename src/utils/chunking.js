@@ -0,0 +1,206 @@
+// src/utils/chunking.js - Split extracted text into chunks for retrieval
+const { CHUNKING_STRATEGIES, CHUNKING_DEFAULTS } = require('./constants');
+
+const SENTENCE_END = /(?<=[.!?])\s+/;
+const MARKDOWN_HEADING = /^(#{1,6})\s+(.+?)\s*#*$/;
+
+/**
+ * Approximate token count, at about four characters per token
+ */
+function estimateTokens(text) {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .reduce((sum, word) => sum + Math.ceil(word.length / 4), 0);
+}
+
+// The smallest piece of text a chunk is built from, with the separator that
+// precedes it when it is not the first in its chunk
+const unit = (text, separator, { page, section, row }) => ({
+  text,
+  separator,
+  tokens: estimateTokens(text),
+  page,
+  section,
+  row,
+});
+
+function splitWords(text, segment) {
+  return text
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => unit(word, ' ', segment));
+}
+
+/**
+ * Paragraphs, falling back to sentences and then words for those longer than a chunk
+ */
+function splitParagraphs(text, segment, chunkSize) {
+  return text.split(/\n{2,}/).flatMap((paragraph) => {
+    if (estimateTokens(paragraph) <= chunkSize) return [unit(paragraph, '\n\n', segment)];
+
+    return paragraph.split(SENTENCE_END).flatMap((sentence, i) => {
+      const separator = i === 0 ? '\n\n' : ' ';
+      if (estimateTokens(sentence) <= chunkSize) return [unit(sentence, separator, segment)];
+
+      const words = splitWords(sentence, segment);
+      return words.map((word, j) => (j === 0 ? { ...word, separator } : word));
+    });
+  });
+}
+
+/**
+ * Paragraphs labelled with the path of markdown headings they sit under
+ */
+function splitMarkdown(text, segment, chunkSize) {
+  const headings = [];
+  const units = [];
+  let lines = [];
+
+  const flush = () => {
+    // Keep a heading in the same paragraph as the text under it
+    const body = lines
+      .join('\n')
+      .trim()
+      .replace(/^(#{1,6}\s.*)\n+/, '$1\n');
+    lines = [];
+    if (!body) return;
+
+    const section = headings.filter(Boolean).join(' > ') || segment.section;
+    units.push(...splitParagraphs(body, { ...segment, section }, chunkSize));
+  };
+
+  text.split('\n').forEach((line) => {
+    const [, marks, title] = line.match(MARKDOWN_HEADING) || [];
+    if (marks) {
+      flush();
+      // A heading closes any deeper ones
+      headings.length = marks.length;
+      headings[marks.length - 1] = title;
+    }
+    lines.push(line);
+  });
+  flush();
+
+  return units;
+}
+
+function splitLines(text, segment) {
+  return text
+    .split('\n')
+    .filter(Boolean)
+    .map((line) => unit(line, '\n', segment));
+}
+
+const SPLITTERS = {
+  [CHUNKING_STRATEGIES.PARAGRAPH]: splitParagraphs,
+  [CHUNKING_STRATEGIES.MARKDOWN]: splitMarkdown,
+  [CHUNKING_STRATEGIES.CSV_ROWS]: splitLines,
+  [CHUNKING_STRATEGIES.TOKENS]: splitWords,
+};
+
+/**
+ * CSV rows are grouped as rows, markdown is split at its headings and
+ * anything else by paragraph
+ */
+function detectStrategy(segments) {
+  if (segments.some((segment) => segment.row)) return CHUNKING_STRATEGIES.CSV_ROWS;
+  if (segments.some((segment) => /^#{1,6}\s/m.test(segment.text))) {
+    return CHUNKING_STRATEGIES.MARKDOWN;
+  }
+  return CHUNKING_STRATEGIES.PARAGRAPH;
+}
+
+/**
+ * Group consecutive units into chunks of at most `maxTokens` tokens and
+ * `maxUnits` units. Units from different pages or sections never share a
+ * chunk; within one, each chunk repeats up to `overlap` tokens of the last.
+ */
+function pack(units, { maxTokens = Infinity, maxUnits = Infinity, overlap = 0 }) {
+  const groups = [];
+  const sameSource = (a, b) => a.page === b.page && a.section === b.section;
+  let current = [];
+  let tokens = 0;
+
+  units.forEach((next) => {
+    const fits =
+      current.length < maxUnits &&
+      tokens + next.tokens <= maxTokens &&
+      (!current.length || sameSource(current[0], next));
+
+    if (current.length && !fits) {
+      groups.push(current);
+
+      const carried = [];
+      let carriedTokens = 0;
+      if (sameSource(current[0], next)) {
+        for (let i = current.length - 1; i > 0; i -= 1) {
+          const { tokens: unitTokens } = current[i];
+          if (carriedTokens + unitTokens > overlap) break;
+          if (carriedTokens + unitTokens + next.tokens > maxTokens) break;
+          carried.unshift(current[i]);
+          carriedTokens += unitTokens;
+        }
+      }
+      current = carried;
+      tokens = carriedTokens;
+    }
+
+    current.push(next);
+    tokens += next.tokens;
+  });
+
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+/**
+ * Split extracted segments into chunks with the given strategy. Each chunk keeps
+ * the page or section it came from; groups of CSV rows are labelled with their
+ * row range.
+ */
+function chunkSegments(segments, options = {}) {
+  const {
+    strategy = CHUNKING_STRATEGIES.AUTO,
+    chunkSize = CHUNKING_DEFAULTS.CHUNK_SIZE,
+    chunkOverlap = CHUNKING_DEFAULTS.CHUNK_OVERLAP,
+    rowsPerChunk = CHUNKING_DEFAULTS.ROWS_PER_CHUNK,
+  } = options;
+  const resolved = strategy === CHUNKING_STRATEGIES.AUTO ? detectStrategy(segments) : strategy;
+  const split = SPLITTERS[resolved];
+  if (!split) throw new Error(`Unknown chunking strategy: ${strategy}`);
+
+  // Rows are never split
+  const units = segments.flatMap((segment) =>
+    segment.row ? [unit(segment.text, '\n', segment)] : split(segment.text, segment, chunkSize)
+  );
+
+  const groups =
+    resolved === CHUNKING_STRATEGIES.CSV_ROWS
+      ? pack(units, { maxUnits: rowsPerChunk })
+      : pack(units, { maxTokens: chunkSize, overlap: Math.min(chunkOverlap, chunkSize / 2) });
+
+  return groups.map((group, chunkIndex) => {
+    const { page } = group[0];
+    const rows = group.filter((item) => item.row).map((item) => item.row);
+    const [firstRow, lastRow] = [rows[0], rows[rows.length - 1]];
+    const rowRange = firstRow === lastRow ? `Row ${firstRow}` : `Rows ${firstRow}-${lastRow}`;
+    const section = rows.length ? rowRange : group[0].section;
+
+    return {
+      content: group.map((item, i) => (i ? item.separator + item.text : item.text)).join(''),
+      metadata: {
+        chunkIndex,
+        strategy: resolved,
+        tokenCount: group.reduce((sum, item) => sum + item.tokens, 0),
+        ...(page && { page }),
+        ...(section && { section }),
+      },
+    };
+  });
+}
+
+module.exports = {
+  estimateTokens,
+  chunkSegments,
+};
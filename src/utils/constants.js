@@ -86,11 +86,19 @@ const AGENT_TYPES = {
 
 const AGENT_STATUS = {
   DRAFT: 'draft',
+  READY: 'ready',
+  PENDING_REVIEW: 'pending_review',
   PUBLISHED: 'published',
   ARCHIVED: 'archived',
   SUSPENDED: 'suspended'
 };
 
+const AGENT_REVIEW_STATUS = {
+  PENDING: 'pending',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+};
+
 const SUBSCRIPTION_PLANS = {
   FREE: 'free',
   PRO: 'pro',
@@ -110,14 +118,230 @@ const AUDIT_ACTIONS = {
   AGENT_UPDATED: 'agent.updated',
   AGENT_DELETED: 'agent.deleted',
   AGENT_PUBLISHED: 'agent.published',
+  AGENT_ROLLED_BACK: 'agent.rolled_back',
+  AGENT_REVIEW_SUBMITTED: 'agent.review_submitted',
+  AGENT_REVIEW_APPROVED: 'agent.review_approved',
+  AGENT_REVIEW_REJECTED: 'agent.review_rejected',
+  AGENT_EXPORTED: 'agent.exported',
+  EXPERIMENT_CREATED: 'experiment.created',
+  EXPERIMENT_UPDATED: 'experiment.updated',
+  EXPERIMENT_DELETED: 'experiment.deleted',
+  EVAL_SUITE_CREATED: 'eval_suite.created',
+  EVAL_SUITE_UPDATED: 'eval_suite.updated',
+  EVAL_SUITE_DELETED: 'eval_suite.deleted',
+  EVAL_RUN_TRIGGERED: 'eval_run.triggered',
   SUBSCRIPTION_CREATED: 'subscription.created',
   SUBSCRIPTION_UPDATED: 'subscription.updated',
   SUBSCRIPTION_CANCELLED: 'subscription.cancelled'
 };
 
+const CONVERSATION_LIMITS = {
+  MAX_HISTORY_MESSAGES: 20,
+  TITLE_LENGTH: 60,
+};
+
+// Instructions for agents whose prompt has not been written by hand.
+// Placeholders are filled at chat and call time, see Agent#renderInstructions.
+const DEFAULT_INSTRUCTION_TEMPLATE = `You are an AI assistant for {{companyName}}.
+
+Product Information:
+{{productDescription}}
+
+Introduction Script:
+{{agentIntroduction}}
+
+Key Questions to Address:
+{{questions}}
+
+Frequently Asked Questions:
+{{faqs}}
+
+Voice Type: {{voiceType}}
+Language: {{language}}
+
+Always be helpful, professional, and stay on topic about {{companyName}} and its products/services.`;
+
+// Per-call values templates can use besides the agent's own fields
+const INSTRUCTION_CONTEXT_VARIABLES = ['callerName', 'callerPhone', 'campaign', 'contact'];
+
+const TOOL_TYPES = {
+  WEBHOOK: 'webhook',
+  BUILTIN: 'builtin',
+};
+
+const BUILTIN_TOOLS = {
+  GET_CURRENT_TIME: 'get_current_time',
+};
+
+const TOOL_LIMITS = {
+  MAX_TOOLS_PER_AGENT: 20,
+  // Model round trips allowed before the agent must answer in text
+  MAX_TOOL_ROUNDS: 5,
+  WEBHOOK_TIMEOUT_MS: 10000,
+  WEBHOOK_MAX_REDIRECTS: 3,
+  MAX_RESULT_LENGTH: 8000,
+};
+
+// Knowledge base excerpts injected into chat prompts
+const RETRIEVAL_LIMITS = {
+  MAX_SOURCES: 5,
+  MAX_CONTEXT_CHARS: 6000,
+  MAX_LINKED_KNOWLEDGE_BASES: 10,
+  EXCERPT_LENGTH: 300,
+};
+
+// Knowledge base search: BM25 keyword scoring fused with vector scores by reciprocal rank
+const HYBRID_SEARCH = {
+  BM25_K1: 1.2,
+  BM25_B: 0.75,
+  RRF_K: 60,
+  SNIPPET_LENGTH: 240,
+};
+
+// Knowledge base file processing jobs
+const KB_PROCESSING = {
+  MAX_ATTEMPTS: 3,
+  RETRY_DELAY_MS: 30 * 1000,
+  FILE_CONCURRENCY: 3,
+};
+
+// Web pages crawled into knowledge bases
+const CRAWL_LIMITS = {
+  MAX_SOURCES: 20,
+  MAX_DEPTH: 3,
+  DEFAULT_DEPTH: 1,
+  MAX_PAGES: 200,
+  DEFAULT_PAGES: 50,
+  MAX_PAGE_BYTES: 5 * 1024 * 1024,
+  TIMEOUT_MS: 15000,
+  MAX_REDIRECTS: 5,
+  MAX_CRAWL_DELAY_MS: 5000,
+  DEFAULT_RECRAWL_HOURS: 24,
+};
+
+// Contact lists imported into outbound campaigns
+const CONTACT_IMPORT = {
+  MAX_ROWS: 50000,
+  // Uncompressed size of the XLSX parts read
+  MAX_XLSX_BYTES: 64 * 1024 * 1024,
+  BATCH_SIZE: 1000,
+  DUPLICATE_ACTIONS: ['skip', 'update'],
+};
+
+// Campaign dialer worker
+const DIALER = {
+  TICK_MS: 15000,
+  MAX_CONCURRENT_CALLS: 50,
+  ACTIVE_CALL_STATUSES: ['dialing', 'in_progress'],
+  // Longest a call may run before the dialer hangs up, and the longest it may stay
+  // in `dialing` before it is treated as failed
+  MAX_CALL_SECONDS: 1800,
+  DIAL_TIMEOUT_SECONDS: 120,
+  // Contacts a dialer run may set aside as outside their calling window before
+  // it stops looking for someone to call
+  MAX_WINDOW_SKIPS: 200,
+};
+
+// How a campaign call ended: answered by a person, or one of the outcomes the
+// retry policy may call the contact again after
+const CALL_OUTCOMES = ['answered', 'no_answer', 'busy', 'voicemail', 'failed'];
+
+// What came of a campaign call: how it was answered and, when a person was
+// reached, how the conversation went. Set by the agent or by a person.
+const CALL_DISPOSITIONS = [
+  'answered',
+  'voicemail',
+  'no_answer',
+  'busy',
+  'interested',
+  'not_interested',
+  'callback_requested',
+  'converted',
+];
+const DISPOSITION_GROUPS = {
+  REACHED: ['answered', 'interested', 'not_interested', 'callback_requested', 'converted'],
+  INTERESTED: ['interested', 'callback_requested', 'converted'],
+  CONVERTED: ['converted'],
+};
+
+// Calling contacts again after unanswered calls; delays are in minutes and
+// durations in seconds
+const RETRY_POLICY = {
+  RETRYABLE_OUTCOMES: ['no_answer', 'busy', 'voicemail', 'failed'],
+  BACKOFF_STRATEGIES: ['fixed', 'exponential'],
+  MAX_ATTEMPTS: 10,
+  DEFAULT_MAX_ATTEMPTS: 3,
+  DEFAULT_DELAY_MINUTES: 60,
+  MAX_DELAY_MINUTES: 7 * 24 * 60,
+  DEFAULT_MAX_CALL_SECONDS: 600,
+  MIN_CALL_SECONDS: 30,
+  DEFAULT_INACTIVE_SECONDS: 30,
+  MAX_INACTIVE_SECONDS: 600,
+};
+
+// When contacts may be called, in their local time
+const CALLING_WINDOW = {
+  DAYS: ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun'],
+  DEFAULT_DAYS: ['mon', 'tue', 'wed', 'thu', 'fri'],
+  // How far ahead the next opening of a closed window is looked for
+  LOOKAHEAD_DAYS: 14,
+  MAX_HOLIDAYS: 100,
+};
+
+// How knowledge base files are split into chunks; sizes are in estimated tokens
+const CHUNKING_STRATEGIES = {
+  AUTO: 'auto',
+  PARAGRAPH: 'paragraph',
+  MARKDOWN: 'markdown',
+  CSV_ROWS: 'csv_rows',
+  TOKENS: 'tokens',
+};
+
+const CHUNKING_DEFAULTS = {
+  CHUNK_SIZE: 400,
+  CHUNK_OVERLAP: 50,
+  ROWS_PER_CHUNK: 25,
+};
+
+const EXPERIMENT_STATUS = {
+  DRAFT: 'draft',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  COMPLETED: 'completed',
+};
+
+const EXPERIMENT_LIMITS = {
+  MIN_VARIANTS: 2,
+  MAX_VARIANTS: 5,
+};
+
+const EVAL_RUN_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+};
+
+const EVAL_LIMITS = {
+  MAX_CASES: 50,
+  MAX_TURNS_PER_CASE: 10,
+  // Judge scores run from 0 to 1
+  DEFAULT_PASS_SCORE: 0.7,
+  DEFAULT_JUDGE_MODEL: 'gpt-4',
+};
+
+// Portable agent export files
+const AGENT_BUNDLE = {
+  FORMAT: 'whiteclad-agent',
+  VERSION: 1,
+  // Raw bytes of knowledge base files embedded per export; base64 must fit the 10mb JSON body limit
+  MAX_FILE_CONTENT_BYTES: 7 * 1024 * 1024,
+};
+
 const HTTP_STATUS = {
   OK: 200,
   CREATED: 201,
+  ACCEPTED: 202,
   NO_CONTENT: 204,
   BAD_REQUEST: 400,
   UNAUTHORIZED: 401,
@@ -139,7 +363,32 @@ module.exports = {
   ROLE_HIERARCHY,
   AGENT_TYPES,
   AGENT_STATUS,
+  AGENT_REVIEW_STATUS,
   SUBSCRIPTION_PLANS,
   AUDIT_ACTIONS,
+  CONVERSATION_LIMITS,
+  DEFAULT_INSTRUCTION_TEMPLATE,
+  INSTRUCTION_CONTEXT_VARIABLES,
+  TOOL_TYPES,
+  BUILTIN_TOOLS,
+  TOOL_LIMITS,
+  RETRIEVAL_LIMITS,
+  HYBRID_SEARCH,
+  CHUNKING_STRATEGIES,
+  CHUNKING_DEFAULTS,
+  KB_PROCESSING,
+  CRAWL_LIMITS,
+  CONTACT_IMPORT,
+  DIALER,
+  CALL_OUTCOMES,
+  CALL_DISPOSITIONS,
+  DISPOSITION_GROUPS,
+  RETRY_POLICY,
+  CALLING_WINDOW,
+  EXPERIMENT_STATUS,
+  EXPERIMENT_LIMITS,
+  EVAL_RUN_STATUS,
+  EVAL_LIMITS,
+  AGENT_BUNDLE,
   HTTP_STATUS
 };
@@ -1,5 +1,6 @@
 // src/utils/helpers.js - Utility functions (MISSING)
 const crypto = require('crypto');
+const { isDeepStrictEqual } = require('util');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const config = require('../config');
@@ -77,6 +78,27 @@ function formatBytes(bytes, decimals = 2) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
 }
 
+const BYTE_UNITS = { B: 0, BYTES: 0, KB: 1, MB: 2, GB: 3, TB: 4 };
+
+/**
+ * Parse a size such as '100MB' or '1.5 GB' into bytes (1KB = 1024 bytes).
+ * 'unlimited' and -1 parse to -1.
+ */
+function parseBytes(size) {
+  if (typeof size === 'number') return size;
+  if (/^unlimited$/i.test(String(size).trim())) return -1;
+
+  const match = String(size)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([a-z]*)$/i);
+  const power = match && BYTE_UNITS[(match[2] || 'B').toUpperCase()];
+  if (power === undefined || power === null) {
+    throw new Error(`Invalid size: ${size}`);
+  }
+
+  return Math.round(parseFloat(match[1]) * 1024 ** power);
+}
+
 /**
  * Sleep function
  */
@@ -191,6 +213,134 @@ function isObject(item) {
   return item && typeof item === 'object' && !Array.isArray(item);
 }
 
+/**
+ * List the fields that differ between two objects as dotted paths.
+ * Arrays are compared as a whole.
+ */
+function diffObjects(before, after, prefix = '') {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+
+  keys.forEach((key) => {
+    const field = prefix ? `${prefix}.${key}` : key;
+    const from = before?.[key];
+    const to = after?.[key];
+
+    if (isObject(from) && isObject(to)) {
+      changes.push(...diffObjects(from, to, field));
+    } else if (!isDeepStrictEqual(from, to)) {
+      changes.push({ field, from, to });
+    }
+  });
+
+  return changes;
+}
+
+// Shown instead of webhook header values, which often hold credentials
+const REDACTED = '[redacted]';
+
+/**
+ * Tools with their webhook header values masked, for API responses
+ */
+function redactToolHeaders(tools) {
+  return (tools || []).map((tool) =>
+    tool.webhook?.headers
+      ? {
+          ...tool,
+          webhook: {
+            ...tool.webhook,
+            headers: Object.fromEntries(
+              Object.keys(tool.webhook.headers).map((key) => [key, REDACTED])
+            ),
+          },
+        }
+      : tool
+  );
+}
+
+/**
+ * Incoming tools with masked header values put back from the stored tool of the
+ * same name, so tools read from the API can be saved again unchanged
+ */
+function restoreToolHeaders(tools, storedTools) {
+  return (tools || []).map((tool) => {
+    const headers = tool.webhook?.headers;
+    if (!headers) return tool;
+
+    const stored = (storedTools || []).find((item) => item.name === tool.name)?.webhook?.headers;
+    return {
+      ...tool,
+      webhook: {
+        ...tool.webhook,
+        headers: Object.fromEntries(
+          Object.entries(headers)
+            .map(([key, value]) => [key, value === REDACTED ? stored?.[key] : value])
+            .filter(([, value]) => value !== undefined)
+        ),
+      },
+    };
+  });
+}
+
+// {{name}}, {{campaign.name}} or {{name|fallback}}
+const TEMPLATE_PLACEHOLDER = /\{\{\s*([a-zA-Z_][\w.]*)\s*(?:\|([^}]*))?\}\}/g;
+
+/**
+ * Fill {{placeholders}} from a variables object. Dotted names read nested values,
+ * arrays render one item per line, and missing values fall back to the text after
+ * `|` or an empty string.
+ */
+function renderTemplate(template, variables = {}) {
+  return (template || '').replace(TEMPLATE_PLACEHOLDER, (match, name, fallback = '') => {
+    const value = name.split('.').reduce((scope, key) => scope?.[key], variables);
+
+    if (value === undefined || value === null || value === '') return fallback.trim();
+    if (Array.isArray(value)) return value.join('\n');
+    if (isObject(value)) return JSON.stringify(value);
+    return String(value);
+  });
+}
+
+/**
+ * Placeholder names used in a template
+ */
+function getTemplatePlaceholders(template) {
+  return [...new Set([...(template || '').matchAll(TEMPLATE_PLACEHOLDER)].map((match) => match[1]))];
+}
+
+// Words too common to say anything about relevance
+const STOPWORDS = new Set(
+  (
+    'a an and are as at be but by do does for from has have how i in is it its me my of on or ' +
+    'our so that the their them there this to was we what when where which who why will with you your'
+  ).split(' ')
+);
+
+/**
+ * Lowercased search terms in a text, without punctuation or stopwords
+ */
+function tokenize(text) {
+  const terms = String(text || '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  return (terms || []).filter((term) => term.length > 1 && !STOPWORDS.has(term));
+}
+
+/**
+ * Cosine similarity of two equal-length vectors; 0 when either is all zeros
+ */
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
 module.exports = {
   generateRandomString,
   hashPassword,
@@ -199,11 +349,19 @@ module.exports = {
   verifyJWT,
   sanitizeForLogging,
   formatBytes,
+  parseBytes,
   sleep,
   retry,
   parsePagination,
   createResponse,
   isValidEmail,
   generateSlug,
-  deepMerge
+  deepMerge,
+  diffObjects,
+  redactToolHeaders,
+  restoreToolHeaders,
+  renderTemplate,
+  getTemplatePlaceholders,
+  tokenize,
+  cosineSimilarity,
 };
@@ -0,0 +1,119 @@
+// src/utils/holidays.js - Public holiday calendars for calling windows
+
+// Rules per ISO country code: a fixed month and day, the nth weekday of a month
+// (a negative n counts from the end of the month), the last weekday before a day
+// of the month, or days after Easter Sunday.
+// Months are 1-12 and weekdays 0 (Sunday) to 6.
+const CALENDARS = {
+  US: [
+    { name: "New Year's Day", month: 1, day: 1 },
+    { name: 'Martin Luther King Jr. Day', month: 1, weekday: 1, nth: 3 },
+    { name: "Presidents' Day", month: 2, weekday: 1, nth: 3 },
+    { name: 'Memorial Day', month: 5, weekday: 1, nth: -1 },
+    { name: 'Juneteenth', month: 6, day: 19 },
+    { name: 'Independence Day', month: 7, day: 4 },
+    { name: 'Labor Day', month: 9, weekday: 1, nth: 1 },
+    { name: 'Columbus Day', month: 10, weekday: 1, nth: 2 },
+    { name: 'Veterans Day', month: 11, day: 11 },
+    { name: 'Thanksgiving', month: 11, weekday: 4, nth: 4 },
+    { name: 'Christmas Day', month: 12, day: 25 },
+  ],
+  CA: [
+    { name: "New Year's Day", month: 1, day: 1 },
+    { name: 'Good Friday', easter: -2 },
+    { name: 'Victoria Day', month: 5, weekday: 1, before: 25 },
+    { name: 'Canada Day', month: 7, day: 1 },
+    { name: 'Labour Day', month: 9, weekday: 1, nth: 1 },
+    { name: 'Thanksgiving', month: 10, weekday: 1, nth: 2 },
+    { name: 'Remembrance Day', month: 11, day: 11 },
+    { name: 'Christmas Day', month: 12, day: 25 },
+    { name: 'Boxing Day', month: 12, day: 26 },
+  ],
+  GB: [
+    { name: "New Year's Day", month: 1, day: 1 },
+    { name: 'Good Friday', easter: -2 },
+    { name: 'Easter Monday', easter: 1 },
+    { name: 'Early May Bank Holiday', month: 5, weekday: 1, nth: 1 },
+    { name: 'Spring Bank Holiday', month: 5, weekday: 1, nth: -1 },
+    { name: 'Summer Bank Holiday', month: 8, weekday: 1, nth: -1 },
+    { name: 'Christmas Day', month: 12, day: 25 },
+    { name: 'Boxing Day', month: 12, day: 26 },
+  ],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Easter Sunday of a year in the Gregorian calendar (anonymous Gregorian algorithm)
+ */
+function getEaster(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function resolveRule(rule, year) {
+  if (rule.easter !== undefined) {
+    return new Date(getEaster(year).getTime() + rule.easter * DAY_MS);
+  }
+
+  if (rule.day) return new Date(Date.UTC(year, rule.month - 1, rule.day));
+
+  // e.g. Victoria Day, the last Monday before May 25
+  if (rule.before) {
+    const date = new Date(Date.UTC(year, rule.month - 1, rule.before - 1));
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() - rule.weekday + 7) % 7));
+    return date;
+  }
+
+  if (rule.nth > 0) {
+    const date = new Date(Date.UTC(year, rule.month - 1, 1));
+    date.setUTCDate(1 + ((rule.weekday - date.getUTCDay() + 7) % 7) + (rule.nth - 1) * 7);
+    return date;
+  }
+
+  const date = new Date(Date.UTC(year, rule.month, 0));
+  date.setUTCDate(
+    date.getUTCDate() - ((date.getUTCDay() - rule.weekday + 7) % 7) + (rule.nth + 1) * 7
+  );
+  return date;
+}
+
+/**
+ * Public holidays of a country in a year as [{ date: 'YYYY-MM-DD', name }], or
+ * an empty list for countries without a built-in calendar
+ */
+function getHolidays(country, year) {
+  const rules = CALENDARS[String(country || '').toUpperCase()] || [];
+  return rules
+    .map((rule) => ({ date: toDateString(resolveRule(rule, year)), name: rule.name }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * The public holiday of a country on a 'YYYY-MM-DD' date, or null
+ */
+function findHoliday(country, date) {
+  return (
+    getHolidays(country, Number(date.slice(0, 4))).find((holiday) => holiday.date === date) || null
+  );
+}
+
+module.exports = {
+  getHolidays,
+  findHoliday,
+};
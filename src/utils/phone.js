@@ -0,0 +1,151 @@
+// src/utils/phone.js - Phone number normalization to E.164
+
+// Country calling codes by ISO 3166-1 alpha-2 code, with the national trunk
+// prefix dialed before local numbers, the accepted national number lengths and,
+// for countries with a single time zone, that zone
+const COUNTRIES = {
+  US: { code: '1', trunk: '1', lengths: [10] },
+  CA: { code: '1', trunk: '1', lengths: [10] },
+  MX: { code: '52', lengths: [10] },
+  BR: { code: '55', trunk: '0', lengths: [10, 11] },
+  AR: { code: '54', trunk: '0', lengths: [10, 11], timeZone: 'America/Argentina/Buenos_Aires' },
+  CO: { code: '57', lengths: [10], timeZone: 'America/Bogota' },
+  CL: { code: '56', lengths: [9], timeZone: 'America/Santiago' },
+  GB: { code: '44', trunk: '0', lengths: [10], timeZone: 'Europe/London' },
+  IE: { code: '353', trunk: '0', lengths: [7, 8, 9], timeZone: 'Europe/Dublin' },
+  FR: { code: '33', trunk: '0', lengths: [9], timeZone: 'Europe/Paris' },
+  DE: { code: '49', trunk: '0', lengths: [6, 7, 8, 9, 10, 11], timeZone: 'Europe/Berlin' },
+  ES: { code: '34', lengths: [9], timeZone: 'Europe/Madrid' },
+  IT: { code: '39', lengths: [6, 7, 8, 9, 10, 11], timeZone: 'Europe/Rome' },
+  NL: { code: '31', trunk: '0', lengths: [9], timeZone: 'Europe/Amsterdam' },
+  BE: { code: '32', trunk: '0', lengths: [8, 9], timeZone: 'Europe/Brussels' },
+  CH: { code: '41', trunk: '0', lengths: [9], timeZone: 'Europe/Zurich' },
+  AT: {
+    code: '43',
+    trunk: '0',
+    lengths: [4, 5, 6, 7, 8, 9, 10, 11, 12, 13],
+    timeZone: 'Europe/Vienna',
+  },
+  SE: { code: '46', trunk: '0', lengths: [7, 8, 9], timeZone: 'Europe/Stockholm' },
+  NO: { code: '47', lengths: [8], timeZone: 'Europe/Oslo' },
+  DK: { code: '45', lengths: [8], timeZone: 'Europe/Copenhagen' },
+  FI: {
+    code: '358',
+    trunk: '0',
+    lengths: [5, 6, 7, 8, 9, 10, 11, 12],
+    timeZone: 'Europe/Helsinki',
+  },
+  PL: { code: '48', lengths: [9], timeZone: 'Europe/Warsaw' },
+  PT: { code: '351', lengths: [9], timeZone: 'Europe/Lisbon' },
+  GR: { code: '30', lengths: [10], timeZone: 'Europe/Athens' },
+  TR: { code: '90', trunk: '0', lengths: [10], timeZone: 'Europe/Istanbul' },
+  RU: { code: '7', trunk: '8', lengths: [10] },
+  UA: { code: '380', trunk: '0', lengths: [9], timeZone: 'Europe/Kyiv' },
+  IL: { code: '972', trunk: '0', lengths: [8, 9], timeZone: 'Asia/Jerusalem' },
+  AE: { code: '971', trunk: '0', lengths: [8, 9], timeZone: 'Asia/Dubai' },
+  SA: { code: '966', trunk: '0', lengths: [8, 9], timeZone: 'Asia/Riyadh' },
+  EG: { code: '20', trunk: '0', lengths: [9, 10], timeZone: 'Africa/Cairo' },
+  ZA: { code: '27', trunk: '0', lengths: [9], timeZone: 'Africa/Johannesburg' },
+  NG: { code: '234', trunk: '0', lengths: [8, 10], timeZone: 'Africa/Lagos' },
+  KE: { code: '254', trunk: '0', lengths: [9], timeZone: 'Africa/Nairobi' },
+  IN: { code: '91', trunk: '0', lengths: [10], timeZone: 'Asia/Kolkata' },
+  PK: { code: '92', trunk: '0', lengths: [9, 10], timeZone: 'Asia/Karachi' },
+  BD: { code: '880', trunk: '0', lengths: [10], timeZone: 'Asia/Dhaka' },
+  CN: { code: '86', trunk: '0', lengths: [10, 11], timeZone: 'Asia/Shanghai' },
+  JP: { code: '81', trunk: '0', lengths: [9, 10], timeZone: 'Asia/Tokyo' },
+  KR: { code: '82', trunk: '0', lengths: [8, 9, 10], timeZone: 'Asia/Seoul' },
+  SG: { code: '65', lengths: [8], timeZone: 'Asia/Singapore' },
+  MY: { code: '60', trunk: '0', lengths: [8, 9, 10], timeZone: 'Asia/Kuala_Lumpur' },
+  ID: { code: '62', trunk: '0', lengths: [8, 9, 10, 11, 12] },
+  PH: { code: '63', trunk: '0', lengths: [10], timeZone: 'Asia/Manila' },
+  TH: { code: '66', trunk: '0', lengths: [8, 9], timeZone: 'Asia/Bangkok' },
+  VN: { code: '84', trunk: '0', lengths: [9, 10], timeZone: 'Asia/Ho_Chi_Minh' },
+  AU: { code: '61', trunk: '0', lengths: [9] },
+  NZ: { code: '64', trunk: '0', lengths: [8, 9, 10], timeZone: 'Pacific/Auckland' },
+};
+
+// Canadian area codes, which share the +1 calling code with the US
+const CANADIAN_AREA_CODES = new Set(
+  (
+    '204 226 236 249 250 257 263 289 306 343 354 365 367 368 382 403 416 418 428 431 437 438 ' +
+    '450 468 474 506 514 519 548 579 581 584 587 604 613 639 647 672 683 705 709 742 753 778 ' +
+    '780 782 807 819 825 867 873 879 902 905'
+  ).split(' ')
+);
+
+// Digits, optionally after a +, with common separators and an extension removed
+const SEPARATORS = /[\s\-.()/]/g;
+const E164 = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Calling code details for an ISO country code, or undefined
+ */
+function getCountry(country) {
+  return COUNTRIES[String(country || '').toUpperCase()];
+}
+
+/**
+ * A phone number in E.164 format (+14155550123), or null when it cannot be read
+ * as one. Numbers without a + or 00 international prefix are read as national
+ * numbers of `defaultCountry`, dropping its trunk prefix.
+ */
+function normalizePhone(value, defaultCountry) {
+  if (value === undefined || value === null) return null;
+
+  let number = String(value)
+    .trim()
+    .replace(/\s*(?:ext\.?|x|#)\s*\d+$/i, '')
+    .replace(SEPARATORS, '');
+
+  if (number.startsWith('00')) {
+    number = `+${number.slice(2)}`;
+  }
+
+  if (!number.startsWith('+')) {
+    const country = getCountry(defaultCountry);
+    if (!country || !/^\d+$/.test(number)) return null;
+
+    let national = number;
+    if (country.trunk && national.startsWith(country.trunk)) {
+      const withoutTrunk = national.slice(country.trunk.length);
+      if (country.lengths.includes(withoutTrunk.length)) national = withoutTrunk;
+    }
+    if (!country.lengths.includes(national.length)) return null;
+
+    number = `+${country.code}${national}`;
+  }
+
+  return E164.test(number) ? number : null;
+}
+
+/**
+ * ISO country code of an E.164 phone number, from the longest matching calling
+ * code; +1 numbers are told apart by area code
+ */
+function getPhoneCountry(phone) {
+  if (!E164.test(String(phone || ''))) return null;
+  const digits = phone.slice(1);
+
+  if (digits.startsWith('1')) {
+    return CANADIAN_AREA_CODES.has(digits.slice(1, 4)) ? 'CA' : 'US';
+  }
+
+  const [country] = Object.entries(COUNTRIES)
+    .filter(([, { code }]) => digits.startsWith(code))
+    .sort(([, a], [, b]) => b.code.length - a.code.length)[0] || [null];
+  return country;
+}
+
+/**
+ * Whether a value is already an E.164 phone number
+ */
+function isE164(value) {
+  return E164.test(String(value || ''));
+}
+
+module.exports = {
+  normalizePhone,
+  isE164,
+  getCountry,
+  getPhoneCountry,
+};
@@ -1,6 +1,28 @@
 // src/utils/validation.js - Updated to match your frontend Zod schemas
 const Joi = require('joi');
-const { AGENT_TYPES, AGENT_STATUS, SUBSCRIPTION_PLANS, ROLES } = require('./constants');
+const {
+  AGENT_TYPES,
+  AGENT_STATUS,
+  SUBSCRIPTION_PLANS,
+  ROLES,
+  TOOL_TYPES,
+  BUILTIN_TOOLS,
+  TOOL_LIMITS,
+  AGENT_BUNDLE,
+  EXPERIMENT_STATUS,
+  EXPERIMENT_LIMITS,
+  EVAL_RUN_STATUS,
+  EVAL_LIMITS,
+  CHUNKING_STRATEGIES,
+  CRAWL_LIMITS,
+  CONTACT_IMPORT,
+  DIALER,
+  CALL_OUTCOMES,
+  CALL_DISPOSITIONS,
+  RETRY_POLICY,
+  CALLING_WINDOW,
+} = require('./constants');
+const { isValidTimeZone } = require('./callingWindow');
 
 const commonSchemas = {
   id: Joi.string().trim().required(),
@@ -15,6 +37,51 @@ const commonSchemas = {
   }
 };
 
+// Tool an agent can call: a JSON-schema signature plus a webhook or built-in handler
+const agentToolSchema = Joi.object({
+  name: Joi.string()
+    .pattern(/^[a-zA-Z0-9_-]{1,64}$/)
+    .required(),
+  description: Joi.string().trim().max(1024).required(),
+  parameters: Joi.object({
+    type: Joi.string().valid('object').required(),
+  })
+    .unknown(true)
+    .default({ type: 'object', properties: {} }),
+  type: Joi.string()
+    .valid(...Object.values(TOOL_TYPES))
+    .required(),
+  webhook: Joi.when('type', {
+    is: TOOL_TYPES.WEBHOOK,
+    then: Joi.object({
+      url: Joi.string()
+        .uri({ scheme: ['http', 'https'] })
+        .required(),
+      method: Joi.string().valid('GET', 'POST').default('POST'),
+      headers: Joi.object().pattern(Joi.string(), Joi.string()),
+      timeoutMs: Joi.number()
+        .integer()
+        .min(100)
+        .max(30000)
+        .default(TOOL_LIMITS.WEBHOOK_TIMEOUT_MS),
+    }).required(),
+    otherwise: Joi.forbidden(),
+  }),
+  handler: Joi.when('type', {
+    is: TOOL_TYPES.BUILTIN,
+    then: Joi.string()
+      .valid(...Object.values(BUILTIN_TOOLS))
+      .required(),
+    otherwise: Joi.forbidden(),
+  }),
+  enabled: Joi.boolean().default(true),
+});
+
+const agentToolsSchema = Joi.array()
+  .items(agentToolSchema)
+  .max(TOOL_LIMITS.MAX_TOOLS_PER_AGENT)
+  .unique('name');
+
 // Agent schemas matching your frontend forms
 const agentSchemas = {
   // Agent Identity (form-new-agent-identity)
@@ -46,6 +113,21 @@ const agentSchemas = {
     agentIntroduction: Joi.string().min(50).required(),
   }).strict(),
 
+  // Instruction template with {{placeholders}}; `reset` restores the default layout
+  instructions: Joi.object({
+    template: Joi.string().min(10).max(10000),
+    reset: Joi.boolean().valid(true),
+  }).xor('template', 'reset'),
+
+  instructionsPreview: Joi.object({
+    template: Joi.string().max(10000),
+    variables: Joi.object().default({}),
+  }),
+
+  linkKnowledgeBase: Joi.object({
+    knowledgeBaseId: commonSchemas.id,
+  }),
+
   // Demo form (form-demo)
   demoSubmission: Joi.object({
     agentName: Joi.string().min(2).required(),
@@ -66,10 +148,7 @@ const agentSchemas = {
     maxTokens: Joi.number().min(1).max(4000).default(1000),
     tags: Joi.array().items(Joi.string().trim().max(50)).max(10),
     isPublic: Joi.boolean().default(false),
-    tools: Joi.array().items(Joi.object({
-      type: Joi.string().required(),
-      config: Joi.object()
-    })),
+    tools: agentToolsSchema,
     knowledgeBase: Joi.array().items(Joi.string()),
     metadata: Joi.object()
   }),
@@ -82,10 +161,7 @@ const agentSchemas = {
     maxTokens: Joi.number().min(1).max(4000),
     tags: Joi.array().items(Joi.string().trim().max(50)).max(10),
     isPublic: Joi.boolean(),
-    tools: Joi.array().items(Joi.object({
-      type: Joi.string().required(),
-      config: Joi.object()
-    })),
+    tools: agentToolsSchema,
     metadata: Joi.object()
   }).min(1),
   
@@ -98,6 +174,50 @@ const agentSchemas = {
     isPublic: Joi.boolean(),
     createdBy: Joi.string()
   }),
+
+  submitReview: Joi.object({
+    notes: Joi.string().trim().max(1000),
+  }),
+
+  review: Joi.object({
+    decision: Joi.string().valid('approve', 'reject').required(),
+    // Creators need to know what to change
+    comments: Joi.string()
+      .trim()
+      .max(2000)
+      .when('decision', { is: 'reject', then: Joi.required() }),
+  }),
+
+  versionQuery: Joi.object({
+    ...commonSchemas.pagination,
+  }),
+
+  versionParams: {
+    agentId: commonSchemas.id,
+    version: Joi.number().integer().min(1).required(),
+  },
+
+  // Omit `to` to compare against the current, unpublished configuration
+  versionDiffQuery: Joi.object({
+    from: Joi.number().integer().min(1).required(),
+    to: Joi.number().integer().min(1),
+  }),
+
+  exportQuery: Joi.object({
+    includeFiles: Joi.boolean().default(false),
+  }),
+
+  // `name` renames the imported agent when the bundled name is already taken
+  importQuery: Joi.object({
+    dryRun: Joi.boolean().default(false),
+    name: Joi.string().min(3).max(10),
+  }),
+
+  toolInvocationQuery: Joi.object({
+    ...commonSchemas.pagination,
+    toolName: Joi.string().trim(),
+    status: Joi.string().valid('success', 'error'),
+  }),
   
   chat: Joi.object({
     message: Joi.string().trim().min(1).max(1000).required(),
@@ -106,6 +226,247 @@ const agentSchemas = {
   })
 };
 
+// Agent export file. The form sections are checked with the same schemas as the
+// multi-step editor, so imported agents meet the rules of agents built in the UI.
+agentSchemas.bundle = Joi.object({
+  format: Joi.string().valid(AGENT_BUNDLE.FORMAT).required(),
+  version: Joi.number().integer().valid(AGENT_BUNDLE.VERSION).required(),
+  exportedAt: Joi.date(),
+  source: Joi.object({
+    agentId: Joi.string(),
+    organizationId: Joi.string(),
+    name: Joi.string(),
+    version: Joi.number().integer().min(0),
+  }),
+  agent: Joi.object({
+    identity: agentSchemas.createIdentity.required(),
+    persona: agentSchemas.updatePersona.required(),
+    work: agentSchemas.updateWork.required(),
+    config: Joi.object({
+      model: Joi.string()
+        .valid('gpt-4', 'gpt-3.5-turbo', 'claude-3-sonnet', 'claude-3-haiku')
+        .required(),
+      instructions: Joi.string().max(10000).required(),
+      instructionsEdited: Joi.boolean(),
+      temperature: Joi.number().min(0).max(2),
+      maxTokens: Joi.number().min(1).max(4000),
+    }).required(),
+    tools: agentToolsSchema.default([]),
+    type: Joi.string().valid(...Object.values(AGENT_TYPES)),
+    category: Joi.string().trim(),
+    tags: Joi.array().items(Joi.string().trim().max(50)).max(10),
+    // Inline knowledge; uploaded documents travel in `knowledgeBases`
+    knowledgeBase: Joi.array()
+      .items(
+        Joi.object({
+          name: Joi.string().required(),
+          type: Joi.string().valid('url', 'text', 'api').required(),
+          source: Joi.string(),
+          content: Joi.string(),
+          metadata: Joi.object(),
+        })
+      )
+      .default([]),
+  }).required(),
+  knowledgeBases: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().trim().required(),
+        description: Joi.string().allow('').max(500),
+        tags: Joi.array().items(Joi.string().trim()),
+        files: Joi.array()
+          .items(
+            Joi.object({
+              originalName: Joi.string().required(),
+              mimetype: Joi.string().required(),
+              size: Joi.number().integer().min(0).required(),
+              content: Joi.string().base64(),
+            })
+          )
+          .default([]),
+      })
+    )
+    .default([]),
+});
+
+// Chat session schemas
+const conversationSchemas = {
+  rename: Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+  }),
+
+  query: Joi.object({
+    ...commonSchemas.pagination,
+    search: Joi.string().trim(),
+  }),
+};
+
+// A/B experiments over agent config variants
+const experimentVariantSchema = Joi.object({
+  key: Joi.string()
+    .pattern(/^[a-z0-9_-]{1,32}$/)
+    .required(),
+  name: Joi.string().trim().max(100),
+  weight: Joi.number().integer().min(1).max(100).required(),
+  // Omitted fields fall back to the agent's config
+  config: Joi.object({
+    model: Joi.string().valid('gpt-4', 'gpt-3.5-turbo', 'claude-3-sonnet', 'claude-3-haiku'),
+    instructions: Joi.string().min(10).max(10000),
+    temperature: Joi.number().min(0).max(2),
+    maxTokens: Joi.number().min(1).max(4000),
+  }).default({}),
+});
+
+const experimentVariantsSchema = Joi.array()
+  .items(experimentVariantSchema)
+  .min(EXPERIMENT_LIMITS.MIN_VARIANTS)
+  .max(EXPERIMENT_LIMITS.MAX_VARIANTS)
+  .unique('key');
+
+const experimentSchemas = {
+  create: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().max(500),
+    variants: experimentVariantsSchema.required(),
+  }),
+
+  update: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().max(500),
+    variants: experimentVariantsSchema,
+  }).min(1),
+
+  complete: Joi.object({
+    winner: Joi.string(),
+  }),
+
+  query: Joi.object({
+    ...commonSchemas.pagination,
+    status: Joi.string().valid(...Object.values(EXPERIMENT_STATUS)),
+  }),
+
+  params: {
+    agentId: commonSchemas.id,
+    experimentId: commonSchemas.id,
+  },
+};
+
+// Pre-publish eval suites
+const evalCaseSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  turns: Joi.array()
+    .items(Joi.string().trim().min(1).max(2000))
+    .min(1)
+    .max(EVAL_LIMITS.MAX_TURNS_PER_CASE)
+    .required(),
+  expectedFacts: Joi.array().items(Joi.string().trim().min(1).max(500)).default([]),
+  forbiddenPhrases: Joi.array().items(Joi.string().trim().min(1).max(200)).default([]),
+  rubric: Joi.string().max(2000),
+  // Instruction template variables, e.g. callerName
+  variables: Joi.object().pattern(Joi.string(), Joi.any()).default({}),
+});
+
+const evalCasesSchema = Joi.array().items(evalCaseSchema).min(1).max(EVAL_LIMITS.MAX_CASES);
+
+const evalJudgeSchema = Joi.object({
+  enabled: Joi.boolean(),
+  model: Joi.string().valid('gpt-4', 'gpt-3.5-turbo', 'claude-3-sonnet', 'claude-3-haiku'),
+  passScore: Joi.number().min(0).max(1),
+});
+
+const evalSchemas = {
+  createSuite: Joi.object({
+    name: Joi.string().trim().min(1).max(100).required(),
+    description: Joi.string().max(500),
+    cases: evalCasesSchema.required(),
+    judge: evalJudgeSchema,
+  }),
+
+  updateSuite: Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    description: Joi.string().max(500),
+    cases: evalCasesSchema,
+    judge: evalJudgeSchema,
+  }).min(1),
+
+  suiteQuery: Joi.object(commonSchemas.pagination),
+
+  runQuery: Joi.object({
+    ...commonSchemas.pagination,
+    suiteId: Joi.string().trim(),
+    status: Joi.string().valid(...Object.values(EVAL_RUN_STATUS)),
+  }),
+
+  suiteParams: {
+    agentId: commonSchemas.id,
+    suiteId: commonSchemas.id,
+  },
+
+  runParams: {
+    agentId: commonSchemas.id,
+    runId: commonSchemas.id,
+  },
+};
+
+// Public agent template gallery
+const templateFilters = {
+  search: Joi.string().trim().max(100),
+  category: Joi.string().trim(),
+  tags: Joi.array().items(Joi.string().trim()).single(),
+  type: Joi.string().valid(...Object.values(AGENT_TYPES)),
+  language: Joi.string().valid('en', 'fr', 'de', 'es', 'pt', 'ru', 'ja', 'ko', 'zh'),
+};
+
+const templateSchemas = {
+  query: Joi.object({
+    page: commonSchemas.pagination.page,
+    limit: commonSchemas.pagination.limit,
+    ...templateFilters,
+    sort: Joi.string().valid('popular', 'installs', 'newest').default('popular'),
+  }),
+
+  facetQuery: Joi.object(templateFilters),
+
+  popularQuery: Joi.object({
+    limit: Joi.number().integer().min(1).max(50).default(10),
+  }),
+};
+
+// IANA time zone, e.g. America/Chicago
+const timeZoneSchema = Joi.string()
+  .trim()
+  .custom((value, helpers) => (isValidTimeZone(value) ? value : helpers.error('any.invalid')))
+  .messages({ 'any.invalid': '{{#label}} must be an IANA time zone, e.g. America/Chicago' });
+
+// Days and holidays the dialer calls on
+const callingWindowSchema = Joi.object({
+  days: Joi.array()
+    .items(Joi.string().lowercase().valid(...CALLING_WINDOW.DAYS))
+    .min(1)
+    .unique(),
+  publicHolidays: Joi.boolean(),
+  holidays: Joi.array()
+    .items(
+      Joi.object({
+        date: Joi.string()
+          .pattern(/^\d{4}-\d{2}-\d{2}$/)
+          .required()
+          .messages({ 'string.pattern.base': '{{#label}} must be a YYYY-MM-DD date' }),
+        name: Joi.string().trim().max(100),
+        countries: Joi.array().items(Joi.string().trim().uppercase().length(2)),
+      })
+    )
+    .max(CALLING_WINDOW.MAX_HOLIDAYS),
+});
+
+// Retry policy of a campaign's calls; delays are in minutes
+const retryDelay = Joi.number().min(0).max(RETRY_POLICY.MAX_DELAY_MINUTES);
+const outcomeRule = Joi.object({
+  retry: Joi.boolean(),
+  maxAttempts: Joi.number().integer().min(1).max(RETRY_POLICY.MAX_ATTEMPTS),
+  delayMinutes: retryDelay,
+});
+
 // Campaign schemas matching your frontend forms
 const campaignSchemas = {
   // Campaign Basic Info (form-new-campaign)
@@ -113,9 +474,11 @@ const campaignSchemas = {
     campaignName: Joi.string().min(1).required(),
     agent: Joi.string().required(), // ObjectId as string
     dialingNumber: Joi.string().required(),
-    timeZone: Joi.string().required(),
+    timeZone: timeZoneSchema.required(),
     startTime: Joi.date().required(),
     endTime: Joi.date().required(),
+    maxConcurrentCalls: Joi.number().integer().min(1).max(DIALER.MAX_CONCURRENT_CALLS),
+    callingWindow: callingWindowSchema,
   }),
 
   // Campaign Call Configuration (form-new-campaign-call)
@@ -126,20 +489,36 @@ const campaignSchemas = {
     fromPeriod: Joi.string().valid('AM', 'PM').required(),
     to: Joi.string().required(),
     toPeriod: Joi.string().valid('AM', 'PM').required(),
-    retry: Joi.string().required(),
-    coolDown: Joi.string().required(),
-    maxCallDuration: Joi.string().required(),
-    inactiveDuration: Joi.string().required(),
+    retry: Joi.object({
+      maxAttempts: Joi.number().integer().min(1).max(RETRY_POLICY.MAX_ATTEMPTS),
+      outcomes: Joi.object(
+        Object.fromEntries(RETRY_POLICY.RETRYABLE_OUTCOMES.map((outcome) => [outcome, outcomeRule]))
+      ),
+    }),
+    coolDown: Joi.object({
+      delayMinutes: retryDelay,
+      backoff: Joi.string().valid(...RETRY_POLICY.BACKOFF_STRATEGIES),
+      multiplier: Joi.number().min(1).max(10),
+      maxDelayMinutes: retryDelay,
+    }),
+    maxCallDuration: Joi.number()
+      .integer()
+      .min(RETRY_POLICY.MIN_CALL_SECONDS)
+      .max(DIALER.MAX_CALL_SECONDS),
+    inactiveDuration: Joi.number().integer().min(5).max(RETRY_POLICY.MAX_INACTIVE_SECONDS),
   }),
 
   update: Joi.object({
     campaignName: Joi.string().min(1),
     agent: Joi.string(),
     dialingNumber: Joi.string(),
-    timeZone: Joi.string(),
+    timeZone: timeZoneSchema,
     startTime: Joi.date(),
     endTime: Joi.date(),
-    status: Joi.string().valid('draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'),
+    maxConcurrentCalls: Joi.number().integer().min(1).max(DIALER.MAX_CONCURRENT_CALLS),
+    callingWindow: callingWindowSchema,
+    // Campaigns are started with POST /campaigns/:id/start
+    status: Joi.string().valid('draft', 'scheduled', 'paused', 'completed', 'cancelled'),
   }).min(1),
 
   query: Joi.object({
@@ -147,9 +526,88 @@ const campaignSchemas = {
     status: Joi.string().valid('draft', 'scheduled', 'running', 'paused', 'completed', 'cancelled'),
     agent: Joi.string(),
     search: Joi.string().trim(),
-  })
+  }),
+
+  callQuery: Joi.object({
+    ...commonSchemas.pagination,
+    status: Joi.string().valid('dialing', 'in_progress', 'completed', 'failed'),
+    outcome: Joi.string().valid(...CALL_OUTCOMES),
+    disposition: Joi.string().valid(...CALL_DISPOSITIONS),
+    contactId: Joi.string().trim(),
+  }),
+
+  // A person's disposition of a call
+  disposition: Joi.object({
+    disposition: Joi.string()
+      .valid(...CALL_DISPOSITIONS)
+      .required(),
+    note: Joi.string().trim().max(1000).allow(''),
+  }),
+
+  analyticsQuery: Joi.object({
+    startDate: Joi.date().iso(),
+    endDate: Joi.date().iso().min(Joi.ref('startDate')),
+  }),
+};
+
+// Contacts of outbound campaigns
+const contactFields = {
+  firstName: Joi.string().trim().max(100).allow(''),
+  lastName: Joi.string().trim().max(100).allow(''),
+  email: Joi.string().trim().email().allow(''),
+  customFields: Joi.object().pattern(/^[a-zA-Z_]\w*$/, Joi.string().allow('').max(1000)),
+  // ISO country code for numbers without a country calling code
+  country: Joi.string().trim().uppercase().length(2),
+  // Overrides the time zone of the phone number's country; null to clear
+  timeZone: timeZoneSchema.allow(null),
 };
 
+const contactSchemas = {
+  create: Joi.object({
+    ...contactFields,
+    phone: Joi.string().trim().required(),
+  }),
+
+  update: Joi.object({
+    ...contactFields,
+    phone: Joi.string().trim(),
+    status: Joi.string().valid('pending', 'do_not_call'),
+  }).min(1),
+
+  query: Joi.object({
+    ...commonSchemas.pagination,
+    status: Joi.string().valid('pending', 'calling', 'called', 'failed', 'do_not_call'),
+    disposition: Joi.string().valid(...CALL_DISPOSITIONS),
+    search: Joi.string().trim(),
+  }),
+
+  // Multipart fields, e.g. mapping[phone]=Mobile&mapping[customFields][plan]=Plan Tier
+  import: Joi.object({
+    mapping: Joi.object({
+      phone: Joi.string().trim(),
+      firstName: Joi.string().trim(),
+      lastName: Joi.string().trim(),
+      name: Joi.string().trim(),
+      email: Joi.string().trim(),
+      country: Joi.string().trim(),
+      timeZone: Joi.string().trim(),
+      customFields: Joi.object().pattern(/^[a-zA-Z_]\w*$/, Joi.string().trim()),
+    }).default({}),
+    defaultCountry: Joi.string().trim().uppercase().length(2),
+    onDuplicate: Joi.string()
+      .valid(...CONTACT_IMPORT.DUPLICATE_ACTIONS)
+      .default('skip'),
+  }),
+};
+
+// Sizes are in estimated tokens
+const chunkingSchema = Joi.object({
+  strategy: Joi.string().valid(...Object.values(CHUNKING_STRATEGIES)),
+  chunkSize: Joi.number().integer().min(50).max(2000),
+  chunkOverlap: Joi.number().integer().min(0).max(500),
+  rowsPerChunk: Joi.number().integer().min(1).max(500),
+});
+
 // Knowledge Base schemas
 const knowledgeBaseSchemas = {
   // Knowledge Base Creation (form-new-knowledgebase)
@@ -158,27 +616,59 @@ const knowledgeBaseSchemas = {
     kb_files: Joi.array().items(Joi.any()).optional(), // File objects
     description: Joi.string().max(500).optional(),
     tags: Joi.array().items(Joi.string().trim()).optional(),
+    chunking: chunkingSchema.optional(),
   }),
 
   update: Joi.object({
     kb_name: Joi.string().min(1),
     description: Joi.string().max(500),
     tags: Joi.array().items(Joi.string().trim()),
+    chunking: chunkingSchema,
   }).min(1),
 
+  rechunk: Joi.object({
+    chunking: chunkingSchema,
+  }),
+
   addFiles: Joi.object({
     files: Joi.array().items(Joi.any()).min(1).required(),
+    tags: Joi.array().items(Joi.string().trim()).single(),
+  }),
+
+  addWebSource: Joi.object({
+    url: Joi.string()
+      .trim()
+      .uri({ scheme: ['http', 'https'] })
+      .required(),
+    type: Joi.string().valid('page', 'sitemap', 'crawl').default('page'),
+    maxDepth: Joi.number().integer().min(0).max(CRAWL_LIMITS.MAX_DEPTH),
+    maxPages: Joi.number().integer().min(1).max(CRAWL_LIMITS.MAX_PAGES),
+    allowedDomains: Joi.array().items(Joi.string().trim().lowercase().hostname()),
+    // 0 turns scheduled recrawls off
+    recrawlIntervalHours: Joi.number()
+      .integer()
+      .min(0)
+      .max(720)
+      .default(CRAWL_LIMITS.DEFAULT_RECRAWL_HOURS),
+  }),
+
+  fileQuery: Joi.object({
+    status: Joi.string().valid('pending', 'processing', 'processed', 'error'),
+    tag: Joi.string().trim(),
   }),
 
   search: Joi.object({
     query: Joi.string().min(1).required(),
     limit: Joi.number().min(1).max(50).default(10),
+    fileIds: Joi.array().items(Joi.string().trim()),
+    tags: Joi.array().items(Joi.string().trim()),
+    mimetypes: Joi.array().items(Joi.string().trim()),
   }),
 
   query: Joi.object({
     ...commonSchemas.pagination,
     search: Joi.string().trim(),
-    status: Joi.string().valid('uploading', 'processing', 'ready', 'error'),
+    status: Joi.string().valid('uploading', 'processing', 'ready', 'partial', 'error'),
     tags: Joi.array().items(Joi.string()),
   })
 };
@@ -222,6 +712,13 @@ const testNumberSchemas = {
   addTestCall: Joi.object({
     agentId: Joi.string().required(),
     campaignId: Joi.string().optional(),
+    // Experiment variant reported by the call dispatch
+    experimentId: Joi.string(),
+    variantKey: Joi.string().when('experimentId', {
+      is: Joi.exist(),
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
     duration: Joi.number().min(0),
     successful: Joi.boolean().required(),
     feedback: Joi.string().max(1000),
@@ -332,7 +829,12 @@ module.exports = {
   userSchemas,
   organizationSchemas,
   agentSchemas,
+  conversationSchemas,
+  experimentSchemas,
+  evalSchemas,
+  templateSchemas,
   campaignSchemas,
+  contactSchemas,
   knowledgeBaseSchemas,
   testNumberSchemas,
   callSchemas,
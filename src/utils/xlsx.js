@@ -0,0 +1,186 @@
+// src/utils/xlsx.js - Reads the first worksheet of an XLSX workbook
+const path = require('path');
+const zlib = require('zlib');
+const { constants } = require('buffer');
+const { ValidationError } = require('./errors');
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Whether a buffer starts like a zip archive (XLSX) rather than a CSV
+ */
+function isZip(buffer) {
+  return buffer.length > 4 && buffer.readUInt32LE(0) === LOCAL_FILE_HEADER;
+}
+
+/**
+ * Entries of a zip archive as a map of name to a function returning its contents.
+ * Reading more than `maxBytes` of contents in total fails, however small the
+ * archive, so a zip bomb cannot exhaust memory.
+ */
+function readZip(buffer, maxBytes = constants.MAX_LENGTH) {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== END_OF_CENTRAL_DIRECTORY) end -= 1;
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const entries = new Map();
+  const tooLarge = () =>
+    new ValidationError(
+      `The spreadsheet is larger than ${Math.floor(maxBytes / 1024 / 1024)} MB uncompressed`
+    );
+  // Bytes left to read, shared by every entry
+  const budget = { remaining: maxBytes };
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i += 1) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip archive');
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const size = buffer.readUInt32LE(offset + 24);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const headerOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+    entries.set(name, () => {
+      // The declared size may be wrong, so inflating is capped as well
+      if (size > budget.remaining) throw tooLarge();
+
+      const start =
+        headerOffset +
+        30 +
+        buffer.readUInt16LE(headerOffset + 26) +
+        buffer.readUInt16LE(headerOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+
+      let contents;
+      if (method === 0) {
+        contents = data;
+      } else if (method === 8) {
+        try {
+          contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(budget.remaining, 1) });
+        } catch (error) {
+          if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+          throw error;
+        }
+      } else {
+        throw new Error(`Unsupported zip compression method: ${method}`);
+      }
+
+      if (contents.length > budget.remaining) throw tooLarge();
+      budget.remaining -= contents.length;
+      return contents;
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+function decodeXml(text) {
+  return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code =
+        entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : +entity.slice(1);
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] ?? match;
+  });
+}
+
+// Text of the <t> elements in a shared or inline string, including rich text runs
+function readText(xml) {
+  return [...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map((match) => decodeXml(match[1]))
+    .join('');
+}
+
+// Zero-based column index of a cell reference such as "AB12"
+function columnIndex(reference) {
+  const letters = reference.match(/^[A-Z]+/)[0];
+  return [...letters].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+}
+
+// Numbers Excel stored as floats, e.g. phone numbers, read back without exponents
+function readNumber(value) {
+  const number = Number(value);
+  return Number.isSafeInteger(number) ? String(number) : value;
+}
+
+/**
+ * Path of the workbook's first worksheet
+ */
+function firstSheetPath(entries) {
+  const read = (name) => entries.get(name)?.().toString('utf8');
+  const workbook = read('xl/workbook.xml');
+  const relationships = read('xl/_rels/workbook.xml.rels');
+  const sheetId = workbook?.match(/<sheet\s[^>]*r:id="([^"]+)"/)?.[1];
+
+  const target = [...(relationships || '').matchAll(/<Relationship\s[^>]*>/g)]
+    .map(([tag]) => ({
+      id: tag.match(/Id="([^"]+)"/)?.[1],
+      target: tag.match(/Target="([^"]+)"/)?.[1],
+    }))
+    .find((relationship) => relationship.id === sheetId)?.target;
+
+  if (!target) return 'xl/worksheets/sheet1.xml';
+  return target.startsWith('/') ? target.slice(1) : path.posix.join('xl', target);
+}
+
+/**
+ * Rows of the first worksheet as arrays of cell text, blank cells as ''.
+ * `maxBytes` caps the uncompressed size of the parts read.
+ */
+function readSheet(buffer, { maxBytes } = {}) {
+  const entries = readZip(buffer, maxBytes);
+  const sheet = entries.get(firstSheetPath(entries));
+  if (!sheet) throw new Error('The workbook has no worksheet');
+
+  const sharedStrings = entries.get('xl/sharedStrings.xml');
+  const strings = sharedStrings
+    ? [
+        ...sharedStrings()
+          .toString('utf8')
+          .matchAll(/<si>([\s\S]*?)<\/si>/g),
+      ].map((match) => readText(match[1]))
+    : [];
+
+  const rows = [];
+  const xml = sheet().toString('utf8');
+  [...xml.matchAll(/<row\b[^>]*?(?:\/>|>([\s\S]*?)<\/row>)/g)].forEach(([, content = '']) => {
+    const row = [];
+    [...content.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)].forEach(
+      ([, attributes, body = '']) => {
+        const reference = attributes.match(/\br="([A-Z]+\d+)"/)?.[1];
+        const type = attributes.match(/\bt="(\w+)"/)?.[1];
+        const raw = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+        let value = '';
+        if (type === 's') value = strings[Number(raw)] ?? '';
+        else if (type === 'inlineStr') value = readText(body);
+        else if (type === 'str' || type === 'e') value = decodeXml(raw || '');
+        else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+        else if (raw !== undefined) value = readNumber(raw);
+
+        row[reference ? columnIndex(reference) : row.length] = value;
+      }
+    );
+    rows.push(Array.from(row, (value) => value ?? ''));
+  });
+
+  return rows;
+}
+
+module.exports = {
+  isZip,
+  readSheet,
+};
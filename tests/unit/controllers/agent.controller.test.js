@@ -1,6 +1,8 @@
 const { request, app } = require('../../setup/testServer');
 const Agent = require('../../../src/models/Agent');
-const { createTestAgent } = require('../../fixtures/testData');
+const Organization = require('../../../src/models/Organization');
+const LLMService = require('../../../src/services/llm.service');
+const { createTestAgent, createTestOrganization } = require('../../fixtures/testData');
 
 describe('Agent Controller', () => {
   describe('POST /api/v1/agents', () => {
@@ -42,4 +44,80 @@ describe('Agent Controller', () => {
       expect(response.body.pagination.limit).toBe(5);
     });
   });
+
+  describe('POST /api/v1/agents/:agentId/chat/stream', () => {
+    let agent;
+
+    // Each Server-Sent Event as [event, data]
+    const parseEvents = (text) =>
+      text
+        .split('\n\n')
+        .filter(Boolean)
+        .map((frame) => {
+          const [event, data] = frame.split('\n');
+          return [event.replace('event: ', ''), JSON.parse(data.replace('data: ', ''))];
+        });
+
+    beforeEach(async () => {
+      await Organization.create(createTestOrganization({ clerkId: 'test_org_123' }));
+      agent = await Agent.create(
+        createTestAgent({
+          organizationId: 'test_org_123',
+          createdBy: 'test_user_123',
+          status: 'published',
+          config: { model: 'gpt-4', instructions: 'Be helpful.' },
+        })
+      );
+    });
+
+    it('should stream the reply as Server-Sent Events', async () => {
+      jest.spyOn(LLMService, 'streamChatCompletion').mockImplementation(async function* reply() {
+        yield { type: 'delta', content: 'Hello ' };
+        yield { type: 'delta', content: 'there.' };
+        yield { type: 'done', content: 'Hello there.', usage: { total_tokens: 7 } };
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/agents/${agent.id}/chat/stream`)
+        .send({ message: 'Hi' })
+        .expect(200);
+
+      expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+      expect(response.headers['cache-control']).toBe('no-cache');
+      const events = parseEvents(response.text);
+      expect(events.map(([event]) => event)).toEqual(['session', 'delta', 'delta', 'done']);
+      expect(events[1][1]).toEqual({ content: 'Hello ' });
+      expect(events[3][1]).toMatchObject({
+        message: 'Hello there.',
+        sessionId: events[0][1].sessionId,
+        usage: { total_tokens: 7 },
+      });
+    });
+
+    it('should end the stream with an error event when the provider fails', async () => {
+      jest.spyOn(LLMService, 'streamChatCompletion').mockImplementation(async function* fail() {
+        yield { type: 'delta', content: 'Hel' };
+        throw new Error('socket hang up');
+      });
+
+      const response = await request(app)
+        .post(`/api/v1/agents/${agent.id}/chat/stream`)
+        .send({ message: 'Hi' })
+        .expect(200);
+
+      const events = parseEvents(response.text);
+      expect(events.map(([event]) => event)).toEqual(['session', 'delta', 'error']);
+      expect(events[2][1]).toEqual({ message: 'Something went wrong!', statusCode: 500 });
+    });
+
+    it('should answer errors as JSON when the chat cannot start', async () => {
+      const response = await request(app)
+        .post(`/api/v1/agents/${new Agent().id}/chat/stream`)
+        .send({ message: 'Hi' })
+        .expect(404);
+
+      expect(response.headers['content-type']).toMatch(/json/);
+      expect(response.body.success).toBe(false);
+    });
+  });
 });
@@ -0,0 +1,229 @@
+/* eslint-disable no-underscore-dangle */
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Agent = require('../../../src/models/Agent');
+const Organization = require('../../../src/models/Organization');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const AgentService = require('../../../src/services/agent.service');
+const KnowledgeBaseService = require('../../../src/services/knowledgebase.service');
+const StorageService = require('../../../src/services/storage.service');
+const { agentSchemas } = require('../../../src/utils/validation');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('AgentService export and import', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let staging;
+  let production;
+  let root;
+
+  const createAgent = (overrides = {}) =>
+    Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Shipping takes five business days.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId: staging,
+      createdBy: userId,
+      config: { model: 'gpt-4', instructions: 'Be helpful.' },
+      tools: [
+        {
+          name: 'check_inventory',
+          description: 'Look up stock for a SKU',
+          type: 'webhook',
+          webhook: {
+            url: 'https://example.com/inventory',
+            headers: { Authorization: 'Bearer secret' },
+          },
+        },
+      ],
+      ...overrides,
+    });
+
+  // Round-trip through JSON and the route validation, as an uploaded file would be
+  const toRequestBody = (bundle) => {
+    const { value, error } = agentSchemas.bundle.validate(JSON.parse(JSON.stringify(bundle)), {
+      stripUnknown: true,
+    });
+    expect(error).toBeUndefined();
+    return value;
+  };
+
+  beforeEach(async () => {
+    staging = (await Organization.create(createTestOrganization())).clerkId;
+    production = (await Organization.create(createTestOrganization())).clerkId;
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'agent-bundle-'));
+    StorageService.setDriver(StorageService.createDriver('local', { root, secret: 'test' }));
+  });
+
+  afterEach(async () => {
+    StorageService.setDriver(undefined);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should export the agent forms without webhook credentials', async () => {
+    const agent = await createAgent();
+
+    const bundle = await AgentService.exportAgent(agent._id, {}, userId, staging, userRole);
+
+    expect(bundle).toMatchObject({ format: 'whiteclad-agent', version: 1 });
+    expect(bundle.agent.identity.name).toBe('Sales Bot');
+    expect(bundle.agent.work.questions).toEqual([
+      { id: 'q1', question: 'What do you need?', number: 1 },
+    ]);
+    expect(bundle.agent.tools[0].webhook).not.toHaveProperty('headers');
+  });
+
+  it('should embed file contents from storage when asked', async () => {
+    const { key, size } = await StorageService.upload(
+      'knowledge-bases/pricing.txt',
+      Buffer.from('Anvils cost $40.')
+    );
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Pricing',
+      organizationId: staging,
+      createdBy: userId,
+      kb_files: [
+        {
+          filename: 'pricing.txt',
+          originalName: 'pricing.txt',
+          path: key,
+          mimetype: 'text/plain',
+          size,
+        },
+        {
+          filename: 'gone.txt',
+          originalName: 'gone.txt',
+          path: 'knowledge-bases/gone.txt',
+          mimetype: 'text/plain',
+          size: 10,
+        },
+      ],
+    });
+    const agent = await createAgent({
+      knowledgeBase: [{ id: knowledgeBase.id, name: 'Pricing', type: 'document' }],
+    });
+
+    const bundle = await AgentService.exportAgent(
+      agent._id,
+      { includeFiles: true },
+      userId,
+      staging,
+      userRole
+    );
+
+    const [pricing, gone] = bundle.knowledgeBases[0].files;
+    expect(Buffer.from(pricing.content, 'base64').toString()).toBe('Anvils cost $40.');
+    expect(gone.content).toBeUndefined();
+  });
+
+  it('should import into another organization and report conflicts', async () => {
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Pricing',
+      organizationId: staging,
+      createdBy: userId,
+    });
+    const agent = await createAgent({
+      knowledgeBase: [{ id: knowledgeBase.id, name: 'Pricing', type: 'document' }],
+    });
+    await KnowledgeBase.create({
+      kb_name: 'Pricing',
+      organizationId: production,
+      createdBy: userId,
+    });
+    await createAgent({ organizationId: production });
+
+    const bundle = toRequestBody(
+      await AgentService.exportAgent(agent._id, {}, userId, staging, userRole)
+    );
+    const { agent: imported, conflicts } = await AgentService.importAgent(
+      bundle,
+      {},
+      userId,
+      production,
+      userRole
+    );
+
+    expect(imported.organizationId).toBe(production);
+    expect(imported.status).toBe('draft');
+    expect(imported.source.kind).toBe('import');
+    expect(imported.tools[0].enabled).toBe(false);
+    expect(imported.knowledgeBase).toHaveLength(1);
+    expect(conflicts.map((conflict) => conflict.type).sort()).toEqual([
+      'agent_name',
+      'knowledge_base',
+      'tool',
+    ]);
+    expect(await KnowledgeBase.countDocuments({ organizationId: production })).toBe(1);
+  });
+
+  it('should carry file contents from export to import', async () => {
+    jest.spyOn(KnowledgeBaseService, 'startBackgroundProcessing').mockImplementation(() => {});
+    const { key, size } = await StorageService.upload(
+      'knowledge-bases/pricing.txt',
+      Buffer.from('Anvils cost $40.')
+    );
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Pricing',
+      organizationId: staging,
+      createdBy: userId,
+      kb_files: [
+        {
+          filename: 'pricing.txt',
+          originalName: 'pricing.txt',
+          path: key,
+          mimetype: 'text/plain',
+          size,
+        },
+      ],
+    });
+    const agent = await createAgent({
+      knowledgeBase: [{ id: knowledgeBase.id, name: 'Pricing', type: 'document' }],
+    });
+
+    const bundle = toRequestBody(
+      await AgentService.exportAgent(agent._id, { includeFiles: true }, userId, staging, userRole)
+    );
+    const { agent: imported } = await AgentService.importAgent(
+      bundle,
+      {},
+      userId,
+      production,
+      userRole
+    );
+
+    const copy = await KnowledgeBase.findById(imported.knowledgeBase[0].id);
+    expect(copy.organizationId).toBe(production);
+    expect(copy.kb_files).toHaveLength(1);
+    expect(copy.kb_files[0].path).not.toBe(key);
+    expect((await StorageService.download(copy.kb_files[0].path)).toString()).toBe(
+      'Anvils cost $40.'
+    );
+  });
+
+  it('should not write anything on a dry run', async () => {
+    const agent = await createAgent();
+    const bundle = toRequestBody(
+      await AgentService.exportAgent(agent._id, {}, userId, staging, userRole)
+    );
+
+    const result = await AgentService.importAgent(
+      bundle,
+      { dryRun: true, name: 'Prod Bot' },
+      userId,
+      production,
+      userRole
+    );
+
+    expect(result.agent).toBeNull();
+    expect(result.conflicts.map((conflict) => conflict.type)).toEqual(['tool']);
+    expect(await Agent.countDocuments({ organizationId: production })).toBe(0);
+  });
+});
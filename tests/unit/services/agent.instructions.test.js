@@ -0,0 +1,174 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const AgentService = require('../../../src/services/agent.service');
+const { renderTemplate, getTemplatePlaceholders } = require('../../../src/utils/helpers');
+const { DEFAULT_INSTRUCTION_TEMPLATE } = require('../../../src/utils/constants');
+
+describe('Agent instruction templates', () => {
+  const userId = 'user_test_123';
+  const organizationId = 'org_test_123';
+  const userRole = 'org:admin';
+
+  describe('renderTemplate', () => {
+    it('should read dotted names from nested values', () => {
+      expect(
+        renderTemplate('Calling for {{ campaign.name }} in {{campaign.region.city}}', {
+          campaign: { name: 'Spring sale', region: { city: 'Lyon' } },
+        })
+      ).toBe('Calling for Spring sale in Lyon');
+    });
+
+    it('should use the fallback for missing, null and empty values', () => {
+      const template = 'Hi {{callerName|there}}, {{plan| no plan }}{{missing}}.';
+
+      expect(renderTemplate(template, { plan: null })).toBe('Hi there, no plan.');
+      expect(renderTemplate(template, { callerName: '', plan: 'Gold' })).toBe('Hi there, Gold.');
+      expect(renderTemplate(template, { callerName: 'Ada', plan: 0 })).toBe('Hi Ada, 0.');
+    });
+
+    it('should render arrays one item per line and objects as JSON', () => {
+      expect(
+        renderTemplate('{{questions}}\n{{custom}}', {
+          questions: ['1. Budget?', '2. Timeline?'],
+          custom: { tier: 'gold', seats: 5 },
+        })
+      ).toBe('1. Budget?\n2. Timeline?\n{"tier":"gold","seats":5}');
+    });
+
+    it('should list each placeholder once', () => {
+      expect(
+        getTemplatePlaceholders('{{name}} at {{campaign.name|us}}, {{ name }} and {{not valid}}')
+      ).toEqual(['name', 'campaign.name']);
+      expect(getTemplatePlaceholders(undefined)).toEqual([]);
+    });
+  });
+
+  describe('editing instructions', () => {
+    let agent;
+
+    const work = {
+      companyName: 'Globex',
+      productDescription: 'Globex sells hammocks',
+      questions: [{ id: 'q1', question: 'Indoor or outdoor?', number: 1 }],
+      faqs: 'Hammocks ship in two days.',
+      agentIntroduction: 'Hello from Globex, calling about the hammock you asked about.',
+    };
+
+    beforeEach(async () => {
+      agent = await Agent.create({
+        name: 'Sales Bot',
+        language: 'en',
+        description: 'Handles inbound sales questions',
+        voiceType: 'female',
+        voice: 'nova',
+        companyName: 'Acme',
+        productDescription: 'Acme sells rockets and anvils',
+        questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+        faqs: 'Shipping takes five business days.',
+        agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+        organizationId,
+        createdBy: userId,
+        config: { model: 'gpt-4', instructions: DEFAULT_INSTRUCTION_TEMPLATE },
+      });
+    });
+
+    it('should keep the default layout following the work form', async () => {
+      const updated = await AgentService.updateAgentWork(
+        agent._id,
+        work,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      expect(updated.config.instructions).toBe(DEFAULT_INSTRUCTION_TEMPLATE);
+      expect(updated.renderInstructions()).toContain('You are an AI assistant for Globex.');
+      expect(updated.renderInstructions()).toContain('1. Indoor or outdoor?');
+    });
+
+    it('should keep hand-edited instructions when the work form is saved', async () => {
+      await AgentService.updateAgentInstructions(
+        agent._id,
+        { template: 'Sell {{companyName}} hammocks to {{callerName|the caller}}.' },
+        userId,
+        organizationId,
+        userRole
+      );
+
+      const updated = await AgentService.updateAgentWork(
+        agent._id,
+        work,
+        userId,
+        organizationId,
+        userRole
+      );
+
+      expect(updated.config).toMatchObject({
+        instructions: 'Sell {{companyName}} hammocks to {{callerName|the caller}}.',
+        instructionsEdited: true,
+      });
+      expect(updated.renderInstructions({ callerName: 'Ada' })).toBe(
+        'Sell Globex hammocks to Ada.'
+      );
+    });
+
+    it('should reset to the default layout and follow the work form again', async () => {
+      await AgentService.updateAgentInstructions(
+        agent._id,
+        { template: 'Only talk about anvils.' },
+        userId,
+        organizationId,
+        userRole
+      );
+
+      const reset = await AgentService.updateAgentInstructions(
+        agent._id,
+        { reset: true },
+        userId,
+        organizationId,
+        userRole
+      );
+      expect(reset.config).toMatchObject({
+        instructions: DEFAULT_INSTRUCTION_TEMPLATE,
+        instructionsEdited: false,
+      });
+
+      const instructions = await AgentService.getAgentInstructions(
+        agent._id,
+        userId,
+        organizationId,
+        userRole
+      );
+      expect(instructions).toMatchObject({ template: DEFAULT_INSTRUCTION_TEMPLATE, edited: false });
+      expect(instructions.variables).toEqual(expect.arrayContaining(['companyName', 'questions']));
+
+      const updated = await AgentService.updateAgentWork(
+        agent._id,
+        work,
+        userId,
+        organizationId,
+        userRole
+      );
+      expect(updated.renderInstructions()).toContain('Hammocks ship in two days.');
+    });
+
+    it('should preview a template and list placeholders without a value', async () => {
+      const preview = await AgentService.previewAgentInstructions(
+        agent._id,
+        {
+          template: 'Hi {{callerName}}, {{companyName}} here about {{campaign.name|your order}}.',
+          variables: { callerName: 'Ada' },
+        },
+        userId,
+        organizationId,
+        userRole
+      );
+
+      expect(preview).toEqual({
+        instructions: 'Hi Ada, Acme here about your order.',
+        placeholders: ['callerName', 'companyName', 'campaign.name'],
+        missing: ['campaign.name'],
+      });
+    });
+  });
+});
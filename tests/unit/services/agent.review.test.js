@@ -0,0 +1,253 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const AgentVersion = require('../../../src/models/AgentVersion');
+const Organization = require('../../../src/models/Organization');
+const User = require('../../../src/models/User');
+const AgentService = require('../../../src/services/agent.service');
+const LLMService = require('../../../src/services/llm.service');
+const { queueAgentReviewDecisionEmail } = require('../../../src/jobs/email.jobs');
+const { ConflictError, AuthorizationError } = require('../../../src/utils/errors');
+const { createTestOrganization, createTestUser } = require('../../fixtures/testData');
+
+jest.mock('../../../src/jobs/email.jobs');
+
+describe('AgentService approval workflow', () => {
+  const creatorId = 'user_creator';
+  const reviewerId = 'user_reviewer';
+  let organizationId;
+
+  const createAgent = () =>
+    Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Shipping takes five business days.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId,
+      createdBy: creatorId,
+      config: { model: 'gpt-4', instructions: 'Be helpful.' },
+    });
+
+  beforeEach(async () => {
+    const organization = await Organization.create(
+      createTestOrganization({ settings: { requireApprovalForAgents: true } })
+    );
+    organizationId = organization.clerkId;
+
+    await User.create(createTestUser({ clerkId: creatorId, email: 'creator@example.com' }));
+    await User.create(createTestUser({ clerkId: reviewerId }));
+
+    jest.clearAllMocks();
+  });
+
+  it('should block direct publishing when approval is required', async () => {
+    const agent = await createAgent();
+
+    await expect(
+      AgentService.publishAgent(agent._id, reviewerId, organizationId, 'org:admin')
+    ).rejects.toThrow(ConflictError);
+  });
+
+  it('should publish an approved agent and notify the creator', async () => {
+    const agent = await createAgent();
+
+    const submitted = await AgentService.submitAgentForReview(
+      agent._id,
+      'Ready for launch',
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+    expect(submitted.status).toBe('pending_review');
+
+    const reviewed = await AgentService.reviewAgent(
+      agent._id,
+      { decision: 'approve', comments: 'Looks good' },
+      reviewerId,
+      organizationId,
+      'team_lead'
+    );
+
+    expect(reviewed.status).toBe('published');
+    expect(reviewed.version).toBe(1);
+    expect(reviewed.review.status).toBe('approved');
+    expect(queueAgentReviewDecisionEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ email: 'creator@example.com', approved: true })
+    );
+  });
+
+  it('should return a rejected agent to draft', async () => {
+    const agent = await createAgent();
+    await AgentService.submitAgentForReview(
+      agent._id,
+      undefined,
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+
+    const reviewed = await AgentService.reviewAgent(
+      agent._id,
+      { decision: 'reject', comments: 'Tone down the pitch' },
+      reviewerId,
+      organizationId,
+      'team_lead'
+    );
+
+    expect(reviewed.status).toBe('draft');
+    expect(reviewed.review.comments).toBe('Tone down the pitch');
+    expect(queueAgentReviewDecisionEmail).toHaveBeenCalledWith(
+      expect.objectContaining({ approved: false, comments: 'Tone down the pitch' })
+    );
+  });
+
+  const publishThroughReview = async (agent) => {
+    await AgentService.submitAgentForReview(
+      agent._id,
+      undefined,
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+    return AgentService.reviewAgent(
+      agent._id,
+      { decision: 'approve' },
+      reviewerId,
+      organizationId,
+      'team_lead'
+    );
+  };
+
+  it('should not edit agents awaiting review', async () => {
+    const agent = await createAgent();
+    await AgentService.submitAgentForReview(
+      agent._id,
+      undefined,
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+
+    await expect(
+      AgentService.updateAgent(
+        agent._id,
+        { config: { instructions: 'Promise free shipping.' } },
+        creatorId,
+        organizationId,
+        'agent_creator'
+      )
+    ).rejects.toThrow(ConflictError);
+  });
+
+  it('should take edits to a published agent back through review', async () => {
+    const agent = await createAgent();
+    await publishThroughReview(agent);
+
+    const edited = await AgentService.updateAgent(
+      agent._id,
+      { config: { instructions: 'Promise free shipping.' } },
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+
+    expect(edited).toMatchObject({ status: 'published', version: 1, pendingChanges: true });
+    expect(await AgentVersion.countDocuments({ agentId: agent._id })).toBe(1);
+
+    const approved = await publishThroughReview(agent);
+    expect(approved).toMatchObject({ status: 'published', version: 2, pendingChanges: false });
+  });
+
+  it('should keep serving the published version while an edit is under review', async () => {
+    const agent = await createAgent();
+    await publishThroughReview(agent);
+    await AgentService.updateAgent(
+      agent._id,
+      { config: { instructions: 'Promise free shipping.' } },
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+    await AgentService.submitAgentForReview(
+      agent._id,
+      undefined,
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+    const completion = jest
+      .spyOn(LLMService, 'chatCompletion')
+      .mockResolvedValue({ content: 'Happy to help.', toolCalls: [], usage: {} });
+
+    const result = await AgentService.chatWithAgent(
+      agent._id,
+      'Is shipping free?',
+      reviewerId,
+      organizationId,
+      'team_lead'
+    );
+
+    expect(result.message).toBe('Happy to help.');
+    const systemPrompt = completion.mock.calls[0][0].messages[0].content;
+    expect(systemPrompt).toContain('Be helpful.');
+    expect(systemPrompt).not.toContain('free shipping');
+
+    const stored = await Agent.findById(agent._id);
+    expect(stored).toMatchObject({ status: 'published', version: 1, pendingChanges: true });
+    expect(stored.review.status).toBe('pending');
+    expect(stored.config.instructions).toBe('Promise free shipping.');
+    expect(stored.analytics.totalMessages).toBe(1);
+  });
+
+  it('should submit rollbacks for review instead of publishing them', async () => {
+    const agent = await createAgent();
+    await publishThroughReview(agent);
+    await AgentService.updateAgent(
+      agent._id,
+      { config: { instructions: 'Be brief.' } },
+      creatorId,
+      organizationId,
+      'agent_creator'
+    );
+    await publishThroughReview(agent);
+
+    const rolledBack = await AgentService.rollbackAgent(
+      agent._id,
+      1,
+      reviewerId,
+      organizationId,
+      'org:admin'
+    );
+
+    expect(rolledBack).toMatchObject({ status: 'published', version: 2, pendingChanges: true });
+    expect(rolledBack.review.status).toBe('pending');
+    expect(rolledBack.config.instructions).toBe('Be helpful.');
+    expect(await AgentVersion.countDocuments({ agentId: agent._id })).toBe(2);
+  });
+
+  it('should not let submitters approve their own agents', async () => {
+    const agent = await createAgent();
+    await AgentService.submitAgentForReview(
+      agent._id,
+      undefined,
+      creatorId,
+      organizationId,
+      'org:admin'
+    );
+
+    await expect(
+      AgentService.reviewAgent(
+        agent._id,
+        { decision: 'approve' },
+        creatorId,
+        organizationId,
+        'org:admin'
+      )
+    ).rejects.toThrow(AuthorizationError);
+  });
+});
@@ -0,0 +1,124 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const Conversation = require('../../../src/models/Conversation');
+const Organization = require('../../../src/models/Organization');
+const AgentService = require('../../../src/services/agent.service');
+const ConversationService = require('../../../src/services/conversation.service');
+const LLMService = require('../../../src/services/llm.service');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('AgentService streaming chat', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let organizationId;
+  let agent;
+
+  beforeEach(async () => {
+    organizationId = (await Organization.create(createTestOrganization())).clerkId;
+    agent = await Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Shipping takes five business days.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId,
+      createdBy: userId,
+      config: { model: 'gpt-4', instructions: 'Be helpful.' },
+    });
+
+    jest.spyOn(LLMService, 'streamChatCompletion').mockImplementation(async function* reply() {
+      yield { type: 'delta', content: 'Five business ' };
+      yield { type: 'delta', content: 'days.' };
+      yield {
+        type: 'done',
+        content: 'Five business days.',
+        usage: { prompt_tokens: 12, completion_tokens: 4, total_tokens: 16 },
+      };
+    });
+  });
+
+  const stream = (sessionId) =>
+    AgentService.streamChatWithAgent(
+      agent._id,
+      'How long does shipping take?',
+      userId,
+      organizationId,
+      userRole,
+      { sessionId }
+    );
+
+  const apiCalls = async () =>
+    (await Organization.findOne({ clerkId: organizationId })).usage.apiCallsThisMonth;
+
+  it('should yield the session, each delta and a final done event', async () => {
+    const events = [];
+    // eslint-disable-next-line no-restricted-syntax
+    for await (const event of stream()) {
+      events.push(event);
+    }
+
+    expect(events.map((event) => event.type)).toEqual(['session', 'delta', 'delta', 'done']);
+    expect(events[3]).toMatchObject({
+      message: 'Five business days.',
+      sessionId: events[0].sessionId,
+      usage: { total_tokens: 16 },
+    });
+
+    const conversation = await Conversation.findById(events[0].sessionId);
+    expect(conversation.messages.map((message) => message.content)).toEqual([
+      'How long does shipping take?',
+      'Five business days.',
+    ]);
+    expect(await apiCalls()).toBe(1);
+    expect((await Agent.findById(agent._id)).analytics.totalMessages).toBe(1);
+  });
+
+  it('should discard a new session but count usage when the client goes away', async () => {
+    const events = stream();
+    const { value: session } = await events.next();
+    await events.next();
+
+    await events.return();
+
+    expect(await Conversation.exists({ _id: session.sessionId })).toBeNull();
+    expect(await apiCalls()).toBe(1);
+    expect((await Agent.findById(agent._id)).analytics.totalMessages).toBe(0);
+  });
+
+  it('should keep an existing session when the client goes away', async () => {
+    const { conversation } = await ConversationService.getOrCreateSession(
+      agent._id,
+      undefined,
+      userId,
+      organizationId,
+      'Hello'
+    );
+
+    const events = stream(conversation._id.toString());
+    await events.next();
+    await events.return();
+
+    expect(await Conversation.exists({ _id: conversation._id })).toBeTruthy();
+    expect(await apiCalls()).toBe(1);
+  });
+
+  it('should not count usage for a stream the provider failed', async () => {
+    LLMService.streamChatCompletion.mockImplementation(async function* fail() {
+      yield { type: 'delta', content: 'Five' };
+      throw new Error('Provider down');
+    });
+
+    const events = stream();
+    const { value: session } = await events.next();
+    await events.next();
+
+    await expect(events.next()).rejects.toThrow('Provider down');
+    expect(await Conversation.exists({ _id: session.sessionId })).toBeNull();
+    expect(await apiCalls()).toBe(0);
+  });
+});
@@ -0,0 +1,171 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const AgentVersion = require('../../../src/models/AgentVersion');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const Organization = require('../../../src/models/Organization');
+const AgentService = require('../../../src/services/agent.service');
+const TemplateService = require('../../../src/services/template.service');
+const { NotFoundError } = require('../../../src/utils/errors');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('AgentService versioning', () => {
+  const userId = 'user_test_123';
+  const organizationId = 'org_test_123';
+  const userRole = 'org:admin';
+
+  const createAgent = () =>
+    Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Shipping takes five business days.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId,
+      createdBy: userId,
+      config: { model: 'gpt-4', instructions: 'Be helpful.' },
+    });
+
+  it('should snapshot the configuration on publish and bump the version', async () => {
+    const agent = await createAgent();
+
+    const published = await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+    expect(published.version).toBe(1);
+    expect(published.status).toBe('published');
+
+    const snapshot = await AgentVersion.findOne({ agentId: agent._id, version: 1 });
+    expect(snapshot.snapshot.config.instructions).toBe('Be helpful.');
+    expect(snapshot.snapshot.questions[0]).not.toHaveProperty('_id');
+  });
+
+  it('should reuse the latest version when nothing changed', async () => {
+    const agent = await createAgent();
+
+    await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+    const republished = await AgentService.publishAgent(
+      agent._id,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    expect(republished.version).toBe(1);
+    expect(await AgentVersion.countDocuments({ agentId: agent._id })).toBe(1);
+  });
+
+  it('should diff versions and roll back to an earlier one', async () => {
+    const agent = await createAgent();
+    await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+
+    await AgentService.updateAgent(
+      agent._id,
+      { config: { instructions: 'Be brief.' } },
+      userId,
+      organizationId,
+      userRole
+    );
+    await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+
+    const diff = await AgentService.diffAgentVersions(
+      agent._id,
+      1,
+      2,
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(diff.changes).toEqual([
+      { field: 'config.instructions', from: 'Be helpful.', to: 'Be brief.' },
+    ]);
+
+    const rolledBack = await AgentService.rollbackAgent(
+      agent._id,
+      1,
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(rolledBack.version).toBe(3);
+    expect(rolledBack.config.instructions).toBe('Be helpful.');
+
+    const restored = await AgentVersion.findOne({ agentId: agent._id, version: 3 });
+    expect(restored.rolledBackFrom).toBe(1);
+  });
+
+  it('should publish edits to a published agent as a new version', async () => {
+    const agent = await createAgent();
+    await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+
+    const edited = await AgentService.updateAgent(
+      agent._id,
+      { config: { instructions: 'Be brief.' } },
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(edited).toMatchObject({ status: 'published', version: 2 });
+
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Policies',
+      organizationId,
+      createdBy: userId,
+      status: 'ready',
+    });
+    const linked = await AgentService.linkKnowledgeBase(
+      agent._id,
+      knowledgeBase.id,
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(linked.version).toBe(3);
+
+    const snapshot = await AgentVersion.findOne({ agentId: agent._id, version: 3 });
+    expect(snapshot.snapshot.knowledgeBase).toEqual([
+      expect.objectContaining({ id: knowledgeBase.id, name: 'Policies', type: 'document' }),
+    ]);
+
+    // Rolling back restores the links of the earlier version
+    const rolledBack = await AgentService.rollbackAgent(
+      agent._id,
+      2,
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(rolledBack.knowledgeBase).toHaveLength(0);
+  });
+
+  it('should install templates from their published version', async () => {
+    const agent = await createAgent();
+    await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+    // Live changes that never went through publishing
+    await Agent.updateOne(
+      { _id: agent._id },
+      { isPublic: true, 'config.instructions': 'Promise free shipping.' }
+    );
+    const installer = await Organization.create(createTestOrganization());
+
+    const installed = await TemplateService.installTemplate(
+      agent._id,
+      'user_installer',
+      installer.clerkId,
+      userRole
+    );
+
+    expect(installed.config.instructions).toBe('Be helpful.');
+    expect(installed.source).toMatchObject({ kind: 'template', version: 1 });
+  });
+
+  it('should reject unknown versions', async () => {
+    const agent = await createAgent();
+
+    await expect(
+      AgentService.rollbackAgent(agent._id, 7, userId, organizationId, userRole)
+    ).rejects.toThrow(NotFoundError);
+  });
+});
@@ -0,0 +1,219 @@
+/* eslint-disable no-underscore-dangle */
+const mongoose = require('mongoose');
+const Campaign = require('../../../src/models/Campaign');
+const Contact = require('../../../src/models/Contact');
+const Call = require('../../../src/models/Call');
+const CampaignService = require('../../../src/services/campaign.service');
+
+describe('CampaignService dispositions and analytics', () => {
+  const userId = 'user_test_123';
+  const organizationId = 'org_test_123';
+  const userRole = 'org:admin';
+  let campaign;
+  let contacts;
+
+  // An ended call, counted in the campaign's stats as the dialer does
+  const endedCall = async (contact, startedAt, disposition, fields = {}) => {
+    const call = await Call.create({
+      organizationId,
+      campaignId: campaign._id,
+      contactId: contact._id,
+      agentId: campaign.agent,
+      phoneNumber: contact.phone,
+      attempt: 1,
+      status: 'completed',
+      outcome: disposition === 'voicemail' ? 'voicemail' : 'answered',
+      disposition,
+      dispositionSource: 'agent',
+      startedAt,
+      endedAt: new Date(startedAt.getTime() + 60 * 1000),
+      duration: 60,
+      ...fields,
+    });
+    await Campaign.updateStats(campaign._id, { disposition, duration: 60 });
+    return call;
+  };
+
+  beforeEach(async () => {
+    campaign = await Campaign.create({
+      campaignName: 'Renewals',
+      agent: new mongoose.Types.ObjectId(),
+      dialingNumber: '+14155550000',
+      timeZone: 'America/New_York',
+      startTime: new Date('2026-03-01T00:00:00Z'),
+      endTime: new Date('2026-04-01T00:00:00Z'),
+      organizationId,
+      createdBy: userId,
+    });
+    contacts = await Contact.insertMany(
+      ['Ada', 'Grace', 'Alan', 'Edsger'].map((firstName, i) => ({
+        organizationId,
+        campaignId: campaign._id,
+        phone: `+1415555010${i}`,
+        firstName,
+        status: 'called',
+      }))
+    );
+  });
+
+  it('should count calls that end at the same time', async () => {
+    await Promise.all([
+      Campaign.updateStats(campaign._id, { disposition: 'converted', duration: 90 }),
+      Campaign.updateStats(campaign._id, { disposition: 'answered', duration: 30 }),
+      Campaign.updateStats(campaign._id, { disposition: 'voicemail', duration: 15 }),
+      Campaign.updateStats(campaign._id, { duration: 0 }),
+    ]);
+    await Campaign.changeDisposition(campaign._id, 'voicemail', 'interested');
+
+    const { stats } = await Campaign.findById(campaign._id);
+    expect(stats).toMatchObject({
+      totalCalls: 4,
+      successfulCalls: 3,
+      failedCalls: 1,
+      answerRate: 75,
+    });
+    expect(stats.averageCallDuration).toBeCloseTo(33.75);
+    expect(stats.conversionRate).toBeCloseTo(100 / 3);
+    expect(stats.dispositions).toMatchObject({
+      converted: 1,
+      answered: 1,
+      voicemail: 0,
+      interested: 1,
+    });
+  });
+
+  describe('setCallDisposition', () => {
+    const setDisposition = (call, body) =>
+      CampaignService.setCallDisposition(
+        campaign.id,
+        call.id,
+        body,
+        userId,
+        organizationId,
+        userRole
+      );
+
+    it("should override the agent's disposition and move the call in the stats", async () => {
+      const call = await endedCall(contacts[0], new Date('2026-03-10T14:00:00Z'), 'voicemail');
+
+      const updated = await setDisposition(call, {
+        disposition: 'callback_requested',
+        note: 'Asked to call back on Friday',
+      });
+
+      expect(updated).toMatchObject({
+        disposition: 'callback_requested',
+        dispositionSource: 'user',
+        dispositionBy: userId,
+        dispositionNote: 'Asked to call back on Friday',
+      });
+      expect((await Contact.findById(contacts[0]._id)).disposition).toBe('callback_requested');
+
+      const { stats } = await Campaign.findById(campaign._id);
+      expect(stats).toMatchObject({ totalCalls: 1, successfulCalls: 1, failedCalls: 0 });
+      expect(stats.dispositions).toMatchObject({ voicemail: 0, callback_requested: 1 });
+    });
+
+    it('should not call a contact again once reached', async () => {
+      const call = await endedCall(contacts[0], new Date('2026-03-10T14:00:00Z'), 'voicemail');
+      await Contact.updateOne(
+        { _id: contacts[0]._id },
+        { status: 'pending', nextCallAt: new Date('2026-03-10T15:00:00Z') }
+      );
+
+      await setDisposition(call, { disposition: 'interested' });
+
+      const contact = await Contact.findById(contacts[0]._id);
+      expect(contact).toMatchObject({ status: 'called', disposition: 'interested' });
+      expect(contact.nextCallAt).toBeUndefined();
+    });
+
+    it('should leave the stats of calls in progress to the dialer', async () => {
+      const call = await Call.create({
+        organizationId,
+        campaignId: campaign._id,
+        contactId: contacts[0]._id,
+        agentId: campaign.agent,
+        phoneNumber: contacts[0].phone,
+        status: 'in_progress',
+      });
+
+      await setDisposition(call, { disposition: 'converted' });
+
+      expect((await Campaign.findById(campaign._id)).stats.totalCalls).toBe(0);
+      expect((await Call.findById(call._id)).dispositionSource).toBe('user');
+    });
+
+    it('should reject calls that could not be placed or are not in the campaign', async () => {
+      const failed = await endedCall(contacts[0], new Date('2026-03-10T14:00:00Z'), undefined, {
+        status: 'failed',
+        outcome: 'failed',
+      });
+      await expect(setDisposition(failed, { disposition: 'answered' })).rejects.toThrow(
+        'could not be placed'
+      );
+
+      await expect(
+        setDisposition({ id: new mongoose.Types.ObjectId().toString() }, { disposition: 'busy' })
+      ).rejects.toThrow('Call');
+    });
+  });
+
+  describe('getCampaignAnalytics', () => {
+    const getAnalytics = (query = {}) =>
+      CampaignService.getCampaignAnalytics(campaign.id, query, userId, organizationId, userRole);
+
+    beforeEach(async () => {
+      const [ada, grace, alan] = contacts;
+      // 10 March in New York, and 12 March just before midnight there
+      await endedCall(ada, new Date('2026-03-10T14:00:00Z'), 'voicemail');
+      await endedCall(ada, new Date('2026-03-10T16:00:00Z'), 'interested');
+      await endedCall(grace, new Date('2026-03-10T17:00:00Z'), 'converted');
+      await endedCall(alan, new Date('2026-03-13T03:30:00Z'), 'not_interested');
+    });
+
+    it('should report the contact funnel', async () => {
+      const { funnel, dispositions, performance } = await getAnalytics();
+
+      expect(funnel).toEqual([
+        { stage: 'contacts', count: 4, rate: 100, stepRate: 100 },
+        { stage: 'called', count: 3, rate: 75, stepRate: 75 },
+        { stage: 'reached', count: 3, rate: 75, stepRate: 100 },
+        { stage: 'interested', count: 2, rate: 50, stepRate: 66.67 },
+        { stage: 'converted', count: 1, rate: 25, stepRate: 50 },
+      ]);
+      expect(dispositions).toMatchObject({
+        voicemail: 1,
+        interested: 1,
+        converted: 1,
+        not_interested: 1,
+        answered: 0,
+      });
+      expect(performance).toMatchObject({ answerRate: 75, conversionRate: (1 / 3) * 100 });
+    });
+
+    it("should report a daily series in the campaign's time zone without gaps", async () => {
+      const { timeSeries } = await getAnalytics();
+
+      expect(timeSeries.map(({ date, calls, reached }) => [date, calls, reached])).toEqual([
+        ['2026-03-10', 3, 2],
+        ['2026-03-11', 0, 0],
+        ['2026-03-12', 1, 1],
+      ]);
+      expect(timeSeries[0].dispositions).toMatchObject({
+        voicemail: 1,
+        interested: 1,
+        converted: 1,
+      });
+    });
+
+    it('should limit calls to a date range', async () => {
+      const { funnel, timeSeries } = await getAnalytics({
+        startDate: '2026-03-11T00:00:00Z',
+      });
+
+      expect(funnel.find(({ stage }) => stage === 'called').count).toBe(1);
+      expect(timeSeries).toHaveLength(1);
+    });
+  });
+});
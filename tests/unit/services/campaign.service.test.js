@@ -0,0 +1,71 @@
+/* eslint-disable no-underscore-dangle */
+const mongoose = require('mongoose');
+const Campaign = require('../../../src/models/Campaign');
+const CampaignService = require('../../../src/services/campaign.service');
+const { campaignSchemas } = require('../../../src/utils/validation');
+const { ValidationError } = require('../../../src/utils/errors');
+
+describe('CampaignService', () => {
+  const userId = 'user_test_123';
+  const organizationId = 'org_test_123';
+  const userRole = 'org:admin';
+
+  const createCampaign = (status) =>
+    Campaign.create({
+      campaignName: 'Renewals',
+      agent: new mongoose.Types.ObjectId(),
+      dialingNumber: '+14155550000',
+      timeZone: 'America/New_York',
+      startTime: new Date('2026-03-01T00:00:00Z'),
+      endTime: new Date('2026-04-01T00:00:00Z'),
+      status,
+      organizationId,
+      createdBy: userId,
+    });
+
+  describe('updateCampaign', () => {
+    it.each(['scheduled', 'paused'])(
+      'should not run a %s campaign without going through start',
+      async (status) => {
+        const campaign = await createCampaign(status);
+
+        await expect(
+          CampaignService.updateCampaign(
+            campaign._id,
+            { status: 'running' },
+            userId,
+            organizationId,
+            userRole
+          )
+        ).rejects.toThrow(ValidationError);
+
+        const stored = await Campaign.findById(campaign._id);
+        expect(stored.status).toBe(status);
+        expect(stored.agentVersion).toBeUndefined();
+        expect(campaignSchemas.update.validate({ status: 'running' }).error).toBeDefined();
+      }
+    );
+
+    it('should still pause and cancel campaigns', async () => {
+      const campaign = await createCampaign('scheduled');
+
+      const paused = await CampaignService.updateCampaign(
+        campaign._id,
+        { status: 'paused' },
+        userId,
+        organizationId,
+        userRole
+      );
+      expect(paused.status).toBe('paused');
+
+      const cancelled = await CampaignService.updateCampaign(
+        campaign._id,
+        { status: 'cancelled' },
+        userId,
+        organizationId,
+        userRole
+      );
+      expect(cancelled.status).toBe('cancelled');
+    });
+  });
+});
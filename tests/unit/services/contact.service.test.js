@@ -0,0 +1,258 @@
+/* eslint-disable no-underscore-dangle */
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const Campaign = require('../../../src/models/Campaign');
+const Contact = require('../../../src/models/Contact');
+const ContactService = require('../../../src/services/contact.service');
+const { normalizePhone } = require('../../../src/utils/phone');
+const { ValidationError } = require('../../../src/utils/errors');
+const { CONTACT_IMPORT } = require('../../../src/utils/constants');
+
+describe('ContactService', () => {
+  const userId = 'user_test_123';
+  const organizationId = 'org_test_123';
+  const userRole = 'org:admin';
+  let campaign;
+
+  const csv = (text, originalname = 'leads.csv') => ({
+    originalname,
+    mimetype: 'text/csv',
+    buffer: Buffer.from(text),
+  });
+
+  // Deflated zip archive of { name: contents }, as Excel writes XLSX workbooks
+  const zip = (files) => {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    Object.entries(files).forEach(([name, contents]) => {
+      const data = Buffer.from(contents);
+      const compressed = zlib.deflateRawSync(data);
+      const fields = Buffer.alloc(26);
+      fields.writeUInt16LE(20, 0);
+      fields.writeUInt16LE(8, 4);
+      fields.writeUInt32LE(zlib.crc32(data), 10);
+      fields.writeUInt32LE(compressed.length, 14);
+      fields.writeUInt32LE(data.length, 18);
+      fields.writeUInt16LE(name.length, 22);
+
+      const local = Buffer.concat([Buffer.from('504b0304', 'hex'), fields, Buffer.from(name)]);
+      const central = Buffer.alloc(46);
+      central.writeUInt32LE(0x02014b50, 0);
+      fields.copy(central, 6);
+      central.writeUInt32LE(offset, 42);
+
+      locals.push(local, compressed);
+      centrals.push(central, Buffer.from(name));
+      offset += local.length + compressed.length;
+    });
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+  };
+
+  const xlsx = (rows, sharedStrings = []) => ({
+    originalname: 'leads.xlsx',
+    mimetype: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    buffer: zip({
+      'xl/sharedStrings.xml': `<sst>${sharedStrings.map((text) => `<si><t>${text}</t></si>`).join('')}</sst>`,
+      'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${rows
+        .map((cells, i) => `<row r="${i + 1}">${cells}</row>`)
+        .join('')}</sheetData></worksheet>`,
+    }),
+  });
+
+  const importContacts = (file, options = {}) =>
+    ContactService.importContacts(campaign.id, file, options, userId, organizationId, userRole);
+
+  beforeEach(async () => {
+    campaign = await Campaign.create({
+      campaignName: 'Renewals',
+      agent: new mongoose.Types.ObjectId(),
+      dialingNumber: '+14155550000',
+      timeZone: 'America/New_York',
+      startTime: new Date('2026-01-01T00:00:00Z'),
+      endTime: new Date('2026-02-01T00:00:00Z'),
+      callConfig: {
+        country: 'US',
+        retry: { maxAttempts: 2 },
+      },
+      organizationId,
+      createdBy: userId,
+    });
+  });
+
+  it('should normalize phone numbers to E.164', () => {
+    expect(normalizePhone('(415) 555-0123', 'US')).toBe('+14155550123');
+    expect(normalizePhone('1-415-555-0123', 'US')).toBe('+14155550123');
+    expect(normalizePhone('07911 123456', 'GB')).toBe('+447911123456');
+    expect(normalizePhone('0044 7911 123456')).toBe('+447911123456');
+    expect(normalizePhone('555-0123', 'US')).toBeNull();
+    expect(normalizePhone('4155550123')).toBeNull();
+  });
+
+  it('should import a CSV list with custom fields and a row-level error report', async () => {
+    const report = await importContacts(
+      csv(
+        'Full Name,Mobile,Email,Plan Tier\n' +
+          'Ada Lovelace,(415) 555-0123,ADA@example.com,gold\n' +
+          'No Phone,,,\n' +
+          'Bad Phone,555,,\n' +
+          'Bad Email,415 555 0199,not-an-email,\n' +
+          'Ada Again,+1 415 555 0123,,silver\n'
+      )
+    );
+
+    expect(report).toMatchObject({
+      totalRows: 5,
+      imported: 1,
+      updated: 0,
+      skipped: 1,
+      failed: 3,
+    });
+    expect(report.errors).toEqual([
+      { row: 3, field: 'phone', value: '', message: 'Phone number is missing' },
+      { row: 4, field: 'phone', value: '555', message: 'Not a valid phone number' },
+      { row: 5, field: 'email', value: 'not-an-email', message: 'Not a valid email address' },
+      { row: 6, field: 'phone', value: '+14155550123', message: 'Duplicate of row 2' },
+    ]);
+
+    const [contact] = await Contact.find({ campaignId: campaign._id });
+    expect(contact).toMatchObject({
+      phone: '+14155550123',
+      firstName: 'Ada',
+      lastName: 'Lovelace',
+      email: 'ada@example.com',
+      status: 'pending',
+    });
+    expect(contact.source).toMatchObject({ type: 'import', filename: 'leads.csv', row: 2 });
+    expect(ContactService.getCallVariables(contact)).toEqual({
+      callerName: 'Ada Lovelace',
+      callerPhone: '+14155550123',
+      contact: expect.objectContaining({ firstName: 'Ada', planTier: 'gold' }),
+    });
+  });
+
+  it('should import an XLSX list with shared strings, skipped cells and numeric phones', async () => {
+    const report = await importContacts(
+      xlsx(
+        [
+          '<c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c>',
+          // Excel stores long numbers as floats
+          '<c r="A2" t="s"><v>3</v></c><c r="B2"><v>4.155550123E9</v></c>' +
+            '<c r="C2" t="inlineStr"><is><t>gold</t></is></c>',
+          // No phone cell: the plan must not shift into the phone column
+          '<c r="A3" t="s"><v>4</v></c><c r="C3" t="s"><v>5</v></c>',
+          '<c r="B4"><v>14155550199</v></c>',
+        ],
+        ['Name', 'Mobile', 'Plan', 'Ada Lovelace', 'Grace Hopper', 'silver &amp; up']
+      )
+    );
+
+    expect(report).toMatchObject({ totalRows: 3, imported: 2, failed: 1 });
+    expect(report.errors).toEqual([
+      { row: 3, field: 'phone', value: '', message: 'Phone number is missing' },
+    ]);
+
+    const [ada, other] = await Contact.find({ campaignId: campaign._id }).sort({ phone: 1 });
+    expect(ada).toMatchObject({ phone: '+14155550123', firstName: 'Ada', lastName: 'Lovelace' });
+    expect(ada.customFields.get('plan')).toBe('gold');
+    expect(other.phone).toBe('+14155550199');
+  });
+
+  it('should reject spreadsheets that inflate past the size limit', async () => {
+    jest.replaceProperty(CONTACT_IMPORT, 'MAX_XLSX_BYTES', 1024);
+    const padding = ' '.repeat(4096);
+
+    await expect(
+      importContacts(xlsx([`<c r="A1" t="inlineStr"><is><t>Phone${padding}</t></is></c>`]))
+    ).rejects.toThrow(ValidationError);
+  });
+
+  it('should map columns explicitly and skip or update contacts already in the campaign', async () => {
+    const list = csv('Given,Cell,Account\nAda,020 7946 0018,A-1\nGrace,020 7946 0019,A-2\n');
+    const options = {
+      mapping: { firstName: 'Given', phone: 'Cell', customFields: { accountId: 'Account' } },
+      defaultCountry: 'GB',
+    };
+    await importContacts(csv('Cell\n+442079460018\n'), { defaultCountry: 'GB' });
+
+    const skipped = await importContacts(list, options);
+    expect(skipped).toMatchObject({ imported: 1, updated: 0, skipped: 1 });
+    expect(skipped.errors).toEqual([
+      { row: 2, field: 'phone', value: '+442079460018', message: 'Already in this campaign' },
+    ]);
+
+    const updated = await importContacts(list, { ...options, onDuplicate: 'update' });
+    expect(updated).toMatchObject({ imported: 0, updated: 2, skipped: 0 });
+
+    const ada = await Contact.findOne({ campaignId: campaign._id, phone: '+442079460018' });
+    expect(ada.firstName).toBe('Ada');
+    expect(ada.customFields.get('accountId')).toBe('A-1');
+    expect(await Contact.countDocuments({ campaignId: campaign._id })).toBe(2);
+  });
+
+  it('should reject lists without a phone column or mapped columns that do not exist', async () => {
+    await expect(importContacts(csv('Name,Email\nAda,ada@example.com\n'))).rejects.toThrow(
+      'No phone number column found'
+    );
+    await expect(
+      importContacts(csv('Phone\n+14155550123\n'), { mapping: { email: 'E-mail' } })
+    ).rejects.toThrow('Column "E-mail" mapped to email was not found');
+  });
+
+  it('should read country and time zone columns for each row', async () => {
+    const report = await importContacts(
+      csv(
+        'Phone,Country,Time Zone\n' +
+          '07911 123456,GB,\n' +
+          '415 555 0123,,America/Los_Angeles\n' +
+          '416 555 0123,,\n' +
+          '0612345678,Narnia,\n' +
+          '+33612345678,,Mars/Olympus\n'
+      )
+    );
+
+    expect(report).toMatchObject({ imported: 3, failed: 2 });
+    expect(report.errors).toEqual([
+      { row: 5, field: 'country', value: 'Narnia', message: 'Not a supported ISO country code' },
+      { row: 6, field: 'timeZone', value: 'Mars/Olympus', message: 'Not an IANA time zone' },
+    ]);
+
+    const contacts = await Contact.find({ campaignId: campaign._id }).sort({ phone: 1 });
+    expect(contacts.map(({ phone, country, timeZone }) => [phone, country, timeZone])).toEqual([
+      ['+14155550123', 'US', 'America/Los_Angeles'],
+      ['+14165550123', 'CA', undefined],
+      ['+447911123456', 'GB', undefined],
+    ]);
+  });
+
+  it('should add contacts one at a time without duplicating phone numbers', async () => {
+    const contact = await ContactService.createContact(
+      campaign.id,
+      { phone: '415-555-0123', firstName: 'Ada', customFields: { plan: 'gold' } },
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(contact.phone).toBe('+14155550123');
+
+    await expect(
+      ContactService.createContact(
+        campaign.id,
+        { phone: '+1 (415) 555-0123' },
+        userId,
+        organizationId,
+        userRole
+      )
+    ).rejects.toThrow('already in the campaign');
+  });
+});
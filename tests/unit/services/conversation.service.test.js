@@ -0,0 +1,170 @@
+/* eslint-disable no-underscore-dangle */
+const mongoose = require('mongoose');
+const Agent = require('../../../src/models/Agent');
+const Conversation = require('../../../src/models/Conversation');
+const Organization = require('../../../src/models/Organization');
+const AgentService = require('../../../src/services/agent.service');
+const ConversationService = require('../../../src/services/conversation.service');
+const LLMService = require('../../../src/services/llm.service');
+const { NotFoundError } = require('../../../src/utils/errors');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('ConversationService', () => {
+  const agentId = new mongoose.Types.ObjectId();
+  const userId = 'user_test_123';
+  const organizationId = 'org_test_123';
+
+  describe('getOrCreateSession', () => {
+    it('should start a new session titled after the first message', async () => {
+      const { conversation, isNew } = await ConversationService.getOrCreateSession(
+        agentId,
+        undefined,
+        userId,
+        organizationId,
+        'Hello there'
+      );
+
+      expect(isNew).toBe(true);
+      expect(conversation.title).toBe('Hello there');
+      expect(conversation.messageCount).toBe(0);
+    });
+
+    it('should resume an existing session and replay its history', async () => {
+      const { conversation } = await ConversationService.getOrCreateSession(
+        agentId,
+        undefined,
+        userId,
+        organizationId,
+        'First question'
+      );
+      await conversation.addMessages([
+        { role: 'user', content: 'First question' },
+        { role: 'assistant', content: 'First answer' },
+      ]);
+
+      const resumed = await ConversationService.getOrCreateSession(
+        agentId,
+        conversation._id.toString(),
+        userId,
+        organizationId,
+        'Follow up'
+      );
+
+      expect(resumed.isNew).toBe(false);
+      expect(resumed.conversation.getHistory()).toEqual([
+        { role: 'user', content: 'First question' },
+        { role: 'assistant', content: 'First answer' },
+      ]);
+    });
+
+    it("should not resume another user's session", async () => {
+      const { conversation } = await ConversationService.getOrCreateSession(
+        agentId,
+        undefined,
+        userId,
+        organizationId,
+        'Private'
+      );
+
+      await expect(
+        ConversationService.getOrCreateSession(
+          agentId,
+          conversation._id.toString(),
+          'someone_else',
+          organizationId,
+          'Hi'
+        )
+      ).rejects.toThrow(NotFoundError);
+    });
+  });
+
+  describe('session management', () => {
+    it('should rename and delete a session', async () => {
+      const { conversation } = await ConversationService.getOrCreateSession(
+        agentId,
+        undefined,
+        userId,
+        organizationId,
+        'Original title'
+      );
+      const sessionId = conversation._id.toString();
+
+      const renamed = await ConversationService.renameSession(
+        agentId,
+        sessionId,
+        'Renamed',
+        userId,
+        organizationId,
+        'org:admin'
+      );
+      expect(renamed.title).toBe('Renamed');
+
+      await ConversationService.deleteSession(
+        agentId,
+        sessionId,
+        userId,
+        organizationId,
+        'org:admin'
+      );
+
+      const { sessions } = await ConversationService.getSessions(
+        agentId,
+        {},
+        userId,
+        organizationId,
+        'org:admin'
+      );
+      expect(sessions).toHaveLength(0);
+    });
+  });
+
+  describe('failed turns', () => {
+    let agent;
+    let chatOrganizationId;
+
+    beforeEach(async () => {
+      chatOrganizationId = (await Organization.create(createTestOrganization())).clerkId;
+      agent = await Agent.create({
+        name: 'Sales Bot',
+        language: 'en',
+        description: 'Handles inbound sales questions',
+        voiceType: 'female',
+        voice: 'nova',
+        companyName: 'Acme',
+        productDescription: 'Acme sells rockets and anvils',
+        questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+        faqs: 'Ask us anything.',
+        agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+        organizationId: chatOrganizationId,
+        createdBy: userId,
+        config: { model: 'gpt-4', instructions: 'Be helpful.' },
+      });
+      jest.spyOn(LLMService, 'chatCompletion').mockRejectedValue(new Error('Provider down'));
+    });
+
+    const chat = (sessionId) =>
+      AgentService.chatWithAgent(agent._id, 'Hello', userId, chatOrganizationId, 'org:admin', {
+        sessionId,
+      });
+
+    it('should not keep a session whose first message failed', async () => {
+      await expect(chat()).rejects.toThrow('Provider down');
+
+      expect(await Conversation.countDocuments({ agentId: agent._id })).toBe(0);
+    });
+
+    it('should keep an existing session when a later message fails', async () => {
+      const { conversation } = await ConversationService.getOrCreateSession(
+        agent._id,
+        undefined,
+        userId,
+        chatOrganizationId,
+        'Hello'
+      );
+
+      await expect(chat(conversation._id.toString())).rejects.toThrow('Provider down');
+
+      expect(await Conversation.exists({ _id: conversation._id })).toBeTruthy();
+    });
+  });
+});
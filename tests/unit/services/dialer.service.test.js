@@ -0,0 +1,540 @@
+/* eslint-disable no-underscore-dangle */
+const mongoose = require('mongoose');
+const Campaign = require('../../../src/models/Campaign');
+const Contact = require('../../../src/models/Contact');
+const Call = require('../../../src/models/Call');
+const Organization = require('../../../src/models/Organization');
+const DialerService = require('../../../src/services/dialer.service');
+const ContactService = require('../../../src/services/contact.service');
+const LiveKitService = require('../../../src/services/livekit.service');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('DialerService', () => {
+  // A Tuesday, 10:00 in New York
+  const now = new Date('2026-03-10T14:00:00Z');
+  let organizationId;
+  let campaign;
+  let rooms;
+
+  const addContacts = (...names) =>
+    Contact.insertMany(
+      names.map((firstName, i) => ({
+        organizationId,
+        campaignId: campaign._id,
+        phone: `+1415555010${i}`,
+        firstName,
+        customFields: { plan: 'gold' },
+      }))
+    );
+
+  const createCampaign = (overrides = {}) =>
+    Campaign.create({
+      campaignName: 'Renewals',
+      agent: new mongoose.Types.ObjectId(),
+      agentVersion: 3,
+      dialingNumber: '+14155550000',
+      timeZone: 'America/New_York',
+      startTime: new Date('2026-03-01T00:00:00Z'),
+      endTime: new Date('2026-04-01T00:00:00Z'),
+      maxConcurrentCalls: 2,
+      callConfig: {
+        country: 'US',
+        timeSlots: { from: { hour: '9', period: 'AM' }, to: { hour: '5', period: 'PM' } },
+      },
+      status: 'running',
+      organizationId,
+      createdBy: 'user_test_123',
+      ...overrides,
+    });
+
+  beforeEach(async () => {
+    organizationId = (
+      await Organization.create(createTestOrganization({ limits: { maxConcurrentCalls: 5 } }))
+    ).clerkId;
+    campaign = await createCampaign();
+
+    rooms = 0;
+    jest.spyOn(LiveKitService, 'createSipCall').mockImplementation(async () => {
+      rooms += 1;
+      return { roomName: `room_${rooms}`, agentDispatch: { id: `dispatch_${rooms}` } };
+    });
+    jest.spyOn(LiveKitService, 'getCallStatus').mockResolvedValue({ status: 'active' });
+    jest.spyOn(LiveKitService, 'endCall').mockResolvedValue({ success: true });
+  });
+
+  it('should call pending contacts up to the concurrency limit with their variables', async () => {
+    await addContacts('Ada', 'Grace', 'Linus');
+
+    const result = await DialerService.dialCampaign(campaign._id, now);
+
+    expect(result).toEqual({ placed: 2, active: 0 });
+    expect(LiveKitService.createSipCall).toHaveBeenCalledWith(
+      campaign.agent.toString(),
+      '+14155550100',
+      'user_test_123',
+      organizationId,
+      expect.objectContaining({
+        roomName: expect.stringMatching(/^campaign_call_[a-f\d]{24}$/),
+        agentVersion: 3,
+        sipOptions: { callerId: '+14155550000' },
+        variables: expect.objectContaining({
+          callerName: 'Ada',
+          contact: expect.objectContaining({ firstName: 'Ada', plan: 'gold' }),
+          campaign: expect.objectContaining({ campaignName: 'Renewals' }),
+        }),
+      })
+    );
+
+    const calls = await Call.find({ campaignId: campaign._id }).sort({ roomName: 1 });
+    expect(calls.map((call) => [call.status, call.roomName])).toEqual([
+      ['in_progress', 'room_1'],
+      ['in_progress', 'room_2'],
+    ]);
+    const statuses = (await Contact.find({ campaignId: campaign._id }).sort({ phone: 1 })).map(
+      (contact) => contact.status
+    );
+    expect(statuses).toEqual(['calling', 'calling', 'pending']);
+
+    // Both lines are busy until a call ends
+    expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({ placed: 0, active: 2 });
+  });
+
+  it('should respect the organization plan limit across campaigns', async () => {
+    await Organization.updateOne({ clerkId: organizationId }, { 'limits.maxConcurrentCalls': 1 });
+    await addContacts('Ada', 'Grace');
+
+    expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({ placed: 1, active: 0 });
+  });
+
+  it('should share the organization plan limit between campaigns dialing in parallel', async () => {
+    await Organization.updateOne({ clerkId: organizationId }, { 'limits.maxConcurrentCalls': 3 });
+    const other = await createCampaign({ campaignName: 'Upgrades' });
+    await addContacts('Ada', 'Grace');
+    await Contact.insertMany(
+      ['Linus', 'Margaret'].map((firstName, i) => ({
+        organizationId,
+        campaignId: other._id,
+        phone: `+1415555020${i}`,
+        firstName,
+      }))
+    );
+
+    const results = await Promise.all([
+      DialerService.dialCampaign(campaign._id, now),
+      DialerService.dialCampaign(other._id, now),
+    ]);
+
+    expect(results[0].placed + results[1].placed).toBe(3);
+    expect(await Call.countDocuments({ organizationId, status: 'in_progress' })).toBe(3);
+    expect((await Organization.findOne({ clerkId: organizationId })).usage.activeCalls).toBe(3);
+
+    // Ended calls give their slots back
+    LiveKitService.getCallStatus.mockResolvedValue({ status: 'not_found' });
+    await DialerService.dialCampaign(campaign._id, new Date('2026-03-10T21:30:00Z'));
+    await DialerService.dialCampaign(other._id, new Date('2026-03-10T21:30:00Z'));
+    expect((await Organization.findOne({ clerkId: organizationId })).usage.activeCalls).toBe(0);
+  });
+
+  it('should not call outside the campaign time slot', async () => {
+    await addContacts('Ada');
+
+    const evening = new Date('2026-03-10T22:30:00Z'); // 18:30 in New York
+    expect(await DialerService.dialCampaign(campaign._id, evening)).toEqual({
+      placed: 0,
+      active: 0,
+    });
+    expect(LiveKitService.createSipCall).not.toHaveBeenCalled();
+  });
+
+  describe('calling windows', () => {
+    const addContact = (phone, fields = {}) =>
+      Contact.create({ organizationId, campaignId: campaign._id, phone, ...fields });
+
+    const nextCallAt = async (phone) =>
+      (await Contact.findOne({ campaignId: campaign._id, phone })).nextCallAt?.toISOString();
+
+    it('should call each contact in their own local time and put off the rest', async () => {
+      await addContact('+447911123456'); // 14:00 in London
+      await addContact('+819012345678'); // 23:00 in Tokyo
+
+      expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({
+        placed: 1,
+        active: 0,
+      });
+      expect(LiveKitService.createSipCall).toHaveBeenCalledWith(
+        expect.anything(),
+        '+447911123456',
+        expect.anything(),
+        expect.anything(),
+        expect.anything()
+      );
+
+      const tokyo = await Contact.findOne({ campaignId: campaign._id, phone: '+819012345678' });
+      expect(tokyo.status).toBe('pending');
+      expect(tokyo.nextCallAt.toISOString()).toBe('2026-03-11T00:00:00.000Z'); // 9:00 in Tokyo
+
+      // Not claimed again until then
+      expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({
+        placed: 0,
+        active: 1,
+      });
+      await DialerService.dialCampaign(campaign._id, new Date('2026-03-11T00:00:00Z'));
+      expect(LiveKitService.createSipCall).toHaveBeenLastCalledWith(
+        expect.anything(),
+        '+819012345678',
+        expect.anything(),
+        expect.anything(),
+        expect.anything()
+      );
+    });
+
+    it("should prefer the contact's own time zone across daylight saving changes", async () => {
+      // 7:00 in Los Angeles, which moved to daylight time two days earlier
+      await addContact('+14155550100', { timeZone: 'America/Los_Angeles' });
+
+      await DialerService.dialCampaign(campaign._id, now);
+
+      expect(LiveKitService.createSipCall).not.toHaveBeenCalled();
+      expect(await nextCallAt('+14155550100')).toBe('2026-03-10T16:00:00.000Z');
+    });
+
+    it('should skip weekends unless the campaign calls on them', async () => {
+      await addContact('+14155550100');
+      const saturday = new Date('2026-03-14T15:00:00Z');
+
+      await DialerService.dialCampaign(campaign._id, saturday);
+      expect(LiveKitService.createSipCall).not.toHaveBeenCalled();
+      expect(await nextCallAt('+14155550100')).toBe('2026-03-16T13:00:00.000Z');
+
+      await Contact.updateMany({ campaignId: campaign._id }, { $unset: { nextCallAt: 1 } });
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { 'callingWindow.days': ['mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+      );
+      expect(await DialerService.dialCampaign(campaign._id, saturday)).toMatchObject({
+        placed: 1,
+      });
+    });
+
+    it("should skip public holidays of the contact's country and the campaign's own", async () => {
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        {
+          endTime: new Date('2026-05-01T00:00:00Z'),
+          'callingWindow.holidays': [{ date: '2026-04-07', name: 'Offsite', countries: ['GB'] }],
+        }
+      );
+      await addContact('+447911123456');
+      await addContact('+14155550100');
+
+      // Good Friday, a holiday in the UK but not in the US
+      await DialerService.dialCampaign(campaign._id, new Date('2026-04-03T14:00:00Z'));
+
+      expect(LiveKitService.createSipCall).toHaveBeenCalledTimes(1);
+      // Past Easter Monday and the offsite, at 9:00 British Summer Time
+      expect(await nextCallAt('+447911123456')).toBe('2026-04-08T08:00:00.000Z');
+    });
+
+    it('should put contacts off until the campaign ends when their window does not open again', async () => {
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { endTime: new Date('2026-03-10T20:00:00Z') }
+      );
+      await addContact('+819012345678');
+
+      await DialerService.dialCampaign(campaign._id, now);
+
+      expect(await nextCallAt('+819012345678')).toBe('2026-03-10T20:00:00.000Z');
+    });
+  });
+
+  it('should settle ended calls and complete the campaign once everyone was called', async () => {
+    await addContacts('Ada');
+    await DialerService.dialCampaign(campaign._id, now);
+
+    LiveKitService.getCallStatus.mockResolvedValue({ status: 'not_found' });
+    await DialerService.dialCampaign(campaign._id, now);
+
+    const [call] = await Call.find({ campaignId: campaign._id });
+    expect(call.status).toBe('completed');
+    expect(call.endedAt).toBeDefined();
+    expect((await Contact.findOne({ campaignId: campaign._id })).status).toBe('called');
+
+    const completed = await Campaign.findById(campaign._id);
+    expect(completed.status).toBe('completed');
+    expect(completed.stats.totalCalls).toBe(1);
+  });
+
+  it('should record calls that could not be placed and retry them', async () => {
+    await addContacts('Ada');
+    LiveKitService.createSipCall.mockRejectedValue(new Error('SIP trunk unavailable'));
+
+    await DialerService.dialCampaign(campaign._id, now);
+
+    const [call] = await Call.find({ campaignId: campaign._id });
+    expect(call).toMatchObject({
+      status: 'failed',
+      outcome: 'failed',
+      error: 'SIP trunk unavailable',
+      attempt: 1,
+    });
+    const contact = await Contact.findOne({ campaignId: campaign._id });
+    expect(contact).toMatchObject({ status: 'pending', attemptCount: 1, lastOutcome: 'failed' });
+    expect(contact.nextCallAt).toEqual(new Date(now.getTime() + 5 * 60 * 1000));
+
+    // Not retried when the policy says so
+    await Campaign.updateOne(
+      { _id: campaign._id },
+      { 'callConfig.retry.outcomes.failed.retry': false }
+    );
+    await DialerService.dialCampaign(campaign._id, contact.nextCallAt);
+    expect((await Contact.findOne({ campaignId: campaign._id })).status).toBe('failed');
+  });
+
+  it('should hand the contact back when the call cannot be recorded', async () => {
+    await Campaign.updateOne({ _id: campaign._id }, { maxConcurrentCalls: 1 });
+    await addContacts('Ada');
+    jest.spyOn(Call, 'create').mockRejectedValueOnce(new Error('Connection reset'));
+
+    expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({ placed: 1, active: 0 });
+
+    expect(LiveKitService.createSipCall).not.toHaveBeenCalled();
+    expect(await Contact.findOne({ campaignId: campaign._id })).toMatchObject({
+      status: 'pending',
+    });
+    expect((await Organization.findOne({ clerkId: organizationId })).usage.activeCalls).toBe(0);
+  });
+
+  it('should release contacts left calling without a call in progress', async () => {
+    const [contact] = await addContacts('Ada');
+    await Contact.updateOne({ _id: contact._id }, { status: 'calling' });
+
+    expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({ placed: 1, active: 0 });
+    expect(await Call.countDocuments({ contactId: contact._id, status: 'in_progress' })).toBe(1);
+  });
+
+  it('should recount call slots held by workers that stopped', async () => {
+    await addContacts('Ada', 'Grace', 'Linus');
+    await DialerService.dialCampaign(campaign._id, now);
+    // Slots reserved or not released before the worker went away
+    await Organization.updateOne({ clerkId: organizationId }, { 'usage.activeCalls': 5 });
+    await Campaign.updateOne({ _id: campaign._id }, { maxConcurrentCalls: 3 });
+    expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({ placed: 0, active: 2 });
+
+    expect(await DialerService.reconcileCallSlots()).toBe(1);
+
+    expect((await Organization.findOne({ clerkId: organizationId })).usage.activeCalls).toBe(2);
+    expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({ placed: 1, active: 2 });
+    expect(await DialerService.reconcileCallSlots()).toBe(0);
+  });
+
+  describe('retry policy', () => {
+    const endRoom = async (at, metadata) => {
+      LiveKitService.getCallStatus.mockResolvedValueOnce({ status: 'active', metadata });
+      await DialerService.dialCampaign(campaign._id, at);
+      LiveKitService.getCallStatus.mockResolvedValueOnce({ status: 'not_found' });
+      await DialerService.dialCampaign(campaign._id, at);
+    };
+
+    it('should call contacts again after outcomes the agent reports, with backoff', async () => {
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        {
+          'callConfig.retry.maxAttempts': 3,
+          'callConfig.coolDown': { delayMinutes: 30, backoff: 'exponential', multiplier: 2 },
+        }
+      );
+      const [ada] = await addContacts('Ada');
+
+      // First attempt: no answer, called again after 30 minutes
+      await DialerService.dialCampaign(campaign._id, now);
+      await endRoom(now, { outcome: 'no_answer' });
+      let contact = await Contact.findById(ada._id);
+      expect(contact).toMatchObject({ status: 'pending', lastOutcome: 'no_answer' });
+      expect(contact.nextCallAt).toEqual(new Date('2026-03-10T14:30:00Z'));
+
+      // Not before then
+      expect(await DialerService.dialCampaign(campaign._id, now)).toEqual({
+        placed: 0,
+        active: 0,
+      });
+
+      // Second attempt: voicemail, called again after 60 minutes
+      const second = new Date('2026-03-10T14:30:00Z');
+      await DialerService.dialCampaign(campaign._id, second);
+      await endRoom(second, { outcome: 'voicemail' });
+      contact = await Contact.findById(ada._id);
+      expect(contact.nextCallAt).toEqual(new Date('2026-03-10T15:30:00Z'));
+
+      // Third and last attempt
+      const third = new Date('2026-03-10T15:30:00Z');
+      await DialerService.dialCampaign(campaign._id, third);
+      await endRoom(third, { outcome: 'busy' });
+      contact = await Contact.findById(ada._id);
+      expect(contact).toMatchObject({ status: 'called', attemptCount: 3, lastOutcome: 'busy' });
+      expect(contact.nextCallAt).toBeUndefined();
+
+      // The attempt history is listed with the contact
+      const { attempts } = await ContactService.getContact(
+        campaign.id,
+        ada.id,
+        'user_test_123',
+        organizationId,
+        'org:admin'
+      );
+      expect(attempts.map(({ attempt, outcome, retryAt }) => [attempt, outcome, retryAt])).toEqual([
+        [1, 'no_answer', new Date('2026-03-10T14:30:00Z')],
+        [2, 'voicemail', new Date('2026-03-10T15:30:00Z')],
+        [3, 'busy', undefined],
+      ]);
+    });
+
+    it('should follow per-outcome rules and not call answered contacts again', async () => {
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        {
+          'callConfig.retry.outcomes.voicemail.retry': false,
+          'callConfig.retry.outcomes.busy.delayMinutes': 10,
+        }
+      );
+      const [ada, grace] = await addContacts('Ada', 'Grace');
+
+      await DialerService.dialCampaign(campaign._id, now);
+      LiveKitService.getCallStatus
+        .mockResolvedValueOnce({ status: 'active', metadata: { outcome: 'voicemail' } })
+        .mockResolvedValueOnce({ status: 'active', metadata: { outcome: 'busy' } });
+      await DialerService.dialCampaign(campaign._id, now);
+      LiveKitService.getCallStatus.mockResolvedValue({ status: 'not_found' });
+      await DialerService.dialCampaign(campaign._id, now);
+
+      expect(await Contact.findById(ada._id)).toMatchObject({
+        status: 'called',
+        lastOutcome: 'voicemail',
+      });
+      const busy = await Contact.findById(grace._id);
+      expect(busy).toMatchObject({ status: 'pending', lastOutcome: 'busy' });
+      expect(busy.nextCallAt).toEqual(new Date(now.getTime() + 10 * 60 * 1000));
+
+      // A room that closes without a report was answered
+      await DialerService.dialCampaign(campaign._id, busy.nextCallAt);
+      await DialerService.dialCampaign(campaign._id, busy.nextCallAt);
+      expect(await Contact.findById(grace._id)).toMatchObject({
+        status: 'called',
+        lastOutcome: 'answered',
+        attemptCount: 2,
+      });
+    });
+
+    it('should not schedule retries after the campaign ends', async () => {
+      await Campaign.updateOne(
+        { _id: campaign._id },
+        { endTime: new Date('2026-03-10T14:30:00Z') }
+      );
+      await addContacts('Ada');
+
+      await DialerService.dialCampaign(campaign._id, now);
+      await endRoom(now, { outcome: 'no_answer' });
+
+      expect((await Contact.findOne({ campaignId: campaign._id })).status).toBe('called');
+    });
+  });
+
+  describe('dispositions', () => {
+    it('should keep the disposition the agent reports and count it in the stats', async () => {
+      const [ada, grace] = await addContacts('Ada', 'Grace');
+
+      await DialerService.dialCampaign(campaign._id, now);
+      LiveKitService.getCallStatus
+        .mockResolvedValueOnce({ status: 'active', metadata: { disposition: 'converted' } })
+        .mockResolvedValueOnce({ status: 'active', metadata: { disposition: 'voicemail' } });
+      await DialerService.dialCampaign(campaign._id, now);
+
+      const reported = await Call.findOne({ contactId: ada._id });
+      expect(reported).toMatchObject({
+        status: 'in_progress',
+        disposition: 'converted',
+        dispositionSource: 'agent',
+      });
+
+      LiveKitService.getCallStatus.mockResolvedValue({ status: 'not_found' });
+      await DialerService.dialCampaign(campaign._id, now);
+
+      // A reached contact is done; voicemail implies the outcome and is retried
+      expect(await Contact.findById(ada._id)).toMatchObject({
+        status: 'called',
+        lastOutcome: 'answered',
+        disposition: 'converted',
+      });
+      expect(await Contact.findById(grace._id)).toMatchObject({
+        status: 'pending',
+        lastOutcome: 'voicemail',
+        disposition: 'voicemail',
+      });
+
+      const { stats } = await Campaign.findById(campaign._id);
+      expect(stats).toMatchObject({
+        totalCalls: 2,
+        successfulCalls: 1,
+        failedCalls: 1,
+        answerRate: 50,
+        conversionRate: 100,
+      });
+      expect(stats.dispositions).toMatchObject({ converted: 1, voicemail: 1, answered: 0 });
+    });
+
+    it('should give calls without a reported disposition their outcome', async () => {
+      await addContacts('Ada');
+      LiveKitService.createSipCall.mockRejectedValueOnce(new Error('SIP trunk unavailable'));
+
+      await DialerService.dialCampaign(campaign._id, now);
+      const retryAt = new Date(now.getTime() + 5 * 60 * 1000);
+      await DialerService.dialCampaign(campaign._id, retryAt);
+      LiveKitService.getCallStatus.mockResolvedValue({ status: 'not_found' });
+      await DialerService.dialCampaign(campaign._id, retryAt);
+
+      const [failed, answered] = await Call.find({ campaignId: campaign._id }).sort({ attempt: 1 });
+      expect(failed.disposition).toBeUndefined();
+      expect(answered).toMatchObject({ disposition: 'answered', dispositionSource: 'dialer' });
+      expect((await Campaign.findById(campaign._id)).stats).toMatchObject({
+        totalCalls: 2,
+        successfulCalls: 1,
+        answerRate: 50,
+        conversionRate: 0,
+      });
+    });
+  });
+
+  it('should stop placing calls when paused but let calls in progress finish', async () => {
+    await addContacts('Ada', 'Grace', 'Linus');
+    await DialerService.dialCampaign(campaign._id, now);
+    await Campaign.updateOne({ _id: campaign._id }, { status: 'paused' });
+
+    LiveKitService.getCallStatus.mockResolvedValue({ status: 'not_found' });
+    const result = await DialerService.dialCampaign(campaign._id, now);
+
+    expect(result).toEqual({ placed: 0, active: 0 });
+    expect(LiveKitService.createSipCall).toHaveBeenCalledTimes(2);
+    expect(await Call.countDocuments({ campaignId: campaign._id, status: 'completed' })).toBe(2);
+    expect(await Contact.countDocuments({ campaignId: campaign._id, status: 'pending' })).toBe(1);
+    expect((await Campaign.findById(campaign._id)).status).toBe('paused');
+  });
+
+  it('should hang up calls that run past the maximum duration', async () => {
+    await addContacts('Ada');
+    await DialerService.dialCampaign(campaign._id, now);
+
+    await DialerService.dialCampaign(campaign._id, new Date(now.getTime() + 31 * 60 * 1000));
+
+    expect(LiveKitService.endCall).toHaveBeenCalledWith('room_1', 'max_duration_reached');
+    expect((await Call.findOne({ campaignId: campaign._id })).status).toBe('completed');
+  });
+
+  it('should complete a campaign past its end time', async () => {
+    await addContacts('Ada');
+
+    await DialerService.dialCampaign(campaign._id, new Date('2026-04-02T14:00:00Z'));
+
+    expect(LiveKitService.createSipCall).not.toHaveBeenCalled();
+    expect((await Campaign.findById(campaign._id)).status).toBe('completed');
+  });
+});
@@ -0,0 +1,266 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const Organization = require('../../../src/models/Organization');
+const AgentVersion = require('../../../src/models/AgentVersion');
+const EvalRun = require('../../../src/models/EvalRun');
+const EvalService = require('../../../src/services/eval.service');
+const AgentService = require('../../../src/services/agent.service');
+const LLMService = require('../../../src/services/llm.service');
+const { queueEvalRun } = require('../../../src/jobs/eval.jobs');
+const { ConflictError, PaymentRequiredError } = require('../../../src/utils/errors');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+jest.mock('../../../src/jobs/eval.jobs');
+
+describe('EvalService', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let organizationId;
+  let agent;
+
+  const cases = [
+    {
+      name: 'Shipping question',
+      turns: ['How long does shipping take?'],
+      expectedFacts: ['five business days'],
+      forbiddenPhrases: ['guarantee'],
+    },
+  ];
+
+  const reply = (content) => ({ content, toolCalls: [], usage: {} });
+
+  beforeEach(async () => {
+    organizationId = (
+      await Organization.create(createTestOrganization({ settings: { requirePassingEvals: true } }))
+    ).clerkId;
+    agent = await Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Shipping takes five business days.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId,
+      createdBy: userId,
+      config: { model: 'gpt-4', instructions: 'Be helpful.' },
+    });
+
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+  });
+
+  const runSuite = async (suite) => {
+    const run = await EvalService.triggerRun(
+      agent._id,
+      suite._id,
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(queueEvalRun).toHaveBeenCalledWith(run._id.toString());
+    return EvalService.executeRun(run._id.toString());
+  };
+
+  it('should score replies with rule checks and the judge', async () => {
+    const suite = await EvalService.createSuite(
+      agent._id,
+      { name: 'Smoke', cases },
+      userId,
+      organizationId,
+      userRole
+    );
+    jest
+      .spyOn(LLMService, 'chatCompletion')
+      .mockResolvedValueOnce(reply('Shipping takes five business days, I guarantee it.'))
+      .mockResolvedValueOnce(reply('```json\n{"score": 0.9, "reasoning": "Accurate"}\n```'));
+
+    const run = await runSuite(suite);
+
+    expect(run.status).toBe('completed');
+    expect(run.results[0].factsFound).toEqual(['five business days']);
+    expect(run.results[0].forbiddenFound).toEqual(['guarantee']);
+    expect(run.results[0].judge.score).toBe(0.9);
+    expect(run.results[0].passed).toBe(false);
+    expect(run.summary).toMatchObject({ total: 1, passed: 0, failed: 1 });
+
+    // The reply and the verdict count against the plan like chat turns
+    const organization = await Organization.findOne({ clerkId: organizationId });
+    expect(organization.usage.apiCallsThisMonth).toBe(2);
+  });
+
+  it('should fail a case when the judge verdict is unreadable', () => {
+    expect(EvalService.parseVerdict('I think it went well', 0.7)).toMatchObject({
+      score: 0,
+      passed: false,
+    });
+    expect(EvalService.parseVerdict('{"score": 0.5}', 0.7).passed).toBe(false);
+  });
+
+  it('should gate publishing on a passing run of the current configuration', async () => {
+    await expect(
+      AgentService.publishAgent(agent._id, userId, organizationId, userRole)
+    ).rejects.toThrow(ConflictError);
+
+    const suite = await EvalService.createSuite(
+      agent._id,
+      { name: 'Smoke', cases, judge: { enabled: false } },
+      userId,
+      organizationId,
+      userRole
+    );
+    jest
+      .spyOn(LLMService, 'chatCompletion')
+      .mockResolvedValue(reply('It takes five business days.'));
+
+    const run = await runSuite(suite);
+    expect(run.passed).toBe(true);
+
+    const published = await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+    expect(published.status).toBe('published');
+
+    // The edit has not passed the suite, so version 1 stays live
+    const edited = await AgentService.updateAgent(
+      agent._id,
+      { config: { instructions: 'Be brief.' } },
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(edited).toMatchObject({ status: 'published', version: 1, pendingChanges: true });
+    expect(await AgentVersion.countDocuments({ agentId: agent._id })).toBe(1);
+    await expect(
+      AgentService.publishAgent(agent._id, userId, organizationId, userRole)
+    ).rejects.toThrow('Smoke');
+
+    await runSuite(suite);
+    const republished = await AgentService.publishAgent(
+      agent._id,
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(republished).toMatchObject({ version: 2, pendingChanges: false });
+  });
+
+  it('should gate rollbacks on the restored configuration', async () => {
+    jest
+      .spyOn(LLMService, 'chatCompletion')
+      .mockResolvedValue(reply('It takes five business days.'));
+    const createSuite = (name) =>
+      EvalService.createSuite(
+        agent._id,
+        { name, cases, judge: { enabled: false } },
+        userId,
+        organizationId,
+        userRole
+      );
+
+    const smoke = await createSuite('Smoke');
+    await runSuite(smoke);
+    await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+    await AgentService.updateAgent(
+      agent._id,
+      { config: { instructions: 'Be brief.' } },
+      userId,
+      organizationId,
+      userRole
+    );
+    await runSuite(smoke);
+    await AgentService.publishAgent(agent._id, userId, organizationId, userRole);
+
+    // Version 1 predates this suite and never ran it
+    await runSuite(await createSuite('Regression'));
+
+    await expect(
+      AgentService.rollbackAgent(agent._id, 1, userId, organizationId, userRole)
+    ).rejects.toThrow('Regression');
+    expect(await AgentVersion.countDocuments({ agentId: agent._id })).toBe(2);
+    expect((await Agent.findById(agent._id)).config.instructions).toBe('Be brief.');
+  });
+
+  describe('plan limits', () => {
+    const setApiCalls = (used, limit) =>
+      Organization.updateOne(
+        { clerkId: organizationId },
+        { 'usage.apiCallsThisMonth': used, 'limits.apiCallsPerMonth': limit }
+      );
+
+    it('should not queue runs once the API call limit is reached', async () => {
+      const suite = await EvalService.createSuite(
+        agent._id,
+        { name: 'Smoke', cases, judge: { enabled: false } },
+        userId,
+        organizationId,
+        userRole
+      );
+      await setApiCalls(100, 100);
+
+      await expect(
+        EvalService.triggerRun(agent._id, suite._id, userId, organizationId, userRole)
+      ).rejects.toThrow(PaymentRequiredError);
+      expect(queueEvalRun).not.toHaveBeenCalled();
+    });
+
+    it('should stop running cases when the limit is reached mid-run', async () => {
+      const suite = await EvalService.createSuite(
+        agent._id,
+        {
+          name: 'Smoke',
+          cases: [cases[0], { ...cases[0], name: 'Shipping again' }],
+          judge: { enabled: false },
+        },
+        userId,
+        organizationId,
+        userRole
+      );
+      const completion = jest
+        .spyOn(LLMService, 'chatCompletion')
+        .mockResolvedValue(reply('It takes five business days.'));
+      await setApiCalls(99, 100);
+
+      const run = await runSuite(suite);
+
+      expect(completion).toHaveBeenCalledTimes(1);
+      expect(run.results.map((result) => [result.passed, result.error])).toEqual([
+        [true, undefined],
+        [false, 'API call limit exceeded for current plan'],
+      ]);
+      expect(run.passed).toBe(false);
+      const organization = await Organization.findOne({ clerkId: organizationId });
+      expect(organization.usage.apiCallsThisMonth).toBe(100);
+    });
+  });
+
+  it('should execute a run once when two workers pick it up', async () => {
+    const suite = await EvalService.createSuite(
+      agent._id,
+      { name: 'Smoke', cases, judge: { enabled: false } },
+      userId,
+      organizationId,
+      userRole
+    );
+    const completion = jest
+      .spyOn(LLMService, 'chatCompletion')
+      .mockResolvedValue(reply('It takes five business days.'));
+    const run = await EvalService.triggerRun(
+      agent._id,
+      suite._id,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    await Promise.all([
+      EvalService.executeRun(run._id.toString()),
+      EvalService.executeRun(run._id.toString()),
+    ]);
+
+    expect(completion).toHaveBeenCalledTimes(1);
+    const finished = await EvalRun.findById(run._id);
+    expect(finished).toMatchObject({ status: 'completed', passed: true });
+  });
+});
@@ -0,0 +1,167 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const Organization = require('../../../src/models/Organization');
+const Experiment = require('../../../src/models/Experiment');
+const TestNumber = require('../../../src/models/TestNumber');
+const ExperimentService = require('../../../src/services/experiment.service');
+const { ConflictError } = require('../../../src/utils/errors');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('ExperimentService', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let organizationId;
+  let agent;
+
+  const variants = [
+    { key: 'control', weight: 50 },
+    { key: 'concise', weight: 50, config: { instructions: 'Answer in one sentence.' } },
+  ];
+
+  beforeEach(async () => {
+    organizationId = (await Organization.create(createTestOrganization())).clerkId;
+    agent = await Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Shipping takes five business days.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId,
+      createdBy: userId,
+      config: { model: 'gpt-4', instructions: 'Be helpful.', temperature: 0.7 },
+    });
+  });
+
+  const startExperiment = async (name = 'Tone test') => {
+    const experiment = await ExperimentService.createExperiment(
+      agent._id,
+      { name, variants },
+      userId,
+      organizationId,
+      userRole
+    );
+    return ExperimentService.startExperiment(
+      agent._id,
+      experiment.id,
+      userId,
+      organizationId,
+      userRole
+    );
+  };
+
+  it('should assign units deterministically and split traffic by weight', async () => {
+    await startExperiment();
+
+    const first = await ExperimentService.assignVariant(agent._id, 'session_1');
+    const again = await ExperimentService.assignVariant(agent._id, 'session_1');
+    expect(again.variantKey).toBe(first.variantKey);
+
+    const assignments = await Promise.all(
+      Array.from({ length: 200 }, (_, i) => ExperimentService.assignVariant(agent._id, `u${i}`))
+    );
+    const concise = assignments.filter((a) => a.variantKey === 'concise').length;
+    expect(concise).toBeGreaterThan(70);
+    expect(concise).toBeLessThan(130);
+  });
+
+  it('should apply variant overrides on top of the agent config', () => {
+    const config = ExperimentService.applyVariant(
+      { model: 'gpt-4', instructions: 'Be helpful.', temperature: 0.7 },
+      { instructions: 'Answer in one sentence.', temperature: undefined }
+    );
+
+    expect(config).toEqual({
+      model: 'gpt-4',
+      instructions: 'Answer in one sentence.',
+      temperature: 0.7,
+    });
+  });
+
+  it('should only run one experiment per agent', async () => {
+    await startExperiment();
+
+    await expect(startExperiment('Second test')).rejects.toThrow(ConflictError);
+  });
+
+  it('should let only one of two concurrent starts through', async () => {
+    await Experiment.init();
+    const experiments = await Promise.all(
+      ['Tone test', 'Second test'].map((name) =>
+        ExperimentService.createExperiment(
+          agent._id,
+          { name, variants },
+          userId,
+          organizationId,
+          userRole
+        )
+      )
+    );
+
+    const results = await Promise.allSettled(
+      experiments.map((experiment) =>
+        ExperimentService.startExperiment(
+          agent._id,
+          experiment.id,
+          userId,
+          organizationId,
+          userRole
+        )
+      )
+    );
+
+    expect(results.filter((result) => result.status === 'fulfilled')).toHaveLength(1);
+    const [rejected] = results.filter((result) => result.status === 'rejected');
+    expect(rejected.reason).toBeInstanceOf(ConflictError);
+    expect(await Experiment.countDocuments({ agentId: agent._id, status: 'running' })).toBe(1);
+  });
+
+  it('should report chat stats and tester ratings per variant', async () => {
+    const experiment = await startExperiment();
+    const assignment = { experimentId: experiment._id, variantKey: 'concise' };
+
+    await ExperimentService.recordOutcome(assignment, { success: true, responseTime: 400 });
+    await ExperimentService.recordOutcome(assignment, { success: false, responseTime: 200 });
+    await TestNumber.create({
+      name: 'Tester',
+      phone: '+15550000001',
+      email: 'tester@example.com',
+      organizationId,
+      createdBy: userId,
+      testCalls: [
+        { agentId: agent._id, experimentId: experiment._id, variantKey: 'concise', rating: 4 },
+        {
+          agentId: agent._id,
+          experimentId: experiment._id,
+          variantKey: 'concise',
+          rating: 2,
+          successful: true,
+        },
+      ],
+    });
+
+    const results = await ExperimentService.getResults(
+      agent._id,
+      experiment.id,
+      userId,
+      organizationId,
+      userRole
+    );
+    const concise = results.variants.find((variant) => variant.key === 'concise');
+
+    expect(concise).toMatchObject({
+      requests: 2,
+      successRate: 0.5,
+      averageResponseTime: 300,
+      testCalls: 2,
+      testCallSuccessRate: 0.5,
+      ratings: 2,
+      averageRating: 3,
+    });
+    expect(results.variants[0].successRate).toBeNull();
+  });
+});
@@ -0,0 +1,106 @@
+/* eslint-disable no-underscore-dangle */
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Organization = require('../../../src/models/Organization');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const KnowledgeBaseService = require('../../../src/services/knowledgebase.service');
+const { ConflictError } = require('../../../src/utils/errors');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('Knowledge base chunking', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+
+  const chunk = (text, chunking) =>
+    KnowledgeBaseService.createTextChunks([{ text }], chunking).map((item) => [
+      item.content,
+      item.metadata.section,
+    ]);
+
+  it('should split markdown at headings and label chunks with the heading path', () => {
+    const text = '# Guide\n\nIntro.\n\n## Install\n\nRun the installer.\n\n# FAQ\n\nAsk away.';
+
+    expect(chunk(text, { strategy: 'markdown' })).toEqual([
+      ['# Guide\nIntro.', 'Guide'],
+      ['## Install\nRun the installer.', 'Guide > Install'],
+      ['# FAQ\nAsk away.', 'FAQ'],
+    ]);
+  });
+
+  it('should not cut sentences when splitting long paragraphs', () => {
+    const text = 'Refunds take thirty days. Shipping takes five business days.';
+
+    expect(chunk(text, { strategy: 'paragraph', chunkSize: 50 })).toEqual([[text, undefined]]);
+    expect(chunk(text, { strategy: 'paragraph', chunkSize: 9, chunkOverlap: 0 })).toEqual([
+      ['Refunds take thirty days.', undefined],
+      ['Shipping takes five business days.', undefined],
+    ]);
+  });
+
+  it('should repeat the end of a chunk at the start of the next', () => {
+    const chunks = chunk('red tan sky big own cat', {
+      strategy: 'tokens',
+      chunkSize: 4,
+      chunkOverlap: 2,
+    });
+
+    expect(chunks.map(([content]) => content)).toEqual(['red tan sky big', 'sky big own cat']);
+  });
+
+  it('should re-chunk existing files with new settings', async () => {
+    const organizationId = (await Organization.create(createTestOrganization())).clerkId;
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kb-'));
+    const filePath = path.join(dir, 'prices.csv');
+    await fs.writeFile(filePath, 'name,price\nAnvil,10\nRocket,500\nMagnet,20\n');
+
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Prices',
+      organizationId,
+      createdBy: userId,
+      status: 'processing',
+      kb_files: [
+        {
+          filename: 'prices.csv',
+          originalName: 'prices.csv',
+          path: filePath,
+          mimetype: 'text/csv',
+          size: 40,
+        },
+      ],
+    });
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+
+    jest.spyOn(KnowledgeBaseService, 'startBackgroundProcessing').mockImplementation(() => {});
+
+    const pending = await KnowledgeBaseService.rechunkKnowledgeBase(
+      knowledgeBase._id,
+      { rowsPerChunk: 2 },
+      userId,
+      organizationId,
+      userRole
+    );
+    expect(pending.status).toBe('processing');
+    await expect(
+      KnowledgeBaseService.rechunkKnowledgeBase(
+        knowledgeBase._id,
+        undefined,
+        userId,
+        organizationId,
+        userRole
+      )
+    ).rejects.toThrow(ConflictError);
+
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+    const rechunked = await KnowledgeBase.findById(knowledgeBase._id);
+
+    expect(rechunked.chunking).toMatchObject({ strategy: 'auto', rowsPerChunk: 2 });
+    expect(rechunked.kb_files[0].chunks.map((item) => item.metadata.section)).toEqual([
+      'Rows 1-2',
+      'Row 3',
+    ]);
+
+    await fs.rm(dir, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+});
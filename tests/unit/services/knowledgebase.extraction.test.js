@@ -0,0 +1,146 @@
+/* eslint-disable no-underscore-dangle */
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const KnowledgeBaseService = require('../../../src/services/knowledgebase.service');
+const StorageService = require('../../../src/services/storage.service');
+
+describe('KnowledgeBaseService text extraction', () => {
+  let dir;
+
+  // Files are stored under `dir`; the returned storage key is the file's name
+  const writeFile = async (name, content) => {
+    await fs.writeFile(path.join(dir, name), content);
+    return name;
+  };
+
+  beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kb-'));
+    StorageService.setDriver(StorageService.createDriver('local', { root: dir, secret: 'test' }));
+  });
+
+  afterEach(async () => {
+    StorageService.setDriver(undefined);
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should turn CSV rows into citable sections', async () => {
+    const filePath = await writeFile('prices.csv', 'name,price\nAnvil,10\nRocket,500\n');
+
+    const { segments } = await KnowledgeBaseService.extractTextFromFile({
+      path: filePath,
+      mimetype: 'text/csv',
+    });
+    const [chunk] = KnowledgeBaseService.createTextChunks(segments);
+
+    expect(segments).toEqual([
+      { row: 1, text: 'name: Anvil, price: 10' },
+      { row: 2, text: 'name: Rocket, price: 500' },
+    ]);
+    expect(chunk.content).toBe('name: Anvil, price: 10\nname: Rocket, price: 500');
+    expect(chunk.metadata.section).toBe('Rows 1-2');
+  });
+
+  it('should keep page numbers on chunks', () => {
+    const chunks = KnowledgeBaseService.createTextChunks(
+      [
+        { text: 'one two three', page: 1 },
+        { text: 'four five', page: 2 },
+      ],
+      { strategy: 'tokens', chunkSize: 2, chunkOverlap: 0 }
+    );
+
+    expect(chunks.map((chunk) => [chunk.content, chunk.metadata.page])).toEqual([
+      ['one two', 1],
+      ['three', 1],
+      ['four five', 2],
+    ]);
+  });
+
+  it('should record a per-file error instead of marking the file processed', async () => {
+    const goodPath = await writeFile('faq.txt', 'Shipping takes five business days.');
+    const brokenPath = await writeFile('broken.pdf', 'not really a pdf');
+
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Policies',
+      organizationId: 'org_test_123',
+      createdBy: 'user_test_123',
+      status: 'processing',
+      kb_files: [
+        {
+          filename: 'faq.txt',
+          originalName: 'faq.txt',
+          path: goodPath,
+          mimetype: 'text/plain',
+          size: 34,
+        },
+        {
+          filename: 'broken.pdf',
+          originalName: 'broken.pdf',
+          path: brokenPath,
+          mimetype: 'application/pdf',
+          size: 16,
+        },
+      ],
+    });
+
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+
+    const processed = await KnowledgeBase.findById(knowledgeBase._id);
+    const [good, broken] = processed.kb_files;
+
+    expect(processed.status).toBe('partial');
+    expect(good.status).toBe('processed');
+    expect(good.chunks[0].content).toBe('Shipping takes five business days.');
+    expect(broken.status).toBe('error');
+    expect(broken.processed).toBe(false);
+    expect(broken.error).toBeTruthy();
+    expect(processed.getProcessingSummary().progress).toMatchObject({
+      total: 2,
+      processed: 1,
+      failed: 1,
+      percent: 100,
+    });
+  });
+
+  it('should keep failed files pending until the last attempt', async () => {
+    const brokenPath = await writeFile('broken.pdf', 'not really a pdf');
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Policies',
+      organizationId: 'org_test_123',
+      createdBy: 'user_test_123',
+      status: 'processing',
+      kb_files: [
+        {
+          filename: 'broken.pdf',
+          originalName: 'broken.pdf',
+          path: brokenPath,
+          mimetype: 'application/pdf',
+          size: 16,
+        },
+      ],
+    });
+    const onProgress = jest.fn();
+
+    await expect(
+      KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id, {
+        finalAttempt: false,
+        onProgress,
+      })
+    ).rejects.toThrow('broken.pdf');
+
+    const retrying = (await KnowledgeBase.findById(knowledgeBase._id)).getProcessingSummary();
+    expect(retrying.status).toBe('processing');
+    expect(retrying.progress).toMatchObject({ pending: 1, percent: 0 });
+    expect(retrying.files[0]).toMatchObject({ status: 'pending', attempts: 1 });
+    expect(retrying.files[0].error).toBeTruthy();
+    expect(onProgress).toHaveBeenCalledWith(0);
+
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+
+    const failed = (await KnowledgeBase.findById(knowledgeBase._id)).getProcessingSummary();
+    expect(failed.status).toBe('error');
+    expect(failed.files[0]).toMatchObject({ status: 'error', attempts: 2 });
+  });
+});
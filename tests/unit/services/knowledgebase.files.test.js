@@ -0,0 +1,200 @@
+/* eslint-disable no-underscore-dangle */
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Organization = require('../../../src/models/Organization');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const KnowledgeBaseService = require('../../../src/services/knowledgebase.service');
+const StorageService = require('../../../src/services/storage.service');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('KnowledgeBaseService file management', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let organizationId;
+  let root;
+  let knowledgeBase;
+
+  const upload = (name, content) => ({
+    originalname: name,
+    mimetype: 'text/plain',
+    size: Buffer.byteLength(content),
+    buffer: Buffer.from(content),
+  });
+
+  const storageUsed = async () =>
+    (await Organization.findOne({ clerkId: organizationId })).usage.storageUsed;
+
+  beforeEach(async () => {
+    organizationId = (await Organization.create(createTestOrganization())).clerkId;
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'kb-files-'));
+    StorageService.setDriver(StorageService.createDriver('local', { root, secret: 'test' }));
+    jest.spyOn(KnowledgeBaseService, 'startBackgroundProcessing').mockImplementation(() => {});
+
+    const created = await KnowledgeBaseService.createKnowledgeBase(
+      { kb_name: 'Policies' },
+      [
+        upload('shipping.txt', 'Orders ship in two days.'),
+        upload('returns.txt', 'Returns: 30 days.'),
+      ],
+      userId,
+      organizationId,
+      userRole
+    );
+    await KnowledgeBaseService.processKnowledgeBaseFiles(created._id);
+    knowledgeBase = await KnowledgeBase.findById(created._id);
+  });
+
+  afterEach(async () => {
+    StorageService.setDriver(undefined);
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  it('should list files with their processing state', async () => {
+    const files = await KnowledgeBaseService.listFiles(
+      knowledgeBase.id,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    expect(files).toHaveLength(2);
+    expect(files[0]).toMatchObject({
+      filename: 'shipping.txt',
+      size: 24,
+      version: 1,
+      status: 'processed',
+      chunkCount: 1,
+    });
+    expect(files[0].chunks).toBeUndefined();
+  });
+
+  it('should return a file with its extracted text and chunks', async () => {
+    const [shipping] = knowledgeBase.kb_files;
+
+    const file = await KnowledgeBaseService.getFile(
+      knowledgeBase.id,
+      shipping.id,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    expect(file.text).toBe('Orders ship in two days.');
+    expect(file.chunks).toEqual([
+      { content: 'Orders ship in two days.', metadata: expect.any(Object) },
+    ]);
+    expect(file.chunks[0].embedding).toBeUndefined();
+  });
+
+  it('should delete a file and keep the totals consistent', async () => {
+    const [shipping, returns] = knowledgeBase.kb_files;
+
+    await KnowledgeBaseService.deleteFile(
+      knowledgeBase.id,
+      shipping.id,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    const updated = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(updated.kb_files.map((file) => file.id)).toEqual([returns.id]);
+    expect(updated).toMatchObject({ totalFiles: 1, totalSize: returns.size });
+    await expect(StorageService.download(shipping.path)).rejects.toThrow('File not found');
+    expect(await storageUsed()).toBe(returns.size);
+  });
+
+  it('should not keep any file of a batch that fails to store', async () => {
+    const storage = StorageService.getDriver();
+    const put = storage.put.bind(storage);
+    jest
+      .spyOn(storage, 'put')
+      .mockImplementation((key, ...args) =>
+        key.endsWith('broken.txt') ? Promise.reject(new Error('Disk full')) : put(key, ...args)
+      );
+    const usedBefore = await storageUsed();
+    const storedBefore = await fs.readdir(root, { recursive: true });
+
+    await expect(
+      KnowledgeBaseService.addFiles(
+        knowledgeBase.id,
+        [upload('faq.txt', 'Call us any time.'), upload('broken.txt', 'Lost.')],
+        userId,
+        organizationId,
+        userRole
+      )
+    ).rejects.toThrow('Disk full');
+
+    const updated = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(updated.kb_files).toHaveLength(2);
+    expect(await storageUsed()).toBe(usedBefore);
+    expect(await fs.readdir(root, { recursive: true })).toEqual(storedBefore);
+  });
+
+  it('should replace a file with a new version to process', async () => {
+    const [shipping, returns] = knowledgeBase.kb_files;
+
+    const file = await KnowledgeBaseService.replaceFile(
+      knowledgeBase.id,
+      shipping.id,
+      upload('shipping-v2.txt', 'Orders ship the same day.'),
+      userId,
+      organizationId,
+      userRole
+    );
+
+    expect(file).toMatchObject({
+      fileId: shipping.id,
+      filename: 'shipping-v2.txt',
+      version: 2,
+      status: 'pending',
+      chunkCount: 0,
+    });
+    const updated = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(updated.status).toBe('processing');
+    expect(updated.totalSize).toBe(25 + returns.size);
+    await expect(StorageService.download(shipping.path)).rejects.toThrow('File not found');
+    expect(await storageUsed()).toBe(25 + returns.size);
+
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+
+    const processed = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(processed.kb_files.id(shipping.id).chunks[0].content).toBe('Orders ship the same day.');
+  });
+
+  it('should reprocess a single file', async () => {
+    const [shipping, returns] = knowledgeBase.kb_files;
+
+    await KnowledgeBaseService.reprocessFile(
+      knowledgeBase.id,
+      shipping.id,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    const updated = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(updated.kb_files.id(shipping.id).status).toBe('pending');
+    expect(updated.kb_files.id(returns.id).status).toBe('processed');
+    expect(KnowledgeBaseService.startBackgroundProcessing).toHaveBeenLastCalledWith(
+      knowledgeBase._id
+    );
+  });
+
+  it('should not delete pages crawled from a web source', async () => {
+    const [shipping] = knowledgeBase.kb_files;
+    shipping.sourceId = knowledgeBase._id;
+    await knowledgeBase.save();
+
+    await expect(
+      KnowledgeBaseService.deleteFile(
+        knowledgeBase.id,
+        shipping.id,
+        userId,
+        organizationId,
+        userRole
+      )
+    ).rejects.toThrow('web source');
+  });
+});
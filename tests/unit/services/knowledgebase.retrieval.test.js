@@ -0,0 +1,162 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const Organization = require('../../../src/models/Organization');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const AgentService = require('../../../src/services/agent.service');
+const KnowledgeBaseService = require('../../../src/services/knowledgebase.service');
+const LLMService = require('../../../src/services/llm.service');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('Knowledge base retrieval in chat', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let organizationId;
+  let agent;
+  let knowledgeBase;
+
+  beforeEach(async () => {
+    organizationId = (await Organization.create(createTestOrganization())).clerkId;
+    agent = await Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Ask us anything.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId,
+      createdBy: userId,
+      config: { model: 'gpt-4', instructions: 'Be helpful.' },
+    });
+    knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Policies',
+      organizationId,
+      createdBy: userId,
+      status: 'ready',
+      kb_files: [
+        {
+          filename: 'policies.txt',
+          originalName: 'policies.txt',
+          path: 'uploads/kb/policies.txt',
+          mimetype: 'text/plain',
+          size: 120,
+          processed: true,
+          chunks: [
+            { content: 'Refunds are issued within 30 days.', metadata: { chunkIndex: 0 } },
+            { content: 'Shipping takes five business days.', metadata: { chunkIndex: 1 } },
+          ],
+        },
+      ],
+    });
+
+    jest.restoreAllMocks();
+  });
+
+  it('should ground replies on linked knowledge bases and cite them', async () => {
+    await AgentService.linkKnowledgeBase(
+      agent._id,
+      knowledgeBase.id,
+      userId,
+      organizationId,
+      userRole
+    );
+    const completion = jest
+      .spyOn(LLMService, 'chatCompletion')
+      .mockResolvedValue({ content: 'Five business days [1].', toolCalls: [], usage: {} });
+
+    const result = await AgentService.chatWithAgent(
+      agent._id,
+      'How long does shipping take?',
+      userId,
+      organizationId,
+      userRole
+    );
+
+    const systemPrompt = completion.mock.calls[0][0].messages[0].content;
+    expect(systemPrompt).toContain('[1] policies.txt (Policies)');
+    expect(systemPrompt).toContain('Shipping takes five business days.');
+    expect(systemPrompt).not.toContain('Refunds');
+    expect(result.sources).toEqual([
+      expect.objectContaining({ index: 1, knowledgeBaseId: knowledgeBase.id, chunkIndex: 1 }),
+    ]);
+
+    const used = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(used.usageCount).toBe(1);
+  });
+
+  it('should not retrieve from unlinked knowledge bases', async () => {
+    await AgentService.linkKnowledgeBase(
+      agent._id,
+      knowledgeBase.id,
+      userId,
+      organizationId,
+      userRole
+    );
+    await AgentService.unlinkKnowledgeBase(
+      agent._id,
+      knowledgeBase.id,
+      userId,
+      organizationId,
+      userRole
+    );
+    jest
+      .spyOn(LLMService, 'chatCompletion')
+      .mockResolvedValue({ content: 'I am not sure.', toolCalls: [], usage: {} });
+
+    const result = await AgentService.chatWithAgent(
+      agent._id,
+      'How long does shipping take?',
+      userId,
+      organizationId,
+      userRole
+    );
+
+    expect(result.sources).toEqual([]);
+  });
+
+  it('should retrieve chunks that match by meaning without sharing words', async () => {
+    const embedded = await KnowledgeBase.create({
+      kb_name: 'Delivery',
+      organizationId,
+      createdBy: userId,
+      status: 'ready',
+      embeddingModel: { provider: 'openai', model: 'text-embedding-3-small', dimensions: 2 },
+      kb_files: [
+        {
+          filename: 'delivery.txt',
+          originalName: 'delivery.txt',
+          path: 'uploads/kb/delivery.txt',
+          mimetype: 'text/plain',
+          size: 80,
+          processed: true,
+          chunks: [
+            { content: 'Refunds are issued within 30 days.', embedding: [0, 1] },
+            { content: 'Parcels arrive within a week.', embedding: [1, 0] },
+          ],
+        },
+      ],
+    });
+    agent.knowledgeBase.push({ id: embedded.id, name: 'Delivery', type: 'document' });
+    jest.spyOn(LLMService, 'embed').mockResolvedValue({ embeddings: [[1, 0]] });
+
+    const sources = await KnowledgeBaseService.retrieveForAgent(
+      agent,
+      'When will my order get here?',
+      {
+        trackUsage: false,
+      }
+    );
+
+    expect(sources).toEqual([
+      expect.objectContaining({
+        index: 1,
+        knowledgeBaseName: 'Delivery',
+        chunkIndex: 1,
+        content: 'Parcels arrive within a week.',
+      }),
+    ]);
+  });
+});
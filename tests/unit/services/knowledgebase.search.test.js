@@ -0,0 +1,108 @@
+/* eslint-disable no-underscore-dangle */
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const Organization = require('../../../src/models/Organization');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const KnowledgeBaseService = require('../../../src/services/knowledgebase.service');
+const LLMService = require('../../../src/services/llm.service');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('Knowledge base vector search', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let organizationId;
+  let dir;
+
+  beforeEach(async () => {
+    organizationId = (await Organization.create(createTestOrganization())).clerkId;
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'kb-'));
+  });
+
+  afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+  });
+
+  it('should embed deterministically with the local provider', async () => {
+    const first = await LLMService.embed(['Shipping takes five business days'], {
+      provider: 'local',
+      dimensions: 64,
+    });
+    const second = await LLMService.embed(['Shipping takes five business days'], {
+      provider: 'local',
+      dimensions: 64,
+    });
+
+    expect(first.embeddings[0]).toHaveLength(64);
+    expect(first.embeddings).toEqual(second.embeddings);
+  });
+
+  it('should embed chunks while processing and rank them by cosine score', async () => {
+    const file = async (name, content) => {
+      const filePath = path.join(dir, name);
+      await fs.writeFile(filePath, content);
+      return {
+        filename: name,
+        originalName: name,
+        path: filePath,
+        mimetype: 'text/plain',
+        size: 40,
+      };
+    };
+
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Policies',
+      organizationId,
+      createdBy: userId,
+      status: 'processing',
+      kb_files: [
+        await file('shipping.txt', 'Shipping takes five business days.'),
+        await file('refunds.txt', 'Refunds are issued within 30 days.'),
+      ],
+    });
+
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+    const processed = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(processed.embeddingModel.provider).toBe('local');
+    expect(processed.kb_files[0].chunks[0].embedding).toHaveLength(
+      processed.embeddingModel.dimensions
+    );
+
+    const results = await KnowledgeBaseService.searchKnowledgeBase(
+      knowledgeBase._id,
+      { query: 'refunds issued', limit: 5 },
+      userId,
+      organizationId,
+      userRole
+    );
+
+    expect(results[0]).toMatchObject({ filename: 'refunds.txt', chunkIndex: 0 });
+    expect(results[0].semanticScore).toBeGreaterThan(0);
+  });
+
+  it('should rank exact product codes first in hybrid search', () => {
+    const chunks = [
+      { fileId: 'a', filename: 'a.txt', content: 'Model 200 ships in blue and red.' },
+      { fileId: 'b', filename: 'b.txt', content: 'The AX-200 drill comes with two batteries.' },
+      { fileId: 'c', filename: 'c.txt', content: 'Our warranty covers all drills for 2 years.' },
+    ];
+
+    const results = KnowledgeBaseService.hybridSearch(chunks, 'Do you stock AX-200?', null, 5);
+
+    expect(results.map((result) => result.fileId)).toEqual(['b', 'a']);
+    expect(results[0]).toMatchObject({ semanticScore: null, content: undefined });
+    expect(results[0].keywordScore).toBeGreaterThan(results[1].keywordScore);
+  });
+
+  it('should highlight matched words in a snippet around the first match', () => {
+    const content = `${'Filler words here. '.repeat(30)}Refunds are issued within 30 days.`;
+
+    const { snippet, highlights } = KnowledgeBaseService.buildSnippet(content, 'refunds issued');
+
+    expect(snippet.startsWith('…')).toBe(true);
+    expect(highlights.map(({ start, end }) => snippet.slice(start, end))).toEqual([
+      'Refunds',
+      'issued',
+    ]);
+  });
+});
@@ -0,0 +1,228 @@
+/* eslint-disable no-underscore-dangle */
+const dns = require('dns');
+const fs = require('fs').promises;
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const Organization = require('../../../src/models/Organization');
+const KnowledgeBase = require('../../../src/models/KnowledgeBase');
+const KnowledgeBaseService = require('../../../src/services/knowledgebase.service');
+const CrawlerService = require('../../../src/services/crawler.service');
+const StorageService = require('../../../src/services/storage.service');
+const config = require('../../../src/config');
+const { createTestOrganization } = require('../../fixtures/testData');
+
+describe('KnowledgeBaseService web sources', () => {
+  const userId = 'user_test_123';
+  const userRole = 'org:admin';
+  let organizationId;
+  let server;
+  let baseUrl;
+  let shippingPage;
+  let storageRoot;
+
+  const page = (title, body) =>
+    `<html><head><title>${title}</title><script>track()</script></head><body>` +
+    `<nav><a href="/">Home</a> | Menu</nav><main>${body}</main>` +
+    '<footer>Copyright Acme</footer></body></html>';
+
+  const routes = {
+    '/robots.txt': () => ['text/plain', 'User-agent: *\nDisallow: /private'],
+    '/sitemap.xml': () => [
+      'application/xml',
+      '<?xml version="1.0"?><urlset>' +
+        `<url><loc>${baseUrl}/shipping</loc></url>` +
+        `<url><loc>${baseUrl}/returns</loc></url>` +
+        `<url><loc>${baseUrl}/private/pricing</loc></url>` +
+        '</urlset>',
+    ],
+    '/shipping': () => ['text/html', shippingPage],
+    '/returns': () => [
+      'text/html',
+      page('Returns', '<h1>Returns</h1><p>Returns are accepted within 30 days.</p>'),
+    ],
+    '/private/pricing': () => ['text/html', page('Pricing', '<p>Secret prices</p>')],
+  };
+
+  const createWebSource = async (source) => {
+    const knowledgeBase = await KnowledgeBase.create({
+      kb_name: 'Help center',
+      organizationId,
+      createdBy: userId,
+      web_sources: [source],
+    });
+    return [knowledgeBase, knowledgeBase.web_sources[0]];
+  };
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      const route = routes[req.url];
+      if (!route) {
+        res.writeHead(404);
+        res.end();
+        return;
+      }
+      const [contentType, body] = route();
+      res.writeHead(200, { 'Content-Type': contentType });
+      res.end(body);
+    });
+    await new Promise((resolve) => {
+      server.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    storageRoot = await fs.mkdtemp(path.join(os.tmpdir(), 'kb-web-'));
+    StorageService.setDriver(
+      StorageService.createDriver('local', { root: storageRoot, secret: 'test' })
+    );
+  });
+
+  afterAll(async () => {
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+    StorageService.setDriver(undefined);
+    await fs.rm(storageRoot, { recursive: true, force: true });
+  });
+
+  beforeEach(async () => {
+    organizationId = (await Organization.create(createTestOrganization())).clerkId;
+    shippingPage = page('Shipping', '<h1>Shipping</h1><p>Orders ship within two days.</p>');
+
+    jest.restoreAllMocks();
+    jest.spyOn(KnowledgeBaseService, 'startBackgroundProcessing').mockImplementation(() => {});
+    jest.spyOn(KnowledgeBaseService, 'startCrawl').mockImplementation(() => {});
+  });
+
+  it('should crawl a sitemap into chunked pages, respecting robots.txt', async () => {
+    const [knowledgeBase, source] = await createWebSource({
+      url: `${baseUrl}/sitemap.xml`,
+      type: 'sitemap',
+    });
+
+    await KnowledgeBaseService.crawlWebSource(knowledgeBase._id, source._id);
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+
+    const crawled = await KnowledgeBase.findById(knowledgeBase._id);
+    const [shipping, returns] = crawled.kb_files;
+
+    expect(crawled.web_sources[0]).toMatchObject({
+      status: 'crawled',
+      pageCount: 2,
+      skippedCount: 1,
+    });
+    expect(crawled.web_sources[0].nextCrawlAt > new Date()).toBe(true);
+    expect(crawled.status).toBe('ready');
+    expect(crawled.totalFiles).toBe(2);
+    expect(shipping).toMatchObject({ url: `${baseUrl}/shipping`, originalName: 'Shipping' });
+    expect(shipping.chunks[0].content).toBe('Shipping\nOrders ship within two days.');
+    expect(shipping.chunks[0].metadata.section).toBe('Shipping');
+    expect(returns.chunks[0].content).toContain('Returns are accepted within 30 days.');
+
+    const content = crawled.kb_files.flatMap((file) => file.chunks.map((chunk) => chunk.content));
+    expect(content.join('\n')).not.toMatch(/Menu|track|Copyright|Secret/);
+  });
+
+  it('should only reprocess pages that changed on recrawl', async () => {
+    const [knowledgeBase, source] = await createWebSource({
+      url: `${baseUrl}/sitemap.xml`,
+      type: 'sitemap',
+    });
+    await KnowledgeBaseService.crawlWebSource(knowledgeBase._id, source._id);
+    await KnowledgeBaseService.processKnowledgeBaseFiles(knowledgeBase._id);
+
+    shippingPage = page('Shipping', '<p>Orders now ship the same day.</p>');
+    await KnowledgeBaseService.crawlWebSource(knowledgeBase._id, source._id);
+
+    const recrawled = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(recrawled.kb_files.map((file) => file.status)).toEqual(['pending', 'processed']);
+    expect(recrawled.totalFiles).toBe(2);
+  });
+
+  it('should record a failed crawl on the source', async () => {
+    const [knowledgeBase, source] = await createWebSource({ url: `${baseUrl}/missing` });
+
+    await KnowledgeBaseService.crawlWebSource(knowledgeBase._id, source._id);
+
+    const failed = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(failed.web_sources[0].status).toBe('error');
+    expect(failed.web_sources[0].error).toContain('404');
+  });
+
+  it('should only crawl http(s) URLs and parse robots.txt rules', async () => {
+    await expect(CrawlerService.assertPublicUrl('ftp://example.com/file')).rejects.toThrow(
+      'Only http and https'
+    );
+    expect(CrawlerService.parseRobots('User-agent: *\nDisallow: /private', 'WhitecladBot')).toEqual(
+      expect.objectContaining({ rules: [expect.objectContaining({ allow: false })] })
+    );
+  });
+
+  describe('private addresses', () => {
+    beforeEach(() => {
+      config.crawler.allowPrivateNetworks = false;
+    });
+
+    afterEach(() => {
+      config.crawler.allowPrivateNetworks = true;
+    });
+
+    it('should refuse private addresses written in any IPv6 form', async () => {
+      const urls = [
+        'http://[::1]/',
+        'http://[::ffff:127.0.0.1]/',
+        'http://[::ffff:a9fe:a9fe]/latest/meta-data',
+        'http://[::ffff:10.0.0.1]/',
+        'http://[::7f00:1]/',
+        'http://[fd00::1]/',
+      ];
+
+      await Promise.all(
+        urls.map((url) =>
+          expect(CrawlerService.assertPublicUrl(url)).rejects.toThrow('public address')
+        )
+      );
+      await expect(CrawlerService.assertPublicUrl('http://[::ffff:8.8.8.8]/')).resolves.toEqual([
+        { address: '::ffff:808:808', family: 6 },
+      ]);
+    });
+
+    it('should pin requests to the addresses it checked', async () => {
+      jest
+        .spyOn(dns.promises, 'lookup')
+        .mockResolvedValueOnce([{ address: '203.0.113.10', family: 4 }])
+        .mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+
+      const { httpAgent } = await CrawlerService.publicRequestOptions('http://rebind.example/');
+      const resolved = await new Promise((resolve, reject) => {
+        httpAgent.options.lookup('rebind.example', { all: true }, (error, addresses) =>
+          error ? reject(error) : resolve(addresses)
+        );
+      });
+
+      expect(resolved).toEqual([{ address: '203.0.113.10', family: 4 }]);
+      expect(dns.promises.lookup).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  it('should remove a web source and its pages', async () => {
+    const [knowledgeBase, source] = await createWebSource({
+      url: `${baseUrl}/sitemap.xml`,
+      type: 'sitemap',
+    });
+    await KnowledgeBaseService.crawlWebSource(knowledgeBase._id, source._id);
+
+    await KnowledgeBaseService.removeWebSource(
+      knowledgeBase.id,
+      source.id,
+      userId,
+      organizationId,
+      userRole
+    );
+
+    const removed = await KnowledgeBase.findById(knowledgeBase._id);
+    expect(removed.web_sources).toHaveLength(0);
+    expect(removed.kb_files).toHaveLength(0);
+    expect(removed.totalSize).toBe(0);
+  });
+});
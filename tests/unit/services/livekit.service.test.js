@@ -0,0 +1,82 @@
+/* eslint-disable no-underscore-dangle */
+const Agent = require('../../../src/models/Agent');
+const AgentVersion = require('../../../src/models/AgentVersion');
+const LiveKitService = require('../../../src/services/livekit.service');
+const logger = require('../../../src/config/logger');
+
+describe('LiveKitService', () => {
+  const userId = 'user_test_123';
+  const organizationId = 'org_test_123';
+  let agent;
+
+  beforeEach(async () => {
+    agent = await Agent.create({
+      name: 'Sales Bot',
+      language: 'en',
+      description: 'Handles inbound sales questions',
+      voiceType: 'female',
+      voice: 'nova',
+      companyName: 'Acme',
+      productDescription: 'Acme sells rockets and anvils',
+      questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+      faqs: 'Shipping takes five business days.',
+      agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+      organizationId,
+      createdBy: userId,
+      status: 'published',
+      config: {
+        model: 'gpt-4',
+        instructions: 'Greet {{callerName|the caller}} for {{companyName}}.',
+      },
+    });
+    await AgentVersion.createFromAgent(agent, userId);
+
+    jest
+      .spyOn(LiveKitService.agentDispatchClient, 'createDispatch')
+      .mockImplementation(async (room, agentName) => ({ id: 'dispatch_1', agentName, room }));
+  });
+
+  const dispatchedMetadata = () =>
+    JSON.parse(LiveKitService.agentDispatchClient.createDispatch.mock.calls[0][2].metadata);
+
+  describe('dispatchAgentToRoom', () => {
+    it('should render instructions from the version the call is pinned to', async () => {
+      agent.config.instructions = 'Unreviewed draft prompt.';
+      agent.pendingChanges = true;
+      await agent.save();
+
+      await LiveKitService.dispatchAgentToRoom('campaign_call_1', agent.id, {
+        agentVersion: 1,
+        organizationId,
+        variables: { callerName: 'Ada' },
+      });
+
+      expect(dispatchedMetadata().instructions).toBe('Greet Ada for Acme.');
+      expect((await Agent.findById(agent._id)).config.instructions).toBe(
+        'Unreviewed draft prompt.'
+      );
+    });
+
+    it('should render the current configuration for calls without a version', async () => {
+      await LiveKitService.dispatchAgentToRoom('web_call_1', agent.id, { organizationId });
+
+      expect(dispatchedMetadata().instructions).toBe('Greet the caller for Acme.');
+    });
+
+    it('should only log ids, not the prompt or contact details', async () => {
+      const info = jest.spyOn(logger, 'info');
+
+      await LiveKitService.dispatchAgentToRoom('campaign_call_1', agent.id, {
+        agentVersion: 1,
+        phoneNumber: '+14155550100',
+        variables: { callerName: 'Ada', custom: { plan: 'gold' } },
+      });
+
+      const logged = JSON.stringify(info.mock.calls);
+      expect(logged).toContain('dispatch_1');
+      expect(logged).not.toContain('Ada');
+      expect(logged).not.toContain('+14155550100');
+      expect(logged).not.toContain('gold');
+    });
+  });
+});
@@ -0,0 +1,253 @@
+/* eslint-disable no-underscore-dangle */
+const dns = require('dns');
+const mongoose = require('mongoose');
+const axios = require('axios');
+const Agent = require('../../../src/models/Agent');
+const AgentService = require('../../../src/services/agent.service');
+const ToolService = require('../../../src/services/tool.service');
+const ToolInvocation = require('../../../src/models/ToolInvocation');
+const config = require('../../../src/config');
+
+jest.mock('axios');
+
+describe('ToolService', () => {
+  const context = {
+    agentId: 'agent_1',
+    organizationId: 'org_test_123',
+    userId: 'user_test_123',
+    conversationId: new mongoose.Types.ObjectId().toString(),
+  };
+
+  const agent = {
+    _id: new mongoose.Types.ObjectId(),
+    tools: [
+      {
+        name: 'check_inventory',
+        description: 'Look up stock for a SKU',
+        parameters: { type: 'object', properties: { sku: { type: 'string' } } },
+        type: 'webhook',
+        webhook: { url: 'https://example.com/inventory', method: 'POST', timeoutMs: 1000 },
+        enabled: true,
+      },
+      {
+        name: 'get_current_time',
+        description: 'Current time',
+        parameters: { type: 'object', properties: {} },
+        type: 'builtin',
+        handler: 'get_current_time',
+        enabled: true,
+      },
+      {
+        name: 'disabled_tool',
+        description: 'Not offered to the model',
+        type: 'builtin',
+        handler: 'get_current_time',
+        enabled: false,
+      },
+    ],
+  };
+
+  afterEach(() => {
+    jest.resetAllMocks();
+  });
+
+  describe('getToolDefinitions', () => {
+    it('should only expose enabled tools', () => {
+      const definitions = ToolService.getToolDefinitions(agent);
+
+      expect(definitions.map((tool) => tool.name)).toEqual(['check_inventory', 'get_current_time']);
+      expect(definitions[0]).toEqual({
+        name: 'check_inventory',
+        description: 'Look up stock for a SKU',
+        parameters: agent.tools[0].parameters,
+      });
+    });
+  });
+
+  describe('executeToolCalls', () => {
+    it('should call webhooks with the arguments and chat context', async () => {
+      axios.mockResolvedValue({ status: 200, headers: {}, data: { inStock: 3 } });
+
+      const [result] = await ToolService.executeToolCalls(
+        agent,
+        [{ id: 'call_1', name: 'check_inventory', arguments: { sku: 'A1' } }],
+        context
+      );
+
+      expect(axios).toHaveBeenCalledWith(
+        expect.objectContaining({
+          url: 'https://example.com/inventory',
+          method: 'POST',
+          timeout: 1000,
+          maxRedirects: 0,
+          data: expect.objectContaining({
+            tool: 'check_inventory',
+            arguments: { sku: 'A1' },
+            context: expect.objectContaining({ sessionId: context.conversationId }),
+          }),
+        })
+      );
+      expect(result).toMatchObject({
+        callId: 'call_1',
+        status: 'success',
+        result: '{"inStock":3}',
+      });
+
+      const logged = await ToolInvocation.findOne({ callId: 'call_1' });
+      expect(logged.status).toBe('success');
+      expect(logged.toolType).toBe('webhook');
+    });
+
+    it('should run built-in handlers', async () => {
+      const [result] = await ToolService.executeToolCalls(
+        agent,
+        [{ id: 'call_2', name: 'get_current_time', arguments: { timezone: 'UTC' } }],
+        context
+      );
+
+      expect(result.status).toBe('success');
+      expect(JSON.parse(result.result).timezone).toBe('UTC');
+    });
+
+    it('should report failures to the model instead of throwing', async () => {
+      axios.mockRejectedValue(new Error('timeout of 1000ms exceeded'));
+
+      const results = await ToolService.executeToolCalls(
+        agent,
+        [
+          { id: 'call_3', name: 'check_inventory', arguments: {} },
+          { id: 'call_4', name: 'disabled_tool', arguments: {} },
+        ],
+        context
+      );
+
+      expect(results.map((result) => result.status)).toEqual(['error', 'error']);
+      expect(JSON.parse(results[0].result)).toEqual({ error: 'timeout of 1000ms exceeded' });
+      expect(results[1].error).toBe('Unknown tool: disabled_tool');
+    });
+  });
+
+  describe('webhook addresses', () => {
+    const webhookAgent = (url) => ({
+      _id: new mongoose.Types.ObjectId(),
+      tools: [{ ...agent.tools[0], webhook: { url, method: 'GET' } }],
+    });
+    const callTool = (url) =>
+      ToolService.executeToolCall(
+        webhookAgent(url),
+        { id: 'call_5', name: 'check_inventory', arguments: { sku: 'A1' } },
+        context
+      );
+
+    beforeEach(() => {
+      config.crawler.allowPrivateNetworks = false;
+    });
+
+    afterEach(() => {
+      config.crawler.allowPrivateNetworks = true;
+    });
+
+    it('should not call webhooks on private addresses', async () => {
+      const result = await callTool('http://169.254.169.254/latest/meta-data');
+
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('public address');
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    it('should check every redirect target', async () => {
+      axios
+        .mockResolvedValueOnce({
+          status: 302,
+          headers: { location: 'https://203.0.113.20/inventory' },
+          data: '',
+        })
+        .mockResolvedValueOnce({ status: 302, headers: { location: 'http://10.0.0.5/admin' } });
+
+      const result = await callTool('https://203.0.113.10/inventory');
+
+      expect(axios).toHaveBeenCalledTimes(2);
+      expect(axios.mock.calls[1][0].url).toBe('https://203.0.113.20/inventory');
+      expect(result.status).toBe('error');
+      expect(result.error).toContain('http://10.0.0.5/admin');
+    });
+
+    it('should not call webhooks on IPv4-mapped IPv6 addresses', async () => {
+      const results = await Promise.all(
+        [
+          'http://[::ffff:127.0.0.1]/',
+          'http://[::ffff:a9fe:a9fe]/',
+          'http://[::ffff:10.0.0.1]/',
+        ].map(callTool)
+      );
+
+      results.forEach((result) => expect(result.error).toContain('public address'));
+      expect(axios).not.toHaveBeenCalled();
+    });
+
+    it('should connect to the checked address when DNS answers differently later', async () => {
+      jest
+        .spyOn(dns.promises, 'lookup')
+        .mockResolvedValueOnce([{ address: '203.0.113.10', family: 4 }])
+        .mockResolvedValue([{ address: '127.0.0.1', family: 4 }]);
+      axios.mockResolvedValue({ status: 200, headers: {}, data: { inStock: true } });
+
+      const result = await callTool('https://hooks.example.com/inventory');
+
+      expect(result.status).toBe('success');
+      const [{ httpsAgent, proxy }] = axios.mock.calls[0];
+      expect(proxy).toBe(false);
+      const address = await new Promise((resolve, reject) => {
+        httpsAgent.options.lookup('hooks.example.com', {}, (error, resolved) =>
+          error ? reject(error) : resolve(resolved)
+        );
+      });
+      expect(address).toBe('203.0.113.10');
+      expect(dns.promises.lookup).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('webhook headers', () => {
+    it('should mask header values in responses and keep them when saved back', async () => {
+      const stored = await Agent.create({
+        name: 'Sales Bot',
+        language: 'en',
+        description: 'Handles inbound sales questions',
+        voiceType: 'female',
+        voice: 'nova',
+        companyName: 'Acme',
+        productDescription: 'Acme sells rockets and anvils',
+        questions: [{ id: 'q1', question: 'What do you need?', number: 1 }],
+        faqs: 'Ask us anything.',
+        agentIntroduction: 'Hi, this is the Acme assistant calling about your recent enquiry.',
+        organizationId: context.organizationId,
+        createdBy: context.userId,
+        config: { model: 'gpt-4', instructions: 'Be helpful.' },
+        tools: [
+          {
+            ...agent.tools[0],
+            webhook: { ...agent.tools[0].webhook, headers: { Authorization: 'Bearer secret' } },
+          },
+        ],
+      });
+
+      const { tools } = JSON.parse(JSON.stringify(stored));
+      expect(tools[0].webhook.headers).toEqual({ Authorization: '[redacted]' });
+
+      tools[0].webhook.headers['X-Store'] = 'north';
+      await AgentService.updateAgent(
+        stored._id,
+        { tools },
+        context.userId,
+        context.organizationId,
+        'org:admin'
+      );
+
+      const updated = await Agent.findById(stored._id);
+      expect(updated.tools[0].webhook.headers).toEqual({
+        Authorization: 'Bearer secret',
+        'X-Store': 'north',
+      });
+    });
+  });
+});